@@ -251,11 +251,154 @@ function StoreAndRegisterSelector({ token, user, onSelected, onLogout }) {
   );
 }
 
+function discountLabel(d) {
+  if (d.source === 'promotion') return d.name;
+  const label = d.code ? `Coupon ${d.code}` : d.source === 'cart' ? 'Cart discount' : 'Discount';
+  return d.type === 'percent' ? `${label} ${d.value}%` : label;
+}
+
+// Cart line priced at `override.price` (or back at the list price when null).
+// Which stock a recall covers, e.g. "lot L0001, expiry 2026-10-01 to 2026-10-15"
+function describeRecallScope(recall) {
+  if (recall.whole_product) {
+    return 'all stock';
+  }
+  const parts = recall.lot_numbers.map((l) => `lot ${l}`);
+  if (recall.expiry_from || recall.expiry_to) {
+    parts.push(
+      `expiry ${toDateInput(recall.expiry_from) || '…'} to ${toDateInput(recall.expiry_to) || '…'}`
+    );
+  }
+  return parts.join(', ');
+}
+
+function withPriceOverride(item, override) {
+  const priceOverride =
+    override && Math.round(override.price * 100) !== Math.round(item.listPrice * 100)
+      ? override
+      : null;
+  const unitPrice = priceOverride ? priceOverride.price : item.listPrice;
+  return {
+    ...item,
+    priceOverride,
+    unitPrice,
+    taxAmountPerUnit: (unitPrice * item.taxRate) / 100
+  };
+}
+
+// Prompt for a manager's PIN or password when the server answers 403 with
+// `approval_required`; `onApproved(token)` gets the one-time approval token.
+function ApprovalPrompt({ token, store, register, request, onApproved, onCancel }) {
+  const [username, setUsername] = useState('');
+  const [method, setMethod] = useState('pin');
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+
+    try {
+      const res = await fetch(`${API_BASE}/approvals`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          action: request.action,
+          storeId: store.id,
+          registerId: register.id,
+          subject: request.subject,
+          amount: request.amount,
+          username: username.trim(),
+          [method]: secret
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Approval failed');
+        return;
+      }
+      onApproved(data.token);
+    } catch (err) {
+      setError('Approval failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="totals-panel approval-prompt">
+      <h2>Manager approval</h2>
+      <div className="subtext">{request.message}</div>
+      {error && <div className="error">{error}</div>}
+      <form onSubmit={handleSubmit} className="form">
+        <label>
+          Manager
+          <input
+            type="text"
+            autoFocus
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+          />
+        </label>
+        <label>
+          <select value={method} onChange={(e) => setMethod(e.target.value)}>
+            <option value="pin">PIN</option>
+            <option value="password">Password</option>
+          </select>
+          <input
+            type="password"
+            inputMode={method === 'pin' ? 'numeric' : undefined}
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+          />
+        </label>
+        <button type="submit" className="primary" disabled={submitting}>
+          {submitting ? 'Checking...' : 'Approve'}
+        </button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </form>
+    </div>
+  );
+}
+
 function POSShell({ token, user, store, register, onChangeStore, onLogout }) {
-  const [mode, setMode] = useState('sale'); // 'sale' | 'return' | 'inventory' | 'receipts' | 'reports' | 'users'
+  const [mode, setMode] = useState('sale'); // 'sale' | 'return' | 'shift' | 'inventory' | 'discounts' | 'promotions' | 'receipts' | 'reports' | 'users'
   const [lastTx, setLastTx] = useState(null); // { transaction, receiptText }
+  const [shift, setShift] = useState(null); // open shift on this register
+  const [shiftLoading, setShiftLoading] = useState(true);
+
+  const loadShift = async () => {
+    try {
+      const params = new URLSearchParams({ registerId: String(register.id) });
+      const res = await fetch(`${API_BASE}/shifts/current?` + params.toString(), {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      const data = await res.json();
+      setShift(data.shift || null);
+    } catch (err) {
+      setShift(null);
+    } finally {
+      setShiftLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadShift();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [register.id, token]);
 
   const canManageInventory = user.role === 'manager' || user.role === 'admin';
+  const canManageDiscounts = user.role === 'manager' || user.role === 'admin';
   const canEditReceipts = user.role === 'manager' || user.role === 'admin';
   const canViewReports = user.role === 'manager' || user.role === 'admin';
   const canManageUsers = user.role === 'admin';
@@ -272,6 +415,11 @@ function POSShell({ token, user, store, register, onChangeStore, onLogout }) {
             <span>
               Register: {register.code} - {register.name}
             </span>
+            <span>
+              {shift
+                ? `Shift open since ${new Date(shift.opened_at).toLocaleTimeString()} (${shift.opened_by_name})`
+                : 'No open shift'}
+            </span>
           </div>
         </div>
         <div className="pos-header-right">
@@ -298,6 +446,20 @@ function POSShell({ token, user, store, register, onChangeStore, onLogout }) {
         >
           Return / Refund
         </button>
+        <button
+          type="button"
+          className={mode === 'shift' ? 'nav-tab active' : 'nav-tab'}
+          onClick={() => setMode('shift')}
+        >
+          Shift
+        </button>
+        <button
+          type="button"
+          className={mode === 'count' ? 'nav-tab active' : 'nav-tab'}
+          onClick={() => setMode('count')}
+        >
+          Count
+        </button>
         {canManageInventory && (
           <button
             type="button"
@@ -307,6 +469,24 @@ function POSShell({ token, user, store, register, onChangeStore, onLogout }) {
             Inventory
           </button>
         )}
+        {canManageDiscounts && (
+          <button
+            type="button"
+            className={mode === 'discounts' ? 'nav-tab active' : 'nav-tab'}
+            onClick={() => setMode('discounts')}
+          >
+            Discounts
+          </button>
+        )}
+        {canManageDiscounts && (
+          <button
+            type="button"
+            className={mode === 'promotions' ? 'nav-tab active' : 'nav-tab'}
+            onClick={() => setMode('promotions')}
+          >
+            Promotions
+          </button>
+        )}
         {canEditReceipts && (
           <button
             type="button"
@@ -336,7 +516,28 @@ function POSShell({ token, user, store, register, onChangeStore, onLogout }) {
         )}
       </div>
 
-      {mode === 'sale' && (
+      {(mode === 'sale' || mode === 'return') && !shiftLoading && !shift && (
+        <main className="pos-main">
+          <section className="pos-left">
+            <div className="panel">
+              <h2>Register closed</h2>
+              <p className="subtext">
+                Open a shift on {register.code} with a starting float before
+                ringing sales or refunds.
+              </p>
+              <button
+                type="button"
+                className="primary"
+                onClick={() => setMode('shift')}
+              >
+                Open shift
+              </button>
+            </div>
+          </section>
+        </main>
+      )}
+
+      {mode === 'sale' && shift && (
         <SalePOSPage
           token={token}
           user={user}
@@ -347,24 +548,44 @@ function POSShell({ token, user, store, register, onChangeStore, onLogout }) {
         />
       )}
 
-      {mode === 'return' && (
+      {mode === 'return' && shift && (
         <ReturnPage
           token={token}
+          store={store}
+          register={register}
           lastTx={lastTx}
           setLastTx={setLastTx}
         />
       )}
 
+      {mode === 'shift' && (
+        <ShiftPage
+          token={token}
+          store={store}
+          register={register}
+          shift={shift}
+          onShiftChanged={setShift}
+        />
+      )}
+
+      {mode === 'count' && (
+        <CountPage token={token} user={user} store={store} register={register} />
+      )}
+
       {mode === 'inventory' && canManageInventory && (
         <InventoryPage token={token} store={store} />
       )}
 
+      {mode === 'discounts' && canManageDiscounts && <DiscountsPage token={token} />}
+
+      {mode === 'promotions' && canManageDiscounts && <PromotionsPage token={token} />}
+
       {mode === 'receipts' && canEditReceipts && (
         <ReceiptDesignerPage token={token} store={store} />
       )}
 
       {mode === 'reports' && canViewReports && (
-        <ReportsPage token={token} user={user} store={store} />
+        <ReportsPage token={token} user={user} store={store} register={register} />
       )}
 
       {mode === 'users' && canManageUsers && (
@@ -378,9 +599,29 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
   const [barcodeInput, setBarcodeInput] = useState('');
   const [cartItems, setCartItems] = useState([]);
   const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [payments, setPayments] = useState([]); // tenders added so far: { method, amount }
+  const [tenderAmount, setTenderAmount] = useState('');
+  const [cashReceived, setCashReceived] = useState('');
+  const [cartDiscount, setCartDiscount] = useState(null); // { type, value }
+  const [cartDiscountForm, setCartDiscountForm] = useState({ type: 'percent', value: '' });
+  const [couponCodes, setCouponCodes] = useState([]);
+  const [couponInput, setCouponInput] = useState('');
+  const [discountEditor, setDiscountEditor] = useState(null); // { productId, type, value }
+  const [voidEditor, setVoidEditor] = useState(null); // { productId, quantity, reason, note }
+  const [voidReasons, setVoidReasons] = useState([]);
+  const [priceEditor, setPriceEditor] = useState(null); // { productId, price, reason, note }
+  const [overrideReasons, setOverrideReasons] = useState([]);
+  const [quote, setQuote] = useState(null); // server-priced cart
+  const [quoteError, setQuoteError] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [inventorySnapshot, setInventorySnapshot] = useState([]);
+  const [suspendedCarts, setSuspendedCarts] = useState([]);
+  const [suspendedSlip, setSuspendedSlip] = useState(null); // { cart, slipText, printError }
+  const [recallInput, setRecallInput] = useState('');
+  const [approvalTokens, setApprovalTokens] = useState([]); // manager approvals for this sale
+  const [approvalRequest, setApprovalRequest] = useState(null); // approval_required + { message }
+  const [recallAlert, setRecallAlert] = useState(null); // { name, recall } of the last recalled scan
 
   useEffect(() => {
     async function loadInventory() {
@@ -400,7 +641,41 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
     loadInventory();
   }, [store.id, token]);
 
-  const totals = useMemo(() => {
+  useEffect(() => {
+    async function loadVoidReasons() {
+      try {
+        const res = await fetch(`${API_BASE}/void-reasons`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        });
+        const data = await res.json();
+        setVoidReasons(Array.isArray(data) ? data : []);
+      } catch (err) {
+        // non-critical
+      }
+    }
+    loadVoidReasons();
+  }, [token]);
+
+  useEffect(() => {
+    async function loadOverrideReasons() {
+      try {
+        const res = await fetch(`${API_BASE}/price-override-reasons`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        });
+        const data = await res.json();
+        setOverrideReasons(Array.isArray(data) ? data : []);
+      } catch (err) {
+        // non-critical
+      }
+    }
+    loadOverrideReasons();
+  }, [token]);
+
+  const localTotals = useMemo(() => {
     let subtotal = 0;
     let tax = 0;
     for (const item of cartItems) {
@@ -415,10 +690,127 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
     };
   }, [cartItems]);
 
+  const buildPricingPayload = () => ({
+    storeId: store.id,
+    items: cartItems.map((ci) => ({
+      productId: ci.productId,
+      quantity: ci.quantity,
+      discount: ci.discount || null,
+      priceOverride: ci.priceOverride || null
+    })),
+    discount: cartDiscount,
+    couponCodes
+  });
+
+  // The server prices the cart (discounts, coupons, tax); local totals are
+  // only shown until the first quote comes back.
+  useEffect(() => {
+    if (cartItems.length === 0) {
+      setQuote(null);
+      setQuoteError('');
+      return undefined;
+    }
+    let cancelled = false;
+    async function loadQuote() {
+      try {
+        const res = await fetch(`${API_BASE}/transactions/quote`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: JSON.stringify(buildPricingPayload())
+        });
+        const data = await res.json().catch(() => ({}));
+        if (cancelled) return;
+        if (!res.ok) {
+          setQuote(null);
+          setQuoteError(data.error || 'Failed to price cart');
+          return;
+        }
+        setQuote(data);
+        setQuoteError('');
+      } catch (err) {
+        if (!cancelled) setQuoteError('Failed to price cart');
+      }
+    }
+    loadQuote();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cartItems, cartDiscount, couponCodes, token]);
+
+  const totals = quote
+    ? {
+        subtotal: quote.subtotal,
+        discount: quote.discount_total,
+        tax: quote.tax_total,
+        total: quote.total
+      }
+    : { ...localTotals, discount: 0 };
+
+  const quoteLineFor = (productId) =>
+    quote ? quote.lines.find((l) => l.product_id === productId) : null;
+
+  const paidTotal = payments.reduce((sum, p) => sum + p.amount, 0);
+  const remaining = Math.max(
+    0,
+    Math.round((totals.total - paidTotal) * 100) / 100
+  );
+
+  const handleAddTender = () => {
+    const amount = Math.round(parseFloat(tenderAmount) * 100) / 100;
+    if (!amount || amount <= 0) {
+      setError('Enter a tender amount');
+      return;
+    }
+    if (amount > remaining) {
+      setError('Tender amount exceeds the remaining balance');
+      return;
+    }
+    setError('');
+    setPayments((current) => [...current, { method: paymentMethod, amount }]);
+    setTenderAmount('');
+  };
+
+  const removeTender = (index) => {
+    setPayments((current) => current.filter((_, idx) => idx !== index));
+  };
+
+  // Exact amount, next whole dollar, then common notes that cover the balance.
+  const quickCashAmounts = useMemo(() => {
+    if (remaining <= 0) return [];
+    const candidates = [remaining, Math.ceil(remaining), 5, 10, 20, 50, 100];
+    return [...new Set(candidates.filter((amt) => amt >= remaining))]
+      .sort((a, b) => a - b)
+      .slice(0, 5);
+  }, [remaining]);
+
+  const cashReceivedAmount = parseFloat(cashReceived);
+  const changeDue =
+    paymentMethod === 'cash' && cashReceivedAmount >= remaining
+      ? cashReceivedAmount - remaining
+      : 0;
+
+  const makeCartItem = (product, quantity, discount = null, priceOverride = null) =>
+    withPriceOverride(
+      {
+        productId: product.id,
+        name: product.name,
+        listPrice: product.price,
+        taxRate: product.tax_rate,
+        quantity,
+        sku: product.sku,
+        barcode: product.barcode,
+        discount
+      },
+      priceOverride
+    );
+
   const handleAddProductToCart = (product) => {
     setCartItems((current) => {
       const existing = current.find((ci) => ci.productId === product.id);
-      const taxPerUnit = (product.price * product.tax_rate) / 100;
       if (existing) {
         return current.map((ci) =>
           ci.productId === product.id
@@ -426,19 +818,122 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
             : ci
         );
       }
-      return [
-        ...current,
+      return [...current, makeCartItem(product, 1)];
+    });
+  };
+
+  const loadSuspendedCarts = async () => {
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      const res = await fetch(`${API_BASE}/suspended-carts?` + params.toString(), {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (!res.ok) return;
+      setSuspendedCarts(await res.json());
+    } catch (err) {
+      // the list is a convenience; scanning the recall code still works
+    }
+  };
+
+  useEffect(() => {
+    loadSuspendedCarts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token]);
+
+  const clearSale = () => {
+    setCartItems([]);
+    setPayments([]);
+    setCashReceived('');
+    setCartDiscount(null);
+    setCouponCodes([]);
+    setDiscountEditor(null);
+    setVoidEditor(null);
+    setPriceEditor(null);
+    setApprovalTokens([]);
+    setApprovalRequest(null);
+  };
+
+  const handleSuspend = async () => {
+    if (cartItems.length === 0) {
+      setError('Cart is empty');
+      return;
+    }
+    setError('');
+    try {
+      const res = await fetch(`${API_BASE}/suspended-carts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ ...buildPricingPayload(), registerId: register.id })
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to suspend cart');
+        return;
+      }
+      const data = await res.json();
+      setSuspendedSlip(data);
+      setLastTx(null);
+      clearSale();
+      loadSuspendedCarts();
+    } catch (err) {
+      setError('Failed to suspend cart');
+    }
+  };
+
+  const handleResume = async (recallCode) => {
+    const code = recallCode.trim().toUpperCase();
+    if (!code) return;
+    if (cartItems.length > 0) {
+      setError('Finish or suspend the current cart before resuming another');
+      return;
+    }
+    setError('');
+    try {
+      const res = await fetch(
+        `${API_BASE}/suspended-carts/${encodeURIComponent(code)}/resume`,
         {
-          productId: product.id,
-          name: product.name,
-          unitPrice: product.price,
-          quantity: 1,
-          taxAmountPerUnit: taxPerUnit,
-          sku: product.sku,
-          barcode: product.barcode
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: JSON.stringify({ storeId: store.id })
         }
-      ];
-    });
+      );
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to resume cart');
+        loadSuspendedCarts();
+        return;
+      }
+      const data = await res.json();
+      const productsById = new Map(data.products.map((p) => [p.id, p]));
+      setLastTx(null);
+      setSuspendedSlip(null);
+      setRecallInput('');
+      setCartItems(
+        data.cart.items
+          .filter((it) => productsById.has(it.product_id))
+          .map((it) =>
+            makeCartItem(
+              productsById.get(it.product_id),
+              it.quantity,
+              it.discount,
+              it.price_override
+            )
+          )
+      );
+      setCartDiscount(data.cart.discount);
+      setCouponCodes(data.cart.coupon_codes);
+      loadSuspendedCarts();
+    } catch (err) {
+      setError('Failed to resume cart');
+    }
   };
 
   const findInventoryQuantity = (productId) => {
@@ -446,6 +941,16 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
     return row ? row.quantity : null;
   };
 
+  // A product recalled outright stays off the cart; one with only some lots
+  // recalled goes on, and checkout refuses it if only those lots are left.
+  const addScannedProduct = (product) => {
+    setRecallAlert(product.recall ? { name: product.name, recall: product.recall } : null);
+    if (product.recall && product.recall.whole_product) {
+      return;
+    }
+    handleAddProductToCart(product);
+  };
+
   const handleScan = async (e) => {
     e.preventDefault();
     const input = barcodeInput.trim();
@@ -454,9 +959,16 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
     setError('');
     setBarcodeInput('');
 
+    // Recall barcodes from suspend slips resume the parked cart.
+    if (/^SUS-/i.test(input)) {
+      await handleResume(input);
+      return;
+    }
+
     try {
       const res = await fetch(
-        `${API_BASE}/products/barcode/${encodeURIComponent(input)}`,
+        `${API_BASE}/products/barcode/${encodeURIComponent(input)}?` +
+          new URLSearchParams({ storeId: String(store.id) }).toString(),
         {
           headers: {
             Authorization: `Bearer ${token}`
@@ -465,7 +977,7 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
       );
       if (res.status === 404) {
         // fallback: search by name or SKU
-        const params = new URLSearchParams({ search: input });
+        const params = new URLSearchParams({ search: input, storeId: String(store.id) });
         const searchRes = await fetch(
           `${API_BASE}/products?` + params.toString(),
           {
@@ -479,12 +991,12 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
           setError('No matching product found');
           return;
         }
-        handleAddProductToCart(results[0]);
+        addScannedProduct(results[0]);
         return;
       }
 
       const product = await res.json();
-      handleAddProductToCart(product);
+      addScannedProduct(product);
     } catch (err) {
       setError('Failed to look up product');
     }
@@ -502,59 +1014,218 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
     });
   };
 
-  const removeItem = (productId) => {
-    setCartItems((current) => current.filter((ci) => ci.productId !== productId));
+  // Taking quantity off the cart is a line void: it needs a reason and is
+  // recorded on the server before the cart changes.
+  const openVoidEditor = (item, quantity) => {
+    setDiscountEditor(null);
+    setPriceEditor(null);
+    setVoidEditor({
+      productId: item.productId,
+      quantity,
+      reason: voidReasons.length > 0 ? voidReasons[0].code : 'SCAN_ERROR',
+      note: ''
+    });
   };
 
-  const handleCheckout = async () => {
-    if (cartItems.length === 0) {
-      setError('Cart is empty');
-      return;
-    }
-    setSubmitting(true);
+  const confirmLineVoid = async () => {
+    if (!voidEditor) return;
+    const voidedItem = cartItems.find((ci) => ci.productId === voidEditor.productId);
     setError('');
-    setLastTx(null);
-
     try {
-      const payload = {
-        storeId: store.id,
-        registerId: register.id,
-        paymentMethod,
-        items: cartItems.map((ci) => ({
-          productId: ci.productId,
-          quantity: ci.quantity
-        }))
-      };
-
-      const res = await fetch(`${API_BASE}/transactions`, {
+      const res = await fetch(`${API_BASE}/line-voids`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify({
+          storeId: store.id,
+          registerId: register.id,
+          productId: voidEditor.productId,
+          quantity: voidEditor.quantity,
+          unitPrice: voidedItem ? voidedItem.unitPrice : null,
+          reason: voidEditor.reason,
+          note: voidEditor.note
+        })
       });
-
+      const data = await res.json().catch(() => ({}));
       if (!res.ok) {
-        const errBody = await res.json().catch(() => ({}));
-        setError(errBody.error || 'Failed to complete transaction');
+        setError(data.error || 'Failed to void line');
         return;
       }
-
-      const data = await res.json();
-      setLastTx(data);
-      setCartItems([]);
+      updateQuantity(voidEditor.productId, -voidEditor.quantity);
+      setVoidEditor(null);
     } catch (err) {
-      setError('Failed to complete transaction');
-    } finally {
-      setSubmitting(false);
+      setError('Failed to void line');
     }
   };
 
-  const handleNewSale = () => {
-    setLastTx(null);
-    setCartItems([]);
-    setError('');
+  const openPriceEditor = (item) => {
+    setDiscountEditor(null);
+    setVoidEditor(null);
+    setPriceEditor({
+      productId: item.productId,
+      price: String(item.unitPrice),
+      reason: item.priceOverride
+        ? item.priceOverride.reason
+        : overrideReasons.length > 0
+          ? overrideReasons[0].code
+          : 'SHELF_PRICE',
+      note: item.priceOverride ? item.priceOverride.note || '' : ''
+    });
+  };
+
+  const applyPriceOverride = () => {
+    if (!priceEditor) return;
+    const price = parseFloat(priceEditor.price);
+    if (!Number.isFinite(price) || price < 0) {
+      setError('Enter a valid price');
+      return;
+    }
+    if (priceEditor.reason === 'OTHER' && !priceEditor.note.trim()) {
+      setError('A note is required when the override reason is Other');
+      return;
+    }
+    setError('');
+    const override = {
+      price: Math.round(price * 100) / 100,
+      reason: priceEditor.reason,
+      note: priceEditor.note.trim() || null
+    };
+    setCartItems((current) =>
+      current.map((ci) =>
+        ci.productId === priceEditor.productId ? withPriceOverride(ci, override) : ci
+      )
+    );
+    setPriceEditor(null);
+  };
+
+  const openDiscountEditor = (item) => {
+    setVoidEditor(null);
+    setPriceEditor(null);
+    setDiscountEditor({
+      productId: item.productId,
+      type: item.discount ? item.discount.type : 'percent',
+      value: item.discount ? String(item.discount.value) : ''
+    });
+  };
+
+  const applyLineDiscount = () => {
+    if (!discountEditor) return;
+    const value = parseFloat(discountEditor.value);
+    const discount = value > 0 ? { type: discountEditor.type, value } : null;
+    setCartItems((current) =>
+      current.map((ci) =>
+        ci.productId === discountEditor.productId ? { ...ci, discount } : ci
+      )
+    );
+    setDiscountEditor(null);
+  };
+
+  const applyCartDiscount = () => {
+    const value = parseFloat(cartDiscountForm.value);
+    setCartDiscount(value > 0 ? { type: cartDiscountForm.type, value } : null);
+  };
+
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    const code = couponInput.trim().toUpperCase();
+    if (!code) return;
+    if (couponCodes.includes(code)) {
+      setCouponInput('');
+      return;
+    }
+    setError('');
+    try {
+      const res = await fetch(
+        `${API_BASE}/coupons/code/${encodeURIComponent(code)}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Coupon not found');
+        return;
+      }
+      setCouponCodes((current) => [...current, code]);
+      setCouponInput('');
+    } catch (err) {
+      setError('Failed to look up coupon');
+    }
+  };
+
+  const removeCoupon = (code) => {
+    setCouponCodes((current) => current.filter((c) => c !== code));
+  };
+
+  const handleCheckout = async (tokens = approvalTokens) => {
+    if (cartItems.length === 0) {
+      setError('Cart is empty');
+      return;
+    }
+    if (quoteError) {
+      setError(quoteError);
+      return;
+    }
+    if (quote && quote.stock_warning) {
+      setError(quote.stock_warning);
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    setLastTx(null);
+
+    try {
+      // The selected method covers whatever the added tenders leave unpaid.
+      const finalTender = { method: paymentMethod, amount: remaining };
+      if (paymentMethod === 'cash' && cashReceived !== '') {
+        finalTender.tendered = Math.round(cashReceivedAmount * 100) / 100;
+      }
+      const tenders = remaining > 0 ? [...payments, finalTender] : payments;
+      const payload = {
+        ...buildPricingPayload(),
+        registerId: register.id,
+        payments: tenders,
+        approvalTokens: tokens
+      };
+
+      const res = await fetch(`${API_BASE}/transactions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(payload)
+      });
+
+      if (!res.ok) {
+        const errBody = await res.json().catch(() => ({}));
+        if (errBody.approval_required) {
+          setApprovalRequest({ ...errBody.approval_required, message: errBody.error });
+          return;
+        }
+        setError(errBody.error || 'Failed to complete transaction');
+        return;
+      }
+
+      const data = await res.json();
+      setLastTx(data);
+      clearSale();
+    } catch (err) {
+      setError('Failed to complete transaction');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleNewSale = () => {
+    setLastTx(null);
+    setSuspendedSlip(null);
+    clearSale();
+    setError('');
   };
 
   return (
@@ -575,6 +1246,25 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
             <button type="submit">Add Item</button>
           </form>
 
+          {recallAlert && (
+            <div className="recall-alert" role="alert">
+              <strong>
+                RECALLED: {recallAlert.name} ({recallAlert.recall.number})
+              </strong>
+              <div>{recallAlert.recall.reason}</div>
+              <div>
+                {recallAlert.recall.whole_product
+                  ? 'Do not sell. Take the item from the customer and set it aside.'
+                  : `Check the lot before selling. Recalled: ${describeRecallScope(
+                      recallAlert.recall
+                    )}.`}
+              </div>
+              <button type="button" className="link-button" onClick={() => setRecallAlert(null)}>
+                Dismiss
+              </button>
+            </div>
+          )}
+
           {error && <div className="error">{error}</div>}
 
           <div className="cart">
@@ -595,12 +1285,22 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
                 </thead>
                 <tbody>
                   {cartItems.map((item) => {
-                    const lineSubtotal = item.unitPrice * item.quantity;
-                    const lineTax = item.taxAmountPerUnit * item.quantity;
+                    const quoteLine = quoteLineFor(item.productId);
+                    const lineSubtotal = quoteLine
+                      ? quoteLine.line_total
+                      : item.unitPrice * item.quantity;
+                    const lineTax = quoteLine
+                      ? quoteLine.tax_amount
+                      : item.taxAmountPerUnit * item.quantity;
                     const lineTotal = lineSubtotal + lineTax;
                     const invQty = findInventoryQuantity(item.productId);
+                    const editing =
+                      discountEditor && discountEditor.productId === item.productId;
+                    const voiding = voidEditor && voidEditor.productId === item.productId;
+                    const repricing = priceEditor && priceEditor.productId === item.productId;
                     return (
-                      <tr key={item.productId}>
+                      <React.Fragment key={item.productId}>
+                      <tr>
                         <td>
                           <div>{item.name}</div>
                           <div className="subtext">
@@ -609,11 +1309,17 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
                           {invQty != null && (
                             <div className="subtext">In stock: {invQty}</div>
                           )}
+                          {quoteLine &&
+                            quoteLine.discounts.map((d, idx) => (
+                              <div className="subtext discount-line" key={idx}>
+                                {discountLabel(d)}: -{d.amount.toFixed(2)}
+                              </div>
+                            ))}
                         </td>
                         <td className="qty-cell">
                           <button
                             type="button"
-                            onClick={() => updateQuantity(item.productId, -1)}
+                            onClick={() => openVoidEditor(item, 1)}
                           >
                             -
                           </button>
@@ -625,19 +1331,175 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
                             +
                           </button>
                         </td>
-                        <td>{item.unitPrice.toFixed(2)}</td>
+                        <td>
+                          {item.unitPrice.toFixed(2)}
+                          {item.priceOverride && (
+                            <div className="subtext price-override">
+                              Override (reg {item.listPrice.toFixed(2)})
+                            </div>
+                          )}
+                        </td>
                         <td>{lineTax.toFixed(2)}</td>
                         <td>{lineTotal.toFixed(2)}</td>
                         <td>
                           <button
                             type="button"
                             className="link-button"
-                            onClick={() => removeItem(item.productId)}
+                            onClick={() => openDiscountEditor(item)}
+                          >
+                            Discount
+                          </button>
+                          <button
+                            type="button"
+                            className="link-button"
+                            onClick={() => openPriceEditor(item)}
+                          >
+                            Price
+                          </button>
+                          <button
+                            type="button"
+                            className="link-button"
+                            onClick={() => openVoidEditor(item, item.quantity)}
                           >
                             Remove
                           </button>
                         </td>
                       </tr>
+                      {editing && (
+                        <tr>
+                          <td colSpan={6}>
+                            <div className="inline-editor">
+                              <select
+                                value={discountEditor.type}
+                                onChange={(e) =>
+                                  setDiscountEditor((d) => ({ ...d, type: e.target.value }))
+                                }
+                              >
+                                <option value="percent">% off</option>
+                                <option value="amount">$ off</option>
+                              </select>
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={discountEditor.value}
+                                onChange={(e) =>
+                                  setDiscountEditor((d) => ({ ...d, value: e.target.value }))
+                                }
+                                placeholder="0 to clear"
+                              />
+                              <button type="button" onClick={applyLineDiscount}>
+                                Apply
+                              </button>
+                              <button type="button" onClick={() => setDiscountEditor(null)}>
+                                Cancel
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                      {repricing && (
+                        <tr>
+                          <td colSpan={6}>
+                            <div className="inline-editor">
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={priceEditor.price}
+                                onChange={(e) =>
+                                  setPriceEditor((p) => ({ ...p, price: e.target.value }))
+                                }
+                              />
+                              <select
+                                value={priceEditor.reason}
+                                onChange={(e) =>
+                                  setPriceEditor((p) => ({ ...p, reason: e.target.value }))
+                                }
+                              >
+                                {overrideReasons.map((r) => (
+                                  <option key={r.code} value={r.code}>
+                                    {r.label}
+                                  </option>
+                                ))}
+                              </select>
+                              <input
+                                type="text"
+                                value={priceEditor.note}
+                                onChange={(e) =>
+                                  setPriceEditor((p) => ({ ...p, note: e.target.value }))
+                                }
+                                placeholder={
+                                  priceEditor.reason === 'OTHER' ? 'Note (required)' : 'Note'
+                                }
+                              />
+                              <button type="button" onClick={applyPriceOverride}>
+                                Set price
+                              </button>
+                              {item.priceOverride && (
+                                <button
+                                  type="button"
+                                  onClick={() => {
+                                    setCartItems((current) =>
+                                      current.map((ci) =>
+                                        ci.productId === item.productId
+                                          ? withPriceOverride(ci, null)
+                                          : ci
+                                      )
+                                    );
+                                    setPriceEditor(null);
+                                  }}
+                                >
+                                  Clear
+                                </button>
+                              )}
+                              <button type="button" onClick={() => setPriceEditor(null)}>
+                                Cancel
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                      {voiding && (
+                        <tr>
+                          <td colSpan={6}>
+                            <div className="inline-editor">
+                              <span>
+                                Void {voidEditor.quantity} x {item.name}
+                              </span>
+                              <select
+                                value={voidEditor.reason}
+                                onChange={(e) =>
+                                  setVoidEditor((v) => ({ ...v, reason: e.target.value }))
+                                }
+                              >
+                                {voidReasons.map((r) => (
+                                  <option key={r.code} value={r.code}>
+                                    {r.label}
+                                  </option>
+                                ))}
+                              </select>
+                              <input
+                                type="text"
+                                value={voidEditor.note}
+                                onChange={(e) =>
+                                  setVoidEditor((v) => ({ ...v, note: e.target.value }))
+                                }
+                                placeholder={
+                                  voidEditor.reason === 'OTHER' ? 'Note (required)' : 'Note'
+                                }
+                              />
+                              <button type="button" onClick={confirmLineVoid}>
+                                Void
+                              </button>
+                              <button type="button" onClick={() => setVoidEditor(null)}>
+                                Cancel
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                      </React.Fragment>
                     );
                   })}
                 </tbody>
@@ -649,6 +1511,12 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
         <section className="pos-right">
           <div className="totals-panel">
             <h2>Totals</h2>
+            {totals.discount > 0 && (
+              <div className="totals-row">
+                <span>Discounts</span>
+                <span>-{totals.discount.toFixed(2)}</span>
+              </div>
+            )}
             <div className="totals-row">
               <span>Subtotal</span>
               <span>{totals.subtotal.toFixed(2)}</span>
@@ -661,6 +1529,89 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
               <span>Total</span>
               <span>{totals.total.toFixed(2)}</span>
             </div>
+            {totals.discount > 0 && (
+              <div className="you-saved">You saved {totals.discount.toFixed(2)}</div>
+            )}
+
+            {quoteError && <div className="error">{quoteError}</div>}
+            {quote && quote.stock_warning && (
+              <div className="error">Cannot sell: {quote.stock_warning}</div>
+            )}
+
+            <div className="inline-editor">
+              <select
+                value={cartDiscountForm.type}
+                onChange={(e) =>
+                  setCartDiscountForm((f) => ({ ...f, type: e.target.value }))
+                }
+              >
+                <option value="percent">% off cart</option>
+                <option value="amount">$ off cart</option>
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={cartDiscountForm.value}
+                onChange={(e) =>
+                  setCartDiscountForm((f) => ({ ...f, value: e.target.value }))
+                }
+                placeholder="0 to clear"
+              />
+              <button
+                type="button"
+                disabled={cartItems.length === 0}
+                onClick={applyCartDiscount}
+              >
+                Apply
+              </button>
+            </div>
+
+            <form className="inline-editor" onSubmit={handleApplyCoupon}>
+              <input
+                type="text"
+                value={couponInput}
+                onChange={(e) => setCouponInput(e.target.value)}
+                placeholder="Scan or type coupon code"
+              />
+              <button type="submit" disabled={cartItems.length === 0}>
+                Add coupon
+              </button>
+            </form>
+            {couponCodes.map((code) => (
+              <div className="totals-row" key={code}>
+                <span>Coupon {code}</span>
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => removeCoupon(code)}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+
+            {payments.map((p, idx) => (
+              <div className="totals-row" key={`${p.method}-${idx}`}>
+                <span>
+                  Paid ({p.method}){' '}
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => removeTender(idx)}
+                  >
+                    Remove
+                  </button>
+                </span>
+                <span>{p.amount.toFixed(2)}</span>
+              </div>
+            ))}
+            {payments.length > 0 && (
+              <div className="totals-row">
+                <span>Remaining</span>
+                <span>{remaining.toFixed(2)}</span>
+              </div>
+            )}
 
             <label>
               Payment method
@@ -674,14 +1625,79 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
               </select>
             </label>
 
+            <div className="tender-row">
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={tenderAmount}
+                onChange={(e) => setTenderAmount(e.target.value)}
+                placeholder="Partial amount"
+              />
+              <button
+                type="button"
+                disabled={cartItems.length === 0 || remaining <= 0}
+                onClick={handleAddTender}
+              >
+                Split tender
+              </button>
+            </div>
+
+            {paymentMethod === 'cash' && remaining > 0 && (
+              <>
+                <label>
+                  Cash received
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={cashReceived}
+                    onChange={(e) => setCashReceived(e.target.value)}
+                    placeholder={remaining.toFixed(2)}
+                  />
+                </label>
+                <div className="quick-cash">
+                  {quickCashAmounts.map((amt) => (
+                    <button
+                      key={amt}
+                      type="button"
+                      onClick={() => setCashReceived(amt.toFixed(2))}
+                    >
+                      {amt === remaining ? 'Exact' : `$${amt.toFixed(2)}`}
+                    </button>
+                  ))}
+                </div>
+                {cashReceived !== '' && cashReceivedAmount < remaining && (
+                  <div className="error">Cash received is less than the amount due</div>
+                )}
+                <div className="totals-row total">
+                  <span>Change due</span>
+                  <span>{changeDue.toFixed(2)}</span>
+                </div>
+              </>
+            )}
+
             <button
               type="button"
               className="primary"
               disabled={submitting || cartItems.length === 0}
-              onClick={handleCheckout}
+              onClick={() => handleCheckout()}
             >
               {submitting ? 'Processing...' : 'Checkout'}
             </button>
+            <button
+              type="button"
+              disabled={submitting || cartItems.length === 0}
+              onClick={handleSuspend}
+            >
+              Suspend
+            </button>
+
+            {lastTx && lastTx.transaction.cash_tendered != null && (
+              <div className="change-callout">
+                Change: {lastTx.transaction.change_due.toFixed(2)}
+              </div>
+            )}
 
             {lastTx && (
               <button type="button" onClick={handleNewSale}>
@@ -690,30 +1706,150 @@ function SalePOSPage({ token, user, store, register, lastTx, setLastTx }) {
             )}
           </div>
 
+          {approvalRequest && (
+            <ApprovalPrompt
+              token={token}
+              store={store}
+              register={register}
+              request={approvalRequest}
+              onApproved={(tok) => {
+                const next = [...approvalTokens, tok];
+                setApprovalTokens(next);
+                setApprovalRequest(null);
+                handleCheckout(next);
+              }}
+              onCancel={() => setApprovalRequest(null)}
+            />
+          )}
+
           {lastTx && (
             <ReceiptPanel
               transaction={lastTx.transaction}
               receiptText={lastTx.receiptText}
+              autoPrintError={lastTx.printError}
             />
           )}
+
+          {suspendedSlip && (
+            <div className="receipt-panel">
+              <div className="receipt-panel-header">
+                <h2>Suspended</h2>
+              </div>
+              <div className="receipt-box">
+                <pre>{suspendedSlip.slipText}</pre>
+                <div className="barcode-wrapper">
+                  <Barcode
+                    value={suspendedSlip.cart.recall_code}
+                    format="CODE128"
+                    displayValue
+                    fontSize={12}
+                  />
+                </div>
+              </div>
+              {suspendedSlip.printError && (
+                <div className="error">{suspendedSlip.printError}</div>
+              )}
+              {suspendedSlip.printJob && (
+                <div className="subtext">
+                  Slip queued as print job #{suspendedSlip.printJob.id}.
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="cart">
+            <h2>Suspended carts</h2>
+            <form
+              className="inline-editor"
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleResume(recallInput);
+              }}
+            >
+              <input
+                type="text"
+                value={recallInput}
+                onChange={(e) => setRecallInput(e.target.value)}
+                placeholder="Recall code, e.g. SUS-001-0001"
+              />
+              <button type="submit">Resume</button>
+            </form>
+            {suspendedCarts.length === 0 ? (
+              <div className="empty">No suspended carts</div>
+            ) : (
+              <table className="cart-table">
+                <tbody>
+                  {suspendedCarts.map((c) => (
+                    <tr key={c.id}>
+                      <td>
+                        <div>{c.recall_code}</div>
+                        <div className="subtext">
+                          {c.register_code} · {c.cashier_name} ·{' '}
+                          {new Date(c.created_at).toLocaleTimeString()}
+                        </div>
+                      </td>
+                      <td>{c.item_count} items</td>
+                      <td>{c.total.toFixed(2)}</td>
+                      <td>
+                        <button
+                          type="button"
+                          className="link-button"
+                          onClick={() => handleResume(c.recall_code)}
+                        >
+                          Resume
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
         </section>
       </main>
     </>
   );
 }
 
-function ReturnPage({ token, lastTx, setLastTx }) {
+function ReturnPage({ token, store, register, lastTx, setLastTx }) {
   const [tcInput, setTcInput] = useState('');
   const [lookupError, setLookupError] = useState('');
   const [originalTx, setOriginalTx] = useState(null);
-  const [items, setItems] = useState([]); // { id, name, sku, barcode, purchasedQty, refundQty }
+  const [items, setItems] = useState([]); // { id, name, sku, barcode, purchasedQty, returnedQty, returnableQty, refundQty }
+  const [refundMethod, setRefundMethod] = useState('cash');
   const [submitting, setSubmitting] = useState(false);
   const [refundError, setRefundError] = useState('');
+  const [voidReasons, setVoidReasons] = useState([]);
+  const [voidForm, setVoidForm] = useState({ reason: '', note: '' });
+  const [voidError, setVoidError] = useState('');
+
+  const [approvalRequest, setApprovalRequest] = useState(null); // approval_required + { message, retry }
+
+  useEffect(() => {
+    async function loadVoidReasons() {
+      try {
+        const res = await fetch(`${API_BASE}/void-reasons`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        });
+        const data = await res.json();
+        if (Array.isArray(data)) {
+          setVoidReasons(data);
+          setVoidForm((f) => ({ ...f, reason: f.reason || (data[0] ? data[0].code : '') }));
+        }
+      } catch (err) {
+        // non-critical
+      }
+    }
+    loadVoidReasons();
+  }, [token]);
 
   const loadByTc = async (e) => {
     e.preventDefault();
     setLookupError('');
     setRefundError('');
+    setVoidError('');
     setLastTx(null);
 
     const tc = tcInput.trim();
@@ -738,6 +1874,10 @@ function ReturnPage({ token, lastTx, setLastTx }) {
 
       const data = await res.json();
       setOriginalTx(data.transaction);
+      // split-tender sales refund back to their tenders unless one is picked
+      setRefundMethod(
+        data.transaction.payment_method === 'split' ? '' : data.transaction.payment_method
+      );
       setItems(
         data.items.map((it) => ({
           id: it.id,
@@ -746,7 +1886,9 @@ function ReturnPage({ token, lastTx, setLastTx }) {
           sku: it.sku,
           barcode: it.barcode,
           purchasedQty: Math.abs(it.quantity),
-          refundQty: Math.abs(it.quantity)
+          returnedQty: it.refunded_quantity || 0,
+          returnableQty: it.returnable_quantity,
+          refundQty: it.returnable_quantity
         }))
       );
     } catch (err) {
@@ -761,14 +1903,19 @@ function ReturnPage({ token, lastTx, setLastTx }) {
       current
         .map((it) => {
           if (it.id !== id) return it;
-          const next = Math.max(0, Math.min(it.purchasedQty, it.refundQty + delta));
+          const next = Math.max(0, Math.min(it.returnableQty, it.refundQty + delta));
           return { ...it, refundQty: next };
         })
         .filter((it) => it.purchasedQty > 0)
     );
   };
 
-  const handleProcessRefund = async () => {
+  // Re-run an action once a manager approves it.
+  const askForApproval = (body, retry) => {
+    setApprovalRequest({ ...body.approval_required, message: body.error, retry });
+  };
+
+  const handleProcessRefund = async (approvalTokens = []) => {
     if (!originalTx) return;
     const selected = items.filter((it) => it.refundQty > 0);
     if (selected.length === 0) {
@@ -782,10 +1929,13 @@ function ReturnPage({ token, lastTx, setLastTx }) {
 
     try {
       const payload = {
+        registerId: register.id,
+        paymentMethod: refundMethod || undefined,
         items: selected.map((it) => ({
           transactionItemId: it.id,
           quantity: it.refundQty
-        }))
+        })),
+        approvalTokens
       };
 
       const res = await fetch(
@@ -802,12 +1952,33 @@ function ReturnPage({ token, lastTx, setLastTx }) {
 
       if (!res.ok) {
         const body = await res.json().catch(() => ({}));
+        if (body.approval_required) {
+          askForApproval(body, (tok) => handleProcessRefund([tok]));
+          return;
+        }
         setRefundError(body.error || 'Failed to process refund');
         return;
       }
 
       const data = await res.json();
       setLastTx(data);
+      // Reflect this refund in the returnable quantities.
+      const refundedById = new Map(selected.map((it) => [it.id, it.refundQty]));
+      const nextItems = items.map((it) => {
+        const qty = refundedById.get(it.id) || 0;
+        const returnableQty = it.returnableQty - qty;
+        return {
+          ...it,
+          returnedQty: it.returnedQty + qty,
+          returnableQty,
+          refundQty: Math.min(it.refundQty, returnableQty)
+        };
+      });
+      setItems(nextItems);
+      setOriginalTx((tx) => ({
+        ...tx,
+        fully_returned: nextItems.every((it) => it.returnableQty <= 0)
+      }));
     } catch (err) {
       setRefundError('Failed to process refund');
     } finally {
@@ -815,6 +1986,59 @@ function ReturnPage({ token, lastTx, setLastTx }) {
     }
   };
 
+  const handleVoidSale = async (approvalTokens = []) => {
+    if (!originalTx) return;
+    if (
+      approvalTokens.length === 0 &&
+      !window.confirm(`Void the whole sale ${originalTx.tc_number}?`)
+    ) {
+      return;
+    }
+
+    setSubmitting(true);
+    setVoidError('');
+    setLastTx(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/transactions/${originalTx.id}/void`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          registerId: register.id,
+          reason: voidForm.reason,
+          note: voidForm.note,
+          approvalTokens
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        if (data.approval_required) {
+          askForApproval(data, (tok) => handleVoidSale([tok]));
+          return;
+        }
+        setVoidError(data.error || 'Failed to void sale');
+        return;
+      }
+      setLastTx(data);
+      setOriginalTx((tx) => ({ ...tx, voided: true, void_reason: voidForm.reason }));
+      setItems((current) => current.map((it) => ({ ...it, returnableQty: 0, refundQty: 0 })));
+      setVoidForm((f) => ({ ...f, note: '' }));
+    } catch (err) {
+      setVoidError('Failed to void sale');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const canVoidLoaded =
+    originalTx &&
+    originalTx.type === 'SALE' &&
+    !originalTx.voided &&
+    items.every((it) => it.returnedQty === 0);
+
   return (
     <>
       <main className="pos-main">
@@ -846,6 +2070,7 @@ function ReturnPage({ token, lastTx, setLastTx }) {
                   <tr>
                     <th>Item</th>
                     <th>Purchased</th>
+                    <th>Already returned</th>
                     <th>Refund Qty</th>
                   </tr>
                 </thead>
@@ -859,6 +2084,7 @@ function ReturnPage({ token, lastTx, setLastTx }) {
                         </div>
                       </td>
                       <td>{it.purchasedQty}</td>
+                      <td>{it.returnedQty}</td>
                       <td className="qty-cell">
                         <button
                           type="button"
@@ -869,6 +2095,7 @@ function ReturnPage({ token, lastTx, setLastTx }) {
                         <span>{it.refundQty}</span>
                         <button
                           type="button"
+                          disabled={it.refundQty >= it.returnableQty}
                           onClick={() => updateRefundQty(it.id, 1)}
                         >
                           +
@@ -893,95 +2120,4144 @@ function ReturnPage({ token, lastTx, setLastTx }) {
               <div className="subtext">Load a transaction by TC# to start a refund.</div>
             )}
 
-            <button
-              type="button"
-              className="primary"
-              disabled={submitting || !originalTx}
-              onClick={handleProcessRefund}
-            >
-              {submitting ? 'Processing refund...' : 'Process Refund'}
-            </button>
+            {originalTx && originalTx.fully_returned && (
+              <div className="error">All items on this sale have already been returned.</div>
+            )}
 
-            {refundError && <div className="error">{refundError}</div>}
-          </div>
+            {originalTx && originalTx.voided && (
+              <div className="error">
+                This sale was voided
+                {originalTx.void_reason ? ` (${originalTx.void_reason})` : ''}.
+              </div>
+            )}
 
-          {lastTx && (
-            <ReceiptPanel
+            {originalTx && originalTx.payments && originalTx.payments.length > 1 && (
+              <div className="subtext">
+                Paid with:{' '}
+                {originalTx.payments
+                  .map((p) => `${p.method} ${p.amount.toFixed(2)}`)
+                  .join(', ')}
+              </div>
+            )}
+
+            <label>
+              Refund to
+              <select
+                value={refundMethod}
+                onChange={(e) => setRefundMethod(e.target.value)}
+              >
+                {originalTx.payment_method === 'split' && (
+                  <option value="">Original tenders (card first)</option>
+                )}
+                <option value="cash">Cash</option>
+                <option value="card">Card</option>
+                <option value="other">Other</option>
+              </select>
+            </label>
+
+            <button
+              type="button"
+              className="primary"
+              disabled={
+                submitting || !originalTx || originalTx.fully_returned || originalTx.voided
+              }
+              onClick={() => handleProcessRefund()}
+            >
+              {submitting ? 'Processing refund...' : 'Process Refund'}
+            </button>
+
+            {refundError && <div className="error">{refundError}</div>}
+          </div>
+
+          {canVoidLoaded && (
+            <div className="totals-panel">
+              <h2>Void Sale</h2>
+              <div className="subtext">
+                Reverses the whole sale, returns every tender and restocks the items.
+              </div>
+              <label>
+                Reason
+                <select
+                  value={voidForm.reason}
+                  onChange={(e) => setVoidForm((f) => ({ ...f, reason: e.target.value }))}
+                >
+                  {voidReasons.map((r) => (
+                    <option key={r.code} value={r.code}>
+                      {r.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Note
+                <input
+                  type="text"
+                  value={voidForm.note}
+                  onChange={(e) => setVoidForm((f) => ({ ...f, note: e.target.value }))}
+                  placeholder={voidForm.reason === 'OTHER' ? 'Required' : 'Optional'}
+                />
+              </label>
+              <button type="button" disabled={submitting} onClick={() => handleVoidSale()}>
+                Void Sale
+              </button>
+              {voidError && <div className="error">{voidError}</div>}
+            </div>
+          )}
+
+          {approvalRequest && (
+            <ApprovalPrompt
+              token={token}
+              store={store}
+              register={register}
+              request={approvalRequest}
+              onApproved={(tok) => {
+                setApprovalRequest(null);
+                approvalRequest.retry(tok);
+              }}
+              onCancel={() => setApprovalRequest(null)}
+            />
+          )}
+
+          {lastTx && (
+            <ReceiptPanel
               transaction={lastTx.transaction}
               receiptText={lastTx.receiptText}
+              autoPrintError={lastTx.printError}
             />
           )}
-        </section>
-      </main>
-    </>
+        </section>
+      </main>
+    </>
+  );
+}
+
+function ShiftPage({ token, store, register, shift, onShiftChanged }) {
+  const [openingFloat, setOpeningFloat] = useState('100.00');
+  const [countedCash, setCountedCash] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [closeResult, setCloseResult] = useState(null); // { shift, cash }
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    setCloseResult(null);
+    try {
+      const res = await fetch(`${API_BASE}/shifts/open`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          storeId: store.id,
+          registerId: register.id,
+          openingFloat: parseFloat(openingFloat || '0')
+        })
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to open shift');
+        return;
+      }
+      const data = await res.json();
+      onShiftChanged(data);
+    } catch (err) {
+      setError('Failed to open shift');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    if (!shift) return;
+    if (countedCash === '') {
+      setError('Count the drawer and enter the cash total');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      const res = await fetch(`${API_BASE}/shifts/${shift.id}/close`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ countedCash: parseFloat(countedCash) })
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to close shift');
+        return;
+      }
+      const data = await res.json();
+      setCloseResult(data);
+      setCountedCash('');
+      onShiftChanged(null);
+    } catch (err) {
+      setError('Failed to close shift');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <main className="pos-main">
+      <section className="pos-left">
+        <h2>Shift – {register.code}</h2>
+        {shift ? (
+          <form className="form" onSubmit={handleClose}>
+            <p className="subtext">
+              Opened by {shift.opened_by_name} at{' '}
+              {new Date(shift.opened_at).toLocaleString()} with a float of{' '}
+              {shift.opening_float.toFixed(2)}.
+            </p>
+            <label>
+              Counted cash in drawer
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={countedCash}
+                onChange={(e) => setCountedCash(e.target.value)}
+                placeholder="Total cash counted, including float"
+              />
+            </label>
+            <button type="submit" className="primary" disabled={submitting}>
+              {submitting ? 'Closing...' : 'Close shift'}
+            </button>
+          </form>
+        ) : (
+          <form className="form" onSubmit={handleOpen}>
+            <p className="subtext">No shift is open on this register.</p>
+            <label>
+              Starting float
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+              />
+            </label>
+            <button type="submit" className="primary" disabled={submitting}>
+              {submitting ? 'Opening...' : 'Open shift'}
+            </button>
+          </form>
+        )}
+        {error && <div className="error">{error}</div>}
+      </section>
+
+      <section className="pos-right">
+        <div className="totals-panel">
+          <h2>Drawer count</h2>
+          {closeResult ? (
+            <>
+              <div className="totals-row">
+                <span>Starting float</span>
+                <span>{closeResult.cash.opening_float.toFixed(2)}</span>
+              </div>
+              <div className="totals-row">
+                <span>Cash sales</span>
+                <span>{closeResult.cash.cash_sales.toFixed(2)}</span>
+              </div>
+              <div className="totals-row">
+                <span>Cash refunds</span>
+                <span>{closeResult.cash.cash_refunds.toFixed(2)}</span>
+              </div>
+              {closeResult.cash.cash_voids !== 0 && (
+                <div className="totals-row">
+                  <span>Cash voids</span>
+                  <span>{closeResult.cash.cash_voids.toFixed(2)}</span>
+                </div>
+              )}
+              <div className="totals-row">
+                <span>Expected cash</span>
+                <span>{closeResult.shift.expected_cash.toFixed(2)}</span>
+              </div>
+              <div className="totals-row">
+                <span>Counted cash</span>
+                <span>{closeResult.shift.counted_cash.toFixed(2)}</span>
+              </div>
+              <div className="totals-row total">
+                <span>
+                  {closeResult.shift.over_short < 0 ? 'Short' : 'Over'}
+                </span>
+                <span>{Math.abs(closeResult.shift.over_short).toFixed(2)}</span>
+              </div>
+            </>
+          ) : (
+            <p className="subtext">
+              The expected amount is only shown after the drawer has been
+              counted and the shift closed.
+            </p>
+          )}
+        </div>
+      </section>
+    </main>
+  );
+}
+
+const COUNT_STATUS_LABELS = {
+  OPEN: 'Counting',
+  POSTED: 'Posted',
+  CANCELLED: 'Cancelled'
+};
+
+function CountPage({ token, user, store, register }) {
+  const isManager = user.role === 'manager' || user.role === 'admin';
+  const [counts, setCounts] = useState([]);
+  const [active, setActive] = useState(null); // count with lines
+  const [categories, setCategories] = useState([]);
+  const [newCategory, setNewCategory] = useState('');
+  const [scanInput, setScanInput] = useState('');
+  const [scanQty, setScanQty] = useState('1');
+  const [zeroUncounted, setZeroUncounted] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  };
+
+  const loadCounts = async () => {
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      const res = await fetch(`${API_BASE}/counts?${params.toString()}`, { headers: authHeaders });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) {
+        setError(data.error || 'Failed to load counts');
+        return;
+      }
+      setCounts(data);
+    } catch (err) {
+      setError('Failed to load counts');
+    }
+  };
+
+  const openCount = async (id) => {
+    try {
+      const res = await fetch(`${API_BASE}/counts/${id}`, { headers: authHeaders });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to load count');
+        return;
+      }
+      setActive(data);
+    } catch (err) {
+      setError('Failed to load count');
+    }
+  };
+
+  useEffect(() => {
+    setActive(null);
+    loadCounts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token]);
+
+  useEffect(() => {
+    if (!isManager) {
+      return;
+    }
+    (async () => {
+      try {
+        const res = await fetch(`${API_BASE}/products`, { headers: authHeaders });
+        if (res.ok) {
+          const products = await res.json();
+          setCategories([...new Set(products.map((p) => p.category).filter(Boolean))].sort());
+        }
+      } catch (err) {
+        // categories only fill the picker; a whole-store count still works
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, isManager]);
+
+  const postJson = async (path, body, failure) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(body || {})
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || failure);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError(failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startCount = async () => {
+    const created = await postJson(
+      '/counts',
+      { storeId: store.id, category: newCategory || null },
+      'Failed to start count'
+    );
+    if (created) {
+      setActive(created);
+      setNotice(`${created.number} started with ${created.line_count} products.`);
+      await loadCounts();
+    }
+  };
+
+  const addEntry = async (body) => {
+    const entry = await postJson(
+      `/counts/${active.id}/entries`,
+      { ...body, registerId: register.id },
+      'Failed to record count'
+    );
+    if (entry) {
+      setNotice(`${entry.product_name}: ${entry.counted_quantity} counted`);
+      await openCount(active.id);
+    }
+    return entry;
+  };
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanInput.trim();
+    if (!code) {
+      return;
+    }
+    const entry = await addEntry({ code, quantity: parseFloat(scanQty) || 1 });
+    if (entry) {
+      setScanInput('');
+      setScanQty('1');
+    }
+  };
+
+  const postCount = async () => {
+    const uncounted = active.lines.filter((l) => l.counted_quantity == null).length;
+    const message = zeroUncounted
+      ? `Post ${active.number}? ${uncounted} uncounted products will be set to 0.`
+      : `Post ${active.number}? ${uncounted} uncounted products will be left as they are.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    const posted = await postJson(`/counts/${active.id}/post`, { zeroUncounted }, 'Failed to post count');
+    if (posted) {
+      setActive(posted);
+      const adjusted = posted.lines.filter((l) => l.variance).length;
+      setNotice(`${posted.number} posted: ${adjusted} products adjusted.`);
+      await loadCounts();
+    }
+  };
+
+  const cancelCount = async () => {
+    if (!window.confirm(`Cancel ${active.number}? The scans are kept but stock is not changed.`)) {
+      return;
+    }
+    const cancelled = await postJson(`/counts/${active.id}/cancel`, null, 'Failed to cancel count');
+    if (cancelled) {
+      setActive(cancelled);
+      await loadCounts();
+    }
+  };
+
+  const isOpen = active && active.status === 'OPEN';
+  const counted = active ? active.lines.filter((l) => l.counted_quantity != null).length : 0;
+
+  return (
+    <main className="pos-main">
+      <section className="pos-left">
+        {!active ? (
+          <div className="panel">
+            <h2>Stock counts</h2>
+            <p className="subtext">Choose a count on the right to start scanning.</p>
+          </div>
+        ) : (
+          <>
+            <div className="inventory-header">
+              <h2>
+                {active.number} – {active.category || 'Whole store'}
+              </h2>
+              <div>
+                <span className="subtext">{COUNT_STATUS_LABELS[active.status]}</span>
+                <button type="button" onClick={() => openCount(active.id)}>
+                  Refresh
+                </button>
+              </div>
+            </div>
+            {isOpen && (
+              <form onSubmit={handleScan} className="scan-form">
+                <label>
+                  Scan barcode / type SKU
+                  <input
+                    type="text"
+                    value={scanInput}
+                    onChange={(e) => setScanInput(e.target.value)}
+                    placeholder="Scan barcode here..."
+                    autoFocus
+                  />
+                </label>
+                <label className="count-qty">
+                  Qty
+                  <input
+                    type="number"
+                    step="1"
+                    value={scanQty}
+                    onChange={(e) => setScanQty(e.target.value)}
+                  />
+                </label>
+                <button type="submit" disabled={busy}>
+                  Count
+                </button>
+              </form>
+            )}
+            <div className="subtext">
+              {counted} of {active.lines.length} products counted
+            </div>
+            <table className="cart-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Counted</th>
+                  {isManager && <th>Expected</th>}
+                  {isManager && <th>Variance</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {active.lines.map((l) => (
+                  <tr key={l.product_id}>
+                    <td>
+                      {l.product_name}
+                      <div className="subtext">{l.barcode || l.sku}</div>
+                    </td>
+                    <td>{l.counted_quantity != null ? l.counted_quantity : '—'}</td>
+                    {isManager && (
+                      <td>{l.expected_quantity != null ? l.expected_quantity : l.snapshot_quantity}</td>
+                    )}
+                    {isManager && (
+                      <td className={l.variance ? 'variance' : ''}>
+                        {l.variance == null ? '—' : l.variance > 0 ? `+${l.variance}` : l.variance}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+        {error && <div className="error">{error}</div>}
+        {notice && <div className="subtext">{notice}</div>}
+      </section>
+
+      <section className="pos-right">
+        <div className="totals-panel">
+          <h2>Counts – {store.name}</h2>
+          {isManager && (
+            <div className="inline-editor">
+              <select value={newCategory} onChange={(e) => setNewCategory(e.target.value)}>
+                <option value="">Whole store</option>
+                {categories.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+              <button type="button" onClick={startCount} disabled={busy}>
+                Start count
+              </button>
+            </div>
+          )}
+          {counts.length === 0 ? (
+            <div className="empty">No counts yet.</div>
+          ) : (
+            <ul className="print-jobs">
+              {counts.map((c) => (
+                <li key={c.id}>
+                  <button type="button" className="link-button" onClick={() => openCount(c.id)}>
+                    {c.number}
+                  </button>{' '}
+                  {c.category || 'Whole store'} · {COUNT_STATUS_LABELS[c.status]} ·{' '}
+                  {new Date(c.started_at).toLocaleDateString()}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {isOpen && (
+          <div className="totals-panel">
+            <h3>Recent scans</h3>
+            {active.recent_entries.length === 0 ? (
+              <div className="empty">Nothing counted yet.</div>
+            ) : (
+              <ul className="print-jobs">
+                {active.recent_entries.map((e) => (
+                  <li key={e.id}>
+                    {e.product_name} {e.quantity > 0 ? `+${e.quantity}` : e.quantity} ({e.user_name})
+                    {e.quantity > 0 && (
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => addEntry({ productId: e.product_id, quantity: -e.quantity })}
+                        disabled={busy}
+                      >
+                        Undo
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {isOpen && isManager && (
+          <div className="totals-panel">
+            <h3>Review and post</h3>
+            <p className="subtext">
+              Variances compare each count with the quantity expected when the product was
+              counted, so sales during the count do not show up as variances.
+            </p>
+            <label>
+              <input
+                type="checkbox"
+                checked={zeroUncounted}
+                onChange={(e) => setZeroUncounted(e.target.checked)}
+              />{' '}
+              Set uncounted products to 0
+            </label>
+            <div className="inline-editor">
+              <button type="button" className="primary" onClick={postCount} disabled={busy}>
+                Post adjustments
+              </button>
+              <button type="button" onClick={cancelCount} disabled={busy}>
+                Cancel count
+              </button>
+            </div>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
+
+function AdjustmentReasonsPanel({ token, reasons, onChanged }) {
+  const [form, setForm] = useState({ code: '', label: '', shrink: false });
+  const [error, setError] = useState('');
+
+  const save = async (path, method, body) => {
+    setError('');
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        setError(data.error || 'Failed to save reason code');
+        return false;
+      }
+      await onChanged();
+      return true;
+    } catch (err) {
+      setError('Failed to save reason code');
+      return false;
+    }
+  };
+
+  const addReason = async (e) => {
+    e.preventDefault();
+    if (await save('/adjustment-reasons', 'POST', form)) {
+      setForm({ code: '', label: '', shrink: false });
+    }
+  };
+
+  return (
+    <div className="totals-panel">
+      <h3>Adjustment reasons</h3>
+      <ul className="print-jobs">
+        {reasons.map((r) => (
+          <li key={r.id} className={r.active ? '' : 'subtext'}>
+            <strong>{r.code}</strong> {r.label}
+            {r.shrink && ' (shrink)'}{' '}
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => save(`/adjustment-reasons/${r.id}`, 'PUT', { active: !r.active })}
+            >
+              {r.active ? 'Retire' : 'Restore'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form className="inline-editor" onSubmit={addReason}>
+        <input
+          type="text"
+          value={form.code}
+          onChange={(e) => setForm((f) => ({ ...f, code: e.target.value.toUpperCase() }))}
+          placeholder="CODE"
+          required
+        />
+        <input
+          type="text"
+          value={form.label}
+          onChange={(e) => setForm((f) => ({ ...f, label: e.target.value }))}
+          placeholder="Label"
+          required
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={form.shrink}
+            onChange={(e) => setForm((f) => ({ ...f, shrink: e.target.checked }))}
+          />{' '}
+          Shrink
+        </label>
+        <button type="submit">Add</button>
+      </form>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+const PO_STATUS_LABELS = {
+  DRAFT: 'Draft',
+  SENT: 'Sent',
+  PARTIAL: 'Partially received',
+  CLOSED: 'Closed'
+};
+
+// Find an inventory row by scanned barcode or typed SKU.
+function findInventoryRow(inventory, code) {
+  const needle = code.trim().toLowerCase();
+  return inventory.find(
+    (row) =>
+      (row.barcode && row.barcode.toLowerCase() === needle) ||
+      (row.sku && row.sku.toLowerCase() === needle)
+  );
+}
+
+function PurchaseOrdersPanel({ token, store, inventory, vendors, onVendorsChanged, onStockChanged }) {
+  const [orders, setOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [newVendor, setNewVendor] = useState('');
+  // { id, vendorId, notes, lines: [{ product_id, name, sku, quantity, unit_cost }] }
+  const [draft, setDraft] = useState(null);
+  // { po, counts: { [productId]: quantity }, note }
+  const [receiving, setReceiving] = useState(null);
+  const [scanInput, setScanInput] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  };
+
+  const loadOrders = async () => {
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      if (statusFilter) {
+        params.set('status', statusFilter);
+      }
+      const res = await fetch(`${API_BASE}/purchase-orders?${params.toString()}`, {
+        headers: authHeaders
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) {
+        setError(data.error || 'Failed to load purchase orders');
+        return;
+      }
+      setOrders(data);
+    } catch (err) {
+      setError('Failed to load purchase orders');
+    }
+  };
+
+  useEffect(() => {
+    loadOrders();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token, statusFilter]);
+
+  // POST/PUT a purchase order action; returns the updated order or null.
+  const callApi = async (path, method, body, failure) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: authHeaders,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || failure);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError(failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addVendor = async (e) => {
+    e.preventDefault();
+    if (!newVendor.trim()) {
+      return;
+    }
+    const vendor = await callApi('/vendors', 'POST', { name: newVendor.trim() }, 'Failed to add vendor');
+    if (vendor) {
+      setNewVendor('');
+      await onVendorsChanged();
+      setDraft((d) => (d ? { ...d, vendorId: vendor.id } : d));
+    }
+  };
+
+  const startDraft = (po) => {
+    setReceiving(null);
+    setScanInput('');
+    setDraft(
+      po
+        ? {
+            id: po.id,
+            vendorId: po.vendor_id,
+            notes: po.notes || '',
+            lines: po.lines.map((l) => ({
+              product_id: l.product_id,
+              name: l.product_name,
+              sku: l.sku,
+              quantity: String(l.ordered_quantity),
+              unit_cost: String(l.unit_cost)
+            }))
+          }
+        : { id: null, vendorId: vendors.find((v) => v.active)?.id || '', notes: '', lines: [] }
+    );
+  };
+
+  const startReceiving = (po) => {
+    setDraft(null);
+    setScanInput('');
+    setReceiving({ po, counts: {}, lots: {}, note: '' });
+  };
+
+  // Lot number and expiry date for a lot-tracked product on this delivery.
+  const updateReceivingLot = (productId, field, value) => {
+    setReceiving((r) => ({
+      ...r,
+      lots: { ...r.lots, [productId]: { ...r.lots[productId], [field]: value } }
+    }));
+  };
+
+  const updateDraftLine = (productId, field, value) => {
+    setDraft((d) => ({
+      ...d,
+      lines: d.lines.map((l) => (l.product_id === productId ? { ...l, [field]: value } : l))
+    }));
+  };
+
+  // Scanning adds a line to the draft, or one more of it on receiving.
+  const handleScan = (e) => {
+    e.preventDefault();
+    const code = scanInput.trim();
+    if (!code) {
+      return;
+    }
+    setError('');
+    const row = findInventoryRow(inventory, code);
+    if (!row) {
+      setError(`No product with barcode or SKU ${code}`);
+      return;
+    }
+
+    if (draft) {
+      setDraft((d) => {
+        const existing = d.lines.find((l) => l.product_id === row.product_id);
+        if (existing) {
+          return {
+            ...d,
+            lines: d.lines.map((l) =>
+              l === existing ? { ...l, quantity: String((parseFloat(l.quantity) || 0) + 1) } : l
+            )
+          };
+        }
+        return {
+          ...d,
+          lines: [
+            ...d.lines,
+            { product_id: row.product_id, name: row.name, sku: row.sku, quantity: '1', unit_cost: '' }
+          ]
+        };
+      });
+    } else if (receiving) {
+      const line = receiving.po.lines.find((l) => l.product_id === row.product_id);
+      if (!line) {
+        setError(`${row.name} is not on ${receiving.po.number}`);
+        return;
+      }
+      setReceiving((r) => ({
+        ...r,
+        counts: { ...r.counts, [row.product_id]: (r.counts[row.product_id] || 0) + 1 }
+      }));
+    }
+    setScanInput('');
+  };
+
+  const saveDraft = async (sendAfter) => {
+    const payload = {
+      storeId: store.id,
+      vendorId: draft.vendorId,
+      notes: draft.notes.trim() || null,
+      lines: draft.lines.map((l) => ({
+        productId: l.product_id,
+        quantity: parseFloat(l.quantity),
+        unitCost: parseFloat(l.unit_cost)
+      }))
+    };
+    let po = draft.id
+      ? await callApi(`/purchase-orders/${draft.id}`, 'PUT', payload, 'Failed to save purchase order')
+      : await callApi('/purchase-orders', 'POST', payload, 'Failed to create purchase order');
+    if (!po) {
+      return;
+    }
+    if (sendAfter) {
+      po = (await callApi(`/purchase-orders/${po.id}/send`, 'POST', null, 'Failed to send purchase order')) || po;
+    }
+    setDraft(null);
+    setNotice(`${po.number} saved (${PO_STATUS_LABELS[po.status]}).`);
+    await loadOrders();
+  };
+
+  const orderAction = async (po, action) => {
+    if (action === 'close' && !window.confirm(`Close ${po.number}? Nothing more can be received.`)) {
+      return;
+    }
+    const updated = await callApi(
+      `/purchase-orders/${po.id}/${action}`,
+      'POST',
+      null,
+      `Failed to ${action} purchase order`
+    );
+    if (updated) {
+      setNotice(`${updated.number}: ${PO_STATUS_LABELS[updated.status]}.`);
+      await loadOrders();
+    }
+  };
+
+  const postReceipt = async () => {
+    const lines = Object.entries(receiving.counts)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([productId, quantity]) => ({ productId, quantity, ...receiving.lots[productId] }));
+    if (lines.length === 0) {
+      setError('Scan or enter what arrived first');
+      return;
+    }
+    const updated = await callApi(
+      `/purchase-orders/${receiving.po.id}/receive`,
+      'POST',
+      { lines, note: receiving.note.trim() || null },
+      'Failed to receive purchase order'
+    );
+    if (updated) {
+      setReceiving(null);
+      setNotice(`${updated.number} received: ${PO_STATUS_LABELS[updated.status]}.`);
+      await loadOrders();
+      await onStockChanged();
+    }
+  };
+
+  const suggestOrders = async () => {
+    const result = await callApi(
+      '/purchase-orders/suggest',
+      'POST',
+      { storeId: store.id },
+      'Failed to suggest purchase orders'
+    );
+    if (result) {
+      const parts = [
+        result.orders.length > 0
+          ? `Drafted ${result.orders.map((po) => `${po.number} (${po.vendor_name})`).join(', ')}.`
+          : 'Nothing below its reorder point needs ordering.'
+      ];
+      if (result.unassigned.length > 0) {
+        parts.push(`No vendor for: ${result.unassigned.map((p) => p.name).join(', ')}.`);
+      }
+      setNotice(parts.join(' '));
+      await loadOrders();
+      // on-order quantities changed
+      await onStockChanged();
+    }
+  };
+
+  const draftTotal = draft
+    ? draft.lines.reduce(
+        (sum, l) => sum + (parseFloat(l.quantity) || 0) * (parseFloat(l.unit_cost) || 0),
+        0
+      )
+    : 0;
+
+  return (
+    <div className="inventory-section">
+      <div className="inventory-header">
+        <h2>Purchase orders</h2>
+        <div>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.entries(PO_STATUS_LABELS).map(([code, label]) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={suggestOrders} disabled={busy}>
+            Suggest from low stock
+          </button>
+          <button type="button" onClick={() => startDraft(null)} disabled={busy}>
+            + New PO
+          </button>
+        </div>
+      </div>
+
+      {(draft || receiving) && (
+        <form onSubmit={handleScan} className="scan-form">
+          <label>
+            {draft ? 'Scan barcode / type SKU to add a line' : `Scan what arrived for ${receiving.po.number}`}
+            <input
+              type="text"
+              value={scanInput}
+              onChange={(e) => setScanInput(e.target.value)}
+              placeholder="Scan barcode here..."
+              autoFocus
+            />
+          </label>
+          <button type="submit">{draft ? 'Add' : 'Count'}</button>
+        </form>
+      )}
+
+      {draft && (
+        <div className="totals-panel">
+          <h3>{draft.id ? 'Edit draft' : 'New purchase order'}</h3>
+          <div className="inline-editor">
+            <select
+              value={draft.vendorId}
+              onChange={(e) => setDraft((d) => ({ ...d, vendorId: e.target.value }))}
+            >
+              <option value="">Choose vendor...</option>
+              {vendors
+                .filter((v) => v.active)
+                .map((v) => (
+                  <option key={v.id} value={v.id}>
+                    {v.name}
+                  </option>
+                ))}
+            </select>
+            <input
+              type="text"
+              value={newVendor}
+              onChange={(e) => setNewVendor(e.target.value)}
+              placeholder="New vendor name"
+            />
+            <button type="button" onClick={addVendor} disabled={busy || !newVendor.trim()}>
+              Add vendor
+            </button>
+          </div>
+          {draft.lines.length === 0 ? (
+            <div className="empty">Scan products to add them to the order.</div>
+          ) : (
+            <table className="cart-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Qty</th>
+                  <th>Unit cost</th>
+                  <th>Line</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.lines.map((l) => (
+                  <tr key={l.product_id}>
+                    <td>
+                      {l.name}
+                      <div className="subtext">{l.sku}</div>
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                       
+                        value={l.quantity}
+                        onChange={(e) => updateDraftLine(l.product_id, 'quantity', e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                       
+                        value={l.unit_cost}
+                        onChange={(e) => updateDraftLine(l.product_id, 'unit_cost', e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      {((parseFloat(l.quantity) || 0) * (parseFloat(l.unit_cost) || 0)).toFixed(2)}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() =>
+                          setDraft((d) => ({
+                            ...d,
+                            lines: d.lines.filter((x) => x.product_id !== l.product_id)
+                          }))
+                        }
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="subtext">Order total: {draftTotal.toFixed(2)}</div>
+          <input
+            type="text"
+            value={draft.notes}
+            onChange={(e) => setDraft((d) => ({ ...d, notes: e.target.value }))}
+            placeholder="Notes for the vendor"
+          />
+          <div className="inline-editor">
+            <button
+              type="button"
+              onClick={() => saveDraft(false)}
+              disabled={busy || !draft.vendorId || draft.lines.length === 0}
+            >
+              Save draft
+            </button>
+            <button
+              type="button"
+              className="primary"
+              onClick={() => saveDraft(true)}
+              disabled={busy || !draft.vendorId || draft.lines.length === 0}
+            >
+              Save &amp; send
+            </button>
+            <button type="button" className="link-button" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {receiving && (
+        <div className="totals-panel">
+          <h3>
+            Receive {receiving.po.number} – {receiving.po.vendor_name}
+          </h3>
+          <table className="cart-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Ordered</th>
+                <th>Received</th>
+                <th>Now</th>
+              </tr>
+            </thead>
+            <tbody>
+              {receiving.po.lines.map((l) => (
+                <tr key={l.product_id}>
+                  <td>
+                    {l.product_name}
+                    <div className="subtext">{l.barcode || l.sku}</div>
+                  </td>
+                  <td>{l.ordered_quantity}</td>
+                  <td>{l.received_quantity}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      max={l.ordered_quantity - l.received_quantity}
+                      step="1"
+                     
+                      value={receiving.counts[l.product_id] || ''}
+                      onChange={(e) =>
+                        setReceiving((r) => ({
+                          ...r,
+                          counts: { ...r.counts, [l.product_id]: parseFloat(e.target.value) || 0 }
+                        }))
+                      }
+                    />
+                    {inventory.some((row) => row.product_id === l.product_id && row.track_lots) && (
+                      <div className="lot-fields">
+                        <input
+                          type="text"
+                          value={(receiving.lots[l.product_id] || {}).lotNumber || ''}
+                          onChange={(e) => updateReceivingLot(l.product_id, 'lotNumber', e.target.value)}
+                          placeholder="Lot #"
+                        />
+                        <input
+                          type="date"
+                          value={(receiving.lots[l.product_id] || {}).expiryDate || ''}
+                          onChange={(e) => updateReceivingLot(l.product_id, 'expiryDate', e.target.value)}
+                          title="Expiry date"
+                        />
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <input
+            type="text"
+            value={receiving.note}
+            onChange={(e) => setReceiving((r) => ({ ...r, note: e.target.value }))}
+            placeholder="Delivery note / packing slip #"
+          />
+          <div className="inline-editor">
+            <button type="button" className="primary" onClick={postReceipt} disabled={busy}>
+              Post receipt
+            </button>
+            <button type="button" className="link-button" onClick={() => setReceiving(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {orders.length === 0 ? (
+        <div className="empty">No purchase orders.</div>
+      ) : (
+        <table className="cart-table">
+          <thead>
+            <tr>
+              <th>PO #</th>
+              <th>Vendor</th>
+              <th>Status</th>
+              <th>Lines</th>
+              <th>Cost</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((po) => (
+              <tr key={po.id}>
+                <td>
+                  {po.number}
+                  <div className="subtext">{new Date(po.created_at).toLocaleDateString()}</div>
+                </td>
+                <td>{po.vendor_name || '—'}</td>
+                <td>{PO_STATUS_LABELS[po.status]}</td>
+                <td>
+                  {po.lines.reduce((sum, l) => sum + l.received_quantity, 0)} /{' '}
+                  {po.lines.reduce((sum, l) => sum + l.ordered_quantity, 0)}
+                </td>
+                <td>{po.total_cost.toFixed(2)}</td>
+                <td>
+                  {po.status === 'DRAFT' && (
+                    <>
+                      <button type="button" className="link-button" onClick={() => startDraft(po)}>
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => orderAction(po, 'send')}
+                        disabled={busy}
+                      >
+                        Send
+                      </button>
+                    </>
+                  )}
+                  {(po.status === 'SENT' || po.status === 'PARTIAL') && (
+                    <button type="button" className="link-button" onClick={() => startReceiving(po)}>
+                      Receive
+                    </button>
+                  )}
+                  {po.status !== 'CLOSED' && (
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => orderAction(po, 'close')}
+                      disabled={busy}
+                    >
+                      Close
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="error">{error}</div>}
+      {notice && <div className="subtext">{notice}</div>}
+    </div>
+  );
+}
+
+const TRANSFER_STATUS_LABELS = {
+  IN_TRANSIT: 'In transit',
+  RECEIVED: 'Received'
+};
+
+function TransfersPanel({ token, store, inventory, onStockChanged }) {
+  const [stores, setStores] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [direction, setDirection] = useState('');
+  // { toStoreId, notes, lines: [{ product_id, name, sku, quantity }] }
+  const [shipment, setShipment] = useState(null);
+  // { transfer, counts: { [productId]: string }, note }
+  const [receiving, setReceiving] = useState(null);
+  const [variances, setVariances] = useState(null);
+  const [scanInput, setScanInput] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  };
+
+  const loadTransfers = async () => {
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      if (direction) {
+        params.set('direction', direction);
+      }
+      const res = await fetch(`${API_BASE}/transfers?${params.toString()}`, {
+        headers: authHeaders
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) {
+        setError(data.error || 'Failed to load transfers');
+        return;
+      }
+      setTransfers(data);
+    } catch (err) {
+      setError('Failed to load transfers');
+    }
+  };
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await fetch(`${API_BASE}/stores`, { headers: authHeaders });
+        if (res.ok) {
+          setStores(await res.json());
+        }
+      } catch (err) {
+        setError('Failed to load stores');
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  useEffect(() => {
+    loadTransfers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token, direction]);
+
+  const otherStores = stores.filter((s) => s.id !== store.id);
+
+  const startShipment = () => {
+    setReceiving(null);
+    setScanInput('');
+    setShipment({ toStoreId: otherStores[0]?.id || '', notes: '', lines: [] });
+  };
+
+  const startReceiving = (transfer) => {
+    setShipment(null);
+    setReceiving({
+      transfer,
+      counts: Object.fromEntries(
+        transfer.lines.map((l) => [l.product_id, String(l.shipped_quantity)])
+      ),
+      note: ''
+    });
+  };
+
+  // Scanning adds a line to the shipment, or one more of it.
+  const handleScan = (e) => {
+    e.preventDefault();
+    const code = scanInput.trim();
+    if (!code) {
+      return;
+    }
+    setError('');
+    const row = findInventoryRow(inventory, code);
+    if (!row) {
+      setError(`No product with barcode or SKU ${code}`);
+      return;
+    }
+    setShipment((s) => {
+      const existing = s.lines.find((l) => l.product_id === row.product_id);
+      if (existing) {
+        return {
+          ...s,
+          lines: s.lines.map((l) =>
+            l === existing ? { ...l, quantity: String((parseFloat(l.quantity) || 0) + 1) } : l
+          )
+        };
+      }
+      return {
+        ...s,
+        lines: [...s.lines, { product_id: row.product_id, name: row.name, sku: row.sku, quantity: '1' }]
+      };
+    });
+    setScanInput('');
+  };
+
+  const postJson = async (path, body, failure) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify(body)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || failure);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError(failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const ship = async () => {
+    const transfer = await postJson(
+      '/transfers',
+      {
+        fromStoreId: store.id,
+        toStoreId: shipment.toStoreId,
+        notes: shipment.notes.trim() || null,
+        lines: shipment.lines.map((l) => ({
+          productId: l.product_id,
+          quantity: parseFloat(l.quantity)
+        }))
+      },
+      'Failed to ship transfer'
+    );
+    if (transfer) {
+      setShipment(null);
+      setNotice(`${transfer.number} shipped to ${transfer.to_store.name}.`);
+      await loadTransfers();
+      await onStockChanged();
+    }
+  };
+
+  const receive = async () => {
+    const transfer = await postJson(
+      `/transfers/${receiving.transfer.id}/receive`,
+      {
+        note: receiving.note.trim() || null,
+        lines: Object.entries(receiving.counts).map(([productId, quantity]) => ({
+          productId,
+          quantity: parseFloat(quantity) || 0
+        }))
+      },
+      'Failed to receive transfer'
+    );
+    if (transfer) {
+      setReceiving(null);
+      setNotice(
+        transfer.has_variance
+          ? `${transfer.number} received with variances.`
+          : `${transfer.number} received in full.`
+      );
+      await loadTransfers();
+      await onStockChanged();
+    }
+  };
+
+  const loadVariances = async () => {
+    setError('');
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      const res = await fetch(`${API_BASE}/reports/transfer-variances?${params.toString()}`, {
+        headers: authHeaders
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to load transfer variances');
+        return;
+      }
+      setVariances(data);
+    } catch (err) {
+      setError('Failed to load transfer variances');
+    }
+  };
+
+  return (
+    <div className="inventory-section">
+      <div className="inventory-header">
+        <h2>Transfers</h2>
+        <div>
+          <select value={direction} onChange={(e) => setDirection(e.target.value)}>
+            <option value="">In and out</option>
+            <option value="out">Outgoing</option>
+            <option value="in">Incoming</option>
+          </select>
+          <button type="button" onClick={loadVariances}>
+            Variances
+          </button>
+          <button type="button" onClick={startShipment} disabled={busy || otherStores.length === 0}>
+            + Ship transfer
+          </button>
+        </div>
+      </div>
+
+      {shipment && (
+        <div className="totals-panel">
+          <h3>Ship from {store.name}</h3>
+          <form onSubmit={handleScan} className="scan-form">
+            <label>
+              Scan barcode / type SKU to add a line
+              <input
+                type="text"
+                value={scanInput}
+                onChange={(e) => setScanInput(e.target.value)}
+                placeholder="Scan barcode here..."
+                autoFocus
+              />
+            </label>
+            <button type="submit">Add</button>
+          </form>
+          <div className="inline-editor">
+            <select
+              value={shipment.toStoreId}
+              onChange={(e) => setShipment((s) => ({ ...s, toStoreId: e.target.value }))}
+            >
+              {otherStores.map((s) => (
+                <option key={s.id} value={s.id}>
+                  To {s.code} – {s.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={shipment.notes}
+              onChange={(e) => setShipment((s) => ({ ...s, notes: e.target.value }))}
+              placeholder="Notes"
+            />
+          </div>
+          {shipment.lines.length === 0 ? (
+            <div className="empty">Scan products to add them to the transfer.</div>
+          ) : (
+            <table className="cart-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Qty</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {shipment.lines.map((l) => (
+                  <tr key={l.product_id}>
+                    <td>
+                      {l.name}
+                      <div className="subtext">{l.sku}</div>
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={l.quantity}
+                        onChange={(e) =>
+                          setShipment((s) => ({
+                            ...s,
+                            lines: s.lines.map((x) =>
+                              x.product_id === l.product_id ? { ...x, quantity: e.target.value } : x
+                            )
+                          }))
+                        }
+                      />
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() =>
+                          setShipment((s) => ({
+                            ...s,
+                            lines: s.lines.filter((x) => x.product_id !== l.product_id)
+                          }))
+                        }
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="inline-editor">
+            <button
+              type="button"
+              className="primary"
+              onClick={ship}
+              disabled={busy || !shipment.toStoreId || shipment.lines.length === 0}
+            >
+              Ship
+            </button>
+            <button type="button" className="link-button" onClick={() => setShipment(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {receiving && (
+        <div className="totals-panel">
+          <h3>
+            Receive {receiving.transfer.number} from {receiving.transfer.from_store.name}
+          </h3>
+          <table className="cart-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Shipped</th>
+                <th>Received</th>
+              </tr>
+            </thead>
+            <tbody>
+              {receiving.transfer.lines.map((l) => (
+                <tr key={l.product_id}>
+                  <td>
+                    {l.product_name}
+                    <div className="subtext">{l.barcode || l.sku}</div>
+                  </td>
+                  <td>{l.shipped_quantity}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={receiving.counts[l.product_id]}
+                      onChange={(e) =>
+                        setReceiving((r) => ({
+                          ...r,
+                          counts: { ...r.counts, [l.product_id]: e.target.value }
+                        }))
+                      }
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <input
+            type="text"
+            value={receiving.note}
+            onChange={(e) => setReceiving((r) => ({ ...r, note: e.target.value }))}
+            placeholder="Note, e.g. what was damaged or missing"
+          />
+          <div className="inline-editor">
+            <button type="button" className="primary" onClick={receive} disabled={busy}>
+              Receive
+            </button>
+            <button type="button" className="link-button" onClick={() => setReceiving(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {variances && (
+        <div className="totals-panel">
+          <div className="inventory-header">
+            <h3>Transfer variances</h3>
+            <button type="button" className="link-button" onClick={() => setVariances(null)}>
+              Close
+            </button>
+          </div>
+          {variances.rows.length === 0 ? (
+            <div className="subtext">Every received transfer matched what was shipped.</div>
+          ) : (
+            <>
+              <div className="subtext">
+                Short: {variances.total_shortage} | Over: {variances.total_overage}
+              </div>
+              <table className="cart-table">
+                <thead>
+                  <tr>
+                    <th>Transfer</th>
+                    <th>Item</th>
+                    <th>Shipped</th>
+                    <th>Received</th>
+                    <th>Variance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {variances.rows.map((r) => (
+                    <tr key={`${r.transfer_id}:${r.product_id}`}>
+                      <td>
+                        {r.number}
+                        <div className="subtext">
+                          {r.from_store_code} → {r.to_store_code}
+                        </div>
+                      </td>
+                      <td>{r.product_name}</td>
+                      <td>{r.shipped_quantity}</td>
+                      <td>{r.received_quantity}</td>
+                      <td className="variance">{r.variance > 0 ? `+${r.variance}` : r.variance}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      )}
+
+      {transfers.length === 0 ? (
+        <div className="empty">No transfers.</div>
+      ) : (
+        <table className="cart-table">
+          <thead>
+            <tr>
+              <th>Transfer #</th>
+              <th>Route</th>
+              <th>Status</th>
+              <th>Shipped / received</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {transfers.map((t) => (
+              <tr key={t.id}>
+                <td>
+                  {t.number}
+                  <div className="subtext">{new Date(t.shipped_at).toLocaleDateString()}</div>
+                </td>
+                <td>
+                  {t.from_store.code} → {t.to_store.code}
+                </td>
+                <td>
+                  {TRANSFER_STATUS_LABELS[t.status]}
+                  {t.has_variance && <div className="variance">Variance</div>}
+                </td>
+                <td>
+                  {t.lines.reduce((sum, l) => sum + l.shipped_quantity, 0)} /{' '}
+                  {t.status === 'RECEIVED'
+                    ? t.lines.reduce((sum, l) => sum + l.received_quantity, 0)
+                    : '—'}
+                </td>
+                <td>
+                  {t.status === 'IN_TRANSIT' && t.to_store.id === store.id && (
+                    <button type="button" className="link-button" onClick={() => startReceiving(t)}>
+                      Receive
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="error">{error}</div>}
+      {notice && <div className="subtext">{notice}</div>}
+    </div>
+  );
+}
+
+// Fetch a CSV export and save it as `filename`; returns an error message,
+// or '' once the download has started.
+async function downloadCsv(token, path, filename) {
+  try {
+    const res = await fetch(`${API_BASE}${path}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      return data.error || 'Export failed';
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    return '';
+  } catch (err) {
+    return 'Export failed';
+  }
+}
+
+// Catalog CSV import: choosing a file previews every row (dry run); the
+// import itself only runs once no row has errors.
+function CatalogImportPanel({ token, onImported, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [csvText, setCsvText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const sendCsv = async (text, dryRun) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}/products/import${dryRun ? '?dryRun=1' : ''}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/csv',
+          Authorization: `Bearer ${token}`
+        },
+        body: text
+      });
+      const data = await res.json().catch(() => ({}));
+      if (data.rows) {
+        setPreview(data);
+      }
+      if (!res.ok) {
+        setError(data.error || 'Import failed');
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError('Import failed');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    if (!file) {
+      return;
+    }
+    const text = await file.text();
+    setFileName(file.name);
+    setCsvText(text);
+    await sendCsv(text, true);
+  };
+
+  const runImport = async () => {
+    const { summary } = preview;
+    if (!window.confirm(`Create ${summary.create} and update ${summary.update} products?`)) {
+      return;
+    }
+    const result = await sendCsv(csvText, false);
+    if (result) {
+      setNotice(
+        `${fileName}: ${result.summary.create} created, ${result.summary.update} updated.`
+      );
+      setPreview(null);
+      setCsvText('');
+      await onImported();
+    }
+  };
+
+  return (
+    <div className="totals-panel">
+      <div className="inventory-header">
+        <h3>Import products from CSV</h3>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <div className="subtext">
+        Columns: sku, barcode, name, category, price, cost, tax_rate, vendor, track_lots, active,
+        and qty_&lt;STORECODE&gt; for opening stock. Rows are matched by SKU; blank cells leave a
+        product's value unchanged. Export the catalog for a template.
+      </div>
+      <input type="file" accept=".csv,text/csv" onChange={chooseFile} disabled={busy} />
+
+      {preview && (
+        <>
+          <div className="subtext">
+            {preview.summary.rows} rows: {preview.summary.create} new,{' '}
+            {preview.summary.update} to update, {preview.summary.unchanged} unchanged
+            {preview.summary.errors > 0 && (
+              <span className="variance"> – {preview.summary.errors} with errors</span>
+            )}
+          </div>
+          <table className="cart-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>SKU</th>
+                <th>Name</th>
+                <th>Action</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row) => (
+                <tr key={row.line} className={row.errors.length > 0 ? 'expired' : ''}>
+                  <td>{row.line}</td>
+                  <td>{row.sku}</td>
+                  <td>{row.name}</td>
+                  <td>{row.action}</td>
+                  <td>
+                    {row.errors.map((msg) => (
+                      <div key={msg} className="subtext expired">
+                        {msg}
+                      </div>
+                    ))}
+                    {row.changes.length > 0 && (
+                      <div className="subtext">Changes: {row.changes.join(', ')}</div>
+                    )}
+                    {row.stock.length > 0 && (
+                      <div className="subtext">
+                        Opening stock:{' '}
+                        {row.stock.map((st) => `${st.store_code} ${st.quantity}`).join(', ')}
+                      </div>
+                    )}
+                    {row.warnings.map((msg) => (
+                      <div key={msg} className="subtext">
+                        {msg}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            className="primary"
+            onClick={runImport}
+            disabled={
+              busy ||
+              preview.summary.errors > 0 ||
+              preview.summary.create + preview.summary.update === 0
+            }
+          >
+            Import
+          </button>
+        </>
+      )}
+      {error && <div className="error">{error}</div>}
+      {notice && <div className="subtext">{notice}</div>}
+    </div>
+  );
+}
+
+const EMPTY_RECALL_FORM = {
+  product_id: '',
+  lot_numbers: '',
+  expiry_from: '',
+  expiry_to: '',
+  reason: '',
+  vendor_reference: ''
+};
+
+// Vendor recalls: issuing one stops sales of the stock straight away; each
+// store then marks its removal task done once the stock is pulled.
+function RecallsPanel({ token, store, inventory, onStockChanged }) {
+  const [recalls, setRecalls] = useState([]);
+  const [showClosed, setShowClosed] = useState(false);
+  const [form, setForm] = useState(null); // EMPTY_RECALL_FORM while issuing one
+  const [sales, setSales] = useState(null); // sales report of one recall
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  };
+
+  const loadRecalls = async () => {
+    try {
+      const params = new URLSearchParams();
+      if (!showClosed) {
+        params.set('status', 'ACTIVE');
+      }
+      const res = await fetch(`${API_BASE}/recalls?${params.toString()}`, {
+        headers: authHeaders
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) {
+        setError(data.error || 'Failed to load recalls');
+        return;
+      }
+      setRecalls(data);
+    } catch (err) {
+      setError('Failed to load recalls');
+    }
+  };
+
+  useEffect(() => {
+    loadRecalls();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, showClosed]);
+
+  // POST/GET a recall action; returns the response body or null.
+  const callApi = async (path, method, body, failure) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: authHeaders,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || failure);
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError(failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const selectedRow = form
+    ? inventory.find((row) => row.product_id === form.product_id)
+    : null;
+
+  const issueRecall = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Issue this recall? Sales stop at every store straight away.')) {
+      return;
+    }
+    const recall = await callApi(
+      '/recalls',
+      'POST',
+      {
+        productId: form.product_id,
+        lotNumbers: form.lot_numbers,
+        expiryFrom: form.expiry_from || null,
+        expiryTo: form.expiry_to || null,
+        reason: form.reason.trim(),
+        vendorReference: form.vendor_reference.trim() || null
+      },
+      'Failed to issue recall'
+    );
+    if (recall) {
+      setForm(null);
+      setNotice(`${recall.number} issued for ${recall.product_name}.`);
+      await loadRecalls();
+    }
+  };
+
+  const completeTask = async (recall) => {
+    const note = window.prompt(`Pulled ${recall.product_name} off the shelves? Optional note:`, '');
+    if (note === null) {
+      return;
+    }
+    const updated = await callApi(
+      `/recalls/${recall.id}/tasks/${store.id}/complete`,
+      'POST',
+      { note },
+      'Failed to complete recall task'
+    );
+    if (updated) {
+      const task = updated.tasks.find((t) => t.store_id === store.id);
+      setNotice(`${updated.number}: ${task ? task.removed_quantity : 0} removed from stock.`);
+      await loadRecalls();
+      await onStockChanged();
+    }
+  };
+
+  const closeRecall = async (recall) => {
+    if (!window.confirm(`Close ${recall.number}? ${recall.product_name} can be sold again.`)) {
+      return;
+    }
+    const updated = await callApi(
+      `/recalls/${recall.id}/close`,
+      'POST',
+      null,
+      'Failed to close recall'
+    );
+    if (updated) {
+      setNotice(`${updated.number} closed.`);
+      await loadRecalls();
+    }
+  };
+
+  const loadSales = async (recall) => {
+    const report = await callApi(
+      `/recalls/${recall.id}/sales`,
+      'GET',
+      null,
+      'Failed to load recall sales'
+    );
+    if (report) {
+      setSales(report);
+    }
+  };
+
+  return (
+    <div className="inventory-section">
+      <div className="inventory-header">
+        <h2>Recalls</h2>
+        <div>
+          <label className="low-stock-filter">
+            <input
+              type="checkbox"
+              checked={showClosed}
+              onChange={(e) => setShowClosed(e.target.checked)}
+            />{' '}
+            Show closed
+          </label>
+          <button type="button" onClick={() => setForm(EMPTY_RECALL_FORM)} disabled={busy}>
+            + Issue recall
+          </button>
+        </div>
+      </div>
+
+      {form && (
+        <form className="totals-panel form" onSubmit={issueRecall}>
+          <h3>Issue recall</h3>
+          <label>
+            Product
+            <select
+              value={form.product_id}
+              onChange={(e) => setForm((f) => ({ ...f, product_id: e.target.value }))}
+              required
+            >
+              <option value="">Choose product...</option>
+              {inventory.map((row) => (
+                <option key={row.product_id} value={row.product_id}>
+                  {row.name} ({row.sku})
+                </option>
+              ))}
+            </select>
+          </label>
+          {selectedRow && selectedRow.track_lots && (
+            <>
+              <label>
+                Lot numbers (comma separated; blank for all)
+                <input
+                  type="text"
+                  value={form.lot_numbers}
+                  onChange={(e) => setForm((f) => ({ ...f, lot_numbers: e.target.value }))}
+                />
+              </label>
+              <div className="lot-fields">
+                <label>
+                  Expiring from
+                  <input
+                    type="date"
+                    value={form.expiry_from}
+                    onChange={(e) => setForm((f) => ({ ...f, expiry_from: e.target.value }))}
+                  />
+                </label>
+                <label>
+                  to
+                  <input
+                    type="date"
+                    value={form.expiry_to}
+                    onChange={(e) => setForm((f) => ({ ...f, expiry_to: e.target.value }))}
+                  />
+                </label>
+              </div>
+            </>
+          )}
+          <label>
+            Reason
+            <input
+              type="text"
+              value={form.reason}
+              onChange={(e) => setForm((f) => ({ ...f, reason: e.target.value }))}
+              placeholder="e.g. Possible listeria contamination"
+              required
+            />
+          </label>
+          <label>
+            Vendor notice #
+            <input
+              type="text"
+              value={form.vendor_reference}
+              onChange={(e) => setForm((f) => ({ ...f, vendor_reference: e.target.value }))}
+            />
+          </label>
+          <div className="inline-editor">
+            <button type="submit" className="primary" disabled={busy}>
+              Issue recall
+            </button>
+            <button type="button" className="link-button" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {sales && (
+        <div className="totals-panel">
+          <h3>
+            Sales of {sales.recall.product_name} ({sales.recall.number}), {sales.range.from} to{' '}
+            {sales.range.to}
+          </h3>
+          <div className="subtext">
+            {sales.units_sold} sold, {sales.units_refunded} refunded
+            {sales.by_store.length > 1 &&
+              ` | ${sales.by_store.map((t) => `${t.store_code}: ${t.units_sold}`).join(', ')}`}
+          </div>
+          {sales.rows.length === 0 ? (
+            <div className="empty">No sales of the recalled stock in this period.</div>
+          ) : (
+            <table className="cart-table">
+              <thead>
+                <tr>
+                  <th>TC#</th>
+                  <th>Store</th>
+                  <th>Date</th>
+                  <th>Qty</th>
+                  <th>Lots</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sales.rows.map((r, index) => (
+                  <tr key={`${r.transaction_id}-${index}`}>
+                    <td>{r.tc_number}</td>
+                    <td>{r.store_code}</td>
+                    <td>{new Date(r.created_at).toLocaleString()}</td>
+                    <td>
+                      {r.quantity}
+                      {r.refunded_quantity > 0 && (
+                        <div className="subtext">{r.refunded_quantity} refunded</div>
+                      )}
+                    </td>
+                    <td>{r.lots.map((l) => l.lot_number).join(', ') || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button type="button" className="link-button" onClick={() => setSales(null)}>
+            Close
+          </button>
+        </div>
+      )}
+
+      {recalls.length === 0 ? (
+        <div className="empty">No {showClosed ? '' : 'active '}recalls.</div>
+      ) : (
+        <table className="cart-table">
+          <thead>
+            <tr>
+              <th>Recall</th>
+              <th>Product</th>
+              <th>This store</th>
+              <th>Stores done</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {recalls.map((recall) => {
+              const task = recall.tasks.find((t) => t.store_id === store.id);
+              return (
+                <tr key={recall.id} className={recall.status === 'ACTIVE' ? 'expired' : ''}>
+                  <td>
+                    {recall.number}
+                    <div className="subtext">
+                      {new Date(recall.created_at).toLocaleDateString()}
+                      {recall.status === 'CLOSED' && ' – closed'}
+                    </div>
+                  </td>
+                  <td>
+                    {recall.product_name}
+                    <div className="subtext">{describeRecallScope(recall)}</div>
+                    <div className="subtext">{recall.reason}</div>
+                  </td>
+                  <td>
+                    {!task
+                      ? '—'
+                      : task.status === 'DONE'
+                        ? `Removed ${task.removed_quantity}`
+                        : `${task.quantity} to remove`}
+                  </td>
+                  <td>
+                    {recall.tasks.length - recall.open_tasks} / {recall.tasks.length}
+                  </td>
+                  <td>
+                    {recall.status === 'ACTIVE' && task && task.status === 'OPEN' && (
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => completeTask(recall)}
+                        disabled={busy}
+                      >
+                        Mark removed
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => loadSales(recall)}
+                      disabled={busy}
+                    >
+                      Sales
+                    </button>
+                    {recall.status === 'ACTIVE' && (
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => closeRecall(recall)}
+                        disabled={busy}
+                      >
+                        Close
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="error">{error}</div>}
+      {notice && <div className="subtext">{notice}</div>}
+    </div>
+  );
+}
+
+// Lots expiring within a number of days, expired ones first; "Write off"
+// opens the stock adjustment for the lot.
+function ExpiringPanel({ token, store, refreshKey, onWriteOff }) {
+  const [days, setDays] = useState('7');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadReport = async () => {
+    setError('');
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id), days: days || '0' });
+      const res = await fetch(`${API_BASE}/reports/expiring?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to load expiring stock');
+        return;
+      }
+      setReport(data);
+    } catch (err) {
+      setError('Failed to load expiring stock');
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token, refreshKey]);
+
+  return (
+    <div className="inventory-section">
+      <div className="inventory-header">
+        <h2>Expiring stock</h2>
+        <form
+          className="inline-editor"
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadReport();
+          }}
+        >
+          <label>
+            Within{' '}
+            <input
+              type="number"
+              min="0"
+              max="365"
+              step="1"
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+            />{' '}
+            days
+          </label>
+          <button type="submit">Show</button>
+        </form>
+      </div>
+      {report && (
+        <>
+          <div className="subtext">
+            Expired: {report.expired_quantity} units ({report.expired_cost.toFixed(2)} at cost) |
+            Expiring: {report.expiring_quantity} units ({report.expiring_cost.toFixed(2)} at cost)
+          </div>
+          {report.rows.length === 0 ? (
+            <div className="empty">Nothing expires within {report.days} days.</div>
+          ) : (
+            <table className="cart-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Lot</th>
+                  <th>Expires</th>
+                  <th>Qty</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map((r) => (
+                  <tr key={r.id} className={r.expired ? 'expired' : ''}>
+                    <td>
+                      {r.product_name}
+                      <div className="subtext">{r.sku}</div>
+                    </td>
+                    <td>{r.lot_number}</td>
+                    <td>
+                      {toDateInput(r.expiry_date)}
+                      <div className="subtext">
+                        {r.expired
+                          ? 'Expired'
+                          : r.days_left === 0
+                            ? 'Today'
+                            : `${r.days_left} day${r.days_left === 1 ? '' : 's'}`}
+                      </div>
+                    </td>
+                    <td>{r.quantity}</td>
+                    <td>
+                      <button type="button" className="link-button" onClick={() => onWriteOff(r)}>
+                        Write off
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+function formatPrice(value) {
+  return value == null ? 'base' : value.toFixed(2);
+}
+
+// Price history on the stock card: changes still scheduled, then the
+// changes made, newest first.
+function PriceHistoryTable({ prices }) {
+  if (prices.scheduled.length === 0 && prices.entries.length === 0) {
+    return <div className="empty">No price changes.</div>;
+  }
+  return (
+    <table className="cart-table">
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Price</th>
+          <th>Applies to</th>
+          <th>Source</th>
+          <th>User</th>
+        </tr>
+      </thead>
+      <tbody>
+        {prices.scheduled.map((s) => (
+          <tr key={`${s.price_change_id}-${s.store_id}`} className="low-stock">
+            <td>{new Date(s.effective_at).toLocaleString()}</td>
+            <td>→ {formatPrice(s.price)}</td>
+            <td>{s.store_code || 'Base price'}</td>
+            <td>{s.number} (scheduled)</td>
+            <td>—</td>
+          </tr>
+        ))}
+        {prices.entries.map((h) => (
+          <tr key={h.id}>
+            <td>{new Date(h.created_at).toLocaleString()}</td>
+            <td>
+              {(h.old_price != null || h.store_id) && `${formatPrice(h.old_price)} `}→{' '}
+              {formatPrice(h.new_price)}
+            </td>
+            <td>{h.store_code || 'Base price'}</td>
+            <td>
+              {h.source}
+              {h.ref_label && ` – ${h.ref_label}`}
+            </td>
+            <td>{h.user_name || '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+const EMPTY_PRICE_LINE = { product_id: '', price: '' };
+
+// Price change batches: new prices for this store or for the base price,
+// going live at a set date and time.
+function PriceChangesPanel({ token, store, inventory, onApplied }) {
+  const [changes, setChanges] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('SCHEDULED');
+  const [form, setForm] = useState(null); // { name, effective_at, scope, lines }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  };
+
+  const loadChanges = async () => {
+    try {
+      const params = new URLSearchParams();
+      if (statusFilter) {
+        params.set('status', statusFilter);
+      }
+      const res = await fetch(`${API_BASE}/price-changes?${params.toString()}`, {
+        headers: authHeaders
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) {
+        setError(data.error || 'Failed to load price changes');
+        return;
+      }
+      setChanges(data);
+    } catch (err) {
+      setError('Failed to load price changes');
+    }
+  };
+
+  useEffect(() => {
+    loadChanges();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, statusFilter]);
+
+  const startCreate = () => {
+    setNotice('');
+    setForm({ name: '', effective_at: '', scope: 'store', lines: [EMPTY_PRICE_LINE] });
+  };
+
+  const updateLine = (index, field, value) => {
+    setForm((f) => ({
+      ...f,
+      lines: f.lines.map((l, i) => (i === index ? { ...l, [field]: value } : l))
+    }));
+  };
+
+  const schedule = async (e) => {
+    e.preventDefault();
+    const lines = form.lines.filter((l) => l.product_id);
+    if (lines.length === 0) {
+      setError('Add at least one product');
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}/price-changes`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({
+          name: form.name.trim() || null,
+          effectiveAt: new Date(form.effective_at).toISOString(),
+          lines: lines.map((l) => ({
+            productId: l.product_id,
+            storeId: form.scope === 'store' ? store.id : null,
+            price: l.price === '' ? null : parseFloat(l.price)
+          }))
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to schedule price change');
+        return;
+      }
+      setForm(null);
+      setNotice(
+        data.status === 'APPLIED'
+          ? `${data.number} applied.`
+          : `${data.number} goes live ${new Date(data.effective_at).toLocaleString()}.`
+      );
+      await loadChanges();
+      if (data.status === 'APPLIED') {
+        await onApplied();
+      }
+    } catch (err) {
+      setError('Failed to schedule price change');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancelChange = async (change) => {
+    if (!window.confirm(`Cancel ${change.number}? Its prices will not go live.`)) {
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}/price-changes/${change.id}/cancel`, {
+        method: 'POST',
+        headers: authHeaders
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to cancel price change');
+        return;
+      }
+      setNotice(`${data.number} cancelled.`);
+      await loadChanges();
+    } catch (err) {
+      setError('Failed to cancel price change');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="inventory-section">
+      <div className="inventory-header">
+        <h2>Price changes</h2>
+        <div>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="SCHEDULED">Scheduled</option>
+            <option value="APPLIED">Applied</option>
+            <option value="CANCELLED">Cancelled</option>
+            <option value="">All</option>
+          </select>{' '}
+          <button type="button" onClick={startCreate} disabled={busy}>
+            + Price change
+          </button>
+        </div>
+      </div>
+
+      {form && (
+        <form className="totals-panel form" onSubmit={schedule}>
+          <h3>New price change</h3>
+          <div className="reorder-fields">
+            <label>
+              Name
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+                placeholder="e.g. Weekly dairy update"
+              />
+            </label>
+            <label>
+              Goes live
+              <input
+                type="datetime-local"
+                value={form.effective_at}
+                onChange={(e) => setForm((f) => ({ ...f, effective_at: e.target.value }))}
+                required
+              />
+            </label>
+          </div>
+          <label>
+            Prices for
+            <select
+              value={form.scope}
+              onChange={(e) => setForm((f) => ({ ...f, scope: e.target.value }))}
+            >
+              <option value="store">{store.code} only (store price)</option>
+              <option value="base">All stores (base price)</option>
+            </select>
+          </label>
+          {form.lines.map((line, index) => {
+            const row = inventory.find((r) => r.product_id === line.product_id);
+            return (
+              <div className="inline-editor" key={index}>
+                <select
+                  value={line.product_id}
+                  onChange={(e) => updateLine(index, 'product_id', e.target.value)}
+                >
+                  <option value="">Choose product...</option>
+                  {inventory.map((r) => (
+                    <option key={r.product_id} value={r.product_id}>
+                      {r.name} ({r.sku})
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={line.price}
+                  onChange={(e) => updateLine(index, 'price', e.target.value)}
+                  placeholder={
+                    form.scope === 'store'
+                      ? 'Blank: base price'
+                      : row
+                        ? `Now ${row.base_price.toFixed(2)}`
+                        : 'New price'
+                  }
+                  required={form.scope === 'base'}
+                />
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() =>
+                    setForm((f) => ({ ...f, lines: f.lines.filter((_, i) => i !== index) }))
+                  }
+                >
+                  Remove
+                </button>
+              </div>
+            );
+          })}
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setForm((f) => ({ ...f, lines: [...f.lines, EMPTY_PRICE_LINE] }))}
+          >
+            + Add product
+          </button>
+          <div className="inline-editor">
+            <button type="submit" className="primary" disabled={busy}>
+              Schedule
+            </button>
+            <button type="button" className="link-button" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {changes.length === 0 ? (
+        <div className="empty">No price changes.</div>
+      ) : (
+        <table className="cart-table">
+          <thead>
+            <tr>
+              <th>Change</th>
+              <th>Goes live</th>
+              <th>Prices</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map((change) => (
+              <tr key={change.id}>
+                <td>
+                  {change.number}
+                  {change.name && <div className="subtext">{change.name}</div>}
+                </td>
+                <td>{new Date(change.effective_at).toLocaleString()}</td>
+                <td>
+                  {change.lines.map((l) => (
+                    <div key={`${l.product_id}-${l.store_id}`} className="subtext">
+                      {l.product_name} ({l.store_code || 'base'}):{' '}
+                      {change.status === 'APPLIED' && `${formatPrice(l.old_price)} → `}
+                      {formatPrice(l.price)}
+                    </div>
+                  ))}
+                </td>
+                <td>
+                  {change.status}
+                  <div className="subtext">{change.created_by_name}</div>
+                </td>
+                <td>
+                  {change.status === 'SCHEDULED' && (
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => cancelChange(change)}
+                      disabled={busy}
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="error">{error}</div>}
+      {notice && <div className="subtext">{notice}</div>}
+    </div>
+  );
+}
+
+function InventoryPage({ token, store }) {
+  const [inventory, setInventory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editProduct, setEditProduct] = useState(null); // product/inventory row
+  const [form, setForm] = useState({
+    sku: '',
+    barcode: '',
+    name: '',
+    category: '',
+    price: '',
+    cost: '',
+    vendor_id: '',
+    tax_rate: '',
+    track_lots: false,
+    quantity: '',
+    reason: '',
+    note: '',
+    lot_number: '',
+    expiry_date: '',
+    reorder_point: '',
+    reorder_quantity: '',
+    max_quantity: '',
+    store_price: ''
+  });
+  const [saving, setSaving] = useState(false);
+  const [creating, setCreating] = useState(false);
+  // { row, quantity, movements, lots, prices }
+  const [stockCard, setStockCard] = useState(null);
+  const [ledgerCheck, setLedgerCheck] = useState(null); // { applied, differences }
+  const [reasons, setReasons] = useState([]); // adjustment reason codes, incl. retired
+  const [vendors, setVendors] = useState([]);
+  const [lowOnly, setLowOnly] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const loadInventory = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      const res = await fetch(`${API_BASE}/inventory?` + params.toString(), {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      const data = await res.json();
+      setInventory(data);
+    } catch (err) {
+      setError('Failed to load inventory');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadReasons = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/adjustment-reasons?all=1`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (res.ok) {
+        setReasons(await res.json());
+      }
+    } catch (err) {
+      setError('Failed to load adjustment reasons');
+    }
+  };
+
+  useEffect(() => {
+    loadInventory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token]);
+
+  const loadVendors = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/vendors`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (res.ok) {
+        setVendors(await res.json());
+      }
+    } catch (err) {
+      setError('Failed to load vendors');
+    }
+  };
+
+  useEffect(() => {
+    loadReasons();
+    loadVendors();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const exportCsv = async (kind) => {
+    setError('');
+    const message =
+      kind === 'catalog'
+        ? await downloadCsv(token, '/products/export', 'catalog.csv')
+        : await downloadCsv(
+            token,
+            `/inventory/export?storeId=${encodeURIComponent(store.id)}`,
+            `inventory-${store.code}.csv`
+          );
+    if (message) {
+      setError(message);
+    }
+  };
+
+  const startCreate = () => {
+    setEditProduct(null);
+    setForm({
+      sku: '',
+      barcode: '',
+      name: '',
+      category: '',
+      price: '',
+      cost: '',
+      vendor_id: '',
+      tax_rate: '',
+      track_lots: false,
+      quantity: '',
+      reason: '',
+      note: '',
+      lot_number: '',
+      expiry_date: '',
+      reorder_point: '',
+      reorder_quantity: '',
+      max_quantity: '',
+      store_price: ''
+    });
+    setCreating(true);
+  };
+
+  const startEdit = (row) => {
+    setCreating(false);
+    setEditProduct(row);
+    setForm({
+      sku: row.sku || '',
+      barcode: row.barcode || '',
+      name: row.name || '',
+      category: row.category || '',
+      price: String(row.base_price ?? ''),
+      cost: String(row.cost ?? ''),
+      vendor_id: row.vendor_id || '',
+      tax_rate: String(row.tax_rate ?? ''),
+      track_lots: !!row.track_lots,
+      quantity: String(row.quantity ?? ''),
+      reason: '',
+      note: '',
+      lot_number: '',
+      expiry_date: '',
+      reorder_point: String(row.reorder_point ?? ''),
+      reorder_quantity: String(row.reorder_quantity ?? ''),
+      max_quantity: String(row.max_quantity ?? ''),
+      store_price: String(row.store_price ?? '')
+    });
+  };
+
+  const openStockCard = async (row) => {
+    setError('');
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      const res = await fetch(
+        `${API_BASE}/inventory/${row.product_id}/movements?` + params.toString(),
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to load stock card');
+        return;
+      }
+      let prices = null;
+      const pricesRes = await fetch(
+        `${API_BASE}/products/${row.product_id}/price-history?` + params.toString(),
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      if (pricesRes.ok) {
+        prices = await pricesRes.json();
+      }
+      let lots = [];
+      if (row.track_lots) {
+        const lotsRes = await fetch(
+          `${API_BASE}/inventory/${row.product_id}/lots?` + params.toString(),
+          {
+            headers: {
+              Authorization: `Bearer ${token}`
+            }
+          }
+        );
+        if (lotsRes.ok) {
+          lots = (await lotsRes.json()).lots;
+        }
+      }
+      setStockCard({ row, ...data, lots, prices });
+    } catch (err) {
+      setError('Failed to load stock card');
+    }
+  };
+
+  // Dry run first; `apply` resets quantities to the ledger's.
+  const checkLedger = async (apply) => {
+    if (apply && !window.confirm('Reset these quantities to the stock ledger totals?')) {
+      return;
+    }
+    setError('');
+    try {
+      const res = await fetch(`${API_BASE}/inventory/rebuild`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ storeId: store.id, apply })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to check the stock ledger');
+        return;
+      }
+      setLedgerCheck(data);
+      if (apply) {
+        await loadInventory();
+      }
+    } catch (err) {
+      setError('Failed to check the stock ledger');
+    }
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm((f) => ({ ...f, [field]: value }));
+  };
+
+  // Take an expiring lot out of stock as spoilage.
+  const startWriteOff = (lot) => {
+    const row = inventory.find((i) => i.product_id === lot.product_id);
+    if (!row) {
+      return;
+    }
+    startEdit(row);
+    const spoilage = reasons.find((r) => r.code === 'SPOILAGE' && r.active);
+    setForm((f) => ({
+      ...f,
+      quantity: String(row.quantity - lot.quantity),
+      reason: spoilage ? spoilage.code : '',
+      note: `Lot ${lot.lot_number} expiring ${toDateInput(lot.expiry_date)}`,
+      lot_number: lot.lot_number
+    }));
+  };
+
+  // Store-level reorder settings; saved only when they changed.
+  const saveReorderSettings = async (productId, row) => {
+    const settings = {
+      reorderPoint: form.reorder_point === '' ? null : parseFloat(form.reorder_point),
+      reorderQuantity: form.reorder_quantity === '' ? null : parseFloat(form.reorder_quantity),
+      maxQuantity: form.max_quantity === '' ? null : parseFloat(form.max_quantity)
+    };
+    const unchanged =
+      settings.reorderPoint === (row ? row.reorder_point : null) &&
+      settings.reorderQuantity === (row ? row.reorder_quantity : null) &&
+      settings.maxQuantity === (row ? row.max_quantity : null);
+    if (unchanged) {
+      return true;
+    }
+
+    const res = await fetch(`${API_BASE}/inventory/reorder`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ storeId: store.id, productId, ...settings })
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      setError(body.error || 'Failed to save reorder settings');
+      return false;
+    }
+    return true;
+  };
+
+  // This store's own price; blank sells at the base price. Saved only when
+  // it changed.
+  const saveStorePrice = async (productId, row) => {
+    const price = form.store_price === '' ? null : parseFloat(form.store_price);
+    if (price === (row ? row.store_price : null)) {
+      return true;
+    }
+
+    const res = await fetch(`${API_BASE}/inventory/price`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ storeId: store.id, productId, price })
+    });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      setError(body.error || 'Failed to save store price');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      if (creating) {
+        const payload = {
+          sku: form.sku.trim(),
+          barcode: form.barcode.trim() || null,
+          name: form.name.trim(),
+          category: form.category.trim() || null,
+          price: parseFloat(form.price),
+          cost: form.cost === '' ? null : parseFloat(form.cost),
+          vendorId: form.vendor_id || null,
+          tax_rate: parseFloat(form.tax_rate),
+          track_lots: form.track_lots,
+          storeId: store.id,
+          quantity: parseFloat(form.quantity || '0'),
+          lotNumber: form.lot_number.trim() || null,
+          expiryDate: form.expiry_date || null
+        };
+
+        const res = await fetch(`${API_BASE}/products`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: JSON.stringify(payload)
+        });
+
+        if (!res.ok) {
+          const body = await res.json().catch(() => ({}));
+          setError(body.error || 'Failed to create product');
+          return;
+        }
+        const created = await res.json();
+        if (!(await saveReorderSettings(created.id, null))) {
+          return;
+        }
+        if (!(await saveStorePrice(created.id, null))) {
+          return;
+        }
+      } else if (editProduct) {
+        const productPayload = {
+          sku: form.sku.trim(),
+          barcode: form.barcode.trim() || null,
+          name: form.name.trim(),
+          category: form.category.trim() || null,
+          price: parseFloat(form.price),
+          cost: form.cost === '' ? null : parseFloat(form.cost),
+          vendorId: form.vendor_id || null,
+          tax_rate: parseFloat(form.tax_rate),
+          track_lots: form.track_lots
+        };
+
+        const resProd = await fetch(
+          `${API_BASE}/products/${editProduct.product_id}`,
+          {
+            method: 'PUT',
+            headers: {
+              'Content-Type': 'application/json',
+              Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify(productPayload)
+          }
+        );
+
+        if (!resProd.ok) {
+          const body = await resProd.json().catch(() => ({}));
+          setError(body.error || 'Failed to update product');
+          return;
+        }
+
+        // Only a changed quantity is an adjustment, and it needs a reason.
+        const newQuantity = parseFloat(form.quantity || '0');
+        if (newQuantity !== editProduct.quantity) {
+          const invPayload = {
+            storeId: store.id,
+            productId: editProduct.product_id,
+            quantity: newQuantity,
+            reason: form.reason,
+            note: form.note.trim() || null,
+            lotNumber: form.lot_number.trim() || null,
+            expiryDate: form.expiry_date || null
+          };
+
+          const resInv = await fetch(`${API_BASE}/inventory/set`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify(invPayload)
+          });
+
+          if (!resInv.ok) {
+            const body = await resInv.json().catch(() => ({}));
+            setError(body.error || 'Failed to update inventory');
+            return;
+          }
+        }
+
+        if (!(await saveReorderSettings(editProduct.product_id, editProduct))) {
+          return;
+        }
+        if (!(await saveStorePrice(editProduct.product_id, editProduct))) {
+          return;
+        }
+      }
+
+      await loadInventory();
+      if (stockCard && editProduct && stockCard.row.product_id === editProduct.product_id) {
+        await openStockCard(stockCard.row);
+      }
+      setEditProduct(null);
+      setCreating(false);
+    } catch (err) {
+      setError('Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <main className="pos-main">
+      <section className="pos-left">
+        <div className="inventory-header">
+          <h2>Inventory – {store.name}</h2>
+          <div>
+            <label className="low-stock-filter">
+              <input
+                type="checkbox"
+                checked={lowOnly}
+                onChange={(e) => setLowOnly(e.target.checked)}
+              />{' '}
+              Low stock only ({inventory.filter((row) => row.low_stock).length})
+            </label>
+            <button type="button" onClick={() => checkLedger(false)}>
+              Check ledger
+            </button>
+            <button type="button" onClick={() => exportCsv('inventory')}>
+              Export inventory
+            </button>
+            <button type="button" onClick={() => exportCsv('catalog')}>
+              Export catalog
+            </button>
+            <button type="button" onClick={() => setImporting(true)}>
+              Import CSV
+            </button>
+            <button type="button" onClick={startCreate}>
+              + Add Product
+            </button>
+          </div>
+        </div>
+        {importing && (
+          <CatalogImportPanel
+            token={token}
+            onImported={loadInventory}
+            onClose={() => setImporting(false)}
+          />
+        )}
+        {ledgerCheck && (
+          <div className="totals-panel">
+            {ledgerCheck.differences.length === 0 ? (
+              <div className="subtext">All quantities match the stock ledger.</div>
+            ) : (
+              <>
+                <div className="subtext">
+                  {ledgerCheck.applied
+                    ? 'Quantities reset to the stock ledger:'
+                    : 'These quantities differ from the stock ledger:'}
+                </div>
+                <table className="cart-table">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Qty</th>
+                      <th>Ledger</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ledgerCheck.differences.map((d) => (
+                      <tr key={d.product_id}>
+                        <td>{d.name || d.product_id}</td>
+                        <td>{d.quantity}</td>
+                        <td>{d.ledger_quantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!ledgerCheck.applied && (
+                  <button type="button" onClick={() => checkLedger(true)}>
+                    Rebuild from ledger
+                  </button>
+                )}
+              </>
+            )}
+            <button type="button" className="link-button" onClick={() => setLedgerCheck(null)}>
+              Close
+            </button>
+          </div>
+        )}
+        {loading ? (
+          <div>Loading inventory...</div>
+        ) : inventory.length === 0 ? (
+          <div className="empty">No products in inventory.</div>
+        ) : (
+          <table className="cart-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>SKU</th>
+                <th>Barcode</th>
+                <th>Price</th>
+                <th>Tax %</th>
+                <th>Qty</th>
+                <th>Reorder at</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {inventory
+                .filter((row) => !lowOnly || row.low_stock)
+                .map((row) => (
+                  <tr key={row.product_id} className={row.low_stock ? 'low-stock' : ''}>
+                    <td>{row.name}</td>
+                    <td>{row.sku}</td>
+                    <td>{row.barcode || '—'}</td>
+                    <td>
+                      {row.price.toFixed(2)}
+                      {row.store_price != null && (
+                        <div className="subtext">Base {row.base_price.toFixed(2)}</div>
+                      )}
+                    </td>
+                    <td>{row.tax_rate.toFixed(2)}</td>
+                    <td>
+                      {row.quantity}
+                      {row.on_order > 0 && <div className="subtext">+{row.on_order} on order</div>}
+                      {row.expired_quantity > 0 && (
+                        <div className="subtext expired">{row.expired_quantity} expired</div>
+                      )}
+                      {row.next_expiry && (
+                        <div className="subtext">Next expiry {toDateInput(row.next_expiry)}</div>
+                      )}
+                    </td>
+                    <td>{row.reorder_point ?? '—'}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => startEdit(row)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => openStockCard(row)}
+                      >
+                        Stock card
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        )}
+        {error && <div className="error">{error}</div>}
+
+        <PurchaseOrdersPanel
+          token={token}
+          store={store}
+          inventory={inventory}
+          vendors={vendors}
+          onVendorsChanged={loadVendors}
+          onStockChanged={loadInventory}
+        />
+        <TransfersPanel
+          token={token}
+          store={store}
+          inventory={inventory}
+          onStockChanged={loadInventory}
+        />
+        <ExpiringPanel
+          token={token}
+          store={store}
+          refreshKey={inventory}
+          onWriteOff={startWriteOff}
+        />
+        <RecallsPanel
+          token={token}
+          store={store}
+          inventory={inventory}
+          onStockChanged={loadInventory}
+        />
+        <PriceChangesPanel
+          token={token}
+          store={store}
+          inventory={inventory}
+          onApplied={loadInventory}
+        />
+      </section>
+
+      <section className="pos-right">
+        <div className="totals-panel">
+          <h2>{creating ? 'Add Product' : editProduct ? 'Edit Product' : 'Details'}</h2>
+          {(creating || editProduct) && (
+            <form className="form" onSubmit={handleSave}>
+              <label>
+                Name
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => handleFormChange('name', e.target.value)}
+                  required
+                />
+              </label>
+              <label>
+                SKU
+                <input
+                  type="text"
+                  value={form.sku}
+                  onChange={(e) => handleFormChange('sku', e.target.value)}
+                  required
+                />
+              </label>
+              <label>
+                Barcode
+                <input
+                  type="text"
+                  value={form.barcode}
+                  onChange={(e) => handleFormChange('barcode', e.target.value)}
+                />
+              </label>
+              <label>
+                Category
+                <input
+                  type="text"
+                  value={form.category}
+                  onChange={(e) => handleFormChange('category', e.target.value)}
+                />
+              </label>
+              <div className="reorder-fields">
+                <label>
+                  Base price
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={form.price}
+                    onChange={(e) => handleFormChange('price', e.target.value)}
+                    required
+                  />
+                </label>
+                <label>
+                  {store.code} price
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={form.store_price}
+                    onChange={(e) => handleFormChange('store_price', e.target.value)}
+                    placeholder="Base price"
+                  />
+                </label>
+              </div>
+              <label>
+                Unit cost
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.cost}
+                  onChange={(e) => handleFormChange('cost', e.target.value)}
+                />
+                {editProduct && editProduct.avg_cost != null && (
+                  <span className="subtext">
+                    {store.code} average cost {Number(editProduct.avg_cost).toFixed(2)}
+                  </span>
+                )}
+              </label>
+              <label>
+                Vendor
+                <select
+                  value={form.vendor_id}
+                  onChange={(e) => handleFormChange('vendor_id', e.target.value)}
+                >
+                  <option value="">No preferred vendor</option>
+                  {vendors
+                    .filter((v) => v.active || v.id === form.vendor_id)
+                    .map((v) => (
+                      <option key={v.id} value={v.id}>
+                        {v.name}
+                      </option>
+                    ))}
+                </select>
+              </label>
+              <label>
+                Tax rate (%)
+                <input
+                  type="number"
+                  step="0.01"
+                  value={form.tax_rate}
+                  onChange={(e) => handleFormChange('tax_rate', e.target.value)}
+                  required
+                />
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.track_lots}
+                  onChange={(e) => handleFormChange('track_lots', e.target.checked)}
+                />{' '}
+                Track lots and expiry dates
+              </label>
+              <label>
+                Quantity (for this store)
+                <input
+                  type="number"
+                  step="0.01"
+                  value={form.quantity}
+                  onChange={(e) => handleFormChange('quantity', e.target.value)}
+                />
+              </label>
+              <div className="reorder-fields">
+                <label>
+                  Reorder point
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    value={form.reorder_point}
+                    onChange={(e) => handleFormChange('reorder_point', e.target.value)}
+                  />
+                </label>
+                <label>
+                  Reorder qty
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    value={form.reorder_quantity}
+                    onChange={(e) => handleFormChange('reorder_quantity', e.target.value)}
+                  />
+                </label>
+                <label>
+                  Max
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    value={form.max_quantity}
+                    onChange={(e) => handleFormChange('max_quantity', e.target.value)}
+                  />
+                </label>
+              </div>
+              {form.track_lots &&
+                (creating
+                  ? parseFloat(form.quantity || '0') > 0
+                  : editProduct.track_lots &&
+                    parseFloat(form.quantity || '0') !== editProduct.quantity) && (
+                  <div className="lot-fields">
+                    <label>
+                      Lot #
+                      <input
+                        type="text"
+                        value={form.lot_number}
+                        onChange={(e) => handleFormChange('lot_number', e.target.value)}
+                        placeholder={creating ? '' : 'Blank: first to expire'}
+                      />
+                    </label>
+                    <label>
+                      Expiry date
+                      <input
+                        type="date"
+                        value={form.expiry_date}
+                        onChange={(e) => handleFormChange('expiry_date', e.target.value)}
+                      />
+                    </label>
+                  </div>
+                )}
+              {editProduct && parseFloat(form.quantity || '0') !== editProduct.quantity && (
+                <>
+                  <label>
+                    Adjustment reason
+                    <select
+                      value={form.reason}
+                      onChange={(e) => handleFormChange('reason', e.target.value)}
+                      required
+                    >
+                      <option value="">Choose reason...</option>
+                      {reasons
+                        .filter((r) => r.active)
+                        .map((r) => (
+                          <option key={r.code} value={r.code}>
+                            {r.label}
+                            {r.shrink ? ' (shrink)' : ''}
+                          </option>
+                        ))}
+                    </select>
+                  </label>
+                  <label>
+                    Adjustment note
+                    <input
+                      type="text"
+                      value={form.note}
+                      onChange={(e) => handleFormChange('note', e.target.value)}
+                      placeholder="Details, e.g. what was damaged"
+                    />
+                  </label>
+                </>
+              )}
+
+              <button type="submit" className="primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </form>
+          )}
+          {!creating && !editProduct && (
+            <p className="subtext">
+              Select a product from the left to edit details and quantity, or click
+              &quot;Add Product&quot; to create a new one.
+            </p>
+          )}
+        </div>
+
+        <AdjustmentReasonsPanel token={token} reasons={reasons} onChanged={loadReasons} />
+
+        {stockCard && (
+          <div className="cart">
+            <div className="inventory-header">
+              <h2>Stock card – {stockCard.name}</h2>
+              <button type="button" className="link-button" onClick={() => setStockCard(null)}>
+                Close
+              </button>
+            </div>
+            <div className="subtext">
+              SKU: {stockCard.sku} | On hand: {stockCard.quantity}
+            </div>
+            {stockCard.lots.length > 0 && (
+              <table className="cart-table">
+                <thead>
+                  <tr>
+                    <th>Lot</th>
+                    <th>Expires</th>
+                    <th>Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stockCard.lots.map((lot) => (
+                    <tr key={lot.id} className={lot.expired ? 'expired' : ''}>
+                      <td>{lot.lot_number}</td>
+                      <td>
+                        {lot.expiry_date ? toDateInput(lot.expiry_date) : '—'}
+                        {lot.expired && ' (expired)'}
+                      </td>
+                      <td>{lot.quantity}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {stockCard.prices && <PriceHistoryTable prices={stockCard.prices} />}
+            {stockCard.movements.length === 0 ? (
+              <div className="empty">No stock movements.</div>
+            ) : (
+              <table className="cart-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Reason</th>
+                    <th>Reference</th>
+                    <th>Change</th>
+                    <th>Balance</th>
+                    <th>User</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stockCard.movements.map((m) => (
+                    <tr key={m.id}>
+                      <td>{new Date(m.created_at).toLocaleString()}</td>
+                      <td>
+                        {m.reason}
+                        {m.reason_code && ` – ${m.reason_code}`}
+                        {m.note && <div className="subtext">{m.note}</div>}
+                        {m.lots.length > 0 && (
+                          <div className="subtext">
+                            Lots: {m.lots.map((l) => `${l.lot_number} × ${l.quantity}`).join(', ')}
+                          </div>
+                        )}
+                      </td>
+                      <td>{m.ref_label || '—'}</td>
+                      <td>
+                        {m.delta > 0 ? `+${m.delta}` : m.delta}
+                        {m.cost_impact != null && (
+                          <div className="subtext">{m.cost_impact.toFixed(2)}</div>
+                        )}
+                      </td>
+                      <td>{m.quantity_after}</td>
+                      <td>{m.user_name || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
+
+const EMPTY_COUPON_FORM = {
+  code: '',
+  description: '',
+  type: 'percent',
+  value: '',
+  productId: '',
+  minSubtotal: '',
+  startsAt: '',
+  endsAt: '',
+  maxUses: '',
+  active: true
+};
+
+function toDateInput(value) {
+  return value ? String(value).slice(0, 10) : '';
+}
+
+function DiscountsPage({ token }) {
+  const [coupons, setCoupons] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editCoupon, setEditCoupon] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState(EMPTY_COUPON_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const loadCoupons = async () => {
+    try {
+      setLoading(true);
+      const [couponRes, productRes] = await Promise.all([
+        fetch(`${API_BASE}/coupons`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }),
+        fetch(`${API_BASE}/products`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        })
+      ]);
+      setCoupons(await couponRes.json());
+      setProducts(await productRes.json());
+    } catch (err) {
+      setError('Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCoupons();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const productName = (id) => {
+    const p = products.find((prod) => prod.id === id);
+    return p ? p.name : '—';
+  };
+
+  const startCreate = () => {
+    setEditCoupon(null);
+    setForm(EMPTY_COUPON_FORM);
+    setCreating(true);
+  };
+
+  const startEdit = (coupon) => {
+    setCreating(false);
+    setEditCoupon(coupon);
+    setForm({
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: String(coupon.value),
+      productId: coupon.product_id || '',
+      minSubtotal: coupon.min_subtotal ? String(coupon.min_subtotal) : '',
+      startsAt: toDateInput(coupon.starts_at),
+      endsAt: toDateInput(coupon.ends_at),
+      maxUses: coupon.max_uses != null ? String(coupon.max_uses) : '',
+      active: coupon.active
+    });
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm((f) => ({ ...f, [field]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    const payload = {
+      code: form.code.trim(),
+      description: form.description.trim(),
+      type: form.type,
+      value: parseFloat(form.value),
+      productId: form.productId || null,
+      minSubtotal: form.minSubtotal ? parseFloat(form.minSubtotal) : 0,
+      startsAt: form.startsAt || null,
+      endsAt: form.endsAt ? `${form.endsAt}T23:59:59` : null,
+      maxUses: form.maxUses ? parseInt(form.maxUses, 10) : null,
+      active: form.active
+    };
+
+    try {
+      const url = creating
+        ? `${API_BASE}/coupons`
+        : `${API_BASE}/coupons/${editCoupon.id}`;
+      const res = await fetch(url, {
+        method: creating ? 'POST' : 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to save coupon');
+        return;
+      }
+      await loadCoupons();
+      setEditCoupon(null);
+      setCreating(false);
+    } catch (err) {
+      setError('Failed to save coupon');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <main className="pos-main">
+      <section className="pos-left">
+        <div className="inventory-header">
+          <h2>Coupons</h2>
+          <button type="button" onClick={startCreate}>
+            + Add Coupon
+          </button>
+        </div>
+        {loading ? (
+          <div>Loading coupons...</div>
+        ) : coupons.length === 0 ? (
+          <div className="empty">No coupons defined.</div>
+        ) : (
+          <table className="cart-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Discount</th>
+                <th>Applies to</th>
+                <th>Valid</th>
+                <th>Uses</th>
+                <th>Active</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {coupons.map((c) => (
+                <tr key={c.id}>
+                  <td>
+                    <div>{c.code}</div>
+                    {c.description && <div className="subtext">{c.description}</div>}
+                  </td>
+                  <td>
+                    {c.type === 'percent' ? `${c.value}%` : c.value.toFixed(2)} off
+                  </td>
+                  <td>
+                    {c.product_id ? productName(c.product_id) : 'Whole cart'}
+                    {c.min_subtotal > 0 && (
+                      <div className="subtext">Min {c.min_subtotal.toFixed(2)}</div>
+                    )}
+                  </td>
+                  <td>
+                    {toDateInput(c.starts_at) || '…'} – {toDateInput(c.ends_at) || '…'}
+                  </td>
+                  <td>
+                    {c.use_count}
+                    {c.max_uses != null ? ` / ${c.max_uses}` : ''}
+                  </td>
+                  <td>{c.active ? 'Yes' : 'No'}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => startEdit(c)}
+                    >
+                      Edit
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {error && <div className="error">{error}</div>}
+      </section>
+
+      <section className="pos-right">
+        <div className="totals-panel">
+          <h2>{creating ? 'Add Coupon' : editCoupon ? 'Edit Coupon' : 'Details'}</h2>
+          {(creating || editCoupon) && (
+            <form className="form" onSubmit={handleSave}>
+              <label>
+                Code
+                <input
+                  type="text"
+                  value={form.code}
+                  onChange={(e) => handleFormChange('code', e.target.value)}
+                  required
+                />
+              </label>
+              <label>
+                Description
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => handleFormChange('description', e.target.value)}
+                />
+              </label>
+              <label>
+                Type
+                <select
+                  value={form.type}
+                  onChange={(e) => handleFormChange('type', e.target.value)}
+                >
+                  <option value="percent">Percent off</option>
+                  <option value="amount">Amount off</option>
+                </select>
+              </label>
+              <label>
+                Value
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.value}
+                  onChange={(e) => handleFormChange('value', e.target.value)}
+                  required
+                />
+              </label>
+              <label>
+                Product (blank = whole cart)
+                <select
+                  value={form.productId}
+                  onChange={(e) => handleFormChange('productId', e.target.value)}
+                >
+                  <option value="">Whole cart</option>
+                  {products.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name} ({p.sku})
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Minimum subtotal
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.minSubtotal}
+                  onChange={(e) => handleFormChange('minSubtotal', e.target.value)}
+                />
+              </label>
+              <label>
+                Starts
+                <input
+                  type="date"
+                  value={form.startsAt}
+                  onChange={(e) => handleFormChange('startsAt', e.target.value)}
+                />
+              </label>
+              <label>
+                Ends
+                <input
+                  type="date"
+                  value={form.endsAt}
+                  onChange={(e) => handleFormChange('endsAt', e.target.value)}
+                />
+              </label>
+              <label>
+                Max uses (blank = unlimited)
+                <input
+                  type="number"
+                  step="1"
+                  min="0"
+                  value={form.maxUses}
+                  onChange={(e) => handleFormChange('maxUses', e.target.value)}
+                />
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => handleFormChange('active', e.target.checked)}
+                />{' '}
+                Active
+              </label>
+
+              <button type="submit" className="primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </form>
+          )}
+          {!creating && !editCoupon && (
+            <p className="subtext">
+              Select a coupon to edit it, or click &quot;Add Coupon&quot; to create
+              a new code.
+            </p>
+          )}
+        </div>
+      </section>
+    </main>
   );
 }
 
-function InventoryPage({ token, store }) {
-  const [inventory, setInventory] = useState([]);
+const EMPTY_PROMOTION_FORM = {
+  name: '',
+  type: 'BOGO',
+  productIds: [],
+  category: '',
+  storeIds: [],
+  buyQuantity: '1',
+  getQuantity: '1',
+  getPercent: '100',
+  quantity: '',
+  price: '',
+  startsAt: '',
+  endsAt: '',
+  active: true
+};
+
+function describePromotion(p) {
+  if (p.type === 'BOGO') {
+    const off = p.get_percent >= 100 ? 'free' : `${p.get_percent}% off`;
+    return `Buy ${p.buy_quantity}, get ${p.get_quantity} ${off}`;
+  }
+  if (p.type === 'MIX_MATCH') {
+    return `Any ${p.quantity} for ${p.price.toFixed(2)}`;
+  }
+  return `${p.price.toFixed(2)} each for ${p.quantity}+`;
+}
+
+function PromotionsPage({ token }) {
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [stores, setStores] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [editProduct, setEditProduct] = useState(null); // product/inventory row
-  const [form, setForm] = useState({
-    sku: '',
-    barcode: '',
-    name: '',
-    category: '',
-    price: '',
-    tax_rate: '',
-    quantity: ''
-  });
-  const [saving, setSaving] = useState(false);
+  const [editPromotion, setEditPromotion] = useState(null);
   const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState(EMPTY_PROMOTION_FORM);
+  const [saving, setSaving] = useState(false);
 
-  const loadInventory = async () => {
+  const loadPromotions = async () => {
     try {
       setLoading(true);
-      const params = new URLSearchParams({ storeId: String(store.id) });
-      const res = await fetch(`${API_BASE}/inventory?` + params.toString(), {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
-      const data = await res.json();
-      setInventory(data);
+      const headers = { Authorization: `Bearer ${token}` };
+      const [promoRes, productRes, storeRes] = await Promise.all([
+        fetch(`${API_BASE}/promotions`, { headers }),
+        fetch(`${API_BASE}/products`, { headers }),
+        fetch(`${API_BASE}/stores`, { headers })
+      ]);
+      setPromotions(await promoRes.json());
+      setProducts(await productRes.json());
+      setStores(await storeRes.json());
     } catch (err) {
-      setError('Failed to load inventory');
+      setError('Failed to load promotions');
     } finally {
       setLoading(false);
     }
   };
 
   useEffect(() => {
-    loadInventory();
+    loadPromotions();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [store.id, token]);
+  }, [token]);
 
-  const startCreate = () => {
-    setEditProduct(null);
-    setForm({
-      sku: '',
-      barcode: '',
-      name: '',
-      category: '',
-      price: '',
-      tax_rate: '',
-      quantity: ''
+  const categories = useMemo(
+    () => [...new Set(products.map((p) => p.category).filter(Boolean))].sort(),
+    [products]
+  );
+
+  const describeItems = (p) => {
+    const names = p.product_ids.map((id) => {
+      const prod = products.find((x) => x.id === id);
+      return prod ? prod.name : id;
     });
+    if (p.category) names.push(`category ${p.category}`);
+    return names.join(', ');
+  };
+
+  const describeStores = (p) =>
+    p.store_ids.length === 0
+      ? 'All stores'
+      : p.store_ids
+          .map((id) => {
+            const st = stores.find((x) => x.id === id);
+            return st ? st.code : id;
+          })
+          .join(', ');
+
+  const startCreate = () => {
+    setEditPromotion(null);
+    setForm(EMPTY_PROMOTION_FORM);
     setCreating(true);
   };
 
-  const startEdit = (row) => {
+  const startEdit = (p) => {
     setCreating(false);
-    setEditProduct(row);
+    setEditPromotion(p);
     setForm({
-      sku: row.sku || '',
-      barcode: row.barcode || '',
-      name: row.name || '',
-      category: row.category || '',
-      price: String(row.price ?? ''),
-      tax_rate: String(row.tax_rate ?? ''),
-      quantity: String(row.quantity ?? '')
+      name: p.name,
+      type: p.type,
+      productIds: p.product_ids,
+      category: p.category || '',
+      storeIds: p.store_ids,
+      buyQuantity: p.buy_quantity != null ? String(p.buy_quantity) : '1',
+      getQuantity: p.get_quantity != null ? String(p.get_quantity) : '1',
+      getPercent: String(p.get_percent ?? 100),
+      quantity: p.quantity != null ? String(p.quantity) : '',
+      price: p.price != null ? String(p.price) : '',
+      startsAt: toDateInput(p.starts_at),
+      endsAt: toDateInput(p.ends_at),
+      active: p.active
     });
   };
 
@@ -989,93 +6265,61 @@ function InventoryPage({ token, store }) {
     setForm((f) => ({ ...f, [field]: value }));
   };
 
+  const toggleStore = (id) => {
+    setForm((f) => ({
+      ...f,
+      storeIds: f.storeIds.includes(id)
+        ? f.storeIds.filter((s) => s !== id)
+        : [...f.storeIds, id]
+    }));
+  };
+
   const handleSave = async (e) => {
     e.preventDefault();
     setSaving(true);
     setError('');
 
-    try {
-      if (creating) {
-        const payload = {
-          sku: form.sku.trim(),
-          barcode: form.barcode.trim() || null,
-          name: form.name.trim(),
-          category: form.category.trim() || null,
-          price: parseFloat(form.price),
-          tax_rate: parseFloat(form.tax_rate),
-          storeId: store.id,
-          quantity: parseFloat(form.quantity || '0')
-        };
-
-        const res = await fetch(`${API_BASE}/products`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`
-          },
-          body: JSON.stringify(payload)
-        });
-
-        if (!res.ok) {
-          const body = await res.json().catch(() => ({}));
-          setError(body.error || 'Failed to create product');
-          return;
-        }
-      } else if (editProduct) {
-        const productPayload = {
-          sku: form.sku.trim(),
-          barcode: form.barcode.trim() || null,
-          name: form.name.trim(),
-          category: form.category.trim() || null,
-          price: parseFloat(form.price),
-          tax_rate: parseFloat(form.tax_rate)
-        };
-
-        const resProd = await fetch(
-          `${API_BASE}/products/${editProduct.product_id}`,
-          {
-            method: 'PUT',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${token}`
-            },
-            body: JSON.stringify(productPayload)
-          }
-        );
-
-        if (!resProd.ok) {
-          const body = await resProd.json().catch(() => ({}));
-          setError(body.error || 'Failed to update product');
-          return;
-        }
-
-        const invPayload = {
-          storeId: store.id,
-          productId: editProduct.product_id,
-          quantity: parseFloat(form.quantity || '0')
-        };
-
-        const resInv = await fetch(`${API_BASE}/inventory/set`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`
-          },
-          body: JSON.stringify(invPayload)
-        });
+    const payload = {
+      name: form.name.trim(),
+      type: form.type,
+      productIds: form.productIds,
+      category: form.category || null,
+      storeIds: form.storeIds,
+      startsAt: form.startsAt || null,
+      endsAt: form.endsAt ? `${form.endsAt}T23:59:59` : null,
+      active: form.active
+    };
+    if (form.type === 'BOGO') {
+      payload.buyQuantity = parseInt(form.buyQuantity, 10);
+      payload.getQuantity = parseInt(form.getQuantity, 10);
+      payload.getPercent = parseFloat(form.getPercent);
+    } else {
+      payload.quantity = parseInt(form.quantity, 10);
+      payload.price = parseFloat(form.price);
+    }
 
-        if (!resInv.ok) {
-          const body = await resInv.json().catch(() => ({}));
-          setError(body.error || 'Failed to update inventory');
-          return;
-        }
+    try {
+      const url = creating
+        ? `${API_BASE}/promotions`
+        : `${API_BASE}/promotions/${editPromotion.id}`;
+      const res = await fetch(url, {
+        method: creating ? 'POST' : 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(payload)
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to save promotion');
+        return;
       }
-
-      await loadInventory();
-      setEditProduct(null);
+      await loadPromotions();
+      setEditPromotion(null);
       setCreating(false);
     } catch (err) {
-      setError('Failed to save changes');
+      setError('Failed to save promotion');
     } finally {
       setSaving(false);
     }
@@ -1085,42 +6329,45 @@ function InventoryPage({ token, store }) {
     <main className="pos-main">
       <section className="pos-left">
         <div className="inventory-header">
-          <h2>Inventory – {store.name}</h2>
+          <h2>Promotions</h2>
           <button type="button" onClick={startCreate}>
-            + Add Product
+            + Add Promotion
           </button>
         </div>
         {loading ? (
-          <div>Loading inventory...</div>
-        ) : inventory.length === 0 ? (
-          <div className="empty">No products in inventory.</div>
+          <div>Loading promotions...</div>
+        ) : promotions.length === 0 ? (
+          <div className="empty">No promotions defined.</div>
         ) : (
           <table className="cart-table">
             <thead>
               <tr>
-                <th>Item</th>
-                <th>SKU</th>
-                <th>Barcode</th>
-                <th>Price</th>
-                <th>Tax %</th>
-                <th>Qty</th>
+                <th>Promotion</th>
+                <th>Items</th>
+                <th>Stores</th>
+                <th>Valid</th>
+                <th>Active</th>
                 <th />
               </tr>
             </thead>
             <tbody>
-              {inventory.map((row) => (
-                <tr key={row.product_id}>
-                  <td>{row.name}</td>
-                  <td>{row.sku}</td>
-                  <td>{row.barcode || '—'}</td>
-                  <td>{row.price.toFixed(2)}</td>
-                  <td>{row.tax_rate.toFixed(2)}</td>
-                  <td>{row.quantity}</td>
+              {promotions.map((p) => (
+                <tr key={p.id}>
+                  <td>
+                    <div>{p.name}</div>
+                    <div className="subtext">{describePromotion(p)}</div>
+                  </td>
+                  <td>{describeItems(p)}</td>
+                  <td>{describeStores(p)}</td>
+                  <td>
+                    {toDateInput(p.starts_at) || '…'} – {toDateInput(p.ends_at) || '…'}
+                  </td>
+                  <td>{p.active ? 'Yes' : 'No'}</td>
                   <td>
                     <button
                       type="button"
                       className="link-button"
-                      onClick={() => startEdit(row)}
+                      onClick={() => startEdit(p)}
                     >
                       Edit
                     </button>
@@ -1135,11 +6382,13 @@ function InventoryPage({ token, store }) {
 
       <section className="pos-right">
         <div className="totals-panel">
-          <h2>{creating ? 'Add Product' : editProduct ? 'Edit Product' : 'Details'}</h2>
-          {(creating || editProduct) && (
+          <h2>
+            {creating ? 'Add Promotion' : editPromotion ? 'Edit Promotion' : 'Details'}
+          </h2>
+          {(creating || editPromotion) && (
             <form className="form" onSubmit={handleSave}>
               <label>
-                Name
+                Name (printed on receipt)
                 <input
                   type="text"
                   value={form.name}
@@ -1148,58 +6397,148 @@ function InventoryPage({ token, store }) {
                 />
               </label>
               <label>
-                SKU
-                <input
-                  type="text"
-                  value={form.sku}
-                  onChange={(e) => handleFormChange('sku', e.target.value)}
-                  required
-                />
+                Type
+                <select
+                  value={form.type}
+                  onChange={(e) => handleFormChange('type', e.target.value)}
+                >
+                  <option value="BOGO">Buy X get Y</option>
+                  <option value="MIX_MATCH">Mix and match (any N for a price)</option>
+                  <option value="QTY_BREAK">Quantity price break</option>
+                </select>
               </label>
+              {form.type === 'BOGO' ? (
+                <>
+                  <label>
+                    Buy quantity
+                    <input
+                      type="number"
+                      step="1"
+                      min="1"
+                      value={form.buyQuantity}
+                      onChange={(e) => handleFormChange('buyQuantity', e.target.value)}
+                      required
+                    />
+                  </label>
+                  <label>
+                    Get quantity
+                    <input
+                      type="number"
+                      step="1"
+                      min="1"
+                      value={form.getQuantity}
+                      onChange={(e) => handleFormChange('getQuantity', e.target.value)}
+                      required
+                    />
+                  </label>
+                  <label>
+                    % off the free items (100 = free)
+                    <input
+                      type="number"
+                      step="1"
+                      min="1"
+                      max="100"
+                      value={form.getPercent}
+                      onChange={(e) => handleFormChange('getPercent', e.target.value)}
+                      required
+                    />
+                  </label>
+                </>
+              ) : (
+                <>
+                  <label>
+                    {form.type === 'MIX_MATCH' ? 'Items in the bundle' : 'Minimum quantity'}
+                    <input
+                      type="number"
+                      step="1"
+                      min="1"
+                      value={form.quantity}
+                      onChange={(e) => handleFormChange('quantity', e.target.value)}
+                      required
+                    />
+                  </label>
+                  <label>
+                    {form.type === 'MIX_MATCH' ? 'Bundle price' : 'Price each'}
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={form.price}
+                      onChange={(e) => handleFormChange('price', e.target.value)}
+                      required
+                    />
+                  </label>
+                </>
+              )}
               <label>
-                Barcode
-                <input
-                  type="text"
-                  value={form.barcode}
-                  onChange={(e) => handleFormChange('barcode', e.target.value)}
-                />
+                Products
+                <select
+                  multiple
+                  value={form.productIds}
+                  onChange={(e) =>
+                    handleFormChange(
+                      'productIds',
+                      Array.from(e.target.selectedOptions).map((o) => o.value)
+                    )
+                  }
+                >
+                  {products.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name} ({p.sku})
+                    </option>
+                  ))}
+                </select>
               </label>
               <label>
                 Category
-                <input
-                  type="text"
+                <select
                   value={form.category}
                   onChange={(e) => handleFormChange('category', e.target.value)}
-                />
+                >
+                  <option value="">—</option>
+                  {categories.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
               </label>
+              <div>
+                Stores (none = all)
+                {stores.map((st) => (
+                  <label key={st.id}>
+                    <input
+                      type="checkbox"
+                      checked={form.storeIds.includes(st.id)}
+                      onChange={() => toggleStore(st.id)}
+                    />{' '}
+                    {st.code} - {st.name}
+                  </label>
+                ))}
+              </div>
               <label>
-                Price
+                Starts
                 <input
-                  type="number"
-                  step="0.01"
-                  value={form.price}
-                  onChange={(e) => handleFormChange('price', e.target.value)}
-                  required
+                  type="date"
+                  value={form.startsAt}
+                  onChange={(e) => handleFormChange('startsAt', e.target.value)}
                 />
               </label>
               <label>
-                Tax rate (%)
+                Ends
                 <input
-                  type="number"
-                  step="0.01"
-                  value={form.tax_rate}
-                  onChange={(e) => handleFormChange('tax_rate', e.target.value)}
-                  required
+                  type="date"
+                  value={form.endsAt}
+                  onChange={(e) => handleFormChange('endsAt', e.target.value)}
                 />
               </label>
               <label>
-                Quantity (for this store)
                 <input
-                  type="number"
-                  step="0.01"
-                  value={form.quantity}
-                  onChange={(e) => handleFormChange('quantity', e.target.value)}
-                />
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => handleFormChange('active', e.target.checked)}
+                />{' '}
+                Active
               </label>
 
               <button type="submit" className="primary" disabled={saving}>
@@ -1207,10 +6546,10 @@ function InventoryPage({ token, store }) {
               </button>
             </form>
           )}
-          {!creating && !editProduct && (
+          {!creating && !editPromotion && (
             <p className="subtext">
-              Select a product from the left to edit details and quantity, or click
-              &quot;Add Product&quot; to create a new one.
+              Promotions apply automatically at checkout, before manual discounts
+              and coupons. Each cart line gets at most one promotion.
             </p>
           )}
         </div>
@@ -1363,14 +6702,16 @@ function ReceiptDesignerPage({ token, store }) {
     store_phone: '555-123-4567',
     store_code: store.code,
     register_code: 'R1',
-    tc_number: '20250101-001-R1-1200-000001',
+    tc_number: '20250101-001-R1-1200-000001-65',
     date: '2025-01-01 12:00',
     cashier_name: 'demo.cashier',
     tx_type: previewType,
     payment_method: previewType === 'SALE' ? 'card' : 'cash',
     subtotal: '10.00',
     tax_total: '1.00',
-    total: previewType === 'SALE' ? '11.00' : '-11.00'
+    total: previewType === 'SALE' ? '11.00' : '-11.00',
+    cash_tendered: '',
+    change_due: '0.00'
   };
 
   const renderedHeader = applyTemplate(header, sampleContext) || '(no header)';
@@ -1489,7 +6830,7 @@ Total:    ${sampleContext.total}`}
               <li>
                 Totals:{' '}
                 <code>
-                  {'{{subtotal}} {{tax_total}} {{total}}'}
+                  {'{{subtotal}} {{tax_total}} {{total}} {{cash_tendered}} {{change_due}}'}
                 </code>
               </li>
             </ul>
@@ -1500,7 +6841,232 @@ Total:    ${sampleContext.total}`}
   );
 }
 
-function ReportsPage({ token, user, store }) {
+function RegisterReportsPanel({ token, store, register }) {
+  const [zReports, setZReports] = useState([]);
+  const [reportText, setReportText] = useState('');
+  const [activeZ, setActiveZ] = useState(null); // Z report currently shown
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const formatMoney = (value) => {
+    const num = Number(value) || 0;
+    const sign = num < 0 ? '-' : '';
+    return sign + Math.abs(num).toFixed(2);
+  };
+
+  const loadZReports = async () => {
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      const res = await fetch(`${API_BASE}/reports/z?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to load Z reports');
+        return;
+      }
+      setZReports(await res.json());
+    } catch (err) {
+      setError('Failed to load Z reports');
+    }
+  };
+
+  useEffect(() => {
+    loadZReports();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [store.id, token]);
+
+  const runXReport = async (registerOnly) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const params = new URLSearchParams({ storeId: String(store.id) });
+      if (registerOnly) {
+        params.set('registerId', String(register.id));
+      }
+      const res = await fetch(`${API_BASE}/reports/x?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to run X report');
+        return;
+      }
+      const data = await res.json();
+      setActiveZ(null);
+      setReportText(data.reportText);
+    } catch (err) {
+      setError('Failed to run X report');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runZReport = async (registerOnly) => {
+    const scopeLabel = registerOnly ? `register ${register.code}` : 'the whole store';
+    if (!window.confirm(`Run the Z report for ${scopeLabel}? This closes the period.`)) {
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}/reports/z`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          storeId: store.id,
+          registerId: registerOnly ? register.id : null
+        })
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to run Z report');
+        return;
+      }
+      const data = await res.json();
+      setActiveZ(data.report);
+      setReportText(data.reportText);
+      await loadZReports();
+    } catch (err) {
+      setError('Failed to run Z report');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const viewZReport = async (z) => {
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}/reports/z/${z.id}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to load Z report');
+        return;
+      }
+      const data = await res.json();
+      setActiveZ(data.report);
+      setReportText(data.reportText);
+    } catch (err) {
+      setError('Failed to load Z report');
+    }
+  };
+
+  const printZReport = async (z) => {
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(`${API_BASE}/reports/z/${z.id}/print`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to print Z report');
+        return;
+      }
+      const data = await res.json();
+      setNotice(
+        data.job
+          ? `Z report #${z.number} queued as print job #${data.job.id}.`
+          : `Z report #${z.number} sent to the print agent.`
+      );
+    } catch (err) {
+      setError('Failed to print Z report');
+    }
+  };
+
+  return (
+    <div className="cart">
+      <h2>X / Z Reports</h2>
+      <div className="store-actions">
+        <button type="button" disabled={busy} onClick={() => runXReport(true)}>
+          X – {register.code}
+        </button>
+        <button type="button" disabled={busy} onClick={() => runXReport(false)}>
+          X – store
+        </button>
+        <button type="button" disabled={busy} onClick={() => runZReport(true)}>
+          Z – {register.code}
+        </button>
+        <button type="button" disabled={busy} onClick={() => runZReport(false)}>
+          Z – store
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+      {notice && <div className="subtext">{notice}</div>}
+      {reportText && (
+        <div className="receipt-box">
+          <pre>{reportText}</pre>
+          {activeZ && (
+            <button type="button" onClick={() => printZReport(activeZ)}>
+              Print Z #{activeZ.number}
+            </button>
+          )}
+        </div>
+      )}
+      {zReports.length > 0 && (
+        <table className="cart-table">
+          <thead>
+            <tr>
+              <th>Z#</th>
+              <th>Scope</th>
+              <th>Closed</th>
+              <th>Net</th>
+              <th>Over/short</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {zReports.map((z) => (
+              <tr key={z.id}>
+                <td>{z.number}</td>
+                <td>{z.register_id ? (z.register_id === register.id ? register.code : 'Register') : 'Store'}</td>
+                <td>{new Date(z.period_end).toLocaleString()}</td>
+                <td>{formatMoney(z.net_total)}</td>
+                <td>{formatMoney(z.over_short)}</td>
+                <td>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => viewZReport(z)}
+                  >
+                    View
+                  </button>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => printZReport(z)}
+                  >
+                    Print
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function ReportsPage({ token, user, store, register }) {
   const [from, setFrom] = useState(() => {
     const today = new Date();
     const d = new Date(today);
@@ -1514,6 +7080,9 @@ function ReportsPage({ token, user, store }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [report, setReport] = useState(null);
+  const [overrides, setOverrides] = useState(null); // price override audit
+  const [shrink, setShrink] = useState(null); // shrink and adjustments
+  const [valuation, setValuation] = useState(null); // stock on hand at cost
 
   const formatMoney = (value) => {
     const num = Number(value) || 0;
@@ -1521,6 +7090,9 @@ function ReportsPage({ token, user, store }) {
     return sign + Math.abs(num).toFixed(2);
   };
 
+  // margin % of costed sales; blank when nothing sold had a cost
+  const formatMargin = (value) => (value != null ? `${value.toFixed(1)}%` : '—');
+
   const loadReport = async () => {
     setLoading(true);
     setError('');
@@ -1546,6 +7118,33 @@ function ReportsPage({ token, user, store }) {
       }
       const data = await res.json();
       setReport(data);
+
+      const overrideRes = await fetch(
+        `${API_BASE}/reports/price-overrides?${params.toString()}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      setOverrides(overrideRes.ok ? await overrideRes.json() : null);
+
+      const shrinkRes = await fetch(`${API_BASE}/reports/shrink?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      setShrink(shrinkRes.ok ? await shrinkRes.json() : null);
+
+      const valuationRes = await fetch(
+        `${API_BASE}/reports/valuation?storeId=${encodeURIComponent(store.id)}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      setValuation(valuationRes.ok ? await valuationRes.json() : null);
     } catch (err) {
       setError('Failed to load report');
       setReport(null);
@@ -1603,15 +7202,42 @@ function ReportsPage({ token, user, store }) {
               <span>Refunds</span>
               <span>{formatMoney(report.summary.refunds_total)}</span>
             </div>
+            <div className="totals-row">
+              <span>Post-voids ({report.summary.void_count || 0})</span>
+              <span>{formatMoney(report.summary.voids_total)}</span>
+            </div>
+            <div className="totals-row">
+              <span>Discounts</span>
+              <span>{formatMoney(report.summary.discount_total)}</span>
+            </div>
             <div className="totals-row total">
               <span>Net total</span>
               <span>{formatMoney(report.summary.net_total)}</span>
             </div>
+            <div className="totals-row">
+              <span>Cost of goods sold</span>
+              <span>{formatMoney(report.summary.cogs)}</span>
+            </div>
+            <div className="totals-row">
+              <span>Gross margin ({formatMargin(report.summary.margin_percent)})</span>
+              <span>{formatMoney(report.summary.gross_margin)}</span>
+            </div>
+            {report.summary.uncosted_sales !== 0 && (
+              <div className="subtext">
+                {formatMoney(report.summary.uncosted_sales)} of sales had no cost and are left
+                out of the margin
+              </div>
+            )}
             <div className="subtext">
               Transactions: {report.summary.tx_count || 0}
             </div>
+            <div className="subtext">
+              Line voids: {report.summary.line_void_count || 0} (
+              {formatMoney(report.summary.line_void_total)})
+            </div>
           </div>
         )}
+        <RegisterReportsPanel token={token} store={store} register={register} />
       </section>
 
       <section className="pos-right">
@@ -1658,6 +7284,8 @@ function ReportsPage({ token, user, store }) {
                       <th>Refunds</th>
                       <th>Net</th>
                       <th>Tx</th>
+                      <th>Post-voids</th>
+                      <th>Line voids</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -1668,6 +7296,8 @@ function ReportsPage({ token, user, store }) {
                         <td>{formatMoney(row.refunds_total)}</td>
                         <td>{formatMoney(row.net_total)}</td>
                         <td>{row.tx_count}</td>
+                        <td>{row.void_count || 0}</td>
+                        <td>{row.line_void_count || 0}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -1677,6 +7307,36 @@ function ReportsPage({ token, user, store }) {
               )}
             </div>
 
+            <div className="cart">
+              <h2>By Payment Method</h2>
+              {report.byPaymentMethod && report.byPaymentMethod.length > 0 ? (
+                <table className="cart-table">
+                  <thead>
+                    <tr>
+                      <th>Method</th>
+                      <th>Gross</th>
+                      <th>Refunds</th>
+                      <th>Net</th>
+                      <th>Tenders</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.byPaymentMethod.map((row) => (
+                      <tr key={row.payment_method}>
+                        <td>{row.payment_method}</td>
+                        <td>{formatMoney(row.sales_total)}</td>
+                        <td>{formatMoney(row.refunds_total)}</td>
+                        <td>{formatMoney(row.net_total)}</td>
+                        <td>{row.tender_count}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="empty">No payments in this period.</div>
+              )}
+            </div>
+
             <div className="cart">
               <h2>By Product</h2>
               {report.byProduct && report.byProduct.length > 0 ? (
@@ -1688,7 +7348,11 @@ function ReportsPage({ token, user, store }) {
                       <th>Barcode</th>
                       <th>Net Qty</th>
                       <th>Net Sales</th>
+                      <th>Discount</th>
                       <th>Net Tax</th>
+                      <th>COGS</th>
+                      <th>Margin</th>
+                      <th>Margin %</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -1699,7 +7363,11 @@ function ReportsPage({ token, user, store }) {
                         <td>{row.barcode || '—'}</td>
                         <td>{row.net_qty}</td>
                         <td>{formatMoney(row.net_sales)}</td>
+                        <td>{formatMoney(row.net_discount)}</td>
                         <td>{formatMoney(row.net_tax)}</td>
+                        <td>{formatMoney(row.cogs)}</td>
+                        <td>{formatMoney(row.gross_margin)}</td>
+                        <td>{formatMargin(row.margin_percent)}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -1718,7 +7386,11 @@ function ReportsPage({ token, user, store }) {
                       <th>Category</th>
                       <th>Net Qty</th>
                       <th>Net Sales</th>
+                      <th>Discount</th>
                       <th>Net Tax</th>
+                      <th>COGS</th>
+                      <th>Margin</th>
+                      <th>Margin %</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -1727,7 +7399,11 @@ function ReportsPage({ token, user, store }) {
                         <td>{row.category}</td>
                         <td>{row.net_qty}</td>
                         <td>{formatMoney(row.net_sales)}</td>
+                        <td>{formatMoney(row.net_discount)}</td>
                         <td>{formatMoney(row.net_tax)}</td>
+                        <td>{formatMoney(row.cogs)}</td>
+                        <td>{formatMoney(row.gross_margin)}</td>
+                        <td>{formatMargin(row.margin_percent)}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -1736,6 +7412,217 @@ function ReportsPage({ token, user, store }) {
                 <div className="empty">No category data in this period.</div>
               )}
             </div>
+
+            {report.byStore && report.byStore.length > 0 && (
+              <div className="cart">
+                <h2>By Store</h2>
+                <table className="cart-table">
+                  <thead>
+                    <tr>
+                      <th>Store</th>
+                      <th>Net Qty</th>
+                      <th>Net Sales</th>
+                      <th>COGS</th>
+                      <th>Margin</th>
+                      <th>Margin %</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.byStore.map((row) => (
+                      <tr key={row.store_id}>
+                        <td>{row.store_code || row.store_id}</td>
+                        <td>{row.net_qty}</td>
+                        <td>{formatMoney(row.net_sales)}</td>
+                        <td>{formatMoney(row.cogs)}</td>
+                        <td>{formatMoney(row.gross_margin)}</td>
+                        <td>{formatMargin(row.margin_percent)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {overrides && (
+              <div className="cart">
+                <h2>Price Overrides</h2>
+                {overrides.overrides.length > 0 ? (
+                  <>
+                    <div className="subtext">
+                      {overrides.override_count} overrides,{' '}
+                      {formatMoney(overrides.difference_total)} below regular price
+                    </div>
+                    <table className="cart-table">
+                      <thead>
+                        <tr>
+                          <th>TC#</th>
+                          <th>Cashier</th>
+                          <th>Item</th>
+                          <th>Qty</th>
+                          <th>Regular</th>
+                          <th>Charged</th>
+                          <th>Reason</th>
+                          <th>Approved by</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {overrides.overrides.map((row) => (
+                          <tr key={`${row.transaction_id}-${row.product_id}`}>
+                            <td>{row.tc_number}</td>
+                            <td>{row.cashier_name}</td>
+                            <td>
+                              {row.product_name}
+                              <div className="subtext">SKU: {row.sku}</div>
+                            </td>
+                            <td>{row.quantity}</td>
+                            <td>{formatMoney(row.original_unit_price)}</td>
+                            <td>{formatMoney(row.unit_price)}</td>
+                            <td>
+                              {row.reason}
+                              {row.note && <div className="subtext">{row.note}</div>}
+                            </td>
+                            <td>{row.approved_by_name || '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                ) : (
+                  <div className="empty">No price overrides in this period.</div>
+                )}
+              </div>
+            )}
+
+            {shrink && (
+              <div className="cart">
+                <h2>Shrink &amp; Adjustments</h2>
+                {shrink.rows.length > 0 ? (
+                  <>
+                    <div className="subtext">
+                      Shrink cost {formatMoney(shrink.shrink_cost)} | Net cost impact{' '}
+                      {formatMoney(shrink.net_cost_impact)}
+                    </div>
+                    <table className="cart-table">
+                      <thead>
+                        <tr>
+                          <th>Reason</th>
+                          <th>Lost</th>
+                          <th>Gained</th>
+                          <th>Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shrink.by_reason.map((row) => (
+                          <tr key={row.key}>
+                            <td>{row.key}</td>
+                            <td>{row.units_lost}</td>
+                            <td>{row.units_gained}</td>
+                            <td>{formatMoney(row.cost_impact)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <table className="cart-table">
+                      <thead>
+                        <tr>
+                          <th>Store</th>
+                          <th>Category</th>
+                          <th>Reason</th>
+                          <th>Lost</th>
+                          <th>Gained</th>
+                          <th>Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shrink.rows.map((row) => (
+                          <tr key={`${row.store_id}-${row.category}-${row.reason_code}`}>
+                            <td>{row.store_code}</td>
+                            <td>{row.category}</td>
+                            <td>
+                              {row.reason_label}
+                              {row.uncosted_movements > 0 && (
+                                <div className="subtext">
+                                  {row.uncosted_movements} without a product cost
+                                </div>
+                              )}
+                            </td>
+                            <td>{row.units_lost}</td>
+                            <td>{row.units_gained}</td>
+                            <td>{formatMoney(row.cost_impact)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                ) : (
+                  <div className="empty">No shrink or adjustments in this period.</div>
+                )}
+              </div>
+            )}
+
+            {valuation && (
+              <div className="cart">
+                <h2>Inventory Valuation ({store.code})</h2>
+                {valuation.rows.length > 0 ? (
+                  <>
+                    <div className="subtext">
+                      {valuation.total_quantity} units on hand worth{' '}
+                      {formatMoney(valuation.total_value)} at cost
+                      {valuation.uncosted_count > 0 &&
+                        ` | ${valuation.uncosted_count} products without a cost`}
+                    </div>
+                    <table className="cart-table">
+                      <thead>
+                        <tr>
+                          <th>Category</th>
+                          <th>Units</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {valuation.by_category.map((row) => (
+                          <tr key={row.category}>
+                            <td>{row.category}</td>
+                            <td>{row.quantity}</td>
+                            <td>{formatMoney(row.value)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <table className="cart-table">
+                      <thead>
+                        <tr>
+                          <th>Product</th>
+                          <th>Units</th>
+                          <th>Unit cost</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {valuation.rows.map((row) => (
+                          <tr key={row.product_id}>
+                            <td>
+                              {row.product_name}
+                              <div className="subtext">SKU: {row.sku}</div>
+                            </td>
+                            <td>{row.quantity}</td>
+                            <td>
+                              {row.unit_cost != null ? formatMoney(row.unit_cost) : '—'}
+                              {row.cost_source === 'PRODUCT' && (
+                                <div className="subtext">product cost</div>
+                              )}
+                            </td>
+                            <td>{row.value != null ? formatMoney(row.value) : '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                ) : (
+                  <div className="empty">No stock on hand at this store.</div>
+                )}
+              </div>
+            )}
           </>
         ) : (
           <div className="empty">
@@ -1758,6 +7645,7 @@ function UsersPage({ token, user }) {
   const [form, setForm] = useState({
     username: '',
     password: '',
+    pin: '',
     role: 'cashier',
     storeId: ''
   });
@@ -1809,6 +7697,7 @@ function UsersPage({ token, user }) {
     setForm({
       username: '',
       password: '',
+      pin: '',
       role: 'cashier',
       storeId: ''
     });
@@ -1820,6 +7709,7 @@ function UsersPage({ token, user }) {
     setForm({
       username: u.username || '',
       password: '',
+      pin: '',
       role: u.role || 'cashier',
       storeId: u.store_id ? String(u.store_id) : ''
     });
@@ -1842,6 +7732,9 @@ function UsersPage({ token, user }) {
     if (form.password) {
       payload.password = form.password;
     }
+    if (form.pin && form.role !== 'cashier') {
+      payload.pin = form.pin;
+    }
 
     if (!payload.username) {
       setError('Username is required');
@@ -1888,6 +7781,7 @@ function UsersPage({ token, user }) {
       setForm({
         username: '',
         password: '',
+        pin: '',
         role: 'cashier',
         storeId: ''
       });
@@ -1948,6 +7842,7 @@ function UsersPage({ token, user }) {
                 <th>Username</th>
                 <th>Role</th>
                 <th>Store</th>
+                <th>PIN</th>
                 <th />
               </tr>
             </thead>
@@ -1957,6 +7852,7 @@ function UsersPage({ token, user }) {
                   <td>{u.username}</td>
                   <td>{u.role}</td>
                   <td>{storeLabel(u)}</td>
+                  <td>{u.has_pin ? 'Set' : '—'}</td>
                   <td>
                     <button
                       type="button"
@@ -2019,6 +7915,21 @@ function UsersPage({ token, user }) {
                   <option value="admin">admin</option>
                 </select>
               </label>
+              {form.role !== 'cashier' && (
+                <label>
+                  Approval PIN{' '}
+                  {editUser && editUser.has_pin && (
+                    <span className="subtext">(leave blank to keep)</span>
+                  )}
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    value={form.pin}
+                    onChange={(e) => handleFormChange('pin', e.target.value)}
+                    placeholder="4-8 digits"
+                  />
+                </label>
+              )}
               <label>
                 Store
                 <select
@@ -2050,16 +7961,54 @@ function UsersPage({ token, user }) {
   );
 }
 
-function ReceiptPanel({ transaction, receiptText }) {
+const PRINT_JOB_LABELS = {
+  queued: 'Queued',
+  printing: 'Printing',
+  done: 'Printed',
+  failed: 'Failed'
+};
+
+// `autoPrintError`: why the server could not hand the receipt to the print
+// agent after the sale; Print sends it again.
+function ReceiptPanel({ transaction, receiptText, autoPrintError }) {
   const [printing, setPrinting] = useState(false);
   const [printError, setPrintError] = useState('');
-  const [printed, setPrinted] = useState(false);
+  const [jobs, setJobs] = useState([]); // print agent jobs for this transaction
+
+  const loadJobs = async () => {
+    if (!transaction || !transaction.id) return;
+    try {
+      const params = new URLSearchParams({ transactionId: String(transaction.id) });
+      const res = await fetch('/print/jobs?' + params.toString());
+      if (!res.ok) return;
+      setJobs(await res.json());
+    } catch (err) {
+      // print agent not running; nothing to show
+    }
+  };
+
+  useEffect(() => {
+    setJobs([]);
+    setPrintError(
+      autoPrintError ? `Receipt was not sent to the printer (${autoPrintError}).` : ''
+    );
+    loadJobs();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [transaction && transaction.id]);
+
+  // Poll while a job is still on its way to the printer.
+  const pending = jobs.some((j) => j.status === 'queued' || j.status === 'printing');
+  useEffect(() => {
+    if (!pending) return undefined;
+    const timer = setTimeout(loadJobs, 2000);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [jobs]);
 
   const handlePrint = async () => {
     if (!transaction || !transaction.id) return;
     setPrinting(true);
     setPrintError('');
-    setPrinted(false);
     try {
       const res = await fetch('/print/transaction', {
         method: 'POST',
@@ -2073,7 +8022,7 @@ function ReceiptPanel({ transaction, receiptText }) {
         setPrintError(body.error || 'Failed to send to printer');
         return;
       }
-      setPrinted(true);
+      await loadJobs();
     } catch (err) {
       setPrintError('Failed to send to printer');
     } finally {
@@ -2081,6 +8030,21 @@ function ReceiptPanel({ transaction, receiptText }) {
     }
   };
 
+  const handleReprint = async (job) => {
+    setPrintError('');
+    try {
+      const res = await fetch(`/print/jobs/${job.id}/reprint`, { method: 'POST' });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setPrintError(body.error || 'Failed to reprint');
+        return;
+      }
+      await loadJobs();
+    } catch (err) {
+      setPrintError('Failed to reprint');
+    }
+  };
+
   return (
     <div className="receipt-panel">
       <div className="receipt-panel-header">
@@ -2107,8 +8071,29 @@ function ReceiptPanel({ transaction, receiptText }) {
         )}
       </div>
       {printError && <div className="error">{printError}</div>}
-      {printed && !printError && (
-        <div className="subtext">Sent to local print agent.</div>
+      {jobs.length > 0 && (
+        <ul className="print-jobs">
+          {jobs.map((job) => (
+            <li key={job.id} className={`print-job ${job.status}`}>
+              <span>
+                Job #{job.id}
+                {job.reprint_of ? ` (reprint of #${job.reprint_of})` : ''}:{' '}
+                {PRINT_JOB_LABELS[job.status] || job.status}
+                {job.attempts > 1 ? `, attempt ${job.attempts}` : ''}
+              </span>
+              {job.last_error && <span className="subtext"> – {job.last_error}</span>}
+              {job.status === 'failed' && (
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => handleReprint(job)}
+                >
+                  Retry
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
       )}
     </div>
   );
@@ -0,0 +1,23 @@
+/**
+ * When a transaction receipt kicks the cash drawer.
+ */
+
+// Cash in or out of the drawer opens it.
+function usesCash(transaction) {
+  const payments = transaction.payments || [];
+  if (payments.length > 0) {
+    return payments.some((p) => p.method === 'cash');
+  }
+  return transaction.payment_method === 'cash';
+}
+
+// Only the first attempt of an original receipt opens the drawer; a reprint
+// or a retry of a failed attempt must not pop the till again.
+function opensDrawer(job, transaction) {
+  return !job.reprint_of && job.attempts <= 1 && usesCash(transaction);
+}
+
+module.exports = {
+  usesCash,
+  opensDrawer
+};
@@ -0,0 +1,138 @@
+/**
+ * Minimal ESC/POS encoder for receipt printers.
+ *
+ * Turns the plain-text receipts rendered by the POS API into printer bytes.
+ * The output depends only on the input, so a receipt can be encoded and
+ * compared byte for byte against a saved capture without a printer.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  // GS ! n: bits 0-3 height multiplier, bits 4-7 width multiplier
+  sizeNormal: [GS, 0x21, 0x00],
+  sizeDoubleHeight: [GS, 0x21, 0x01],
+  // GS V 66 n: feed n lines then partial cut
+  cut: [GS, 0x56, 0x42, 0x03],
+  // ESC p m t1 t2: pulse drawer pin 2 for 50ms on / 500ms off
+  drawerKick: [ESC, 0x70, 0x00, 0x19, 0xfa]
+};
+
+function align(where) {
+  return [ESC, 0x61, ALIGN[where]];
+}
+
+/**
+ * Printers run in a single-byte code page (PC437 by default), so accents are
+ * stripped and anything else outside printable ASCII becomes "?".
+ */
+function toPrinterBytes(text) {
+  const ascii = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\u2026/g, '...')
+    .replace(/[^\x20-\x7e]/g, '?');
+  return Buffer.from(ascii, 'ascii');
+}
+
+/**
+ * Native CODE128 barcode (code set B) with the text printed underneath.
+ */
+function code128(data) {
+  const payload = Buffer.concat([Buffer.from('{B', 'ascii'), toPrinterBytes(data)]);
+  return Buffer.concat([
+    Buffer.from([GS, 0x68, 80]), // height in dots
+    Buffer.from([GS, 0x77, 2]), // module width
+    Buffer.from([GS, 0x48, 2]), // HRI text below
+    Buffer.from([GS, 0x6b, 73, payload.length]),
+    payload
+  ]);
+}
+
+function isBanner(line) {
+  return /^\*\*\* .* \*\*\*$/.test(line.trim());
+}
+
+/**
+ * Encode a rendered receipt or report.
+ *
+ * The header block (everything before the first blank line) is centred with
+ * its first line in bold double height; `*** REFUND ***`-style banners are
+ * centred in bold double height and the `Total:` line is bold.
+ *
+ * Options:
+ *  - `barcode`: text for a CODE128 barcode after the receipt (the TC#)
+ *  - `openDrawer`: kick the cash drawer before printing
+ *  - `cut`: feed and cut the paper at the end (default true)
+ */
+function encodeReceipt(text, { barcode = null, openDrawer = false, cut = true } = {}) {
+  const parts = [Buffer.from(COMMANDS.init)];
+  if (openDrawer) {
+    parts.push(Buffer.from(COMMANDS.drawerKick));
+  }
+
+  const push = (...chunks) => {
+    chunks.forEach((chunk) => parts.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+  };
+
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  let inHeader = true;
+
+  lines.forEach((line, idx) => {
+    if (inHeader && line.trim() === '') {
+      inHeader = false;
+    }
+
+    if (inHeader) {
+      push(align('center'));
+      if (idx === 0) {
+        push(COMMANDS.boldOn, COMMANDS.sizeDoubleHeight);
+        push(toPrinterBytes(line.trim()), [LF]);
+        push(COMMANDS.sizeNormal, COMMANDS.boldOff);
+      } else {
+        push(toPrinterBytes(line.trim()), [LF]);
+      }
+      return;
+    }
+
+    if (isBanner(line)) {
+      push(align('center'), COMMANDS.boldOn, COMMANDS.sizeDoubleHeight);
+      push(toPrinterBytes(line.trim()), [LF]);
+      push(COMMANDS.sizeNormal, COMMANDS.boldOff);
+      return;
+    }
+
+    push(align('left'));
+    if (/^Total:/.test(line)) {
+      push(COMMANDS.boldOn, toPrinterBytes(line), [LF], COMMANDS.boldOff);
+    } else {
+      push(toPrinterBytes(line), [LF]);
+    }
+  });
+
+  if (barcode) {
+    push(align('center'), code128(barcode), [LF]);
+  }
+
+  push(align('left'));
+  if (cut) {
+    push(COMMANDS.cut);
+  }
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  COMMANDS,
+  encodeReceipt,
+  toPrinterBytes,
+  code128
+};
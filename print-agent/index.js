@@ -5,12 +5,17 @@
  *  - Listens on localhost (default port 9100)
  *  - Accepts POST /print/transaction with { transactionId }
  *  - Fetches the rendered receipt text from the POS API
- *  - Sends it to stdout (you can replace this with ESC/POS printer code)
- *
- * This is a starting point for integrating real hardware printers.
+ *  - Encodes it as ESC/POS (escpos.js) and sends it to the printer target
+ *    chosen by PRINTER_TARGET (printer.js); by default it is logged to stdout
+ *  - Jobs go through a persistent queue (queue.js) and are retried while
+ *    the printer or the POS API is unavailable
  */
 
 const express = require('express');
+const { encodeReceipt } = require('./escpos');
+const { opensDrawer } = require('./drawer');
+const { parseTarget, sendToPrinter } = require('./printer');
+const { startQueue, enqueue, listJobs, getJob, reprint } = require('./queue');
 
 const app = express();
 app.use(express.json());
@@ -18,6 +23,7 @@ app.use(express.json());
 const PORT = process.env.PRINT_AGENT_PORT || 9100;
 const POS_API_BASE = process.env.POS_API_BASE || 'http://localhost:4000';
 const POS_API_TOKEN = process.env.POS_API_TOKEN || '';
+const PRINTER_TARGET = parseTarget(process.env.PRINTER_TARGET);
 
 async function fetchReceipt(transactionId) {
   const url = `${POS_API_BASE}/api/transactions/${transactionId}/receipt`;
@@ -34,68 +40,74 @@ async function fetchReceipt(transactionId) {
     throw new Error(body.error || `Failed to fetch receipt (status ${res.status})`);
   }
 
-  const data = await res.json();
-  return data.receiptText;
+  return res.json();
 }
 
-function printToConsole(text) {
-  // Replace this with ESC/POS printer code if desired.
-  // For example, using a library like "escpos" or "@node-escpos/core":
-  //
-  // const escpos = require('escpos');
-  // escpos.USB = require('escpos-usb');
-  // const device = new escpos.USB();
-  // const printer = new escpos.Printer(device);
-  // device.open((err) => {
-  //   if (err) {
-  //     console.error('Printer error:', err);
-  //     return;
-  //   }
-  //   printer
-  //     .text(text)
-  //     .cut()
-  //     .close();
-  // });
-  //
-  // For now, just log the text so you can see the output.
-
-  // eslint-disable-next-line no-console
-  console.log('================ RECEIPT START ================');
-  // eslint-disable-next-line no-console
-  console.log(text);
-  // eslint-disable-next-line no-console
-  console.log('================= RECEIPT END =================');
+async function printJob(job) {
+  if (job.kind === 'transaction') {
+    const { transaction, receiptText } = await fetchReceipt(job.transaction_id);
+    const bytes = encodeReceipt(receiptText, {
+      barcode: transaction.tc_number,
+      openDrawer: opensDrawer(job, transaction)
+    });
+    await sendToPrinter(PRINTER_TARGET, { bytes, text: receiptText });
+    return;
+  }
+  const bytes = encodeReceipt(job.text, { barcode: job.barcode || null });
+  await sendToPrinter(PRINTER_TARGET, { bytes, text: job.text });
 }
 
-app.post('/print/transaction', async (req, res) => {
+// Jobs are queued and printed in the background; the response carries the
+// job so callers can poll GET /print/jobs/:id.
+app.post('/print/transaction', (req, res) => {
   const { transactionId } = req.body || {};
   if (!transactionId) {
     return res.status(400).json({ error: 'transactionId is required' });
   }
-
-  try {
-    const text = await fetchReceipt(transactionId);
-    printToConsole(text);
-    return res.json({ status: 'ok' });
-  } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('Print error:', err);
-    return res.status(500).json({ error: 'Failed to print receipt' });
-  }
+  const job = enqueue({ kind: 'transaction', transaction_id: String(transactionId) });
+  return res.status(202).json({ job });
 });
 
 app.post('/print/raw', (req, res) => {
-  const { text } = req.body || {};
+  const { text, barcode } = req.body || {};
   if (!text) {
     return res.status(400).json({ error: 'text is required' });
   }
-  printToConsole(String(text));
-  return res.json({ status: 'ok' });
+  const job = enqueue({ kind: 'raw', text: String(text), barcode: barcode ? String(barcode) : null });
+  return res.status(202).json({ job });
+});
+
+app.get('/print/jobs', (req, res) => {
+  const jobs = listJobs({
+    transactionId: req.query.transactionId ? String(req.query.transactionId) : null,
+    status: req.query.status ? String(req.query.status) : null
+  });
+  res.json(jobs);
+});
+
+app.get('/print/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Print job not found' });
+  }
+  return res.json(job);
 });
 
+app.post('/print/jobs/:id/reprint', (req, res) => {
+  const job = reprint(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Print job not found' });
+  }
+  return res.status(202).json({ job });
+});
+
+startQueue(printJob);
+
 app.listen(PORT, () => {
   // eslint-disable-next-line no-console
   console.log(`Print agent listening on http://localhost:${PORT}`);
   // eslint-disable-next-line no-console
   console.log(`Using POS API at ${POS_API_BASE}`);
+  // eslint-disable-next-line no-console
+  console.log(`Printer target: ${process.env.PRINTER_TARGET || 'console'}`);
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Printer targets: where encoded ESC/POS bytes are sent.
+ *
+ * Chosen with PRINTER_TARGET:
+ *  - unset or `console`   log the receipt text (no printer)
+ *  - `file:/dev/usb/lp0`  write to a device file (USB/parallel printers)
+ *  - `tcp://host:9100`    raw TCP socket (network printers)
+ *  - `capture:./captures` save each job as a .bin file in a directory
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const TCP_TIMEOUT_MS = Number(process.env.PRINTER_TCP_TIMEOUT_MS) || 10000;
+
+function parseTarget(raw) {
+  const value = (raw || '').trim();
+  if (!value || value === 'console') {
+    return { kind: 'console' };
+  }
+  if (value.startsWith('file:')) {
+    return { kind: 'file', path: value.slice('file:'.length) };
+  }
+  if (value.startsWith('capture:')) {
+    return { kind: 'capture', dir: value.slice('capture:'.length) };
+  }
+  if (value.startsWith('tcp://')) {
+    const url = new URL(value);
+    return { kind: 'tcp', host: url.hostname, port: Number(url.port) || 9100 };
+  }
+  throw new Error(`Unknown PRINTER_TARGET: ${value}`);
+}
+
+function printToConsole(text) {
+  // eslint-disable-next-line no-console
+  console.log('================ RECEIPT START ================');
+  // eslint-disable-next-line no-console
+  console.log(text);
+  // eslint-disable-next-line no-console
+  console.log('================= RECEIPT END =================');
+}
+
+function writeTcp({ host, port }, bytes) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setTimeout(TCP_TIMEOUT_MS);
+    socket.on('connect', () => {
+      socket.end(bytes);
+    });
+    socket.on('timeout', () => {
+      socket.destroy(new Error(`Printer at ${host}:${port} timed out`));
+    });
+    socket.on('error', reject);
+    socket.on('close', (hadError) => {
+      if (!hadError) {
+        resolve();
+      }
+    });
+  });
+}
+
+let captureCount = 0;
+
+async function writeCapture({ dir }, bytes) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  captureCount += 1;
+  const name = `${Date.now()}-${String(captureCount).padStart(4, '0')}.bin`;
+  const file = path.join(dir, name);
+  await fs.promises.writeFile(file, bytes);
+  return file;
+}
+
+/**
+ * Send one print job. `bytes` is the ESC/POS stream, `text` the plain
+ * receipt for the console target.
+ */
+async function sendToPrinter(target, { bytes, text }) {
+  switch (target.kind) {
+    case 'console':
+      printToConsole(text);
+      return;
+    case 'file':
+      await fs.promises.writeFile(target.path, bytes);
+      return;
+    case 'tcp':
+      await writeTcp(target, bytes);
+      return;
+    case 'capture':
+      await writeCapture(target, bytes);
+      return;
+    default:
+      throw new Error(`Unsupported printer target: ${target.kind}`);
+  }
+}
+
+module.exports = {
+  parseTarget,
+  sendToPrinter
+};
@@ -0,0 +1,188 @@
+/**
+ * Persistent print queue.
+ *
+ * Jobs are kept in a JSON file (PRINT_QUEUE_FILE) so receipts queued while
+ * the printer is offline or the agent restarts are still printed. A single
+ * worker prints jobs in order; a failed attempt is retried with exponential
+ * backoff until PRINT_MAX_ATTEMPTS, after which the job is marked failed.
+ *
+ * Job status: queued -> printing -> done | failed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const QUEUE_FILE =
+  process.env.PRINT_QUEUE_FILE || path.join(__dirname, 'print-jobs.json');
+const MAX_ATTEMPTS = Number(process.env.PRINT_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = Number(process.env.PRINT_BACKOFF_MS) || 2000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+// finished jobs kept for GET /print/jobs and reprints
+const KEEP_FINISHED = 200;
+
+let state = { next_id: 1, jobs: [] };
+let printJob = null;
+let timer = null;
+let working = false;
+
+function load() {
+  try {
+    state = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      // eslint-disable-next-line no-console
+      console.error(`Could not read ${QUEUE_FILE}, starting with an empty queue:`, err);
+    }
+    state = { next_id: 1, jobs: [] };
+  }
+  // A job that was printing when the agent stopped may not have printed.
+  state.jobs.forEach((job) => {
+    if (job.status === 'printing') {
+      job.status = 'queued';
+    }
+  });
+}
+
+// Write to a temp file and rename so a crash never leaves half a file.
+function save() {
+  const finished = state.jobs.filter((j) => j.status === 'done' || j.status === 'failed');
+  if (finished.length > KEEP_FINISHED) {
+    const drop = new Set(finished.slice(0, finished.length - KEEP_FINISHED).map((j) => j.id));
+    state.jobs = state.jobs.filter((j) => !drop.has(j.id));
+  }
+  const tmp = `${QUEUE_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, QUEUE_FILE);
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+function schedule(delayMs = 0) {
+  if (timer) {
+    clearTimeout(timer);
+  }
+  timer = setTimeout(() => {
+    timer = null;
+    work();
+  }, delayMs);
+}
+
+function nextDue(now) {
+  return state.jobs
+    .filter((j) => j.status === 'queued')
+    .sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id)
+    .find((j) => j.next_attempt_at <= now);
+}
+
+async function work() {
+  if (working) {
+    return;
+  }
+  working = true;
+  try {
+    let job = nextDue(Date.now());
+    while (job) {
+      job.status = 'printing';
+      job.attempts += 1;
+      job.updated_at = new Date().toISOString();
+      save();
+
+      try {
+        await printJob(job);
+        job.status = 'done';
+        job.last_error = null;
+      } catch (err) {
+        job.last_error = err.message || String(err);
+        if (job.attempts >= MAX_ATTEMPTS) {
+          job.status = 'failed';
+        } else {
+          job.status = 'queued';
+          job.next_attempt_at = Date.now() + backoffMs(job.attempts);
+        }
+        // eslint-disable-next-line no-console
+        console.error(`Print job ${job.id} attempt ${job.attempts} failed:`, job.last_error);
+      }
+      job.updated_at = new Date().toISOString();
+      save();
+      job = nextDue(Date.now());
+    }
+  } finally {
+    working = false;
+  }
+
+  const waiting = state.jobs.filter((j) => j.status === 'queued');
+  if (waiting.length > 0) {
+    const soonest = Math.min(...waiting.map((j) => j.next_attempt_at));
+    schedule(Math.max(0, soonest - Date.now()));
+  }
+}
+
+/**
+ * Load the queue file and start printing. `handler(job)` does the actual
+ * printing and throws to have the job retried.
+ */
+function startQueue(handler) {
+  printJob = handler;
+  load();
+  save();
+  schedule();
+}
+
+/**
+ * Queue a job. `payload` is `{ kind: 'transaction', transaction_id }` or
+ * `{ kind: 'raw', text, barcode }`.
+ */
+function enqueue(payload, { reprintOf = null } = {}) {
+  const now = new Date();
+  const job = {
+    id: state.next_id,
+    ...payload,
+    status: 'queued',
+    attempts: 0,
+    last_error: null,
+    reprint_of: reprintOf,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    next_attempt_at: now.getTime()
+  };
+  state.next_id += 1;
+  state.jobs.push(job);
+  save();
+  schedule();
+  return job;
+}
+
+function listJobs({ transactionId = null, status = null } = {}) {
+  return state.jobs
+    .filter((j) => !transactionId || j.transaction_id === transactionId)
+    .filter((j) => !status || j.status === status)
+    .slice()
+    .reverse();
+}
+
+function getJob(id) {
+  return state.jobs.find((j) => j.id === Number(id)) || null;
+}
+
+// Queue a fresh copy of an earlier job.
+function reprint(id) {
+  const job = getJob(id);
+  if (!job) {
+    return null;
+  }
+  const payload =
+    job.kind === 'transaction'
+      ? { kind: 'transaction', transaction_id: job.transaction_id }
+      : { kind: 'raw', text: job.text, barcode: job.barcode || null };
+  return enqueue(payload, { reprintOf: job.id });
+}
+
+module.exports = {
+  startQueue,
+  enqueue,
+  listJobs,
+  getJob,
+  reprint
+};
@@ -0,0 +1,102 @@
+/**
+ * Render the golden receipt texts in test/fixtures.
+ *
+ * Each transaction in test/fixtures/transactions.json goes through the
+ * server's own renderTextReceipt (and its TC# from generateTC), with the
+ * models it reads answering from that file instead of MongoDB, and is
+ * written to test/fixtures/<name>.txt. Needs the server's dependencies
+ * installed. After a change to the renderer:
+ *
+ *   npm run fixtures && UPDATE_GOLDEN=1 npm test
+ *
+ * Dates are rendered in UTC and the en-US locale so the files do not
+ * depend on the machine.
+ */
+
+process.env.TZ = 'UTC';
+
+const fs = require('fs');
+const path = require('path');
+
+const SERVER_SRC = path.join(__dirname, '..', '..', 'server', 'src');
+const FIXTURES = path.join(__dirname, '..', 'test', 'fixtures');
+
+function loadTransactions() {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'transactions.json'), 'utf8'));
+}
+
+// Why the server renderer cannot run here, or null when it can.
+function rendererUnavailable() {
+  try {
+    require.resolve('mongoose', { paths: [SERVER_SRC] });
+  } catch (err) {
+    return 'server dependencies are not installed';
+  }
+  const { locale } = new Intl.DateTimeFormat().resolvedOptions();
+  if (locale !== 'en-US') {
+    return `dates render in ${locale}, the fixtures are en-US`;
+  }
+  return null;
+}
+
+// A query that resolves to `value` through the chain the renderer uses.
+function query(value) {
+  const q = {
+    populate: () => q,
+    lean: async () => value
+  };
+  return q;
+}
+
+/** Receipt text the server renders for the named fixture transaction. */
+async function renderFixture(name) {
+  const db = require(path.join(SERVER_SRC, 'db'));
+  const { renderTextReceipt } = require(path.join(SERVER_SRC, 'receiptRenderer'));
+  const { generateTC } = require(path.join(SERVER_SRC, 'tcGenerator'));
+
+  const fixture = loadTransactions()[name];
+  const { sequence, ...fields } = fixture.transaction;
+  const createdAt = new Date(fields.created_at);
+  const transaction = {
+    ...fields,
+    created_at: createdAt,
+    tc_number: generateTC({
+      storeCode: fields.store.code,
+      registerCode: fields.register.code,
+      sequence,
+      date: createdAt
+    })
+  };
+
+  db.Transaction.findById = () => query(transaction);
+  db.TransactionItem.find = () => query(fixture.items);
+  db.ReceiptTemplate.findOne = () => query(fixture.template || null);
+  return renderTextReceipt(transaction._id);
+}
+
+async function main() {
+  const reason = rendererUnavailable();
+  if (reason) {
+    throw new Error(`Cannot render the fixtures: ${reason}`);
+  }
+  for (const name of Object.keys(loadTransactions())) {
+    const text = await renderFixture(name);
+    fs.writeFileSync(path.join(FIXTURES, `${name}.txt`), `${text}\n`);
+    // eslint-disable-next-line no-console
+    console.log(`wrote ${name}.txt`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadTransactions,
+  rendererUnavailable,
+  renderFixture
+};
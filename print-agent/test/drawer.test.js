@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeReceipt } = require('../escpos');
+const { opensDrawer } = require('../drawer');
+
+// ESC p: the drawer pulse
+const DRAWER_KICK = Buffer.from([0x1b, 0x70]);
+
+const cashSale = { payments: [{ method: 'card', amount: 5 }, { method: 'cash', amount: 3.48 }] };
+
+function encodeFor(job, transaction) {
+  return encodeReceipt('Store\n\nTotal:    8.48', { openDrawer: opensDrawer(job, transaction) });
+}
+
+test('first attempt of a cash receipt opens the drawer', () => {
+  const job = { kind: 'transaction', attempts: 1, reprint_of: null };
+  assert.equal(encodeFor(job, cashSale).includes(DRAWER_KICK), true);
+});
+
+test('a reprint does not send the drawer pulse', () => {
+  const job = { kind: 'transaction', attempts: 1, reprint_of: 7 };
+  assert.equal(encodeFor(job, cashSale).includes(DRAWER_KICK), false);
+});
+
+test('a retried job does not send the drawer pulse', () => {
+  const job = { kind: 'transaction', attempts: 2, reprint_of: null };
+  assert.equal(encodeFor(job, cashSale).includes(DRAWER_KICK), false);
+});
+
+test('a card-only receipt does not open the drawer', () => {
+  const job = { kind: 'transaction', attempts: 1, reprint_of: null };
+  const cardSale = { payments: [{ method: 'card', amount: 8.48 }] };
+  assert.equal(encodeFor(job, cardSale).includes(DRAWER_KICK), false);
+});
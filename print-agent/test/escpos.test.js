@@ -0,0 +1,68 @@
+/**
+ * Golden-file tests for the ESC/POS encoder.
+ *
+ * The receipt texts in test/fixtures/<name>.txt are rendered by the server's
+ * renderTextReceipt from transactions.json (`npm run fixtures`); a test
+ * re-renders them to catch drift in the renderer. Each text is encoded and
+ * the bytes compared with test/fixtures/<name>.bin. After an intended change
+ * to the encoder, regenerate the .bin files with `UPDATE_GOLDEN=1 npm test`,
+ * then check the diff on a printer before committing them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { encodeReceipt } = require('../escpos');
+const { rendererUnavailable, renderFixture } = require('../scripts/render-fixtures');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Offset of the first byte that differs, for a readable failure.
+function firstDifference(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    if (a[i] !== b[i]) return i;
+  }
+  return length;
+}
+
+const CASES = [
+  { name: 'split-tender', options: { openDrawer: true } },
+  { name: 'refund', options: {} },
+  { name: 'void', options: { openDrawer: true } },
+  { name: 'long-names', options: {} },
+  { name: 'tax-lines', options: { openDrawer: true } }
+];
+
+const renderSkip = rendererUnavailable() || false;
+
+CASES.forEach(({ name, options }) => {
+  test(`${name}.txt is what the server renders`, { skip: renderSkip }, async () => {
+    const text = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+    assert.equal(`${await renderFixture(name)}\n`, text);
+  });
+
+  test(`encodes ${name} receipt`, () => {
+    const text = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+    // the TC# barcode, as the agent prints it under the receipt
+    const barcode = text.match(/^TC#: (\S+)$/m)[1];
+    const golden = path.join(FIXTURES, `${name}.bin`);
+    const bytes = encodeReceipt(text, { ...options, barcode });
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(golden, bytes);
+    }
+    const expected = fs.readFileSync(golden);
+    assert.ok(
+      bytes.equals(expected),
+      `${name}: differs from ${name}.bin at byte ${firstDifference(bytes, expected)}` +
+        ` (${bytes.length} bytes, expected ${expected.length})`
+    );
+  });
+});
+
+test('does not cut when asked not to', () => {
+  const bytes = encodeReceipt('Store\n\nTotal:    1.00', { cut: false });
+  assert.equal(bytes.includes(Buffer.from([0x1d, 0x56])), false);
+});
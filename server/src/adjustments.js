@@ -0,0 +1,50 @@
+const { AdjustmentReason } = require('./db');
+
+const REASON_CODE_FORMAT = /^[A-Z][A-Z0-9_]{1,31}$/;
+
+/**
+ * Look up the active reason code a manual adjustment was given.
+ * Returns `{ reason }` (the AdjustmentReason) or `{ error }`.
+ */
+async function findAdjustmentReason(code) {
+  const trimmed = String(code || '').trim().toUpperCase();
+  if (!trimmed) {
+    return { error: 'reason is required for a stock adjustment' };
+  }
+  const reason = await AdjustmentReason.findOne({ code: trimmed, active: true }).lean();
+  if (!reason) {
+    return { error: `Unknown adjustment reason: ${trimmed}` };
+  }
+  return { reason };
+}
+
+/**
+ * Validate reason-code fields from a request body into an AdjustmentReason
+ * update. The code is fixed once created, since movements refer to it.
+ */
+function parseAdjustmentReasonBody(body, existing) {
+  const { code, label, shrink, active } = body || {};
+  const update = {};
+  if (!existing) {
+    update.code = String(code || '').trim().toUpperCase();
+    if (!REASON_CODE_FORMAT.test(update.code)) {
+      return { error: 'code must be 2-32 letters, digits or underscores' };
+    }
+  } else if (code != null && String(code).trim().toUpperCase() !== existing.code) {
+    return { error: 'A reason code cannot be renamed' };
+  }
+  if (label != null) update.label = String(label).trim();
+  if (shrink != null) update.shrink = !!shrink;
+  if (active != null) update.active = !!active;
+
+  const merged = { ...(existing || {}), ...update };
+  if (!merged.label) {
+    return { error: 'label is required' };
+  }
+  return { update };
+}
+
+module.exports = {
+  findAdjustmentReason,
+  parseAdjustmentReasonBody
+};
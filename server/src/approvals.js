@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Approval, ApprovalFailure, User } = require('./db');
+
+// Cashier actions that need a manager's approval.
+const APPROVAL_ACTIONS = [
+  { code: 'PRICE_OVERRIDE', label: 'Price override' },
+  { code: 'LARGE_REFUND', label: 'Refund over the limit' },
+  { code: 'POST_VOID', label: 'Post-void' },
+  { code: 'DISCOUNT', label: 'Discount over the limit' }
+];
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  return raw != null && raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : fallback;
+}
+
+const APPROVAL_TTL_MINUTES = envNumber('APPROVAL_TTL_MINUTES', 5);
+// refunds whose total is above this need approval
+const REFUND_APPROVAL_LIMIT = envNumber('REFUND_APPROVAL_LIMIT', 100);
+// manual (line + cart) discounts above this share of the gross need approval
+const DISCOUNT_APPROVAL_PERCENT = envNumber('DISCOUNT_APPROVAL_PERCENT', 20);
+// price overrides that move the price by more than this share need approval
+const PRICE_OVERRIDE_APPROVAL_PERCENT = envNumber('PRICE_OVERRIDE_APPROVAL_PERCENT', 10);
+// failed approval attempts allowed per requester, and per store, within
+// APPROVAL_LOCKOUT_MINUTES before further attempts are refused
+const APPROVAL_MAX_FAILURES = envNumber('APPROVAL_MAX_FAILURES', 5);
+const APPROVAL_MAX_STORE_FAILURES = envNumber('APPROVAL_MAX_STORE_FAILURES', 20);
+const APPROVAL_LOCKOUT_MINUTES = envNumber('APPROVAL_LOCKOUT_MINUTES', 15);
+
+const PIN_FORMAT = /^\d{4,8}$/;
+
+function canApprove(user) {
+  return !!user && (user.role === 'manager' || user.role === 'admin');
+}
+
+/**
+ * Check the approving manager's username and PIN or password. Managers can
+ * only approve for their own store. Returns `{ user, method }` or `{ error }`.
+ */
+async function verifyApprover({ username, password, pin, storeId }) {
+  const user = await User.findOne({ username: String(username).trim() }).lean();
+  if (!user || !canApprove(user)) {
+    return { error: 'Invalid manager credentials' };
+  }
+  if (user.role === 'manager' && user.store && String(user.store) !== String(storeId)) {
+    return { error: `${user.username} cannot approve for this store` };
+  }
+
+  if (pin) {
+    if (!user.pin_hash || !bcrypt.compareSync(String(pin), user.pin_hash)) {
+      return { error: 'Invalid manager credentials' };
+    }
+    return { user, method: 'pin' };
+  }
+  if (!bcrypt.compareSync(String(password), user.password_hash)) {
+    return { error: 'Invalid manager credentials' };
+  }
+  return { user, method: 'password' };
+}
+
+/**
+ * Refuse approval attempts while the requester or the store has had too many
+ * failures in the last APPROVAL_LOCKOUT_MINUTES. Run before verifyApprover,
+ * so a locked-out caller costs no bcrypt work. Returns null, or `{ error,
+ * retryAfter }` with the seconds until the oldest counted failure ages out.
+ */
+async function checkApprovalLockout({ requester, storeId, now = new Date() }) {
+  const windowMs = APPROVAL_LOCKOUT_MINUTES * 60 * 1000;
+  const since = new Date(now.getTime() - windowMs);
+  const scopes = [
+    { filter: { store: storeId }, limit: APPROVAL_MAX_STORE_FAILURES, who: 'this store' },
+    { filter: { requested_by: requester.id }, limit: APPROVAL_MAX_FAILURES, who: 'you' }
+  ];
+
+  for (const { filter, limit, who } of scopes) {
+    const recent = await ApprovalFailure.find({ ...filter, created_at: { $gte: since } })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .select('created_at')
+      .lean();
+    if (recent.length >= limit) {
+      const unlockAt = recent[limit - 1].created_at.getTime() + windowMs;
+      const retryAfter = Math.max(Math.ceil((unlockAt - now.getTime()) / 1000), 1);
+      return {
+        error:
+          `Too many failed approval attempts for ${who}; ` +
+          `try again in ${Math.ceil(retryAfter / 60)} min`,
+        retryAfter
+      };
+    }
+  }
+  return null;
+}
+
+/** Record a rejected approval attempt for the audit and the lockout. */
+async function recordApprovalFailure({
+  action,
+  store,
+  register,
+  subject,
+  requester,
+  username,
+  method,
+  reason
+}) {
+  return ApprovalFailure.create({
+    store,
+    register: register || null,
+    action,
+    subject: subject != null ? String(subject) : '',
+    requested_by: requester ? requester.id : null,
+    requested_by_name: requester ? requester.username : '',
+    username: username != null ? String(username).trim() : '',
+    method,
+    reason,
+    created_at: new Date()
+  });
+}
+
+/** Record an approval and return it with its one-time token. */
+async function issueApproval({ action, store, register, subject, amount, requester, approver, method }) {
+  const now = new Date();
+  return Approval.create({
+    token: crypto.randomBytes(16).toString('hex'),
+    action,
+    store,
+    register: register || null,
+    subject: String(subject),
+    amount: amount != null ? amount : null,
+    requested_by: requester ? requester.id : null,
+    requested_by_name: requester ? requester.username : '',
+    approved_by: approver._id,
+    approved_by_name: approver.username,
+    method,
+    created_at: now,
+    expires_at: new Date(now.getTime() + APPROVAL_TTL_MINUTES * 60 * 1000)
+  });
+}
+
+/**
+ * Decide whether a restricted action may go ahead. Managers and admins
+ * approve their own actions; cashiers need an unused, unexpired approval
+ * among `tokens` for the same action, store and subject, with an approved
+ * amount of at least `amount`. Approvals listed in `exclude` (ids already
+ * taken by another line of the same request) are skipped.
+ *
+ * Returns `{ record, approval }`, where `record` goes on the transaction's
+ * `approvals`, or `{ error, approvalRequired }` for a 403.
+ */
+async function checkApproval(
+  user,
+  { tokens, action, storeId, subject, amount = null, exclude = [] }
+) {
+  if (canApprove(user)) {
+    return {
+      approval: null,
+      record: { action, approval: null, approved_by: user.id, approved_by_name: user.username }
+    };
+  }
+
+  const list = (Array.isArray(tokens) ? tokens : [tokens]).filter(Boolean).map(String);
+  const filter = {
+    token: { $in: list },
+    action,
+    store: storeId,
+    subject: String(subject),
+    used_at: null,
+    expires_at: { $gt: new Date() }
+  };
+  if (exclude.length > 0) {
+    filter._id = { $nin: exclude };
+  }
+  if (amount != null) {
+    // a cent of slack for rounding between the prompt and checkout
+    filter.amount = { $gte: amount - 0.01 };
+  }
+  const approval = list.length > 0 ? await Approval.findOne(filter).lean() : null;
+  if (!approval) {
+    const label = APPROVAL_ACTIONS.find((a) => a.code === action).label;
+    return {
+      error: `${label} needs manager approval`,
+      approvalRequired: { action, subject: String(subject), amount }
+    };
+  }
+  return {
+    approval,
+    record: {
+      action,
+      approval: approval._id,
+      approved_by: approval.approved_by,
+      approved_by_name: approval.approved_by_name
+    }
+  };
+}
+
+/**
+ * Mark an approval from `checkApproval` as used by `transactionId`, inside
+ * the caller's session. Returns false if another request used it first.
+ */
+async function useApproval(check, transactionId, session) {
+  if (!check.approval) {
+    return true;
+  }
+  const used = await Approval.updateOne(
+    { _id: check.approval._id, used_at: null },
+    { $set: { used_at: new Date(), transaction: transactionId } },
+    { session }
+  );
+  return used.modifiedCount === 1;
+}
+
+module.exports = {
+  APPROVAL_ACTIONS,
+  REFUND_APPROVAL_LIMIT,
+  DISCOUNT_APPROVAL_PERCENT,
+  PRICE_OVERRIDE_APPROVAL_PERCENT,
+  PIN_FORMAT,
+  checkApprovalLockout,
+  recordApprovalFailure,
+  verifyApprover,
+  issueApproval,
+  checkApproval,
+  useApproval
+};
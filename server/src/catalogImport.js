@@ -0,0 +1,281 @@
+const { Inventory, Product, Store, Vendor } = require('./db');
+const { parseCsv } = require('./csv');
+const { setStock } = require('./stock');
+const { recordPriceHistory } = require('./prices');
+
+// Catalog CSV columns, in export order. Import needs `sku`; the others are
+// optional and a blank cell leaves an existing product's value alone.
+const CATALOG_COLUMNS = [
+  'sku',
+  'barcode',
+  'name',
+  'category',
+  'price',
+  'cost',
+  'tax_rate',
+  'vendor',
+  'track_lots',
+  'active'
+];
+// Opening stock at a store: `qty_<STORECODE>`
+const STOCK_COLUMN = /^qty_(.+)$/i;
+const MAX_IMPORT_ROWS = 5000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+function parseBoolean(raw, column, errors) {
+  const value = raw.toLowerCase();
+  if (TRUE_VALUES.includes(value)) return true;
+  if (FALSE_VALUES.includes(value)) return false;
+  errors.push(`${column} must be true or false`);
+  return undefined;
+}
+
+function parseAmount(raw, column, errors, max = Infinity) {
+  const value = Number(raw.replace(/^\$/, ''));
+  if (!Number.isFinite(value) || value < 0 || value > max) {
+    errors.push(
+      max === Infinity
+        ? `${column} must be a number of zero or more, got "${raw}"`
+        : `${column} must be between 0 and ${max}, got "${raw}"`
+    );
+    return undefined;
+  }
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Read the header: catalog columns and `qty_<STORECODE>` columns. Returns
+ * `{ columns, stockColumns: [{ index, column, store }] }` or `{ error }`.
+ */
+async function readHeader(fields) {
+  const names = fields.map((f) => f.trim());
+  const lowered = names.map((n) => n.toLowerCase());
+  if (!lowered.includes('sku')) {
+    return { error: 'The first line must be a header with a sku column' };
+  }
+  const stores = await Store.find({}).lean();
+  const byCode = new Map(stores.map((s) => [s.code.toUpperCase(), s]));
+
+  const columns = new Map();
+  const stockColumns = [];
+  for (let index = 0; index < names.length; index += 1) {
+    const name = lowered[index];
+    const stock = STOCK_COLUMN.exec(names[index]);
+    if (!name) {
+      continue;
+    }
+    if (columns.has(name) || stockColumns.some((c) => c.column === name)) {
+      return { error: `Column "${names[index]}" appears twice` };
+    }
+    if (CATALOG_COLUMNS.includes(name)) {
+      columns.set(name, index);
+    } else if (stock) {
+      const store = byCode.get(stock[1].toUpperCase());
+      if (!store) {
+        return { error: `Column "${names[index]}": no store with code ${stock[1]}` };
+      }
+      stockColumns.push({ index, column: name, store });
+    } else {
+      const known = `${CATALOG_COLUMNS.join(', ')} or qty_<STORECODE>`;
+      return { error: `Unknown column "${names[index]}"; use ${known}` };
+    }
+  }
+  return { columns, stockColumns };
+}
+
+/**
+ * Validate catalog CSV and work out what importing it would do, without
+ * changing anything. Rows are matched to products by SKU: new SKUs are
+ * created, known ones updated with the non-blank cells. Quantities under
+ * `qty_<STORECODE>` set opening stock where the product is not stocked at
+ * that store yet; stock already there is left to counts and adjustments.
+ *
+ * Returns `{ rows }` or `{ error }` for a file that cannot be read. Each
+ * row is `{ line, sku, name, action, product, fields, changes, stock,
+ * warnings, errors }` with `action` CREATE, UPDATE or UNCHANGED.
+ */
+async function planCatalogImport(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  const [head, ...records] = parsed.records;
+  if (!head) {
+    return { error: 'The file is empty' };
+  }
+  if (records.length === 0) {
+    return { error: 'The file has a header but no products' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} products at a time` };
+  }
+  const header = await readHeader(head.fields);
+  if (header.error) {
+    return { error: header.error };
+  }
+  const { columns, stockColumns } = header;
+  const cell = (record, name) =>
+    columns.has(name) ? String(record.fields[columns.get(name)] || '').trim() : '';
+
+  const skus = records.map((r) => cell(r, 'sku')).filter(Boolean);
+  const barcodes = records.map((r) => cell(r, 'barcode')).filter(Boolean);
+  const existing = await Product.find({ sku: { $in: skus } }).lean();
+  const bySku = new Map(existing.map((p) => [p.sku, p]));
+  const barcodeOwners = await Product.find({ barcode: { $in: barcodes } }).lean();
+  const byBarcode = new Map(barcodeOwners.map((p) => [p.barcode, p]));
+  const vendors = await Vendor.find({}).lean();
+  const vendorByName = new Map(vendors.map((v) => [v.name.trim().toLowerCase(), v]));
+  const stocked = await Inventory.find({ product: { $in: existing.map((p) => p._id) } }).lean();
+  const stockedKeys = new Set(stocked.map((row) => `${row.product}:${row.store}`));
+
+  const skuLines = new Map();
+  const barcodeLines = new Map();
+  const rows = records.map((record) => {
+    const errors = [];
+    const warnings = [];
+    const sku = cell(record, 'sku');
+    const product = sku ? bySku.get(sku) : null;
+    const fields = {};
+
+    if (!sku) {
+      errors.push('sku is required');
+    } else if (skuLines.has(sku)) {
+      errors.push(`SKU ${sku} is also on line ${skuLines.get(sku)}`);
+    } else {
+      skuLines.set(sku, record.line);
+    }
+
+    const barcode = cell(record, 'barcode');
+    if (barcode) {
+      const owner = byBarcode.get(barcode);
+      if (barcodeLines.has(barcode)) {
+        errors.push(`Barcode ${barcode} is also on line ${barcodeLines.get(barcode)}`);
+      } else if (owner && owner.sku !== sku) {
+        errors.push(`Barcode ${barcode} already belongs to SKU ${owner.sku}`);
+      }
+      barcodeLines.set(barcode, record.line);
+      fields.barcode = barcode;
+    }
+    ['name', 'category'].forEach((column) => {
+      if (cell(record, column)) fields[column] = cell(record, column);
+    });
+    if (cell(record, 'price')) fields.price = parseAmount(cell(record, 'price'), 'price', errors);
+    if (cell(record, 'cost')) fields.cost = parseAmount(cell(record, 'cost'), 'cost', errors);
+    if (cell(record, 'tax_rate')) {
+      fields.tax_rate = parseAmount(cell(record, 'tax_rate'), 'tax_rate', errors, 100);
+    }
+    if (cell(record, 'vendor')) {
+      const vendor = vendorByName.get(cell(record, 'vendor').toLowerCase());
+      if (vendor) {
+        fields.vendor = vendor._id;
+      } else {
+        errors.push(`No vendor named "${cell(record, 'vendor')}"`);
+      }
+    }
+    ['track_lots', 'active'].forEach((column) => {
+      if (cell(record, column)) fields[column] = parseBoolean(cell(record, column), column, errors);
+    });
+
+    if (!product) {
+      if (!fields.name) errors.push('name is required for a new product');
+      if (!cell(record, 'price')) errors.push('price is required for a new product');
+      if (!cell(record, 'tax_rate')) errors.push('tax_rate is required for a new product');
+    }
+
+    const stock = [];
+    stockColumns.forEach(({ index, store }) => {
+      const raw = String(record.fields[index] || '').trim();
+      if (!raw) {
+        return;
+      }
+      const quantity = Number(raw);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        errors.push(`qty_${store.code} must be a whole number of zero or more, got "${raw}"`);
+      } else if (product && stockedKeys.has(`${product._id}:${store._id}`)) {
+        warnings.push(`Already stocked at ${store.code}; quantity left unchanged`);
+      } else {
+        stock.push({ store: store._id, store_code: store.code, quantity });
+      }
+    });
+
+    const changes = Object.keys(fields).filter(
+      (field) => !product || String(product[field] ?? '') !== String(fields[field] ?? '')
+    );
+    let action = 'CREATE';
+    if (product) {
+      action = changes.length > 0 || stock.length > 0 ? 'UPDATE' : 'UNCHANGED';
+    }
+    return {
+      line: record.line,
+      sku,
+      name: fields.name || (product ? product.name : ''),
+      action,
+      product: product || null,
+      fields,
+      changes: product ? changes : [],
+      stock,
+      warnings,
+      errors
+    };
+  });
+
+  return { rows };
+}
+
+/**
+ * Apply a plan from planCatalogImport that has no errors. Opening stock is
+ * recorded as OPENING movements at the product's cost, and new prices in
+ * the price history. Returns the ids of
+ * existing products that start tracking lots, for syncLots once committed.
+ */
+async function applyCatalogImport(rows, user, session) {
+  const startsLots = [];
+  for (const row of rows) {
+    if (row.action === 'UNCHANGED') {
+      continue;
+    }
+    let product;
+    if (row.product) {
+      product = await Product.findByIdAndUpdate(
+        row.product._id,
+        { $set: row.fields },
+        { new: true, session }
+      ).lean();
+      if (row.fields.track_lots && !row.product.track_lots) {
+        startsLots.push(product._id);
+      }
+    } else {
+      [product] = await Product.create([{ active: true, ...row.fields, sku: row.sku }], {
+        session
+      });
+    }
+    await recordPriceHistory({
+      product: product._id,
+      oldPrice: row.product ? row.product.price : null,
+      newPrice: product.price,
+      source: 'IMPORT',
+      user,
+      session
+    });
+    for (const entry of row.stock) {
+      await setStock({
+        store: entry.store,
+        product: product._id,
+        quantity: entry.quantity,
+        reason: 'OPENING',
+        user,
+        unitCost: product.cost,
+        session
+      });
+    }
+  }
+  return startsLots;
+}
+
+module.exports = {
+  CATALOG_COLUMNS,
+  planCatalogImport,
+  applyCatalogImport
+};
@@ -0,0 +1,73 @@
+const { Inventory, Product } = require('./db');
+const { roundMoney } = require('./payments');
+
+// What stock costs a store: Inventory.avg_cost, its weighted-average unit
+// cost, kept up to date as stock arrives. A store that has not received a
+// product yet uses Product.cost.
+
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Unit cost of products at a store: a Map of product id to the store's
+ * average cost, else Product.cost, else null when the cost is unknown.
+ */
+async function loadUnitCosts(storeId, productIds, session = null) {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('cost')
+    .session(session)
+    .lean();
+  const rows = await Inventory.find({ store: storeId, product: { $in: productIds } })
+    .select('product avg_cost')
+    .session(session)
+    .lean();
+  const costs = new Map(products.map((p) => [String(p._id), p.cost != null ? p.cost : null]));
+  rows.forEach((row) => {
+    if (row.avg_cost != null) {
+      costs.set(String(row.product), row.avg_cost);
+    }
+  });
+  return costs;
+}
+
+async function unitCostAt(storeId, productId, session = null) {
+  const costs = await loadUnitCosts(storeId, [productId], session);
+  return costs.get(String(productId)) ?? null;
+}
+
+/**
+ * Blend `quantity` units arriving at `unitCost` into a store's average
+ * cost. Call before the stock is added; stock below zero counts as none.
+ * Arrivals of unknown cost leave the average alone.
+ */
+async function receiveAtCost({ store, product, quantity, unitCost, session = null }) {
+  if (unitCost == null || !(quantity > 0)) {
+    return;
+  }
+  const inv = await Inventory.findOne({ store, product }).session(session).lean();
+  const onHand = inv ? Math.max(inv.quantity, 0) : 0;
+  let current = inv && inv.avg_cost != null ? inv.avg_cost : null;
+  if (current == null) {
+    const found = await Product.findById(product).select('cost').session(session).lean();
+    current = found && found.cost != null ? found.cost : unitCost;
+  }
+  const avgCost = roundCost((onHand * current + quantity * unitCost) / (onHand + quantity));
+  await Inventory.updateOne(
+    { store, product },
+    { $set: { avg_cost: avgCost } },
+    { upsert: true, session }
+  );
+}
+
+/** Cost of goods for `quantity` units (negative for returns), or null. */
+function costOf(unitCost, quantity) {
+  return unitCost != null ? roundMoney(unitCost * quantity) : null;
+}
+
+module.exports = {
+  loadUnitCosts,
+  unitCostAt,
+  receiveAtCost,
+  costOf
+};
@@ -0,0 +1,19 @@
+const { Counter } = require('./db');
+
+/**
+ * Atomically increment and return the next value of a named sequence.
+ * Pass the surrounding MongoDB session so an aborted transaction rolls the
+ * increment back with it.
+ */
+async function nextSequence(key, session = null) {
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  ).lean();
+  return counter.seq;
+}
+
+module.exports = {
+  nextSequence
+};
@@ -0,0 +1,170 @@
+const { Inventory, Product, StockMovement, CountSession, CountEntry } = require('./db');
+const { toObjectId } = require('./reports');
+
+/** Counter key and display number for a store's count sessions. */
+function countSequenceKey(storeId) {
+  return `count:${storeId}`;
+}
+
+function formatCountNumber(storeCode, sequence) {
+  return `CC-${storeCode}-${String(sequence).padStart(6, '0')}`;
+}
+
+function countLine(product, quantity) {
+  return {
+    product: product._id,
+    product_name: product.name,
+    sku: product.sku,
+    barcode: product.barcode,
+    snapshot_quantity: quantity
+  };
+}
+
+/**
+ * Snapshot the lines for a new count: every active product stocked at the
+ * store, limited to `category` when given.
+ */
+async function buildCountLines(storeId, category) {
+  const rows = await Inventory.find({ store: storeId }).populate('product').lean();
+  return rows
+    .filter((row) => row.product && row.product.active)
+    .filter((row) => !category || row.product.category === category)
+    .sort((a, b) => a.product.name.localeCompare(b.product.name))
+    .map((row) => countLine(row.product, row.quantity));
+}
+
+/** Whether `product` belongs in a count of `category` (null: whole store). */
+function inCountScope(product, category) {
+  return !category || product.category === category;
+}
+
+/**
+ * Line for a product first scanned after the count started. Its snapshot is
+ * worked back from today's quantity through the movements since the start.
+ */
+async function lateCountLine(countSession, product) {
+  const inv = await Inventory.findOne({ store: countSession.store, product: product._id }).lean();
+  const [since] = await StockMovement.aggregate([
+    {
+      $match: {
+        store: toObjectId(countSession.store),
+        product: toObjectId(product._id),
+        created_at: { $gt: countSession.started_at }
+      }
+    },
+    { $group: { _id: null, delta: { $sum: '$delta' } } }
+  ]).exec();
+  return countLine(product, (inv ? inv.quantity : 0) - (since ? since.delta : 0));
+}
+
+/**
+ * Note what the system expects of a product the first time it is counted:
+ * its quantity at that moment. Later entries for it, from any device, are
+ * compared with this, so sales made after the product was first counted do
+ * not show up as variances. Only the first entry sets it.
+ */
+async function snapshotExpected(countSession, productId) {
+  const inv = await Inventory.findOne({ store: countSession.store, product: productId }).lean();
+  await CountSession.updateOne(
+    { _id: countSession._id },
+    { $set: { 'lines.$[line].expected_quantity': inv ? inv.quantity : 0 } },
+    { arrayFilters: [{ 'line.product': productId, 'line.expected_quantity': null }] }
+  );
+}
+
+/**
+ * Work out each line's count and variance. A counted product is expected to
+ * have the quantity noted at its first entry (see snapshotExpected); lines
+ * counted before that was recorded use today's quantity less the movements
+ * since their first entry. With `zeroUncounted`, products without entries
+ * count as 0 now.
+ *
+ * Returns one row per line with `counted_quantity` and `variance` null for
+ * products nobody counted.
+ */
+async function reviewCount(countSession, { zeroUncounted = false, session = null } = {}) {
+  const now = new Date();
+  const entries = await CountEntry.aggregate([
+    { $match: { count_session: toObjectId(countSession._id) } },
+    {
+      $group: {
+        _id: '$product',
+        quantity: { $sum: '$quantity' },
+        scans: { $sum: 1 },
+        first_at: { $min: '$created_at' },
+        last_at: { $max: '$created_at' }
+      }
+    }
+  ])
+    .session(session)
+    .exec();
+  const counted = new Map(entries.map((e) => [String(e._id), e]));
+
+  const productIds = countSession.lines.map((l) => l.product);
+  const inventory = await Inventory.find({ store: countSession.store, product: { $in: productIds } })
+    .session(session)
+    .lean();
+  const onHand = new Map(inventory.map((row) => [String(row.product), row.quantity]));
+  const movements = await StockMovement.find({
+    store: countSession.store,
+    product: { $in: productIds },
+    created_at: { $gt: countSession.started_at }
+  })
+    .session(session)
+    .lean();
+
+  return countSession.lines.map((line) => {
+    const key = String(line.product);
+    const entry = counted.get(key);
+    const quantity = onHand.get(key) || 0;
+    const row = {
+      product: line.product,
+      product_name: line.product_name,
+      sku: line.sku,
+      barcode: line.barcode,
+      snapshot_quantity: line.snapshot_quantity,
+      quantity,
+      scans: entry ? entry.scans : 0,
+      counted_at: entry ? entry.last_at : null,
+      counted_quantity: null,
+      expected_quantity: null,
+      variance: null
+    };
+    if (!entry && !zeroUncounted) {
+      return row;
+    }
+
+    row.counted_quantity = entry ? entry.quantity : 0;
+    if (entry && line.expected_quantity != null) {
+      row.expected_quantity = line.expected_quantity;
+    } else {
+      const countedAt = entry ? entry.first_at : now;
+      const after = movements
+        .filter((m) => String(m.product) === key && m.created_at > countedAt)
+        .reduce((sum, m) => sum + m.delta, 0);
+      row.expected_quantity = quantity - after;
+    }
+    row.variance = row.counted_quantity - row.expected_quantity;
+    return row;
+  });
+}
+
+/** Find an active product by scanned barcode or typed SKU. */
+async function findProductByCode(code) {
+  const trimmed = String(code || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+  return Product.findOne({ $or: [{ barcode: trimmed }, { sku: trimmed }], active: true }).lean();
+}
+
+module.exports = {
+  countSequenceKey,
+  formatCountNumber,
+  buildCountLines,
+  inCountScope,
+  lateCountLine,
+  snapshotExpected,
+  reviewCount,
+  findProductByCode
+};
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV: comma separated, double-quoted fields, "" for a
+// quote inside one, CRLF or LF line ends.
+
+/**
+ * Parse CSV text into records `{ line, fields }`, `line` being the 1-based
+ * line the record starts on. A leading byte order mark and blank lines are
+ * skipped. Returns `{ records }`, or `{ error }` for an unterminated quote.
+ */
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+      records.push({ line: recordLine, fields: record });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line += 1;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    return { error: `Unterminated quote starting on line ${quoteLine}` };
+  }
+  endRecord();
+  return { records };
+}
+
+function csvField(value) {
+  if (value == null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV text for a header row and data rows (arrays of values), CRLF ends. */
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -27,6 +27,13 @@ const ProductSchema = new Schema({
   name: { type: String, required: true },
   category: String,
   price: { type: Number, required: true },
+  // what one unit costs; stores use it until they have an average cost of
+  // their own from receiving (see costs.js)
+  cost: { type: Number, default: null },
+  // preferred supplier, used to group suggested purchase orders
+  vendor: { type: Schema.Types.ObjectId, ref: 'Vendor', default: null },
+  // perishables: stock is held in StockLot records with expiry dates
+  track_lots: { type: Boolean, default: false },
   tax_rate: { type: Number, default: 0 },
   active: { type: Boolean, default: true }
 });
@@ -34,10 +41,111 @@ const ProductSchema = new Schema({
 const InventorySchema = new Schema({
   store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
   product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
-  quantity: { type: Number, default: 0 }
+  quantity: { type: Number, default: 0 },
+  // Reordering (see reorder.js): low once quantity plus what is on order
+  // falls to `reorder_point`; then order `reorder_quantity`, or up to
+  // `max_quantity` when set.
+  reorder_point: { type: Number, default: null },
+  reorder_quantity: { type: Number, default: null },
+  max_quantity: { type: Number, default: null },
+  // this store's price; null sells at Product.price (see prices.js)
+  price: { type: Number, default: null },
+  // weighted-average unit cost, updated as stock arrives; null until the
+  // store first receives the product, costing it at Product.cost (costs.js)
+  avg_cost: { type: Number, default: null }
 });
 InventorySchema.index({ store: 1, product: 1 }, { unique: true });
 
+// Which lots a stock change came out of or went into
+const LotAllocationSchema = new Schema(
+  {
+    lot_number: { type: String, required: true },
+    expiry_date: { type: Date, default: null },
+    quantity: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+// A lot (batch) of a lot-tracked product at a store. A product's lots add
+// up to its Inventory.quantity; stock.js keeps them in step, taking sales
+// first expired, first out (see lots.js).
+const StockLotSchema = new Schema({
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  lot_number: { type: String, required: true },
+  // null for stock received without a date
+  expiry_date: { type: Date, default: null },
+  quantity: { type: Number, default: 0 },
+  created_at: { type: Date, required: true }
+});
+StockLotSchema.index({ store: 1, product: 1, lot_number: 1 }, { unique: true });
+StockLotSchema.index({ store: 1, expiry_date: 1 });
+
+// Append-only stock ledger. Every change to Inventory.quantity goes through
+// stock.js, which writes one movement; the quantities can be rebuilt by
+// summing `delta` per store and product.
+const StockMovementSchema = new Schema({
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  delta: { type: Number, required: true },
+  // Inventory.quantity right after this movement
+  quantity_after: { type: Number, required: true },
+  reason: {
+    type: String,
+    enum: [
+      'OPENING',
+      'SALE',
+      'REFUND',
+      'VOID',
+      'ADJUSTMENT',
+      'COUNT',
+      'RECEIVING',
+      'TRANSFER',
+      'SHRINK',
+      'RECALL'
+    ],
+    required: true
+  },
+  // the document behind the movement, e.g. a Transaction
+  ref_type: { type: String, default: null },
+  ref_id: { type: Schema.Types.ObjectId, default: null },
+  // human-readable reference (TC#, PO number, ...)
+  ref_label: { type: String, default: null },
+  // AdjustmentReason code for ADJUSTMENT and SHRINK movements
+  reason_code: { type: String, default: null },
+  user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  user_name: String,
+  note: { type: String, default: null },
+  // product cost at the time; cost_impact is delta * unit_cost
+  unit_cost: { type: Number, default: null },
+  cost_impact: { type: Number, default: null },
+  // lot-tracked products: the lots the change was applied to
+  lots: { type: [LotAllocationSchema], default: [] },
+  created_at: { type: Date, required: true }
+});
+StockMovementSchema.index({ store: 1, product: 1, created_at: 1 });
+StockMovementSchema.index({ reason: 1, created_at: 1 });
+StockMovementSchema.pre('save', function preventMovementEdit(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements are append-only'));
+  }
+  return next();
+});
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((op) => {
+  StockMovementSchema.pre(op, function preventMovementChange(next) {
+    next(new Error('Stock movements are append-only'));
+  });
+});
+
 const ReceiptTemplateSchema = new Schema({
   store: { type: Schema.Types.ObjectId, ref: 'Store', unique: true, required: true },
   header: String,
@@ -45,32 +153,190 @@ const ReceiptTemplateSchema = new Schema({
   options: Schema.Types.Mixed
 });
 
+// Why stock was corrected by hand. `shrink` reasons (damage, theft, ...)
+// are losses and are recorded as SHRINK movements.
+const AdjustmentReasonSchema = new Schema({
+  code: { type: String, required: true, unique: true },
+  label: { type: String, required: true },
+  shrink: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+const CouponSchema = new Schema({
+  code: { type: String, unique: true, required: true, uppercase: true, trim: true },
+  description: String,
+  type: { type: String, enum: ['percent', 'amount'], required: true },
+  value: { type: Number, required: true },
+  // set for a coupon on one product; otherwise it discounts the whole cart
+  product: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
+  min_subtotal: { type: Number, default: 0 },
+  starts_at: { type: Date, default: null },
+  ends_at: { type: Date, default: null },
+  max_uses: { type: Number, default: null },
+  use_count: { type: Number, default: 0 },
+  active: { type: Boolean, default: true }
+});
+
+// Automatic promotions, evaluated at checkout before manual discounts.
+// A promotion covers the listed products plus every product in `category`.
+const PromotionSchema = new Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: ['BOGO', 'MIX_MATCH', 'QTY_BREAK'], required: true },
+  products: [{ type: Schema.Types.ObjectId, ref: 'Product' }],
+  category: { type: String, default: null },
+  // empty = every store
+  stores: [{ type: Schema.Types.ObjectId, ref: 'Store' }],
+  // BOGO: buy `buy_quantity`, get the next `get_quantity` at `get_percent` off
+  buy_quantity: { type: Number, default: null },
+  get_quantity: { type: Number, default: null },
+  get_percent: { type: Number, default: 100 },
+  // MIX_MATCH: any `quantity` units for `price` together
+  // QTY_BREAK: `price` each once `quantity` or more units are bought
+  quantity: { type: Number, default: null },
+  price: { type: Number, default: null },
+  starts_at: { type: Date, default: null },
+  ends_at: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  created_at: { type: Date, default: Date.now }
+});
+
 const UserSchema = new Schema({
   username: { type: String, unique: true, required: true },
   password_hash: { type: String, required: true },
   role: { type: String, enum: ['admin', 'manager', 'cashier'], required: true },
-  store: { type: Schema.Types.ObjectId, ref: 'Store', default: null }
+  store: { type: Schema.Types.ObjectId, ref: 'Store', default: null },
+  // managers/admins: short numeric PIN for approving cashier actions
+  pin_hash: { type: String, default: null }
 });
 
+const ShiftSchema = new Schema({
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  register: { type: Schema.Types.ObjectId, ref: 'Register', required: true },
+  status: { type: String, enum: ['OPEN', 'CLOSED'], default: 'OPEN' },
+  opening_float: { type: Number, required: true },
+  opened_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  opened_by_name: String,
+  opened_at: { type: Date, required: true },
+  closed_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  closed_by_name: String,
+  closed_at: { type: Date, default: null },
+  // filled in on close: blind count vs. float + cash sales - cash refunds
+  counted_cash: { type: Number, default: null },
+  expected_cash: { type: Number, default: null },
+  over_short: { type: Number, default: null },
+  // sales, refunds and post-voids rung on the shift (see claimOpenShift)
+  tx_count: { type: Number, default: 0 }
+});
+// at most one open shift per register
+ShiftSchema.index(
+  { register: 1 },
+  { unique: true, partialFilterExpression: { status: 'OPEN' } }
+);
+
+const PaymentSchema = new Schema(
+  {
+    method: { type: String, required: true },
+    amount: { type: Number, required: true },
+    // cash handed over for this tender; amount is what was kept
+    tendered: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
+// A manager approval used by a transaction (see approvals.js)
+const TransactionApprovalSchema = new Schema(
+  {
+    action: { type: String, required: true },
+    // null when the manager did the action themselves
+    approval: { type: Schema.Types.ObjectId, ref: 'Approval', default: null },
+    approved_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    approved_by_name: String
+  },
+  { _id: false }
+);
+
 const TransactionSchema = new Schema({
   store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
   register: { type: Schema.Types.ObjectId, ref: 'Register', required: true },
+  shift: { type: Schema.Types.ObjectId, ref: 'Shift', default: null },
   cashier: { type: Schema.Types.ObjectId, ref: 'User', default: null },
   cashier_name: String,
   subtotal: { type: Number, required: true },
   tax_total: { type: Number, required: true },
   total: { type: Number, required: true },
+  // single tender method, or 'split' when `payments` holds several tenders
   payment_method: { type: String, required: true },
+  payments: { type: [PaymentSchema], default: [] },
+  discount_total: { type: Number, default: 0 },
+  coupon_codes: { type: [String], default: [] },
+  cash_tendered: { type: Number, default: null },
+  change_due: { type: Number, default: 0 },
   tc_number: { type: String, unique: true },
-  type: { type: String, enum: ['SALE', 'REFUND'], default: 'SALE' },
+  // VOID reverses a whole SALE (post-void); it references the sale
+  type: { type: String, enum: ['SALE', 'REFUND', 'VOID'], default: 'SALE' },
   reference_transaction: {
     type: Schema.Types.ObjectId,
     ref: 'Transaction',
     default: null
   },
+  // set on a post-voided SALE; the VOID transaction carries the same reason
+  voided: { type: Boolean, default: false },
+  // REFUND transactions taken against a SALE; refunded sales cannot be voided
+  refund_count: { type: Number, default: 0 },
+  void_transaction: { type: Schema.Types.ObjectId, ref: 'Transaction', default: null },
+  void_reason: { type: String, default: null },
+  void_note: { type: String, default: null },
+  voided_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  voided_by_name: String,
+  approvals: { type: [TransactionApprovalSchema], default: [] },
   created_at: { type: Date, required: true }
 });
 
+// A manual discount as entered at the register: `{ type, value }`
+const DiscountInputSchema = new Schema(
+  {
+    type: { type: String, enum: ['percent', 'amount'], required: true },
+    value: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+const ItemDiscountSchema = new Schema(
+  {
+    source: { type: String, enum: ['promotion', 'line', 'cart', 'coupon'], required: true },
+    // percent/amount for manual discounts and coupons; unset for promotions
+    type: { type: String, enum: ['percent', 'amount'] },
+    value: Number,
+    code: { type: String, default: null },
+    promotion: { type: Schema.Types.ObjectId, ref: 'Promotion', default: null },
+    name: { type: String, default: null },
+    amount: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+// Cashier-entered price for a line (see pricing.js)
+const PriceOverrideInputSchema = new Schema(
+  {
+    price: { type: Number, required: true },
+    reason: { type: String, required: true },
+    note: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+const ItemPriceOverrideSchema = new Schema(
+  {
+    reason: { type: String, required: true },
+    note: { type: String, default: null },
+    // null when no approval was needed
+    approved_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    approved_by_name: { type: String, default: null }
+  },
+  { _id: false }
+);
+
 const TransactionItemSchema = new Schema({
   transaction: { type: Schema.Types.ObjectId, ref: 'Transaction', required: true },
   product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
@@ -80,9 +346,442 @@ const TransactionItemSchema = new Schema({
   barcode: String,
   category: String,
   quantity: { type: Number, required: true },
+  // the price rung up: the store price, or the override price
   unit_price: { type: Number, required: true },
+  // the store price at the time of sale (Product.price unless the store
+  // has its own, see prices.js)
+  original_unit_price: { type: Number, default: null },
+  price_override: { type: ItemPriceOverrideSchema, default: null },
+  // unit_price * quantity before discounts; line_total is after discounts
+  gross_total: { type: Number, default: null },
+  discount_amount: { type: Number, default: 0 },
+  discounts: { type: [ItemDiscountSchema], default: [] },
   line_total: { type: Number, required: true },
-  tax_amount: { type: Number, required: true }
+  tax_amount: { type: Number, required: true },
+  // the store's unit cost when sold (refunds and voids: the sale's), and
+  // unit_cost * quantity; null when the cost was unknown
+  unit_cost: { type: Number, default: null },
+  cost_total: { type: Number, default: null },
+  // sale items: units refunded so far across all refunds of the sale
+  refunded_quantity: { type: Number, default: 0 },
+  // lot-tracked sale items: the lots sold from, so refunds and voids can
+  // put the stock back
+  lots: { type: [LotAllocationSchema], default: [] },
+  // refund items: the sale item being refunded
+  original_item: { type: Schema.Types.ObjectId, ref: 'TransactionItem', default: null }
+});
+TransactionItemSchema.index({ transaction: 1 });
+
+const VendorSchema = new Schema({
+  name: { type: String, required: true, unique: true },
+  contact_name: { type: String, default: null },
+  email: { type: String, default: null },
+  phone: { type: String, default: null },
+  active: { type: Boolean, default: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+const PurchaseOrderLineSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    product_name: String,
+    sku: String,
+    barcode: String,
+    ordered_quantity: { type: Number, required: true },
+    received_quantity: { type: Number, default: 0 },
+    unit_cost: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+// DRAFT -> SENT -> PARTIAL -> CLOSED. Lines can only change while DRAFT;
+// receiving moves a SENT or PARTIAL order on (see purchasing.js).
+const PurchaseOrderSchema = new Schema({
+  number: { type: String, required: true, unique: true },
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  vendor: { type: Schema.Types.ObjectId, ref: 'Vendor', required: true },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'SENT', 'PARTIAL', 'CLOSED'],
+    default: 'DRAFT'
+  },
+  lines: { type: [PurchaseOrderLineSchema], default: [] },
+  notes: { type: String, default: null },
+  expected_at: { type: Date, default: null },
+  created_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  created_by_name: String,
+  created_at: { type: Date, required: true },
+  sent_at: { type: Date, default: null },
+  closed_at: { type: Date, default: null }
+});
+PurchaseOrderSchema.index({ store: 1, status: 1, created_at: -1 });
+
+const GoodsReceiptLineSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    product_name: String,
+    quantity: { type: Number, required: true },
+    unit_cost: { type: Number, required: true },
+    lots: { type: [LotAllocationSchema], default: [] }
+  },
+  { _id: false }
+);
+
+// One delivery received against a purchase order
+const GoodsReceiptSchema = new Schema({
+  purchase_order: { type: Schema.Types.ObjectId, ref: 'PurchaseOrder', required: true },
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  lines: { type: [GoodsReceiptLineSchema], default: [] },
+  note: { type: String, default: null },
+  received_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  received_by_name: String,
+  created_at: { type: Date, required: true }
+});
+GoodsReceiptSchema.index({ purchase_order: 1, created_at: 1 });
+
+const TransferLineSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    product_name: String,
+    sku: String,
+    barcode: String,
+    shipped_quantity: { type: Number, required: true },
+    // null until the receiving store counts it
+    received_quantity: { type: Number, default: null },
+    // lots the sending store shipped, for lot-tracked products
+    lots: { type: [LotAllocationSchema], default: [] },
+    // the sending store's unit cost, carried into the receiving store's
+    unit_cost: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
+// Stock moved between two stores: shipping takes it out of `from_store`
+// (IN_TRANSIT), receiving adds what arrived to `to_store` (RECEIVED).
+const TransferSchema = new Schema({
+  number: { type: String, required: true, unique: true },
+  from_store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  to_store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  status: { type: String, enum: ['IN_TRANSIT', 'RECEIVED'], default: 'IN_TRANSIT' },
+  lines: { type: [TransferLineSchema], default: [] },
+  notes: { type: String, default: null },
+  shipped_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  shipped_by_name: String,
+  shipped_at: { type: Date, required: true },
+  received_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  received_by_name: String,
+  received_at: { type: Date, default: null },
+  receive_note: { type: String, default: null }
+});
+TransferSchema.index({ from_store: 1, shipped_at: -1 });
+TransferSchema.index({ to_store: 1, shipped_at: -1 });
+
+const CountLineSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    product_name: String,
+    sku: String,
+    barcode: String,
+    // Inventory.quantity when the count started
+    snapshot_quantity: { type: Number, default: 0 },
+    // Inventory.quantity when the product was first counted; settled for
+    // uncounted products when the count is posted
+    expected_quantity: { type: Number, default: null },
+    // filled in when the count is posted
+    counted_quantity: { type: Number, default: null },
+    adjustment: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
+// A physical count of a store, or of one category in it. Staff add
+// CountEntry scans while the store keeps trading; posting adjusts stock by
+// the variance from the quantity noted when each product was first counted
+// (see counts.js).
+const CountSessionSchema = new Schema({
+  number: { type: String, required: true, unique: true },
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  // null counts the whole store
+  category: { type: String, default: null },
+  status: { type: String, enum: ['OPEN', 'POSTED', 'CANCELLED'], default: 'OPEN' },
+  lines: { type: [CountLineSchema], default: [] },
+  notes: { type: String, default: null },
+  started_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  started_by_name: String,
+  started_at: { type: Date, required: true },
+  finished_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  finished_by_name: String,
+  finished_at: { type: Date, default: null }
+});
+CountSessionSchema.index({ store: 1, status: 1, started_at: -1 });
+
+// One scan or keyed quantity in a count session. Several devices add
+// entries at once; a product's count is the sum of its entries, so a
+// negative entry corrects an over-scan.
+const CountEntrySchema = new Schema({
+  count_session: { type: Schema.Types.ObjectId, ref: 'CountSession', required: true },
+  product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  quantity: { type: Number, required: true },
+  register: { type: Schema.Types.ObjectId, ref: 'Register', default: null },
+  user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  user_name: String,
+  created_at: { type: Date, required: true }
+});
+CountEntrySchema.index({ count_session: 1, product: 1, created_at: 1 });
+
+// One store's job to pull recalled stock off its shelves
+const RecallTaskSchema = new Schema(
+  {
+    store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+    // affected stock on hand when the recall was issued
+    quantity: { type: Number, default: 0 },
+    status: { type: String, enum: ['OPEN', 'DONE'], default: 'OPEN' },
+    removed_quantity: { type: Number, default: null },
+    note: { type: String, default: null },
+    completed_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    completed_by_name: String,
+    completed_at: { type: Date, default: null }
+  },
+  { _id: false }
+);
+
+// A vendor recall of a product: the whole product, or only the lots named
+// in `lot_numbers` or expiring between `expiry_from` and `expiry_to` (see
+// recalls.js). While ACTIVE the affected stock cannot be sold.
+const RecallSchema = new Schema({
+  number: { type: String, required: true, unique: true },
+  product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  product_name: String,
+  sku: String,
+  lot_numbers: { type: [String], default: [] },
+  expiry_from: { type: Date, default: null },
+  expiry_to: { type: Date, default: null },
+  reason: { type: String, required: true },
+  // the vendor's own notice number
+  vendor_reference: { type: String, default: null },
+  status: { type: String, enum: ['ACTIVE', 'CLOSED'], default: 'ACTIVE' },
+  tasks: { type: [RecallTaskSchema], default: [] },
+  created_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  created_by_name: String,
+  created_at: { type: Date, required: true },
+  closed_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  closed_by_name: String,
+  closed_at: { type: Date, default: null }
+});
+RecallSchema.index({ product: 1, status: 1 });
+RecallSchema.index({ status: 1, created_at: -1 });
+
+// One new price in a price change: the base price (Product.price) when
+// `store` is null, otherwise that store's price. A store price of null
+// puts the store back on the base price.
+const PriceChangeLineSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    store: { type: Schema.Types.ObjectId, ref: 'Store', default: null },
+    price: { type: Number, default: null },
+    // the price it replaced, filled in when applied
+    old_price: { type: Number, default: null }
+  },
+  { _id: false }
+);
+
+// A batch of price changes that goes live at `effective_at`. Due batches
+// are applied by the price change job (prices.js runPriceChangeJob).
+const PriceChangeSchema = new Schema({
+  number: { type: String, required: true, unique: true },
+  name: { type: String, default: null },
+  effective_at: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'APPLIED', 'CANCELLED'],
+    default: 'SCHEDULED'
+  },
+  lines: { type: [PriceChangeLineSchema], default: [] },
+  created_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  created_by_name: String,
+  created_at: { type: Date, required: true },
+  applied_at: { type: Date, default: null },
+  cancelled_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  cancelled_by_name: String,
+  cancelled_at: { type: Date, default: null }
+});
+PriceChangeSchema.index({ status: 1, effective_at: 1 });
+
+// Every change to a product's base price (`store` null) or a store price
+const PriceHistorySchema = new Schema({
+  product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  store: { type: Schema.Types.ObjectId, ref: 'Store', default: null },
+  old_price: { type: Number, default: null },
+  new_price: { type: Number, default: null },
+  source: {
+    type: String,
+    enum: ['CREATE', 'EDIT', 'STORE_PRICE', 'IMPORT', 'PRICE_CHANGE'],
+    required: true
+  },
+  // the price change batch behind it
+  ref_id: { type: Schema.Types.ObjectId, default: null },
+  ref_label: { type: String, default: null },
+  user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  user_name: String,
+  created_at: { type: Date, required: true }
+});
+PriceHistorySchema.index({ product: 1, created_at: -1 });
+
+// A cart parked at one register to be resumed at any register in the store.
+// Removed when resumed; MongoDB's TTL monitor deletes it after `expires_at`.
+const SuspendedCartItemSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true },
+    discount: { type: DiscountInputSchema, default: null },
+    price_override: { type: PriceOverrideInputSchema, default: null }
+  },
+  { _id: false }
+);
+
+const SuspendedCartSchema = new Schema({
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  register: { type: Schema.Types.ObjectId, ref: 'Register', required: true },
+  recall_code: { type: String, required: true, unique: true },
+  items: { type: [SuspendedCartItemSchema], default: [] },
+  discount: { type: DiscountInputSchema, default: null },
+  coupon_codes: { type: [String], default: [] },
+  // priced when suspended, for the recall list
+  item_count: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  cashier: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  cashier_name: String,
+  created_at: { type: Date, default: Date.now },
+  expires_at: { type: Date, required: true }
+});
+SuspendedCartSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// A line taken off a cart before checkout, kept for loss-prevention audits.
+const LineVoidSchema = new Schema({
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  register: { type: Schema.Types.ObjectId, ref: 'Register', required: true },
+  shift: { type: Schema.Types.ObjectId, ref: 'Shift', default: null },
+  cashier: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  cashier_name: String,
+  product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  product_name: String,
+  sku: String,
+  quantity: { type: Number, required: true },
+  unit_price: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  reason: { type: String, required: true },
+  note: { type: String, default: null },
+  created_at: { type: Date, required: true }
+});
+LineVoidSchema.index({ store: 1, created_at: 1 });
+
+// One-time manager approval for a restricted cashier action. The token is
+// bound to the action, the store and a subject (sale id, register id, ...)
+// and, for limits, the amount approved.
+const ApprovalSchema = new Schema({
+  token: { type: String, unique: true, required: true },
+  action: { type: String, required: true },
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  register: { type: Schema.Types.ObjectId, ref: 'Register', default: null },
+  subject: { type: String, required: true },
+  amount: { type: Number, default: null },
+  requested_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  requested_by_name: String,
+  approved_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  approved_by_name: String,
+  method: { type: String, enum: ['pin', 'password'], required: true },
+  created_at: { type: Date, required: true },
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+  transaction: { type: Schema.Types.ObjectId, ref: 'Transaction', default: null }
+});
+ApprovalSchema.index({ store: 1, created_at: 1 });
+
+// A rejected approval attempt: wrong credentials, or a manager from another
+// store. Recent failures per requester and per store throttle further tries.
+const ApprovalFailureSchema = new Schema({
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  register: { type: Schema.Types.ObjectId, ref: 'Register', default: null },
+  action: { type: String, required: true },
+  subject: { type: String, default: '' },
+  requested_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  requested_by_name: String,
+  // the manager username that was tried
+  username: { type: String, default: '' },
+  method: { type: String, enum: ['pin', 'password'], required: true },
+  reason: { type: String, required: true },
+  created_at: { type: Date, required: true }
+});
+ApprovalFailureSchema.index({ requested_by: 1, created_at: -1 });
+ApprovalFailureSchema.index({ store: 1, created_at: -1 });
+
+// Atomic sequences, keyed e.g. by `z:<storeId>`
+const CounterSchema = new Schema({
+  key: { type: String, unique: true, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+const ReportTenderSchema = new Schema(
+  {
+    method: String,
+    sales_total: Number,
+    refunds_total: Number,
+    voids_total: Number,
+    net_total: Number,
+    tender_count: Number
+  },
+  { _id: false }
+);
+
+// End-of-day Z report. Written once and never changed.
+const ZReportSchema = new Schema({
+  number: { type: Number, required: true },
+  store: { type: Schema.Types.ObjectId, ref: 'Store', required: true },
+  // null for a store-wide Z report
+  register: { type: Schema.Types.ObjectId, ref: 'Register', default: null },
+  period_start: { type: Date, required: true },
+  period_end: { type: Date, required: true },
+  gross_sales: { type: Number, required: true },
+  refunds_total: { type: Number, required: true },
+  net_total: { type: Number, required: true },
+  discount_total: { type: Number, default: 0 },
+  tax_total: { type: Number, required: true },
+  tx_count: { type: Number, required: true },
+  sale_count: { type: Number, required: true },
+  refund_count: { type: Number, required: true },
+  voids_total: { type: Number, default: 0 },
+  void_count: { type: Number, default: 0 },
+  line_void_count: { type: Number, default: 0 },
+  line_void_total: { type: Number, default: 0 },
+  tenders: { type: [ReportTenderSchema], default: [] },
+  shift_count: { type: Number, default: 0 },
+  over_short: { type: Number, default: 0 },
+  generated_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  generated_by_name: String,
+  created_at: { type: Date, required: true }
+});
+ZReportSchema.index({ store: 1, number: 1 }, { unique: true });
+// one Z per period: a second Z starting where another did would overlap it
+ZReportSchema.index({ store: 1, register: 1, period_start: 1 }, { unique: true });
+ZReportSchema.pre('save', function preventZReportEdit(next) {
+  if (!this.isNew) {
+    return next(new Error('Z reports are immutable'));
+  }
+  return next();
+});
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((op) => {
+  ZReportSchema.pre(op, function preventZReportChange(next) {
+    next(new Error('Z reports are immutable'));
+  });
 });
 
 // Models
@@ -90,10 +789,31 @@ const Store = mongoose.model('Store', StoreSchema);
 const Register = mongoose.model('Register', RegisterSchema);
 const Product = mongoose.model('Product', ProductSchema);
 const Inventory = mongoose.model('Inventory', InventorySchema);
+const StockLot = mongoose.model('StockLot', StockLotSchema);
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+const AdjustmentReason = mongoose.model('AdjustmentReason', AdjustmentReasonSchema);
+const Vendor = mongoose.model('Vendor', VendorSchema);
+const PurchaseOrder = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+const GoodsReceipt = mongoose.model('GoodsReceipt', GoodsReceiptSchema);
+const Transfer = mongoose.model('Transfer', TransferSchema);
+const CountSession = mongoose.model('CountSession', CountSessionSchema);
+const CountEntry = mongoose.model('CountEntry', CountEntrySchema);
+const Recall = mongoose.model('Recall', RecallSchema);
+const PriceChange = mongoose.model('PriceChange', PriceChangeSchema);
+const PriceHistory = mongoose.model('PriceHistory', PriceHistorySchema);
 const ReceiptTemplate = mongoose.model('ReceiptTemplate', ReceiptTemplateSchema);
+const Coupon = mongoose.model('Coupon', CouponSchema);
+const Promotion = mongoose.model('Promotion', PromotionSchema);
 const User = mongoose.model('User', UserSchema);
+const Shift = mongoose.model('Shift', ShiftSchema);
 const Transaction = mongoose.model('Transaction', TransactionSchema);
 const TransactionItem = mongoose.model('TransactionItem', TransactionItemSchema);
+const SuspendedCart = mongoose.model('SuspendedCart', SuspendedCartSchema);
+const LineVoid = mongoose.model('LineVoid', LineVoidSchema);
+const Approval = mongoose.model('Approval', ApprovalSchema);
+const ApprovalFailure = mongoose.model('ApprovalFailure', ApprovalFailureSchema);
+const Counter = mongoose.model('Counter', CounterSchema);
+const ZReport = mongoose.model('ZReport', ZReportSchema);
 
 async function seedIfEmpty() {
   const storeCount = await Store.countDocuments().exec();
@@ -121,7 +841,9 @@ async function seedIfEmpty() {
       name: 'Whole Milk 1L',
       category: 'Grocery',
       price: 2.99,
-      tax_rate: 5
+      cost: 1.8,
+      tax_rate: 5,
+      track_lots: true
     },
     {
       sku: '1002',
@@ -129,6 +851,7 @@ async function seedIfEmpty() {
       name: 'Bread Loaf',
       category: 'Bakery',
       price: 1.99,
+      cost: 0.95,
       tax_rate: 5
     },
     {
@@ -137,6 +860,7 @@ async function seedIfEmpty() {
       name: 'AA Batteries (4-pack)',
       category: 'Electronics',
       price: 4.5,
+      cost: 2.6,
       tax_rate: 10
     }
   ];
@@ -149,7 +873,9 @@ async function seedIfEmpty() {
       name: p.name,
       category: p.category,
       price: p.price,
+      cost: p.cost,
       tax_rate: p.tax_rate,
+      track_lots: !!p.track_lots,
       active: true
     });
     products.push(prod);
@@ -158,6 +884,20 @@ async function seedIfEmpty() {
       product: prod._id,
       quantity: 100
     });
+    if (prod.track_lots) {
+      // one delivery, good for another week
+      const expiry = new Date();
+      expiry.setUTCHours(0, 0, 0, 0);
+      expiry.setUTCDate(expiry.getUTCDate() + 7);
+      await StockLot.create({
+        store: store._id,
+        product: prod._id,
+        lot_number: 'L0001',
+        expiry_date: expiry,
+        quantity: 100,
+        created_at: new Date()
+      });
+    }
   }
 
   await ReceiptTemplate.create({
@@ -173,6 +913,7 @@ async function seedIfEmpty() {
   const adminPassword = bcrypt.hashSync('admin123', 10);
   const managerPassword = bcrypt.hashSync('manager123', 10);
   const cashierPassword = bcrypt.hashSync('cashier123', 10);
+  const managerPin = bcrypt.hashSync('1234', 10);
 
   await User.create({
     username: 'admin',
@@ -184,6 +925,7 @@ async function seedIfEmpty() {
   await User.create({
     username: 'manager',
     password_hash: managerPassword,
+    pin_hash: managerPin,
     role: 'manager',
     store: store._id
   });
@@ -199,11 +941,29 @@ async function seedIfEmpty() {
   void register;
 }
 
+// Starting reason codes; managers can add and retire codes afterwards.
+const DEFAULT_ADJUSTMENT_REASONS = [
+  { code: 'DAMAGE', label: 'Damaged', shrink: true },
+  { code: 'THEFT', label: 'Theft', shrink: true },
+  { code: 'SPOILAGE', label: 'Spoiled / expired', shrink: true },
+  { code: 'VENDOR_RETURN', label: 'Returned to vendor', shrink: false },
+  { code: 'COUNT_CORRECTION', label: 'Count correction', shrink: false },
+  { code: 'FOUND', label: 'Found stock', shrink: false }
+];
+
+async function seedAdjustmentReasons() {
+  if ((await AdjustmentReason.countDocuments().exec()) > 0) {
+    return;
+  }
+  await AdjustmentReason.insertMany(DEFAULT_ADJUSTMENT_REASONS);
+}
+
 async function initDb() {
   await mongoose.connect(MONGODB_URI, {
     maxPoolSize: 10
   });
   await seedIfEmpty();
+  await seedAdjustmentReasons();
 }
 
 module.exports = {
@@ -212,8 +972,29 @@ module.exports = {
   Register,
   Product,
   Inventory,
+  StockLot,
+  StockMovement,
+  AdjustmentReason,
+  Vendor,
+  PurchaseOrder,
+  GoodsReceipt,
+  Transfer,
+  CountSession,
+  CountEntry,
+  Recall,
+  PriceChange,
+  PriceHistory,
   ReceiptTemplate,
+  Coupon,
+  Promotion,
   User,
+  Shift,
   Transaction,
-  TransactionItem
+  TransactionItem,
+  SuspendedCart,
+  LineVoid,
+  Approval,
+  ApprovalFailure,
+  Counter,
+  ZReport
 };
\ No newline at end of file
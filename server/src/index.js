@@ -15,39 +15,463 @@ const {
   Register,
   Product,
   Inventory,
+  StockLot,
+  StockMovement,
+  AdjustmentReason,
+  Vendor,
+  PurchaseOrder,
+  GoodsReceipt,
+  Transfer,
+  CountSession,
+  CountEntry,
+  Recall,
+  PriceChange,
+  PriceHistory,
   ReceiptTemplate,
+  Coupon,
+  Promotion,
   User,
+  Shift,
   Transaction,
-  TransactionItem
+  TransactionItem,
+  SuspendedCart,
+  LineVoid,
+  Approval,
+  ApprovalFailure,
+  ZReport
 } = require('./db');
-const { generateTC } = require('./tcGenerator');
-const { renderTextReceipt } = require('./receiptRenderer');
+const { generateTC, verifyTC, tcSequenceKey } = require('./tcGenerator');
+const {
+  renderTextReceipt,
+  renderTextReport,
+  renderSuspendSlip
+} = require('./receiptRenderer');
 const { handleLogin, authMiddleware, requireRole } = require('./auth');
+const {
+  PAYMENT_METHODS,
+  roundMoney,
+  toCents,
+  normalizePayments,
+  summarizePaymentMethod,
+  allocateRefund
+} = require('./payments');
+const { findOpenShift, computeShiftCash, claimOpenShift } = require('./shifts');
+const { nextSequence } = require('./counters');
+const { loadRefundedQuantities } = require('./refunds');
+const { VOID_REASONS, parseVoidReason } = require('./voids');
+const { moveStock, setStock, ensureOpeningBalances, rebuildInventory } = require('./stock');
+const {
+  PO_STATUSES,
+  poSequenceKey,
+  formatPoNumber,
+  parseOrderLines,
+  applyDelivery
+} = require('./purchasing');
+const {
+  transferSequenceKey,
+  formatTransferNumber,
+  parseTransferLines,
+  applyTransferReceipt,
+  lineVariance
+} = require('./transfers');
+const {
+  countSequenceKey,
+  formatCountNumber,
+  buildCountLines,
+  inCountScope,
+  lateCountLine,
+  snapshotExpected,
+  reviewCount,
+  findProductByCode
+} = require('./counts');
+const { findAdjustmentReason, parseAdjustmentReasonBody } = require('./adjustments');
+const {
+  parseLotInput,
+  isExpired,
+  fefoOrder,
+  sliceLots,
+  syncLots,
+  loadLotSummary,
+  findUnsellable,
+  loadExpiringLots
+} = require('./lots');
+const {
+  RECALL_SEQUENCE_KEY,
+  formatRecallNumber,
+  parseRecallBody,
+  isWholeProduct,
+  lotMatchesRecall,
+  loadActiveRecalls,
+  affectedStock,
+  buildRecallTasks
+} = require('./recalls');
+const {
+  PRICE_CHANGE_SEQUENCE_KEY,
+  formatPriceChangeNumber,
+  recordPriceHistory,
+  setStorePrice,
+  parsePrice,
+  parsePriceChangeBody,
+  runPriceChangeJob,
+  withStorePrices
+} = require('./prices');
+const { loadUnitCosts, unitCostAt, receiveAtCost, costOf } = require('./costs');
+const { toCsv } = require('./csv');
+const { CATALOG_COLUMNS, planCatalogImport, applyCatalogImport } = require('./catalogImport');
+const {
+  parseReorderSettings,
+  loadOnOrder,
+  isLowStock,
+  loadLowStock,
+  loadLastOrdered
+} = require('./reorder');
+const {
+  APPROVAL_ACTIONS,
+  REFUND_APPROVAL_LIMIT,
+  DISCOUNT_APPROVAL_PERCENT,
+  PRICE_OVERRIDE_APPROVAL_PERCENT,
+  PIN_FORMAT,
+  checkApprovalLockout,
+  recordApprovalFailure,
+  verifyApprover,
+  issueApproval,
+  checkApproval,
+  useApproval
+} = require('./approvals');
+const {
+  PROMOTION_TYPES,
+  PRICE_OVERRIDE_REASONS,
+  parseDiscount,
+  parsePriceOverride,
+  priceCart,
+  resolveCoupons,
+  resolvePromotions
+} = require('./pricing');
+const {
+  toObjectId,
+  PAYMENTS_EXPR,
+  COST_GROUP_FIELDS,
+  marginOf,
+  resolvePeriodStart,
+  buildRegisterReport
+} = require('./reports');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 const PRINT_AGENT_BASE = process.env.PRINT_AGENT_BASE || null;
+const SUSPENDED_CART_TTL_MINUTES = Number(process.env.SUSPENDED_CART_TTL_MINUTES) || 240;
 
 app.use(cors());
 app.use(express.json());
 
-function sendToPrintAgent(transactionId) {
+// How long to wait for the print agent to accept a job
+const PRINT_AGENT_TIMEOUT_MS = 5000;
+
+// Hand a transaction's receipt to the print agent, whose queue then retries
+// until it prints. Waits for the agent to accept the job, so when the agent
+// is down or restarting the failure reaches the POS, which offers to print
+// again. Resolves to `{ printJob, printError }`, both null without an agent.
+async function sendToPrintAgent(transactionId) {
   if (!PRINT_AGENT_BASE || !transactionId) {
-    return;
+    return { printJob: null, printError: null };
   }
 
-  (async () => {
-    try {
-      await fetch(`${PRINT_AGENT_BASE}/print/transaction`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ transactionId })
-      });
-    } catch (err) {
-      // eslint-disable-next-line no-console
-      console.error('Print agent error:', err);
+  try {
+    const res = await fetch(`${PRINT_AGENT_BASE}/print/transaction`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transactionId }),
+      signal: AbortSignal.timeout(PRINT_AGENT_TIMEOUT_MS)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return {
+        printJob: null,
+        printError: body.error || `Print agent returned status ${res.status}`
+      };
     }
-  })();
+    return { printJob: body.job || null, printError: null };
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Print agent error:', err);
+    return { printJob: null, printError: 'Print agent is not reachable' };
+  }
+}
+
+// Like sendToPrintAgent, but throws when the agent does not take the job.
+// Resolves to the agent's print job.
+async function printTextViaAgent(text, { barcode = null } = {}) {
+  if (!PRINT_AGENT_BASE) {
+    throw new Error('Print agent is not configured (PRINT_AGENT_BASE)');
+  }
+
+  const res = await fetch(`${PRINT_AGENT_BASE}/print/raw`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text, barcode }),
+    signal: AbortSignal.timeout(PRINT_AGENT_TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `Print agent returned status ${res.status}`);
+  }
+  const body = await res.json().catch(() => ({}));
+  return body.job || null;
+}
+
+function idOf(ref) {
+  if (!ref) {
+    return null;
+  }
+  return String(ref._id || ref);
+}
+
+function lotsToJson(lots) {
+  return (lots || []).map((l) => ({
+    lot_number: l.lot_number,
+    expiry_date: l.expiry_date || null,
+    quantity: l.quantity
+  }));
+}
+
+// Older transactions predate split tender and only carry payment_method.
+function paymentsOf(tx) {
+  if (Array.isArray(tx.payments) && tx.payments.length > 0) {
+    return tx.payments.map((p) => ({
+      method: p.method,
+      amount: p.amount,
+      tendered: p.tendered != null ? p.tendered : null
+    }));
+  }
+  return [{ method: tx.payment_method, amount: tx.total }];
+}
+
+// An error whose message is safe to return to the client as a 400, thrown
+// from inside a MongoDB transaction to abort it.
+function clientError(message) {
+  const err = new Error(message);
+  err.clientError = true;
+  return err;
+}
+
+// Approval PINs are for managers and admins only. Empty means "no change".
+function parsePin(pin, role) {
+  if (pin == null || pin === '') {
+    return { pin: null };
+  }
+  if (role === 'cashier') {
+    return { error: 'Only managers and admins can have an approval PIN' };
+  }
+  if (!PIN_FORMAT.test(String(pin))) {
+    return { error: 'PIN must be 4 to 8 digits' };
+  }
+  return { pin: String(pin) };
+}
+
+function approvalToJson(a) {
+  return {
+    id: String(a._id),
+    action: a.action,
+    store_id: idOf(a.store),
+    register_id: a.register ? idOf(a.register) : null,
+    subject: a.subject,
+    amount: a.amount,
+    requested_by_name: a.requested_by_name || '',
+    approved_by_name: a.approved_by_name,
+    method: a.method,
+    created_at: a.created_at,
+    expires_at: a.expires_at,
+    used_at: a.used_at,
+    transaction_id: a.transaction ? idOf(a.transaction) : null
+  };
+}
+
+function discountToJson(d) {
+  return {
+    source: d.source,
+    type: d.type || null,
+    value: d.value != null ? d.value : null,
+    code: d.code || null,
+    promotion_id: d.promotion ? String(d.promotion) : null,
+    name: d.name || null,
+    amount: d.amount
+  };
+}
+
+function transactionItemToJson(it) {
+  return {
+    id: String(it._id),
+    transaction_id: String(it.transaction),
+    product_id: String(it.product),
+    product_name: it.product_name,
+    barcode: it.barcode,
+    sku: it.sku,
+    quantity: it.quantity,
+    unit_price: it.unit_price,
+    original_unit_price: it.original_unit_price != null ? it.original_unit_price : it.unit_price,
+    price_override: it.price_override
+      ? {
+          reason: it.price_override.reason,
+          note: it.price_override.note || null,
+          approved_by_name: it.price_override.approved_by_name || null
+        }
+      : null,
+    gross_total: it.gross_total != null ? it.gross_total : roundMoney(it.unit_price * it.quantity),
+    discount_amount: it.discount_amount || 0,
+    discounts: (it.discounts || []).map(discountToJson),
+    line_total: it.line_total,
+    tax_amount: it.tax_amount,
+    refunded_quantity: it.refunded_quantity || 0,
+    lots: lotsToJson(it.lots),
+    original_item_id: it.original_item ? String(it.original_item) : null
+  };
+}
+
+function transactionToJson(tx) {
+  return {
+    id: String(tx._id),
+    store_id: idOf(tx.store),
+    register_id: idOf(tx.register),
+    shift_id: tx.shift ? String(tx.shift) : null,
+    cashier_id: tx.cashier ? String(tx.cashier) : null,
+    cashier_name: tx.cashier_name,
+    subtotal: tx.subtotal,
+    tax_total: tx.tax_total,
+    total: tx.total,
+    payment_method: tx.payment_method,
+    payments: paymentsOf(tx),
+    discount_total: tx.discount_total || 0,
+    coupon_codes: tx.coupon_codes || [],
+    cash_tendered: tx.cash_tendered != null ? tx.cash_tendered : null,
+    change_due: tx.change_due || 0,
+    tc_number: tx.tc_number,
+    type: tx.type,
+    reference_transaction_id: tx.reference_transaction ? idOf(tx.reference_transaction) : null,
+    voided: !!tx.voided,
+    void_transaction_id: tx.void_transaction ? idOf(tx.void_transaction) : null,
+    void_reason: tx.void_reason || null,
+    void_note: tx.void_note || null,
+    voided_by_name: tx.voided_by_name || null,
+    approvals: (tx.approvals || []).map((a) => ({
+      action: a.action,
+      approval_id: a.approval ? idOf(a.approval) : null,
+      approved_by_name: a.approved_by_name
+    })),
+    created_at: tx.created_at
+  };
+}
+
+// Expected cash and over/short stay hidden until the drawer has been
+// counted, so the count is blind.
+function shiftToJson(shift) {
+  const closed = shift.status === 'CLOSED';
+  return {
+    id: String(shift._id),
+    store_id: idOf(shift.store),
+    register_id: idOf(shift.register),
+    status: shift.status,
+    opening_float: shift.opening_float,
+    opened_by_id: shift.opened_by ? String(shift.opened_by) : null,
+    opened_by_name: shift.opened_by_name,
+    opened_at: shift.opened_at,
+    closed_by_id: shift.closed_by ? String(shift.closed_by) : null,
+    closed_by_name: shift.closed_by_name || null,
+    closed_at: shift.closed_at,
+    counted_cash: closed ? shift.counted_cash : null,
+    expected_cash: closed ? shift.expected_cash : null,
+    over_short: closed ? shift.over_short : null
+  };
+}
+
+function zReportToJson(report) {
+  return {
+    id: String(report._id),
+    number: report.number,
+    store_id: idOf(report.store),
+    register_id: report.register ? idOf(report.register) : null,
+    period_start: report.period_start,
+    period_end: report.period_end,
+    gross_sales: report.gross_sales,
+    refunds_total: report.refunds_total,
+    voids_total: report.voids_total || 0,
+    net_total: report.net_total,
+    discount_total: report.discount_total || 0,
+    tax_total: report.tax_total,
+    tx_count: report.tx_count,
+    sale_count: report.sale_count,
+    refund_count: report.refund_count,
+    void_count: report.void_count || 0,
+    line_void_count: report.line_void_count || 0,
+    line_void_total: report.line_void_total || 0,
+    tenders: (report.tenders || []).map((t) => ({
+      method: t.method,
+      sales_total: t.sales_total,
+      refunds_total: t.refunds_total,
+      voids_total: t.voids_total || 0,
+      net_total: t.net_total,
+      tender_count: t.tender_count
+    })),
+    shift_count: report.shift_count,
+    over_short: report.over_short,
+    generated_by_name: report.generated_by_name,
+    created_at: report.created_at
+  };
+}
+
+function lineVoidToJson(v) {
+  return {
+    id: String(v._id),
+    store_id: idOf(v.store),
+    register_id: idOf(v.register),
+    register_code: v.register && v.register.code ? v.register.code : null,
+    shift_id: v.shift ? idOf(v.shift) : null,
+    cashier_name: v.cashier_name || '',
+    product_id: idOf(v.product),
+    product_name: v.product_name,
+    sku: v.sku,
+    quantity: v.quantity,
+    unit_price: v.unit_price,
+    amount: v.amount,
+    reason: v.reason,
+    note: v.note,
+    created_at: v.created_at
+  };
+}
+
+function couponToJson(c) {
+  return {
+    id: String(c._id),
+    code: c.code,
+    description: c.description || '',
+    type: c.type,
+    value: c.value,
+    product_id: c.product ? idOf(c.product) : null,
+    min_subtotal: c.min_subtotal || 0,
+    starts_at: c.starts_at,
+    ends_at: c.ends_at,
+    max_uses: c.max_uses,
+    use_count: c.use_count || 0,
+    active: c.active
+  };
+}
+
+function promotionToJson(p) {
+  return {
+    id: String(p._id),
+    name: p.name,
+    type: p.type,
+    product_ids: (p.products || []).map(idOf),
+    category: p.category || null,
+    store_ids: (p.stores || []).map(idOf),
+    buy_quantity: p.buy_quantity,
+    get_quantity: p.get_quantity,
+    get_percent: p.get_percent,
+    quantity: p.quantity,
+    price: p.price,
+    starts_at: p.starts_at,
+    ends_at: p.ends_at,
+    active: p.active
+  };
 }
 
 // Public endpoints
@@ -71,6 +495,7 @@ app.get('/api/users', requireRole('admin'), async (req, res) => {
     id: String(u._id),
     username: u.username,
     role: u.role,
+    has_pin: !!u.pin_hash,
     store_id: u.store ? String(u.store._id) : null,
     store_code: u.store ? u.store.code : null,
     store_name: u.store ? u.store.name : null
@@ -80,7 +505,7 @@ app.get('/api/users', requireRole('admin'), async (req, res) => {
 });
 
 app.post('/api/users', requireRole('admin'), async (req, res) => {
-  const { username, password, role, storeId } = req.body || {};
+  const { username, password, role, storeId, pin } = req.body || {};
 
   if (!username || !password || !role) {
     return res
@@ -93,6 +518,11 @@ app.post('/api/users', requireRole('admin'), async (req, res) => {
     return res.status(400).json({ error: 'Invalid role' });
   }
 
+  const pinCheck = parsePin(pin, role);
+  if (pinCheck.error) {
+    return res.status(400).json({ error: pinCheck.error });
+  }
+
   let store = null;
   if (storeId) {
     store = await Store.findById(storeId).lean();
@@ -107,6 +537,7 @@ app.post('/api/users', requireRole('admin'), async (req, res) => {
     const created = await User.create({
       username: username.trim(),
       password_hash: passwordHash,
+      pin_hash: pinCheck.pin ? bcrypt.hashSync(pinCheck.pin, 10) : null,
       role,
       store: store ? store._id : null
     });
@@ -115,6 +546,7 @@ app.post('/api/users', requireRole('admin'), async (req, res) => {
       id: String(created._id),
       username: created.username,
       role: created.role,
+      has_pin: !!created.pin_hash,
       store_id: created.store ? String(created.store) : null,
       store_code: store ? store.code : null,
       store_name: store ? store.name : null
@@ -135,13 +567,18 @@ app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  const { username, password, role, storeId } = req.body || {};
+  const { username, password, role, storeId, pin } = req.body || {};
   const allowedRoles = ['admin', 'manager', 'cashier'];
   const newRole = role != null ? role : existing.role;
   if (!allowedRoles.includes(newRole)) {
     return res.status(400).json({ error: 'Invalid role' });
   }
 
+  const pinCheck = parsePin(pin, newRole);
+  if (pinCheck.error) {
+    return res.status(400).json({ error: pinCheck.error });
+  }
+
   let store = existing.store;
   if (storeId !== undefined) {
     if (!storeId) {
@@ -168,6 +605,11 @@ app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
     existing.password_hash = passwordHash;
     existing.role = newRole;
     existing.store = store;
+    if (pinCheck.pin) {
+      existing.pin_hash = bcrypt.hashSync(pinCheck.pin, 10);
+    } else if (newRole === 'cashier') {
+      existing.pin_hash = null;
+    }
     await existing.save();
 
     const populated = await User.findById(existing._id)
@@ -178,6 +620,7 @@ app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
       id: String(populated._id),
       username: populated.username,
       role: populated.role,
+      has_pin: !!populated.pin_hash,
       store_id: populated.store ? String(populated.store._id) : null,
       store_code: populated.store ? populated.store.code : null,
       store_name: populated.store ? populated.store.name : null
@@ -240,7 +683,170 @@ app.get('/api/registers', async (req, res) => {
   res.json(result);
 });
 
-// Products listing/search
+// Current open shift for a register (null when the till is closed)
+app.get('/api/shifts/current', async (req, res) => {
+  const registerId = req.query.registerId;
+  if (!registerId) {
+    return res.status(400).json({ error: 'registerId is required' });
+  }
+
+  const shift = await findOpenShift(registerId);
+  return res.json({ shift: shift ? shiftToJson(shift) : null });
+});
+
+// Shift history for a store/register (manager/admin)
+app.get('/api/shifts', requireRole('manager'), async (req, res) => {
+  const { storeId, registerId } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+
+  const filter = { store: storeId };
+  if (registerId) {
+    filter.register = registerId;
+  }
+
+  const shifts = await Shift.find(filter)
+    .sort({ opened_at: -1 })
+    .limit(100)
+    .lean();
+  return res.json(shifts.map(shiftToJson));
+});
+
+// Open a shift on a register with a starting float
+app.post('/api/shifts/open', async (req, res) => {
+  const { storeId, registerId, openingFloat } = req.body || {};
+  if (!storeId || !registerId || openingFloat == null) {
+    return res.status(400).json({
+      error: 'storeId, registerId and openingFloat are required'
+    });
+  }
+
+  const float = Number(openingFloat);
+  if (!Number.isFinite(float) || float < 0) {
+    return res.status(400).json({ error: 'openingFloat must be zero or more' });
+  }
+
+  const register = await Register.findOne({ _id: registerId, store: storeId }).lean();
+  if (!register) {
+    return res.status(400).json({ error: 'Invalid registerId for store' });
+  }
+
+  const existing = await findOpenShift(registerId);
+  if (existing) {
+    return res
+      .status(400)
+      .json({ error: 'This register already has an open shift' });
+  }
+
+  try {
+    const shift = await Shift.create({
+      store: storeId,
+      register: registerId,
+      status: 'OPEN',
+      opening_float: float,
+      opened_by: req.user.id,
+      opened_by_name: req.user.username,
+      opened_at: new Date()
+    });
+    return res.status(201).json(shiftToJson(shift.toObject()));
+  } catch (err) {
+    if (String(err.message || '').includes('duplicate key error')) {
+      return res
+        .status(400)
+        .json({ error: 'This register already has an open shift' });
+    }
+    return res.status(500).json({ error: 'Failed to open shift' });
+  }
+});
+
+// Close a shift with the counted cash; returns expected cash and over/short
+app.post('/api/shifts/:id/close', async (req, res) => {
+  const { countedCash } = req.body || {};
+  if (countedCash == null || countedCash === '') {
+    return res.status(400).json({ error: 'countedCash is required' });
+  }
+
+  const counted = Number(countedCash);
+  if (!Number.isFinite(counted) || counted < 0) {
+    return res.status(400).json({ error: 'countedCash must be zero or more' });
+  }
+
+  const shift = await Shift.findById(req.params.id).lean();
+  if (!shift) {
+    return res.status(404).json({ error: 'Shift not found' });
+  }
+  if (!canWorkAtStore(req.user, shift.store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (shift.status !== 'OPEN') {
+    return res.status(400).json({ error: 'Shift is already closed' });
+  }
+
+  // Cash is totalled and the shift closed in one transaction. Sales,
+  // refunds and voids write the shift too (claimOpenShift), so one landing
+  // during the close is either counted or fails, and a second close finds
+  // the shift closed.
+  const session = await Shift.startSession();
+  let cash;
+  let closed;
+  try {
+    await session.withTransaction(async () => {
+      cash = await computeShiftCash(shift, session);
+      const overShort = Math.round((counted - cash.expected_cash) * 100) / 100;
+      closed = await Shift.findOneAndUpdate(
+        { _id: shift._id, status: 'OPEN' },
+        {
+          $set: {
+            status: 'CLOSED',
+            closed_by: req.user.id,
+            closed_by_name: req.user.username,
+            closed_at: new Date(),
+            counted_cash: counted,
+            expected_cash: cash.expected_cash,
+            over_short: overShort
+          }
+        },
+        { new: true, session }
+      ).lean();
+      if (!closed) {
+        throw clientError('Shift is already closed');
+      }
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to close shift' });
+  }
+
+  await session.endSession();
+  return res.json({
+    shift: shiftToJson(closed),
+    cash
+  });
+});
+
+// What the POS shows when a recalled product is scanned; a whole-product
+// recall wins over one limited to some lots.
+function recallNoticeToJson(recalls) {
+  if (recalls.length === 0) {
+    return null;
+  }
+  const recall = recalls.find(isWholeProduct) || recalls[0];
+  return {
+    id: String(recall._id),
+    number: recall.number,
+    reason: recall.reason,
+    whole_product: isWholeProduct(recall),
+    lot_numbers: recall.lot_numbers || [],
+    expiry_from: recall.expiry_from || null,
+    expiry_to: recall.expiry_to || null
+  };
+}
+
+// Products listing/search; `price` is the effective price at `storeId`
 app.get('/api/products', async (req, res) => {
   const search = (req.query.search || '').trim();
   const filter = { active: true };
@@ -250,7 +856,11 @@ app.get('/api/products', async (req, res) => {
       { sku: { $regex: search, $options: 'i' } }
     ];
   }
-  const products = await Product.find(filter).sort({ name: 1 }).lean();
+  const products = await withStorePrices(
+    req.query.storeId,
+    await Product.find(filter).sort({ name: 1 }).lean()
+  );
+  const recalls = await loadActiveRecalls(products.map((p) => p._id));
   const result = products.map((p) => ({
     id: String(p._id),
     sku: p.sku,
@@ -258,20 +868,26 @@ app.get('/api/products', async (req, res) => {
     name: p.name,
     category: p.category,
     price: p.price,
+    base_price: p.base_price,
+    store_price: p.store_price,
     tax_rate: p.tax_rate,
-    active: p.active
+    track_lots: !!p.track_lots,
+    active: p.active,
+    recall: recallNoticeToJson(recalls.filter((r) => String(r.product) === String(p._id)))
   }));
   res.json(result);
 });
 
-// Product lookup by barcode
+// Product lookup by barcode, priced for `storeId`
 app.get('/api/products/barcode/:barcode', async (req, res) => {
   const barcode = req.params.barcode;
-  const product = await Product.findOne({ barcode, active: true }).lean();
+  const found = await Product.findOne({ barcode, active: true }).lean();
 
-  if (!product) {
+  if (!found) {
     return res.status(404).json({ error: 'Product not found' });
   }
+  const [product] = await withStorePrices(req.query.storeId, [found]);
+  const recalls = await loadActiveRecalls([product._id]);
 
   return res.json({
     id: String(product._id),
@@ -280,8 +896,12 @@ app.get('/api/products/barcode/:barcode', async (req, res) => {
     name: product.name,
     category: product.category,
     price: product.price,
+    base_price: product.base_price,
+    store_price: product.store_price,
     tax_rate: product.tax_rate,
-    active: product.active
+    track_lots: !!product.track_lots,
+    active: product.active,
+    recall: recallNoticeToJson(recalls)
   });
 });
 
@@ -293,9 +913,14 @@ app.post('/api/products', requireRole('manager'), async (req, res) => {
     name,
     category,
     price,
+    cost,
+    vendorId,
     tax_rate,
+    track_lots,
     storeId,
-    quantity
+    quantity,
+    lotNumber,
+    expiryDate
   } = req.body || {};
 
   if (!sku || !name || price == null || tax_rate == null || !storeId) {
@@ -308,24 +933,57 @@ app.post('/api/products', requireRole('manager'), async (req, res) => {
   if (!store) {
     return res.status(400).json({ error: 'Invalid storeId' });
   }
+  if (vendorId && !(await Vendor.exists({ _id: vendorId }))) {
+    return res.status(400).json({ error: 'Invalid vendorId' });
+  }
+  const opening = parseLotInput({ lotNumber, expiryDate });
+  if (opening.error) {
+    return res.status(400).json({ error: opening.error });
+  }
 
+  const session = await Product.startSession();
   try {
-    const product = await Product.create({
-      sku,
-      barcode: barcode || null,
-      name,
-      category: category || null,
-      price: Number(price),
-      tax_rate: Number(tax_rate),
-      active: true
-    });
+    let product;
+    await session.withTransaction(async () => {
+      [product] = await Product.create(
+        [
+          {
+            sku,
+            barcode: barcode || null,
+            name,
+            category: category || null,
+            price: Number(price),
+            cost: cost != null && cost !== '' ? Number(cost) : null,
+            vendor: vendorId || null,
+            tax_rate: Number(tax_rate),
+            track_lots: !!track_lots,
+            active: true
+          }
+        ],
+        { session }
+      );
+      await recordPriceHistory({
+        product: product._id,
+        oldPrice: null,
+        newPrice: product.price,
+        source: 'CREATE',
+        user: req.user,
+        session
+      });
 
-    const qty = quantity != null ? Number(quantity) : 0;
-    await Inventory.findOneAndUpdate(
-      { store: store._id, product: product._id },
-      { $set: { quantity: qty } },
-      { upsert: true, new: true }
-    );
+      const qty = quantity != null ? Number(quantity) : 0;
+      await setStock({
+        store: store._id,
+        product: product._id,
+        quantity: qty,
+        reason: 'OPENING',
+        user: req.user,
+        unitCost: product.cost,
+        lot: opening.lot,
+        session
+      });
+    });
+    await session.endSession();
 
     return res.status(201).json({
       id: String(product._id),
@@ -334,10 +992,14 @@ app.post('/api/products', requireRole('manager'), async (req, res) => {
       name: product.name,
       category: product.category,
       price: product.price,
+      cost: product.cost,
+      vendor_id: idOf(product.vendor),
       tax_rate: product.tax_rate,
+      track_lots: product.track_lots,
       active: product.active
     });
   } catch (err) {
+    await session.endSession();
     const msg = String(err.message || '');
     if (msg.includes('duplicate key error') && msg.includes('sku')) {
       return res.status(400).json({ error: 'SKU already exists' });
@@ -364,20 +1026,44 @@ app.put('/api/products/:id', requireRole('manager'), async (req, res) => {
     name,
     category,
     price,
+    cost,
+    vendorId,
     tax_rate,
+    track_lots,
     active
   } = req.body || {};
 
+  const oldPrice = existing.price;
   if (sku != null) existing.sku = sku;
   if (barcode !== undefined) existing.barcode = barcode || null;
   if (name != null) existing.name = name;
   if (category !== undefined) existing.category = category || null;
   if (price != null) existing.price = Number(price);
+  if (cost !== undefined) existing.cost = cost != null && cost !== '' ? Number(cost) : null;
+  if (vendorId !== undefined) {
+    if (vendorId && !(await Vendor.exists({ _id: vendorId }))) {
+      return res.status(400).json({ error: 'Invalid vendorId' });
+    }
+    existing.vendor = vendorId || null;
+  }
   if (tax_rate != null) existing.tax_rate = Number(tax_rate);
   if (active != null) existing.active = !!active;
+  const startsLots = track_lots != null && !!track_lots && !existing.track_lots;
+  if (track_lots != null) existing.track_lots = !!track_lots;
 
   try {
     await existing.save();
+    await recordPriceHistory({
+      product: existing._id,
+      oldPrice,
+      newPrice: existing.price,
+      source: 'EDIT',
+      user: req.user
+    });
+    if (startsLots) {
+      // Stock already on hand has no lot or date yet.
+      await syncLots(existing._id);
+    }
     const p = existing.toObject();
     return res.json({
       id: String(p._id),
@@ -386,7 +1072,10 @@ app.put('/api/products/:id', requireRole('manager'), async (req, res) => {
       name: p.name,
       category: p.category,
       price: p.price,
+      cost: p.cost != null ? p.cost : null,
+      vendor_id: idOf(p.vendor),
       tax_rate: p.tax_rate,
+      track_lots: !!p.track_lots,
       active: p.active
     });
   } catch (err) {
@@ -401,81 +1090,2230 @@ app.put('/api/products/:id', requireRole('manager'), async (req, res) => {
   }
 });
 
-// Inventory overview for a store
-app.get('/api/inventory', async (req, res) => {
-  const storeId = req.query.storeId;
-  if (!storeId) {
-    return res.status(400).json({ error: 'storeId is required' });
-  }
+function sendCsv(res, filename, header, rows) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.send(toCsv(header, rows));
+}
 
-  const rows = await Inventory.find({ store: storeId })
-    .populate('product')
-    .lean();
+// The whole catalog, inactive products included, in the import format
+// (manager/admin)
+app.get('/api/products/export', requireRole('manager'), async (req, res) => {
+  const products = await Product.find({}).populate('vendor').sort({ sku: 1 }).lean();
+  const rows = products.map((p) => [
+    p.sku,
+    p.barcode,
+    p.name,
+    p.category,
+    p.price,
+    p.cost,
+    p.tax_rate,
+    p.vendor ? p.vendor.name : null,
+    !!p.track_lots,
+    p.active
+  ]);
+  return sendCsv(res, 'catalog.csv', CATALOG_COLUMNS, rows);
+});
 
-  const result = rows.map((row) => ({
-    store_id: String(row.store),
-    product_id: String(row.product._id),
-    quantity: row.quantity,
-    sku: row.product.sku,
-    barcode: row.product.barcode,
-    name: row.product.name,
-    category: row.product.category,
-    price: row.product.price,
-    tax_rate: row.product.tax_rate,
-    active: row.product.active
-  }));
+function importRowToJson(row) {
+  return {
+    line: row.line,
+    sku: row.sku,
+    name: row.name,
+    action: row.action,
+    changes: row.changes,
+    stock: row.stock.map((s) => ({ store_code: s.store_code, quantity: s.quantity })),
+    warnings: row.warnings,
+    errors: row.errors
+  };
+}
 
-  res.json(result);
-});
+// Import products from CSV sent as the body (Content-Type: text/csv); see
+// catalogImport.js for the columns. `?dryRun=1` only previews each row.
+// Nothing is imported while any row has errors (manager/admin).
+app.post(
+  '/api/products/import',
+  requireRole('manager'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the CSV file as the body, as text/csv' });
+    }
+    const dryRun = req.query.dryRun === '1';
+    const plan = await planCatalogImport(req.body);
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error });
+    }
 
-// Set inventory quantity for a product in a store (manager/admin)
-app.post('/api/inventory/set', requireRole('manager'), async (req, res) => {
-  const { storeId, productId, quantity } = req.body || {};
-  if (!storeId || !productId || quantity == null) {
-    return res.status(400).json({
-      error: 'storeId, productId and quantity are required'
-    });
-  }
+    const count = (action) => plan.rows.filter((r) => r.action === action).length;
+    const failed = plan.rows.filter((r) => r.errors.length > 0).length;
+    const preview = {
+      dry_run: dryRun,
+      applied: false,
+      summary: {
+        rows: plan.rows.length,
+        create: count('CREATE'),
+        update: count('UPDATE'),
+        unchanged: count('UNCHANGED'),
+        errors: failed
+      },
+      rows: plan.rows.map(importRowToJson)
+    };
+    if (dryRun) {
+      return res.json(preview);
+    }
+    if (failed > 0) {
+      return res
+        .status(400)
+        .json({ ...preview, error: `${failed} row(s) have errors; nothing was imported` });
+    }
 
-  const store = await Store.findById(storeId).lean();
-  if (!store) {
-    return res.status(400).json({ error: 'Invalid storeId' });
+    let startsLots = [];
+    const session = await Product.startSession();
+    try {
+      await session.withTransaction(async () => {
+        startsLots = await applyCatalogImport(plan.rows, req.user, session);
+      });
+    } catch (err) {
+      await session.endSession();
+      const msg = String(err.message || '');
+      if (msg.includes('duplicate key error')) {
+        return res
+          .status(400)
+          .json({ error: 'A SKU or barcode was taken while importing; preview again' });
+      }
+      return res.status(500).json({ error: 'Failed to import products' });
+    }
+    await session.endSession();
+
+    // Stock already on hand has no lot or date yet.
+    for (const productId of startsLots) {
+      await syncLots(productId);
+    }
+    return res.json({ ...preview, applied: true });
   }
+);
 
-  const product = await Product.findById(productId).lean();
+function priceHistoryToJson(h) {
+  return {
+    id: String(h._id),
+    product_id: idOf(h.product),
+    store_id: h.store ? idOf(h.store) : null,
+    store_code: h.store && h.store.code ? h.store.code : null,
+    old_price: h.old_price != null ? h.old_price : null,
+    new_price: h.new_price != null ? h.new_price : null,
+    source: h.source,
+    ref_id: h.ref_id ? String(h.ref_id) : null,
+    ref_label: h.ref_label || null,
+    user_name: h.user_name || '',
+    created_at: h.created_at
+  };
+}
+
+// A product's price history, newest first: base price changes plus those of
+// `storeId` (every store when left out), and changes still scheduled
+app.get('/api/products/:id/price-history', requireRole('manager'), async (req, res) => {
+  const product = await Product.findById(req.params.id).lean();
   if (!product) {
-    return res.status(400).json({ error: 'Invalid productId' });
+    return res.status(404).json({ error: 'Product not found' });
   }
 
-  const inv = await Inventory.findOneAndUpdate(
-    { store: storeId, product: productId },
-    { $set: { quantity: Number(quantity) } },
-    { upsert: true, new: true }
-  )
-    .populate('product')
+  const { storeId } = req.query;
+  const filter = { product: product._id };
+  if (storeId) {
+    filter.store = { $in: [null, toObjectId(storeId)] };
+  }
+  const entries = await PriceHistory.find(filter)
+    .populate('store')
+    .sort({ created_at: -1 })
+    .limit(200)
+    .lean();
+
+  const scheduled = await PriceChange.find({ status: 'SCHEDULED', 'lines.product': product._id })
+    .populate('lines.store')
+    .sort({ effective_at: 1 })
     .lean();
+  const upcoming = [];
+  scheduled.forEach((batch) => {
+    batch.lines
+      .filter((line) => String(line.product) === String(product._id))
+      .filter((line) => !storeId || !line.store || idOf(line.store) === String(storeId))
+      .forEach((line) => {
+        upcoming.push({
+          price_change_id: String(batch._id),
+          number: batch.number,
+          effective_at: batch.effective_at,
+          store_id: line.store ? idOf(line.store) : null,
+          store_code: line.store ? line.store.code : null,
+          price: line.price != null ? line.price : null
+        });
+      });
+  });
 
   return res.json({
-    store_id: String(inv.store),
-    product_id: String(inv.product._id),
-    quantity: inv.quantity,
-    sku: inv.product.sku,
-    barcode: inv.product.barcode,
-    name: inv.product.name,
-    category: inv.product.category,
-    price: inv.product.price,
-    tax_rate: inv.product.tax_rate,
-    active: inv.product.active
+    product_id: String(product._id),
+    base_price: product.price,
+    entries: entries.map(priceHistoryToJson),
+    scheduled: upcoming
   });
 });
 
-// Get receipt template for a store
-app.get('/api/stores/:storeId/receipt-template', async (req, res) => {
-  const storeId = req.params.storeId;
-  const store = await Store.findById(storeId).lean();
-  if (!store) {
-    return res.status(404).json({ error: 'Store not found' });
-  }
+function priceChangeToJson(pc) {
+  return {
+    id: String(pc._id),
+    number: pc.number,
+    name: pc.name || null,
+    effective_at: pc.effective_at,
+    status: pc.status,
+    lines: (pc.lines || []).map((line) => ({
+      product_id: idOf(line.product),
+      product_name: line.product && line.product.name ? line.product.name : null,
+      sku: line.product && line.product.sku ? line.product.sku : null,
+      store_id: line.store ? idOf(line.store) : null,
+      store_code: line.store && line.store.code ? line.store.code : null,
+      price: line.price != null ? line.price : null,
+      old_price: line.old_price != null ? line.old_price : null
+    })),
+    created_by_name: pc.created_by_name || '',
+    created_at: pc.created_at,
+    applied_at: pc.applied_at || null,
+    cancelled_by_name: pc.cancelled_by_name || '',
+    cancelled_at: pc.cancelled_at || null
+  };
+}
+
+async function priceChangeResponse(id) {
+  const pc = await PriceChange.findById(id)
+    .populate('lines.product')
+    .populate('lines.store')
+    .lean();
+  return priceChangeToJson(pc);
+}
+
+// Price changes, soonest first; `status` is SCHEDULED, APPLIED or CANCELLED
+// (manager/admin)
+app.get('/api/price-changes', requireRole('manager'), async (req, res) => {
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  const changes = await PriceChange.find(filter)
+    .populate('lines.product')
+    .populate('lines.store')
+    .sort({ effective_at: req.query.status === 'SCHEDULED' ? 1 : -1 })
+    .limit(100)
+    .lean();
+  res.json(changes.map(priceChangeToJson));
+});
+
+app.get('/api/price-changes/:id', requireRole('manager'), async (req, res) => {
+  if (!(await PriceChange.exists({ _id: req.params.id }))) {
+    return res.status(404).json({ error: 'Price change not found' });
+  }
+  return res.json(await priceChangeResponse(req.params.id));
+});
+
+// Schedule a batch of price changes: { name, effectiveAt, lines: [{
+// productId, storeId, price }] } (see prices.js). One due already is
+// applied straight away (manager/admin).
+app.post('/api/price-changes', requireRole('manager'), async (req, res) => {
+  const parsed = await parsePriceChangeBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const storeIds = parsed.priceChange.lines.filter((l) => l.store).map((l) => l.store);
+  if (storeIds.some((id) => !canWorkAtStore(req.user, id))) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const seq = await nextSequence(PRICE_CHANGE_SEQUENCE_KEY);
+  const created = await PriceChange.create({
+    ...parsed.priceChange,
+    number: formatPriceChangeNumber(seq),
+    created_by: req.user.id,
+    created_by_name: req.user.username,
+    created_at: new Date()
+  });
+  // Wake the job for the new change; one due already goes live now.
+  await runPriceChangeJob();
+  return res.status(201).json(await priceChangeResponse(created._id));
+});
+
+// Call off a scheduled price change before it goes live (manager/admin)
+app.post('/api/price-changes/:id/cancel', requireRole('manager'), async (req, res) => {
+  // One already due is going live and can no longer be called off.
+  const cancelled = await PriceChange.findOneAndUpdate(
+    { _id: req.params.id, status: 'SCHEDULED', effective_at: { $gt: new Date() } },
+    {
+      $set: {
+        status: 'CANCELLED',
+        cancelled_by: req.user.id,
+        cancelled_by_name: req.user.username,
+        cancelled_at: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    const existing = await PriceChange.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Price change not found' });
+    }
+    const status = existing.status === 'SCHEDULED' ? 'due' : existing.status.toLowerCase();
+    return res
+      .status(400)
+      .json({ error: `${existing.number} is ${status} and cannot be cancelled` });
+  }
+  return res.json(await priceChangeResponse(cancelled._id));
+});
+
+// Coupons (manager/admin)
+app.get('/api/coupons', requireRole('manager'), async (req, res) => {
+  const coupons = await Coupon.find({}).sort({ code: 1 }).lean();
+  res.json(coupons.map(couponToJson));
+});
+
+// Coupon lookup by scanned/typed code
+app.get('/api/coupons/code/:code', async (req, res) => {
+  const code = String(req.params.code || '').trim().toUpperCase();
+  const coupon = await Coupon.findOne({ code, active: true }).lean();
+  if (!coupon) {
+    return res.status(404).json({ error: 'Coupon not found' });
+  }
+  return res.json(couponToJson(coupon));
+});
+
+// Validate coupon fields from a request body into a Coupon update
+async function parseCouponBody(body, existing) {
+  const {
+    code,
+    description,
+    type,
+    value,
+    productId,
+    minSubtotal,
+    startsAt,
+    endsAt,
+    maxUses,
+    active
+  } = body || {};
+
+  const update = {};
+  if (code != null) update.code = String(code).trim().toUpperCase();
+  if (description !== undefined) update.description = description || '';
+  if (type != null) update.type = type;
+  if (value != null) update.value = Number(value);
+  if (productId !== undefined) {
+    if (productId) {
+      const product = await Product.findById(productId).lean();
+      if (!product) {
+        return { error: 'Invalid productId' };
+      }
+      update.product = product._id;
+    } else {
+      update.product = null;
+    }
+  }
+  if (minSubtotal !== undefined) update.min_subtotal = Number(minSubtotal) || 0;
+  if (startsAt !== undefined) update.starts_at = startsAt ? new Date(startsAt) : null;
+  if (endsAt !== undefined) update.ends_at = endsAt ? new Date(endsAt) : null;
+  if (maxUses !== undefined) update.max_uses = maxUses === '' || maxUses == null ? null : Number(maxUses);
+  if (active != null) update.active = !!active;
+
+  const merged = { ...(existing || {}), ...update };
+  if (!merged.code) {
+    return { error: 'code is required' };
+  }
+  const check = parseDiscount({ type: merged.type, value: merged.value }, 'Coupon');
+  if (check.error || !check.discount) {
+    return { error: check.error || 'Coupon: discount value must be more than zero' };
+  }
+  return { update };
+}
+
+app.post('/api/coupons', requireRole('manager'), async (req, res) => {
+  const parsed = await parseCouponBody(req.body, null);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const created = await Coupon.create(parsed.update);
+    return res.status(201).json(couponToJson(created.toObject()));
+  } catch (err) {
+    if (String(err.message || '').includes('duplicate key error')) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+app.put('/api/coupons/:id', requireRole('manager'), async (req, res) => {
+  const existing = await Coupon.findById(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Coupon not found' });
+  }
+
+  const parsed = await parseCouponBody(req.body, existing.toObject());
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    existing.set(parsed.update);
+    await existing.save();
+    return res.json(couponToJson(existing.toObject()));
+  } catch (err) {
+    if (String(err.message || '').includes('duplicate key error')) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Promotions (manager/admin)
+app.get('/api/promotions', requireRole('manager'), async (req, res) => {
+  const filter = {};
+  if (req.query.storeId) {
+    filter.$or = [{ stores: { $size: 0 } }, { stores: req.query.storeId }];
+  }
+  const promotions = await Promotion.find(filter).sort({ created_at: 1 }).lean();
+  res.json(promotions.map(promotionToJson));
+});
+
+function positiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0;
+}
+
+// Validate promotion fields from a request body into a Promotion update
+async function parsePromotionBody(body, existing) {
+  const {
+    name,
+    type,
+    productIds,
+    category,
+    storeIds,
+    buyQuantity,
+    getQuantity,
+    getPercent,
+    quantity,
+    price,
+    startsAt,
+    endsAt,
+    active
+  } = body || {};
+
+  const update = {};
+  if (name != null) update.name = String(name).trim();
+  if (type != null) update.type = type;
+  if (productIds !== undefined) {
+    const ids = Array.isArray(productIds) ? productIds.filter(Boolean) : [];
+    const count = await Product.countDocuments({ _id: { $in: ids } });
+    if (count !== ids.length) {
+      return { error: 'Invalid productIds' };
+    }
+    update.products = ids;
+  }
+  if (category !== undefined) update.category = category ? String(category).trim() : null;
+  if (storeIds !== undefined) {
+    const ids = Array.isArray(storeIds) ? storeIds.filter(Boolean) : [];
+    const count = await Store.countDocuments({ _id: { $in: ids } });
+    if (count !== ids.length) {
+      return { error: 'Invalid storeIds' };
+    }
+    update.stores = ids;
+  }
+  if (buyQuantity !== undefined) update.buy_quantity = buyQuantity == null ? null : Number(buyQuantity);
+  if (getQuantity !== undefined) update.get_quantity = getQuantity == null ? null : Number(getQuantity);
+  if (getPercent !== undefined) update.get_percent = getPercent == null ? 100 : Number(getPercent);
+  if (quantity !== undefined) update.quantity = quantity == null ? null : Number(quantity);
+  if (price !== undefined) update.price = price == null ? null : Number(price);
+  if (startsAt !== undefined) update.starts_at = startsAt ? new Date(startsAt) : null;
+  if (endsAt !== undefined) update.ends_at = endsAt ? new Date(endsAt) : null;
+  if (active != null) update.active = !!active;
+
+  const merged = { ...(existing || {}), ...update };
+  if (!merged.name) {
+    return { error: 'name is required' };
+  }
+  if (!PROMOTION_TYPES.includes(merged.type)) {
+    return { error: `type must be one of ${PROMOTION_TYPES.join(', ')}` };
+  }
+  if ((merged.products || []).length === 0 && !merged.category) {
+    return { error: 'A promotion needs productIds or a category' };
+  }
+  if (merged.type === 'BOGO') {
+    if (!positiveInt(merged.buy_quantity) || !positiveInt(merged.get_quantity)) {
+      return { error: 'BOGO needs whole buyQuantity and getQuantity of at least 1' };
+    }
+    const pct = merged.get_percent == null ? 100 : merged.get_percent;
+    if (!(pct > 0 && pct <= 100)) {
+      return { error: 'getPercent must be between 0 and 100' };
+    }
+  } else {
+    if (!positiveInt(merged.quantity)) {
+      return { error: 'quantity must be a whole number of at least 1' };
+    }
+    if (!Number.isFinite(merged.price) || merged.price < 0) {
+      return { error: 'price must be zero or more' };
+    }
+  }
+  return { update };
+}
+
+app.post('/api/promotions', requireRole('manager'), async (req, res) => {
+  const parsed = await parsePromotionBody(req.body, null);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const created = await Promotion.create(parsed.update);
+  return res.status(201).json(promotionToJson(created.toObject()));
+});
+
+app.put('/api/promotions/:id', requireRole('manager'), async (req, res) => {
+  const existing = await Promotion.findById(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Promotion not found' });
+  }
+
+  const parsed = await parsePromotionBody(req.body, existing.toObject());
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  existing.set(parsed.update);
+  await existing.save();
+  return res.json(promotionToJson(existing.toObject()));
+});
+
+// An Inventory row with its product populated; `onOrder` is what is
+// outstanding on open purchase orders, `lots` the product's entry from
+// loadLotSummary.
+function inventoryRowToJson(row, onOrder = 0, lots = null) {
+  return {
+    store_id: String(row.store),
+    product_id: String(row.product._id),
+    quantity: row.quantity,
+    sku: row.product.sku,
+    barcode: row.product.barcode,
+    name: row.product.name,
+    category: row.product.category,
+    price: row.price != null ? row.price : row.product.price,
+    base_price: row.product.price,
+    store_price: row.price != null ? row.price : null,
+    cost: row.product.cost != null ? row.product.cost : null,
+    avg_cost: row.avg_cost != null ? row.avg_cost : null,
+    vendor_id: row.product.vendor ? idOf(row.product.vendor) : null,
+    tax_rate: row.product.tax_rate,
+    active: row.product.active,
+    reorder_point: row.reorder_point != null ? row.reorder_point : null,
+    reorder_quantity: row.reorder_quantity != null ? row.reorder_quantity : null,
+    max_quantity: row.max_quantity != null ? row.max_quantity : null,
+    on_order: onOrder,
+    low_stock: isLowStock(row, onOrder),
+    track_lots: !!row.product.track_lots,
+    in_date_quantity: lots ? lots.in_date : null,
+    expired_quantity: lots ? lots.expired : null,
+    next_expiry: lots ? lots.next_expiry : null
+  };
+}
+
+// Inventory overview for a store
+app.get('/api/inventory', async (req, res) => {
+  const storeId = req.query.storeId;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+
+  const rows = await Inventory.find({ store: storeId })
+    .populate('product')
+    .lean();
+  const onOrder = await loadOnOrder(storeId);
+  const lots = await loadLotSummary(storeId);
+
+  const result = rows.map((row) => {
+    const key = String(row.product._id);
+    return inventoryRowToJson(row, onOrder.get(key) || 0, lots.get(key));
+  });
+
+  res.json(result);
+});
+
+// A store's inventory as CSV (manager/admin)
+app.get('/api/inventory/export', requireRole('manager'), async (req, res) => {
+  const storeId = req.query.storeId;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+
+  const rows = await Inventory.find({ store: storeId }).populate('product').lean();
+  const onOrder = await loadOnOrder(storeId);
+  const lots = await loadLotSummary(storeId);
+  const items = rows
+    .filter((row) => row.product)
+    .map((row) => {
+      const key = String(row.product._id);
+      return inventoryRowToJson(row, onOrder.get(key) || 0, lots.get(key));
+    })
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+
+  const header = [
+    'sku',
+    'barcode',
+    'name',
+    'category',
+    'quantity',
+    'on_order',
+    'reorder_point',
+    'reorder_quantity',
+    'max_quantity',
+    'expired_quantity',
+    'next_expiry',
+    'price',
+    'cost',
+    'active'
+  ];
+  const csvRows = items.map((item) => [
+    item.sku,
+    item.barcode,
+    item.name,
+    item.category,
+    item.quantity,
+    item.on_order,
+    item.reorder_point,
+    item.reorder_quantity,
+    item.max_quantity,
+    item.expired_quantity,
+    item.next_expiry ? item.next_expiry.toISOString().slice(0, 10) : null,
+    item.price,
+    item.cost,
+    item.active
+  ]);
+  return sendCsv(res, `inventory-${store.code}.csv`, header, csvRows);
+});
+
+// Products at or below their reorder point, counting stock on order, with
+// how many to order
+app.get('/api/inventory/low-stock', async (req, res) => {
+  const storeId = req.query.storeId;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+
+  const rows = await loadLowStock(storeId);
+  res.json(
+    rows.map((row) => ({
+      ...inventoryRowToJson(row, row.on_order),
+      vendor_name: row.product.vendor ? row.product.vendor.name : null,
+      suggested_quantity: row.suggested_quantity
+    }))
+  );
+});
+
+// Set a product's reorder point, reorder quantity and maximum at a store
+// (manager/admin)
+app.put('/api/inventory/reorder', requireRole('manager'), async (req, res) => {
+  const { storeId, productId } = req.body || {};
+  if (!storeId || !productId) {
+    return res.status(400).json({ error: 'storeId and productId are required' });
+  }
+  const parsed = parseReorderSettings(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const inv = await Inventory.findOne({ store: storeId, product: productId });
+  if (!inv) {
+    return res.status(404).json({ error: 'Product is not stocked at this store' });
+  }
+  const merged = { ...inv.toObject(), ...parsed.update };
+  if (
+    merged.max_quantity != null &&
+    merged.reorder_point != null &&
+    merged.max_quantity <= merged.reorder_point
+  ) {
+    return res.status(400).json({ error: 'maxQuantity must be above reorderPoint' });
+  }
+  // Only the settings change here; quantity stays with the stock ledger.
+  await Inventory.updateOne({ _id: inv._id }, { $set: parsed.update });
+
+  const updated = await Inventory.findById(inv._id).populate('product').lean();
+  const onOrder = await loadOnOrder(storeId);
+  return res.json(inventoryRowToJson(updated, onOrder.get(String(updated.product._id)) || 0));
+});
+
+// Set or clear a store's own price for a product, effective now
+// (manager/admin). A null or empty price sells at the base price again.
+app.put('/api/inventory/price', requireRole('manager'), async (req, res) => {
+  const { storeId, productId } = req.body || {};
+  if (!storeId || !productId) {
+    return res.status(400).json({ error: 'storeId and productId are required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const parsed = parsePrice(req.body.price, 'price', true);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const result = await setStorePrice({
+    store: storeId,
+    product: productId,
+    price: parsed.price,
+    source: 'STORE_PRICE',
+    user: req.user
+  });
+  if (!result) {
+    return res.status(404).json({ error: 'Product is not stocked at this store' });
+  }
+
+  const updated = await Inventory.findOne({ store: storeId, product: productId })
+    .populate('product')
+    .lean();
+  const onOrder = await loadOnOrder(storeId);
+  return res.json(inventoryRowToJson(updated, onOrder.get(String(updated.product._id)) || 0));
+});
+
+function stockMovementToJson(m) {
+  return {
+    id: String(m._id),
+    store_id: idOf(m.store),
+    product_id: idOf(m.product),
+    delta: m.delta,
+    quantity_after: m.quantity_after,
+    reason: m.reason,
+    reason_code: m.reason_code || null,
+    ref_type: m.ref_type || null,
+    ref_id: m.ref_id ? String(m.ref_id) : null,
+    ref_label: m.ref_label || null,
+    user_name: m.user_name || '',
+    note: m.note || null,
+    unit_cost: m.unit_cost != null ? m.unit_cost : null,
+    cost_impact: m.cost_impact != null ? m.cost_impact : null,
+    lots: lotsToJson(m.lots),
+    created_at: m.created_at
+  };
+}
+
+// Stock card: a product's movements at a store, newest first
+app.get('/api/inventory/:productId/movements', async (req, res) => {
+  const { storeId, from, to } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  const product = await Product.findById(req.params.productId).lean();
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  const filter = { store: storeId, product: product._id };
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.created_at.$lte = new Date(`${to}T23:59:59.999Z`);
+  }
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  const movements = await StockMovement.find(filter)
+    .sort({ created_at: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+  const inv = await Inventory.findOne({ store: storeId, product: product._id }).lean();
+
+  return res.json({
+    product_id: String(product._id),
+    name: product.name,
+    sku: product.sku,
+    quantity: inv ? inv.quantity : 0,
+    movements: movements.map(stockMovementToJson)
+  });
+});
+
+function stockLotToJson(lot, at = new Date()) {
+  return {
+    id: String(lot._id),
+    store_id: idOf(lot.store),
+    product_id: idOf(lot.product),
+    lot_number: lot.lot_number,
+    expiry_date: lot.expiry_date || null,
+    expired: isExpired(lot, at),
+    quantity: lot.quantity,
+    created_at: lot.created_at
+  };
+}
+
+// A lot-tracked product's lots with stock at a store, in the order sales
+// take them (first expired, first out)
+app.get('/api/inventory/:productId/lots', async (req, res) => {
+  const { storeId } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  const product = await Product.findById(req.params.productId).lean();
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  const lots = await StockLot.find({ store: storeId, product: product._id, quantity: { $ne: 0 } })
+    .lean();
+  const recalls = await loadActiveRecalls([product._id]);
+  const held = (lot) => recalls.some((r) => lotMatchesRecall(r, lot));
+  return res.json({
+    product_id: String(product._id),
+    name: product.name,
+    track_lots: !!product.track_lots,
+    lots: fefoOrder(lots, { sellable: true, held }).map((lot) => ({
+      ...stockLotToJson(lot),
+      recalled: held(lot)
+    }))
+  });
+});
+
+// Compare inventory with the stock ledger; `apply: true` resets each
+// quantity to the ledger's, recording each reset (manager/admin)
+app.post('/api/inventory/rebuild', requireRole('manager'), async (req, res) => {
+  const { storeId, apply } = req.body || {};
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (req.user.role !== 'admin' && req.user.storeId && req.user.storeId !== String(storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+
+  let diffs;
+  try {
+    diffs = await rebuildInventory({ storeId: store._id, apply: !!apply, user: req.user });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to rebuild inventory' });
+  }
+  const products = await Product.find({ _id: { $in: diffs.map((d) => d.product) } }).lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return res.json({
+    applied: !!apply,
+    differences: diffs.map((d) => ({
+      product_id: d.product,
+      name: byId.has(d.product) ? byId.get(d.product).name : null,
+      sku: byId.has(d.product) ? byId.get(d.product).sku : null,
+      quantity: d.quantity,
+      ledger_quantity: d.ledger_quantity
+    }))
+  });
+});
+
+// Set inventory quantity for a product in a store, with a reason code
+// (manager/admin). For lot-tracked products, `lotNumber` and `expiryDate`
+// name the lot an increase goes into or a decrease comes out of.
+app.post('/api/inventory/set', requireRole('manager'), async (req, res) => {
+  const { storeId, productId, quantity, reason, note } = req.body || {};
+  if (!storeId || !productId || quantity == null) {
+    return res.status(400).json({
+      error: 'storeId, productId and quantity are required'
+    });
+  }
+  if (!Number.isFinite(Number(quantity))) {
+    return res.status(400).json({ error: 'quantity must be a number' });
+  }
+  const found = await findAdjustmentReason(reason);
+  if (found.error) {
+    return res.status(400).json({ error: found.error });
+  }
+  const parsedLot = parseLotInput(req.body);
+  if (parsedLot.error) {
+    return res.status(400).json({ error: parsedLot.error });
+  }
+
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+
+  const product = await Product.findById(productId).lean();
+  if (!product) {
+    return res.status(400).json({ error: 'Invalid productId' });
+  }
+
+  // The difference is recorded as shrink or an adjustment, per the reason.
+  const session = await Inventory.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await setStock({
+        store: store._id,
+        product: product._id,
+        quantity: Number(quantity),
+        reason: found.reason.shrink ? 'SHRINK' : 'ADJUSTMENT',
+        reasonCode: found.reason.code,
+        user: req.user,
+        note,
+        unitCost: await unitCostAt(store._id, product._id, session),
+        lot: parsedLot.lot,
+        session
+      });
+    });
+  } catch (err) {
+    await session.endSession();
+    return res.status(500).json({ error: 'Failed to set inventory quantity' });
+  }
+  await session.endSession();
+
+  const inv = await Inventory.findOne({ store: store._id, product: product._id })
+    .populate('product')
+    .lean();
+  const onOrder = await loadOnOrder(store._id);
+  const lots = await loadLotSummary(store._id, [product._id]);
+  const key = String(product._id);
+
+  return res.json(inventoryRowToJson(inv, onOrder.get(key) || 0, lots.get(key)));
+});
+
+function adjustmentReasonToJson(r) {
+  return {
+    id: String(r._id),
+    code: r.code,
+    label: r.label,
+    shrink: !!r.shrink,
+    active: r.active !== false
+  };
+}
+
+// Reason codes for manual stock adjustments; `all=1` includes retired ones
+app.get('/api/adjustment-reasons', async (req, res) => {
+  const filter = req.query.all === '1' ? {} : { active: true };
+  const reasons = await AdjustmentReason.find(filter).sort({ code: 1 }).lean();
+  res.json(reasons.map(adjustmentReasonToJson));
+});
+
+app.post('/api/adjustment-reasons', requireRole('manager'), async (req, res) => {
+  const parsed = parseAdjustmentReasonBody(req.body, null);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const created = await AdjustmentReason.create(parsed.update);
+    return res.status(201).json(adjustmentReasonToJson(created.toObject()));
+  } catch (err) {
+    if (String(err.message || '').includes('duplicate key error')) {
+      return res.status(400).json({ error: 'Reason code already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to create reason code' });
+  }
+});
+
+app.put('/api/adjustment-reasons/:id', requireRole('manager'), async (req, res) => {
+  const existing = await AdjustmentReason.findById(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Reason code not found' });
+  }
+
+  const parsed = parseAdjustmentReasonBody(req.body, existing.toObject());
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  existing.set(parsed.update);
+  await existing.save();
+  return res.json(adjustmentReasonToJson(existing.toObject()));
+});
+
+function vendorToJson(v) {
+  return {
+    id: String(v._id),
+    name: v.name,
+    contact_name: v.contact_name || null,
+    email: v.email || null,
+    phone: v.phone || null,
+    active: v.active !== false
+  };
+}
+
+function purchaseOrderToJson(po) {
+  const lines = (po.lines || []).map((l) => ({
+    product_id: idOf(l.product),
+    product_name: l.product_name,
+    sku: l.sku,
+    barcode: l.barcode,
+    ordered_quantity: l.ordered_quantity,
+    received_quantity: l.received_quantity || 0,
+    unit_cost: l.unit_cost,
+    line_cost: roundMoney(l.unit_cost * l.ordered_quantity)
+  }));
+  return {
+    id: String(po._id),
+    number: po.number,
+    store_id: idOf(po.store),
+    vendor_id: idOf(po.vendor),
+    vendor_name: po.vendor && po.vendor.name ? po.vendor.name : null,
+    status: po.status,
+    lines,
+    total_cost: roundMoney(lines.reduce((sum, l) => sum + l.line_cost, 0)),
+    notes: po.notes || null,
+    expected_at: po.expected_at || null,
+    created_by_name: po.created_by_name || '',
+    created_at: po.created_at,
+    sent_at: po.sent_at || null,
+    closed_at: po.closed_at || null
+  };
+}
+
+function goodsReceiptToJson(r) {
+  return {
+    id: String(r._id),
+    purchase_order_id: idOf(r.purchase_order),
+    lines: (r.lines || []).map((l) => ({
+      product_id: idOf(l.product),
+      product_name: l.product_name,
+      quantity: l.quantity,
+      unit_cost: l.unit_cost,
+      lots: lotsToJson(l.lots)
+    })),
+    note: r.note || null,
+    received_by_name: r.received_by_name || '',
+    created_at: r.created_at
+  };
+}
+
+// Validate vendor fields from a request body into a Vendor update
+function parseVendorBody(body, existing) {
+  const { name, contactName, email, phone, active } = body || {};
+  const update = {};
+  if (name != null) update.name = String(name).trim();
+  if (contactName !== undefined) update.contact_name = contactName ? String(contactName).trim() : null;
+  if (email !== undefined) update.email = email ? String(email).trim() : null;
+  if (phone !== undefined) update.phone = phone ? String(phone).trim() : null;
+  if (active != null) update.active = !!active;
+
+  const merged = { ...(existing || {}), ...update };
+  if (!merged.name) {
+    return { error: 'name is required' };
+  }
+  return { update };
+}
+
+app.get('/api/vendors', requireRole('manager'), async (req, res) => {
+  const vendors = await Vendor.find({}).sort({ name: 1 }).lean();
+  res.json(vendors.map(vendorToJson));
+});
+
+app.post('/api/vendors', requireRole('manager'), async (req, res) => {
+  const parsed = parseVendorBody(req.body, null);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const created = await Vendor.create(parsed.update);
+    return res.status(201).json(vendorToJson(created.toObject()));
+  } catch (err) {
+    if (String(err.message || '').includes('duplicate key error')) {
+      return res.status(400).json({ error: 'A vendor with this name already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to create vendor' });
+  }
+});
+
+app.put('/api/vendors/:id', requireRole('manager'), async (req, res) => {
+  const existing = await Vendor.findById(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Vendor not found' });
+  }
+
+  const parsed = parseVendorBody(req.body, existing.toObject());
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    existing.set(parsed.update);
+    await existing.save();
+    return res.json(vendorToJson(existing.toObject()));
+  } catch (err) {
+    if (String(err.message || '').includes('duplicate key error')) {
+      return res.status(400).json({ error: 'A vendor with this name already exists' });
+    }
+    return res.status(500).json({ error: 'Failed to update vendor' });
+  }
+});
+
+// Load a purchase order the user may work on. Returns { po } (a document)
+// or { status, error }.
+async function loadPurchaseOrder(req) {
+  const po = await PurchaseOrder.findById(req.params.id);
+  if (!po) {
+    return { status: 404, error: 'Purchase order not found' };
+  }
+  if (req.user.role !== 'admin' && req.user.storeId && req.user.storeId !== String(po.store)) {
+    return { status: 403, error: 'Forbidden' };
+  }
+  return { po };
+}
+
+async function purchaseOrderResponse(poId) {
+  const po = await PurchaseOrder.findById(poId).populate('vendor').lean();
+  const receipts = await GoodsReceipt.find({ purchase_order: poId }).sort({ created_at: 1 }).lean();
+  return { ...purchaseOrderToJson(po), receipts: receipts.map(goodsReceiptToJson) };
+}
+
+// List purchase orders for a store (manager/admin)
+app.get('/api/purchase-orders', requireRole('manager'), async (req, res) => {
+  const { storeId, status } = req.query;
+  const filter = {};
+  if (storeId) {
+    filter.store = storeId;
+  } else if (req.user.role !== 'admin' && req.user.storeId) {
+    filter.store = req.user.storeId;
+  }
+  if (status) {
+    if (!PO_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${PO_STATUSES.join(', ')}` });
+    }
+    filter.status = status;
+  }
+
+  const orders = await PurchaseOrder.find(filter)
+    .sort({ created_at: -1 })
+    .limit(200)
+    .populate('vendor')
+    .lean();
+  return res.json(orders.map(purchaseOrderToJson));
+});
+
+// One purchase order with the deliveries received against it
+app.get('/api/purchase-orders/:id', requireRole('manager'), async (req, res) => {
+  const loaded = await loadPurchaseOrder(req);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  return res.json(await purchaseOrderResponse(loaded.po._id));
+});
+
+// Create a DRAFT purchase order
+app.post('/api/purchase-orders', requireRole('manager'), async (req, res) => {
+  const { storeId, vendorId, lines, notes, expectedAt } = req.body || {};
+  if (!storeId || !vendorId) {
+    return res.status(400).json({ error: 'storeId and vendorId are required' });
+  }
+  if (req.user.role !== 'admin' && req.user.storeId && req.user.storeId !== String(storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+  const vendor = await Vendor.findById(vendorId).lean();
+  if (!vendor || vendor.active === false) {
+    return res.status(400).json({ error: 'Invalid vendorId' });
+  }
+  const parsed = await parseOrderLines(lines);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const seq = await nextSequence(poSequenceKey(store._id));
+  const po = await PurchaseOrder.create({
+    number: formatPoNumber(store.code, seq),
+    store: store._id,
+    vendor: vendor._id,
+    lines: parsed.lines,
+    notes: notes ? String(notes).trim() : null,
+    expected_at: expectedAt ? new Date(expectedAt) : null,
+    created_by: req.user.id,
+    created_by_name: req.user.username,
+    created_at: new Date()
+  });
+  return res.status(201).json(await purchaseOrderResponse(po._id));
+});
+
+// Draft one purchase order per vendor for the store's low-stock products.
+// Products with no preferred or previous vendor come back as `unassigned`.
+app.post('/api/purchase-orders/suggest', requireRole('manager'), async (req, res) => {
+  const { storeId } = req.body || {};
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (req.user.role !== 'admin' && req.user.storeId && req.user.storeId !== String(storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+
+  const low = (await loadLowStock(store._id)).filter((row) => row.suggested_quantity > 0);
+  const last = await loadLastOrdered(store._id, low.map((row) => row.product._id));
+
+  const byVendor = new Map();
+  const unassigned = [];
+  low.forEach((row) => {
+    const previous = last.get(String(row.product._id));
+    const vendor =
+      row.product.vendor && row.product.vendor.active !== false
+        ? row.product.vendor._id
+        : previous && previous.vendor;
+    if (!vendor) {
+      unassigned.push({
+        product_id: String(row.product._id),
+        name: row.product.name,
+        sku: row.product.sku,
+        suggested_quantity: row.suggested_quantity
+      });
+      return;
+    }
+    const unitCost =
+      row.product.cost != null ? row.product.cost : (previous && previous.unit_cost) || 0;
+    const lines = byVendor.get(String(vendor)) || [];
+    lines.push({
+      product: row.product._id,
+      product_name: row.product.name,
+      sku: row.product.sku,
+      barcode: row.product.barcode,
+      ordered_quantity: row.suggested_quantity,
+      received_quantity: 0,
+      unit_cost: roundMoney(unitCost)
+    });
+    byVendor.set(String(vendor), lines);
+  });
+
+  const orders = [];
+  for (const [vendorId, lines] of byVendor) {
+    const seq = await nextSequence(poSequenceKey(store._id));
+    const po = await PurchaseOrder.create({
+      number: formatPoNumber(store.code, seq),
+      store: store._id,
+      vendor: vendorId,
+      lines,
+      notes: 'Suggested from low stock',
+      created_by: req.user.id,
+      created_by_name: req.user.username,
+      created_at: new Date()
+    });
+    orders.push(await purchaseOrderResponse(po._id));
+  }
+
+  return res.status(orders.length > 0 ? 201 : 200).json({ orders, unassigned });
+});
+
+// Edit a DRAFT purchase order's vendor, lines or notes
+app.put('/api/purchase-orders/:id', requireRole('manager'), async (req, res) => {
+  const loaded = await loadPurchaseOrder(req);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  const { po } = loaded;
+  if (po.status !== 'DRAFT') {
+    return res.status(400).json({ error: 'Only DRAFT purchase orders can be edited' });
+  }
+
+  const { vendorId, lines, notes, expectedAt } = req.body || {};
+  if (vendorId) {
+    const vendor = await Vendor.findById(vendorId).lean();
+    if (!vendor || vendor.active === false) {
+      return res.status(400).json({ error: 'Invalid vendorId' });
+    }
+    po.vendor = vendor._id;
+  }
+  if (lines !== undefined) {
+    const parsed = await parseOrderLines(lines);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    po.lines = parsed.lines;
+  }
+  if (notes !== undefined) po.notes = notes ? String(notes).trim() : null;
+  if (expectedAt !== undefined) po.expected_at = expectedAt ? new Date(expectedAt) : null;
+
+  await po.save();
+  return res.json(await purchaseOrderResponse(po._id));
+});
+
+// Mark a DRAFT purchase order as sent to the vendor
+app.post('/api/purchase-orders/:id/send', requireRole('manager'), async (req, res) => {
+  const loaded = await loadPurchaseOrder(req);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  const { po } = loaded;
+  if (po.status !== 'DRAFT') {
+    return res.status(400).json({ error: 'Only DRAFT purchase orders can be sent' });
+  }
+  po.status = 'SENT';
+  po.sent_at = new Date();
+  await po.save();
+  return res.json(await purchaseOrderResponse(po._id));
+});
+
+// Close a purchase order short, e.g. when the rest will never arrive
+app.post('/api/purchase-orders/:id/close', requireRole('manager'), async (req, res) => {
+  const loaded = await loadPurchaseOrder(req);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  const { po } = loaded;
+  if (po.status === 'CLOSED') {
+    return res.status(400).json({ error: 'This purchase order is already closed' });
+  }
+  po.status = 'CLOSED';
+  po.closed_at = new Date();
+  await po.save();
+  return res.json(await purchaseOrderResponse(po._id));
+});
+
+// Receive a delivery against a SENT or PARTIAL purchase order:
+// { lines: [{ productId, quantity }], note }. Stock goes up by what arrived.
+app.post('/api/purchase-orders/:id/receive', requireRole('manager'), async (req, res) => {
+  const { lines, note } = req.body || {};
+  const loaded = await loadPurchaseOrder(req);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+
+  const receivedAt = new Date();
+  const session = await PurchaseOrder.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Re-read inside the transaction so two deliveries cannot both
+      // receive the same outstanding quantity.
+      const po = await PurchaseOrder.findById(loaded.po._id).session(session);
+      const delivery = applyDelivery(po, lines);
+      if (delivery.error) {
+        throw clientError(delivery.error);
+      }
+      await po.save({ session });
+
+      const [receipt] = await GoodsReceipt.create(
+        [
+          {
+            purchase_order: po._id,
+            store: po.store,
+            lines: delivery.received,
+            note: note ? String(note).trim() : null,
+            received_by: req.user.id,
+            received_by_name: req.user.username,
+            created_at: receivedAt
+          }
+        ],
+        { session }
+      );
+
+      for (const line of delivery.received) {
+        await receiveAtCost({
+          store: po.store,
+          product: line.product,
+          quantity: line.quantity,
+          unitCost: line.unit_cost,
+          session
+        });
+        await moveStock({
+          store: po.store,
+          product: line.product,
+          delta: line.quantity,
+          reason: 'RECEIVING',
+          ref: { type: 'PurchaseOrder', id: po._id, label: po.number },
+          user: req.user,
+          note: receipt.note,
+          lots: line.lots,
+          session,
+          at: receivedAt
+        });
+      }
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to receive purchase order' });
+  }
+
+  await session.endSession();
+  return res.json(await purchaseOrderResponse(req.params.id));
+});
+
+function transferToJson(t) {
+  const lines = (t.lines || []).map((l) => ({
+    product_id: idOf(l.product),
+    product_name: l.product_name,
+    sku: l.sku,
+    barcode: l.barcode,
+    shipped_quantity: l.shipped_quantity,
+    received_quantity: l.received_quantity != null ? l.received_quantity : null,
+    unit_cost: l.unit_cost != null ? l.unit_cost : null,
+    variance: lineVariance(l),
+    lots: lotsToJson(l.lots)
+  }));
+  const storeJson = (s) => (s && s.code ? { id: String(s._id), code: s.code, name: s.name } : { id: idOf(s) });
+  return {
+    id: String(t._id),
+    number: t.number,
+    from_store: storeJson(t.from_store),
+    to_store: storeJson(t.to_store),
+    status: t.status,
+    lines,
+    has_variance: lines.some((l) => l.variance != null && l.variance !== 0),
+    notes: t.notes || null,
+    shipped_by_name: t.shipped_by_name || '',
+    shipped_at: t.shipped_at,
+    received_by_name: t.received_by_name || '',
+    received_at: t.received_at || null,
+    receive_note: t.receive_note || null
+  };
+}
+
+function canWorkAtStore(user, storeId) {
+  return user.role === 'admin' || !user.storeId || user.storeId === String(storeId);
+}
+
+async function transferResponse(transferId) {
+  const transfer = await Transfer.findById(transferId)
+    .populate('from_store')
+    .populate('to_store')
+    .lean();
+  return transferToJson(transfer);
+}
+
+// Transfers shipped from or to a store, newest first (manager/admin).
+// `direction` is `out` or `in` to see one side only.
+app.get('/api/transfers', requireRole('manager'), async (req, res) => {
+  const { storeId, status, direction } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const filter = {};
+  if (direction === 'out') {
+    filter.from_store = storeId;
+  } else if (direction === 'in') {
+    filter.to_store = storeId;
+  } else {
+    filter.$or = [{ from_store: storeId }, { to_store: storeId }];
+  }
+  if (status) {
+    filter.status = status;
+  }
+
+  const transfers = await Transfer.find(filter)
+    .sort({ shipped_at: -1 })
+    .limit(200)
+    .populate('from_store')
+    .populate('to_store')
+    .lean();
+  return res.json(transfers.map(transferToJson));
+});
+
+app.get('/api/transfers/:id', requireRole('manager'), async (req, res) => {
+  const transfer = await Transfer.findById(req.params.id).lean();
+  if (!transfer) {
+    return res.status(404).json({ error: 'Transfer not found' });
+  }
+  if (!canWorkAtStore(req.user, transfer.from_store) && !canWorkAtStore(req.user, transfer.to_store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  return res.json(await transferResponse(transfer._id));
+});
+
+// Ship stock to another store: { fromStoreId, toStoreId, lines: [{ productId,
+// quantity }], notes }. The sending store's stock goes down straight away.
+app.post('/api/transfers', requireRole('manager'), async (req, res) => {
+  const { fromStoreId, toStoreId, lines, notes } = req.body || {};
+  if (!fromStoreId || !toStoreId) {
+    return res.status(400).json({ error: 'fromStoreId and toStoreId are required' });
+  }
+  if (String(fromStoreId) === String(toStoreId)) {
+    return res.status(400).json({ error: 'A transfer needs two different stores' });
+  }
+  if (!canWorkAtStore(req.user, fromStoreId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const fromStore = await Store.findById(fromStoreId).lean();
+  const toStore = await Store.findById(toStoreId).lean();
+  if (!fromStore || !toStore) {
+    return res.status(400).json({ error: 'Invalid store' });
+  }
+  const parsed = await parseTransferLines(lines);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const shippedAt = new Date();
+  const session = await Transfer.startSession();
+  let transferId;
+
+  try {
+    await session.withTransaction(async () => {
+      const seq = await nextSequence(transferSequenceKey(fromStore._id), session);
+      const [transfer] = await Transfer.create(
+        [
+          {
+            number: formatTransferNumber(fromStore.code, seq),
+            from_store: fromStore._id,
+            to_store: toStore._id,
+            lines: parsed.lines,
+            notes: notes ? String(notes).trim() : null,
+            shipped_by: req.user.id,
+            shipped_by_name: req.user.username,
+            shipped_at: shippedAt
+          }
+        ],
+        { session }
+      );
+
+      const costs = await loadUnitCosts(
+        fromStore._id,
+        transfer.lines.map((line) => line.product),
+        session
+      );
+      for (const line of transfer.lines) {
+        line.unit_cost = costs.get(String(line.product)) ?? null;
+        const movement = await moveStock({
+          store: fromStore._id,
+          product: line.product,
+          delta: -line.shipped_quantity,
+          reason: 'TRANSFER',
+          ref: { type: 'Transfer', id: transfer._id, label: transfer.number },
+          user: req.user,
+          note: `To ${toStore.code}`,
+          sellable: true,
+          session,
+          at: shippedAt
+        });
+        // Checked on the updated quantity, so two transfers shipping the
+        // same stock at once cannot both go through.
+        if (movement.quantity_after < 0) {
+          throw clientError(
+            `Only ${movement.quantity_after + line.shipped_quantity} of ${line.product_name} ` +
+              `on hand at ${fromStore.code}`
+          );
+        }
+        line.lots = movement.lots;
+      }
+      await transfer.save({ session });
+      transferId = transfer._id;
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to ship transfer' });
+  }
+
+  await session.endSession();
+  return res.status(201).json(await transferResponse(transferId));
+});
+
+// Receive an in-transit transfer at its destination: { lines: [{ productId,
+// quantity }], note }. Lines left out arrived as shipped; any difference is
+// kept on the transfer as a variance.
+app.post('/api/transfers/:id/receive', requireRole('manager'), async (req, res) => {
+  const { lines, note } = req.body || {};
+  const existing = await Transfer.findById(req.params.id).populate('from_store').lean();
+  if (!existing) {
+    return res.status(404).json({ error: 'Transfer not found' });
+  }
+  if (!canWorkAtStore(req.user, existing.to_store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const receivedAt = new Date();
+  const session = await Transfer.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const transfer = await Transfer.findById(existing._id).session(session);
+      const receipt = applyTransferReceipt(transfer, lines);
+      if (receipt.error) {
+        throw clientError(receipt.error);
+      }
+      transfer.received_by = req.user.id;
+      transfer.received_by_name = req.user.username;
+      transfer.received_at = receivedAt;
+      transfer.receive_note = note ? String(note).trim() : null;
+      await transfer.save({ session });
+
+      for (const line of receipt.lines) {
+        const ref = { type: 'Transfer', id: transfer._id, label: transfer.number };
+        if (line.received_quantity > 0) {
+          await receiveAtCost({
+            store: transfer.to_store,
+            product: line.product,
+            quantity: line.received_quantity,
+            unitCost: line.unit_cost,
+            session
+          });
+        }
+        // A short line still arrives as shipped, so the two stores' TRANSFER
+        // movements cancel out; the missing units are then written off as
+        // shrink in transit from the lots they were shipped in.
+        const arrived = Math.max(line.shipped_quantity, line.received_quantity);
+        await moveStock({
+          store: transfer.to_store,
+          product: line.product,
+          delta: arrived,
+          reason: 'TRANSFER',
+          ref,
+          user: req.user,
+          note: `From ${existing.from_store.code}`,
+          lots: sliceLots(line.lots, 0, arrived),
+          session,
+          at: receivedAt
+        });
+        const shortage = line.shipped_quantity - line.received_quantity;
+        if (shortage > 0) {
+          await moveStock({
+            store: transfer.to_store,
+            product: line.product,
+            delta: -shortage,
+            reason: 'SHRINK',
+            reasonCode: 'TRANSFER_SHORT',
+            ref,
+            user: req.user,
+            note: `Short on ${transfer.number} from ${existing.from_store.code}`,
+            unitCost: line.unit_cost,
+            lots: sliceLots(line.lots, line.received_quantity, shortage),
+            session,
+            at: receivedAt
+          });
+        }
+      }
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to receive transfer' });
+  }
+
+  await session.endSession();
+  return res.json(await transferResponse(existing._id));
+});
+
+// Received transfer lines whose count differed from what was shipped, for
+// transfers into or out of a store (manager/admin)
+app.get('/api/reports/transfer-variances', requireRole('manager'), async (req, res) => {
+  const { storeId, from, to } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const filter = {
+    status: 'RECEIVED',
+    $or: [{ from_store: storeId }, { to_store: storeId }]
+  };
+  if (from || to) {
+    filter.received_at = {};
+    if (from) filter.received_at.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.received_at.$lte = new Date(`${to}T23:59:59.999Z`);
+  }
+  const transfers = await Transfer.find(filter)
+    .sort({ received_at: -1 })
+    .populate('from_store')
+    .populate('to_store')
+    .lean();
+
+  const rows = [];
+  transfers.forEach((t) => {
+    t.lines.forEach((l) => {
+      const variance = lineVariance(l);
+      if (variance !== 0) {
+        rows.push({
+          transfer_id: String(t._id),
+          number: t.number,
+          from_store_code: t.from_store.code,
+          to_store_code: t.to_store.code,
+          received_at: t.received_at,
+          received_by_name: t.received_by_name || '',
+          product_id: String(l.product),
+          product_name: l.product_name,
+          sku: l.sku,
+          shipped_quantity: l.shipped_quantity,
+          received_quantity: l.received_quantity,
+          variance
+        });
+      }
+    });
+  });
+
+  return res.json({
+    rows,
+    total_shortage: rows.filter((r) => r.variance < 0).reduce((sum, r) => sum - r.variance, 0),
+    total_overage: rows.filter((r) => r.variance > 0).reduce((sum, r) => sum + r.variance, 0)
+  });
+});
+
+function countSessionToJson(c, rows, { showExpected }) {
+  return {
+    id: String(c._id),
+    number: c.number,
+    store_id: idOf(c.store),
+    category: c.category || null,
+    status: c.status,
+    notes: c.notes || null,
+    started_by_name: c.started_by_name || '',
+    started_at: c.started_at,
+    finished_by_name: c.finished_by_name || '',
+    finished_at: c.finished_at || null,
+    line_count: c.lines.length,
+    lines: rows
+      ? rows.map((r) => ({
+          product_id: String(r.product),
+          product_name: r.product_name,
+          sku: r.sku,
+          barcode: r.barcode,
+          scans: r.scans,
+          counted_quantity: r.counted_quantity,
+          counted_at: r.counted_at,
+          // staff count blind; only managers see what the system expects
+          ...(showExpected
+            ? {
+                snapshot_quantity: r.snapshot_quantity,
+                expected_quantity: r.expected_quantity,
+                variance: r.variance
+              }
+            : {})
+        }))
+      : undefined
+  };
+}
+
+// Count rows for a session: live while OPEN, as posted afterwards.
+async function countSessionResponse(countSession, user) {
+  const showExpected = user.role === 'manager' || user.role === 'admin';
+  if (countSession.status !== 'OPEN') {
+    const rows = countSession.lines.map((l) => ({
+      ...l,
+      scans: null,
+      counted_at: null,
+      variance: l.adjustment
+    }));
+    return countSessionToJson(countSession, rows, { showExpected });
+  }
+  const rows = await reviewCount(countSession);
+  const json = countSessionToJson(countSession, rows, { showExpected });
+  const recent = await CountEntry.find({ count_session: countSession._id })
+    .sort({ created_at: -1 })
+    .limit(20)
+    .populate('product')
+    .lean();
+  json.recent_entries = recent.map((e) => ({
+    id: String(e._id),
+    product_id: idOf(e.product),
+    product_name: e.product ? e.product.name : null,
+    quantity: e.quantity,
+    user_name: e.user_name || '',
+    created_at: e.created_at
+  }));
+  return json;
+}
+
+// Count sessions for a store, newest first
+app.get('/api/counts', async (req, res) => {
+  const { storeId, status } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const filter = { store: storeId };
+  if (status) {
+    filter.status = status;
+  }
+  const sessions = await CountSession.find(filter).sort({ started_at: -1 }).limit(100).lean();
+  return res.json(sessions.map((c) => countSessionToJson(c, null, { showExpected: false })));
+});
+
+// Start counting a store, or one category in it (manager/admin)
+app.post('/api/counts', requireRole('manager'), async (req, res) => {
+  const { storeId, category, notes } = req.body || {};
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+
+  const scope = category ? String(category).trim() : null;
+  // Overlapping open counts would both adjust the same products.
+  const open = await CountSession.find({ store: store._id, status: 'OPEN' }).lean();
+  const overlap = open.find((c) => !scope || !c.category || c.category === scope);
+  if (overlap) {
+    return res.status(400).json({ error: `${overlap.number} is still counting these products` });
+  }
+
+  const lines = await buildCountLines(store._id, scope);
+  if (lines.length === 0) {
+    return res.status(400).json({ error: 'No stocked products to count' });
+  }
+  const seq = await nextSequence(countSequenceKey(store._id));
+  const created = await CountSession.create({
+    number: formatCountNumber(store.code, seq),
+    store: store._id,
+    category: scope,
+    lines,
+    notes: notes ? String(notes).trim() : null,
+    started_by: req.user.id,
+    started_by_name: req.user.username,
+    started_at: new Date()
+  });
+  return res.status(201).json(await countSessionResponse(created.toObject(), req.user));
+});
+
+app.get('/api/counts/:id', async (req, res) => {
+  const countSession = await CountSession.findById(req.params.id).lean();
+  if (!countSession) {
+    return res.status(404).json({ error: 'Count not found' });
+  }
+  if (!canWorkAtStore(req.user, countSession.store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  return res.json(await countSessionResponse(countSession, req.user));
+});
+
+// Record a scan or keyed quantity: { code | productId, quantity, registerId }.
+// quantity defaults to 1; a negative one takes back an over-scan.
+app.post('/api/counts/:id/entries', async (req, res) => {
+  const { code, productId, quantity, registerId } = req.body || {};
+  const countSession = await CountSession.findById(req.params.id).lean();
+  if (!countSession) {
+    return res.status(404).json({ error: 'Count not found' });
+  }
+  if (!canWorkAtStore(req.user, countSession.store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (countSession.status !== 'OPEN') {
+    return res.status(400).json({ error: `${countSession.number} is no longer open` });
+  }
+  const qty = quantity == null || quantity === '' ? 1 : Number(quantity);
+  if (!Number.isFinite(qty) || qty === 0) {
+    return res.status(400).json({ error: 'quantity must be a non-zero number' });
+  }
+
+  const product = productId
+    ? await Product.findById(productId).lean()
+    : await findProductByCode(code);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  if (!inCountScope(product, countSession.category)) {
+    return res.status(400).json({
+      error: `${product.name} is not in this count (${countSession.category})`
+    });
+  }
+
+  if (!countSession.lines.some((l) => String(l.product) === String(product._id))) {
+    // Not stocked when the count started: count it from now on.
+    const line = await lateCountLine(countSession, product);
+    await CountSession.updateOne(
+      { _id: countSession._id, 'lines.product': { $ne: product._id } },
+      { $push: { lines: line } }
+    );
+  }
+
+  const counted = await CountEntry.aggregate([
+    { $match: { count_session: countSession._id, product: product._id } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).exec();
+  const total = (counted.length > 0 ? counted[0].quantity : 0) + qty;
+  if (total < 0) {
+    return res.status(400).json({ error: `${product.name} has only ${total - qty} counted` });
+  }
+
+  await snapshotExpected(countSession, product._id);
+  const entry = await CountEntry.create({
+    count_session: countSession._id,
+    product: product._id,
+    quantity: qty,
+    register: registerId || null,
+    user: req.user.id,
+    user_name: req.user.username,
+    created_at: new Date()
+  });
+
+  return res.status(201).json({
+    id: String(entry._id),
+    product_id: String(product._id),
+    product_name: product.name,
+    sku: product.sku,
+    quantity: qty,
+    counted_quantity: total
+  });
+});
+
+// Post a count: adjust stock by each counted product's variance and close
+// it. With `zeroUncounted`, products nobody counted are set to 0
+// (manager/admin).
+app.post('/api/counts/:id/post', requireRole('manager'), async (req, res) => {
+  const { zeroUncounted } = req.body || {};
+  const existing = await CountSession.findById(req.params.id).lean();
+  if (!existing) {
+    return res.status(404).json({ error: 'Count not found' });
+  }
+  if (!canWorkAtStore(req.user, existing.store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const postedAt = new Date();
+  const session = await CountSession.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const countSession = await CountSession.findById(existing._id).session(session);
+      if (countSession.status !== 'OPEN') {
+        throw clientError(`${countSession.number} is no longer open`);
+      }
+      const rows = await reviewCount(countSession, { zeroUncounted: !!zeroUncounted, session });
+      const costs = await loadUnitCosts(
+        countSession.store,
+        rows.map((r) => r.product),
+        session
+      );
+
+      for (const row of rows) {
+        if (row.variance) {
+          await moveStock({
+            store: countSession.store,
+            product: row.product,
+            delta: row.variance,
+            reason: 'COUNT',
+            ref: { type: 'CountSession', id: countSession._id, label: countSession.number },
+            user: req.user,
+            unitCost: costs.get(String(row.product)),
+            session,
+            at: postedAt
+          });
+        }
+      }
+
+      const byProduct = new Map(rows.map((r) => [String(r.product), r]));
+      countSession.lines.forEach((line) => {
+        const row = byProduct.get(String(line.product));
+        line.counted_quantity = row.counted_quantity;
+        line.expected_quantity = row.expected_quantity;
+        line.adjustment = row.variance;
+      });
+      countSession.status = 'POSTED';
+      countSession.finished_by = req.user.id;
+      countSession.finished_by_name = req.user.username;
+      countSession.finished_at = postedAt;
+      await countSession.save({ session });
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to post count' });
+  }
+
+  await session.endSession();
+  const posted = await CountSession.findById(existing._id).lean();
+  return res.json(await countSessionResponse(posted, req.user));
+});
+
+// Abandon an open count without touching stock (manager/admin)
+app.post('/api/counts/:id/cancel', requireRole('manager'), async (req, res) => {
+  const countSession = await CountSession.findById(req.params.id);
+  if (!countSession) {
+    return res.status(404).json({ error: 'Count not found' });
+  }
+  if (!canWorkAtStore(req.user, countSession.store)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (countSession.status !== 'OPEN') {
+    return res.status(400).json({ error: `${countSession.number} is no longer open` });
+  }
+  countSession.status = 'CANCELLED';
+  countSession.finished_by = req.user.id;
+  countSession.finished_by_name = req.user.username;
+  countSession.finished_at = new Date();
+  await countSession.save();
+  return res.json(await countSessionResponse(countSession.toObject(), req.user));
+});
+
+function recallToJson(r) {
+  return {
+    id: String(r._id),
+    number: r.number,
+    product_id: idOf(r.product),
+    product_name: r.product_name,
+    sku: r.sku,
+    whole_product: isWholeProduct(r),
+    lot_numbers: r.lot_numbers || [],
+    expiry_from: r.expiry_from || null,
+    expiry_to: r.expiry_to || null,
+    reason: r.reason,
+    vendor_reference: r.vendor_reference || null,
+    status: r.status,
+    tasks: (r.tasks || []).map((t) => ({
+      store_id: idOf(t.store),
+      store_code: t.store && t.store.code ? t.store.code : null,
+      quantity: t.quantity,
+      status: t.status,
+      removed_quantity: t.removed_quantity != null ? t.removed_quantity : null,
+      note: t.note || null,
+      completed_by_name: t.completed_by_name || '',
+      completed_at: t.completed_at || null
+    })),
+    open_tasks: (r.tasks || []).filter((t) => t.status === 'OPEN').length,
+    created_by_name: r.created_by_name || '',
+    created_at: r.created_at,
+    closed_by_name: r.closed_by_name || '',
+    closed_at: r.closed_at || null
+  };
+}
+
+async function recallResponse(recallId) {
+  const recall = await Recall.findById(recallId).populate('tasks.store').lean();
+  return recallToJson(recall);
+}
+
+// Recalls, newest first; `status` is ACTIVE or CLOSED (manager/admin)
+app.get('/api/recalls', requireRole('manager'), async (req, res) => {
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  const recalls = await Recall.find(filter)
+    .populate('tasks.store')
+    .sort({ created_at: -1 })
+    .limit(100)
+    .lean();
+  res.json(recalls.map(recallToJson));
+});
+
+app.get('/api/recalls/:id', requireRole('manager'), async (req, res) => {
+  if (!(await Recall.exists({ _id: req.params.id }))) {
+    return res.status(404).json({ error: 'Recall not found' });
+  }
+  return res.json(await recallResponse(req.params.id));
+});
+
+// Recall a product, or some of its lots: { productId, lotNumbers,
+// expiryFrom, expiryTo, reason, vendorReference }. Sales of the recalled
+// stock stop straight away and every store gets a removal task.
+app.post('/api/recalls', requireRole('manager'), async (req, res) => {
+  const parsed = await parseRecallBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const tasks = await buildRecallTasks(parsed.recall);
+  const seq = await nextSequence(RECALL_SEQUENCE_KEY);
+  const created = await Recall.create({
+    ...parsed.recall,
+    number: formatRecallNumber(seq),
+    tasks,
+    created_by: req.user.id,
+    created_by_name: req.user.username,
+    created_at: new Date()
+  });
+  return res.status(201).json(await recallResponse(created._id));
+});
+
+// A store has pulled the recalled stock: it comes out of inventory as a
+// RECALL movement (manager/admin of that store)
+app.post('/api/recalls/:id/tasks/:storeId/complete', requireRole('manager'), async (req, res) => {
+  const { note } = req.body || {};
+  const { storeId } = req.params;
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  if (!(await Recall.exists({ _id: req.params.id }))) {
+    return res.status(404).json({ error: 'Recall not found' });
+  }
+
+  const completedAt = new Date();
+  const session = await Recall.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const recall = await Recall.findById(req.params.id).session(session);
+      if (recall.status !== 'ACTIVE') {
+        throw clientError(`${recall.number} is closed`);
+      }
+      const task = recall.tasks.find((t) => String(t.store) === String(storeId));
+      if (!task) {
+        throw clientError(`${recall.number} has no removal task for this store`);
+      }
+      if (task.status !== 'OPEN') {
+        throw clientError('This store has already removed the recalled stock');
+      }
+
+      const stock = await affectedStock(recall, task.store, session);
+      const movement = {
+        store: task.store,
+        product: recall.product,
+        reason: 'RECALL',
+        ref: { type: 'Recall', id: recall._id, label: recall.number },
+        user: req.user,
+        note: recall.reason,
+        unitCost: await unitCostAt(task.store, recall.product, session),
+        session,
+        at: completedAt
+      };
+      if (isWholeProduct(recall)) {
+        if (stock.quantity > 0) {
+          await moveStock({ ...movement, delta: -stock.quantity });
+        }
+      } else {
+        for (const lot of stock.lots) {
+          await moveStock({ ...movement, delta: -lot.quantity, lot });
+        }
+      }
+
+      task.status = 'DONE';
+      task.removed_quantity = stock.quantity;
+      task.note = note ? String(note).trim() : null;
+      task.completed_by = req.user.id;
+      task.completed_by_name = req.user.username;
+      task.completed_at = completedAt;
+      await recall.save({ session });
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to complete recall task' });
+  }
+
+  await session.endSession();
+  return res.json(await recallResponse(req.params.id));
+});
+
+// End a recall; the product can be sold again (manager/admin)
+app.post('/api/recalls/:id/close', requireRole('manager'), async (req, res) => {
+  const recall = await Recall.findById(req.params.id);
+  if (!recall) {
+    return res.status(404).json({ error: 'Recall not found' });
+  }
+  if (recall.status !== 'ACTIVE') {
+    return res.status(400).json({ error: `${recall.number} is already closed` });
+  }
+  recall.status = 'CLOSED';
+  recall.closed_by = req.user.id;
+  recall.closed_by_name = req.user.username;
+  recall.closed_at = new Date();
+  await recall.save();
+  return res.json(await recallResponse(recall._id));
+});
+
+// Sales of the recalled product (of the recalled lots, for a lot recall)
+// between `from` and `to`, default the last 30 days, for customer notices
+// (manager/admin)
+app.get('/api/recalls/:id/sales', requireRole('manager'), async (req, res) => {
+  const recall = await Recall.findById(req.params.id).lean();
+  if (!recall) {
+    return res.status(404).json({ error: 'Recall not found' });
+  }
+  let { from, to } = req.query;
+  const { storeId } = req.query;
+  const today = new Date();
+  const monthAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (!to) to = today.toISOString().slice(0, 10);
+  if (!from) from = monthAgo.toISOString().slice(0, 10);
+
+  const txMatch = {
+    'tx.type': 'SALE',
+    'tx.void_transaction': null,
+    'tx.created_at': {
+      $gte: new Date(`${from}T00:00:00.000Z`),
+      $lte: new Date(`${to}T23:59:59.999Z`)
+    }
+  };
+  if (storeId) {
+    txMatch['tx.store'] = toObjectId(storeId);
+  } else if (req.user.role !== 'admin' && req.user.storeId) {
+    txMatch['tx.store'] = toObjectId(req.user.storeId);
+  }
+
+  const items = await TransactionItem.aggregate([
+    { $match: { product: toObjectId(recall.product), quantity: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: 'transactions',
+        localField: 'transaction',
+        foreignField: '_id',
+        as: 'tx'
+      }
+    },
+    { $unwind: '$tx' },
+    { $match: txMatch },
+    { $sort: { 'tx.created_at': -1 } }
+  ]).exec();
+  // Items sold before lot tracking have no lots and cannot be matched.
+  const sold = isWholeProduct(recall)
+    ? items
+    : items.filter((it) => (it.lots || []).some((l) => lotMatchesRecall(recall, l)));
+
+  const stores = await Store.find({ _id: { $in: sold.map((it) => it.tx.store) } }).lean();
+  const storeCodes = new Map(stores.map((st) => [String(st._id), st.code]));
+  const rows = sold.map((it) => ({
+    transaction_id: String(it.tx._id),
+    tc_number: it.tx.tc_number,
+    store_id: String(it.tx.store),
+    store_code: storeCodes.get(String(it.tx.store)) || null,
+    created_at: it.tx.created_at,
+    cashier_name: it.tx.cashier_name || '',
+    quantity: it.quantity,
+    refunded_quantity: it.refunded_quantity || 0,
+    line_total: it.line_total,
+    lots: lotsToJson(it.lots)
+  }));
+
+  const byStore = new Map();
+  rows.forEach((r) => {
+    const t = byStore.get(r.store_id) || {
+      store_id: r.store_id,
+      store_code: r.store_code,
+      sales: 0,
+      units_sold: 0,
+      units_refunded: 0
+    };
+    t.sales += 1;
+    t.units_sold += r.quantity;
+    t.units_refunded += r.refunded_quantity;
+    byStore.set(r.store_id, t);
+  });
+
+  return res.json({
+    recall: recallToJson(recall),
+    range: { from, to, storeId: storeId || null },
+    rows,
+    by_store: [...byStore.values()],
+    units_sold: rows.reduce((sum, r) => sum + r.quantity, 0),
+    units_refunded: rows.reduce((sum, r) => sum + r.refunded_quantity, 0)
+  });
+});
+
+// Get receipt template for a store
+app.get('/api/stores/:storeId/receipt-template', async (req, res) => {
+  const storeId = req.params.storeId;
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
 
   const template = await ReceiptTemplate.findOne({ store: storeId }).lean();
 
@@ -526,16 +3364,267 @@ app.put(
       { upsert: true }
     );
 
-    const updated = await ReceiptTemplate.findOne({ store: storeId }).lean();
-    return res.json({
-      id: String(updated._id),
-      store_id: String(updated.store),
-      header: updated.header || '',
-      footer: updated.footer || '',
-      options: updated.options || {}
-    });
+    const updated = await ReceiptTemplate.findOne({ store: storeId }).lean();
+    return res.json({
+      id: String(updated._id),
+      store_id: String(updated.store),
+      header: updated.header || '',
+      footer: updated.footer || '',
+      options: updated.options || {}
+    });
+  }
+);
+
+// Load the products and coupons for a checkout request and price the cart.
+// Shared by the quote and checkout endpoints; returns { priced, coupons } or { error }.
+async function priceCheckout({ storeId, items, discount, couponCodes }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'non-empty items are required' };
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const productId = item.productId;
+    const quantity = Number(item.quantity);
+    if (!productId || !quantity || quantity <= 0) {
+      return { error: 'Invalid item in items array' };
+    }
+
+    const found = await Product.findById(productId).lean();
+    if (!found || !found.active) {
+      return { error: `Invalid productId: ${productId}` };
+    }
+    // Priced at this store's price; overrides are measured against it.
+    const [product] = await withStorePrices(storeId, [found]);
+
+    const lineDiscount = parseDiscount(item.discount, product.name);
+    if (lineDiscount.error) {
+      return { error: lineDiscount.error };
+    }
+    const priceOverride = parsePriceOverride(item.priceOverride, product);
+    if (priceOverride.error) {
+      return { error: priceOverride.error };
+    }
+
+    lines.push({
+      product,
+      quantity,
+      unitPrice: priceOverride.override ? priceOverride.override.price : product.price,
+      priceOverride: priceOverride.override,
+      discount: lineDiscount.discount
+    });
+  }
+
+  const cartDiscount = parseDiscount(discount, 'Cart');
+  if (cartDiscount.error) {
+    return { error: cartDiscount.error };
+  }
+
+  const resolved = await resolveCoupons(couponCodes, {
+    productIds: lines.map((l) => String(l.product._id)),
+    grossSubtotal: lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0)
+  });
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const promotions = await resolvePromotions({ storeId });
+
+  const priced = priceCart({
+    lines,
+    cartDiscount: cartDiscount.discount,
+    coupons: resolved.coupons,
+    promotions
+  });
+  return { priced, coupons: resolved.coupons };
+}
+
+function quoteToJson(priced, coupons) {
+  return {
+    lines: priced.lines.map((line) => ({
+      product_id: String(line.product._id),
+      product_name: line.product.name,
+      quantity: line.quantity,
+      unit_price: line.unitPrice,
+      original_unit_price: line.product.price,
+      price_override: line.priceOverride,
+      gross_total: line.grossTotal,
+      discount_amount: line.discountAmount,
+      discounts: line.discounts.map(discountToJson),
+      line_total: line.lineTotal,
+      tax_amount: line.taxAmount
+    })),
+    coupon_codes: coupons.map((c) => c.code),
+    subtotal: priced.subtotal,
+    discount_total: priced.discountTotal,
+    tax_total: priced.taxTotal,
+    total: priced.total
+  };
+}
+
+// Price a cart without recording anything (cart preview)
+app.post('/api/transactions/quote', async (req, res) => {
+  const { storeId, items, discount, couponCodes } = req.body || {};
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+
+  const checkout = await priceCheckout({ storeId: store._id, items, discount, couponCodes });
+  if (checkout.error) {
+    return res.status(400).json({ error: checkout.error });
+  }
+  return res.json({
+    ...quoteToJson(checkout.priced, checkout.coupons),
+    // checkout refuses the sale while this is set
+    stock_warning: await findUnsellable(store._id, checkout.priced.lines)
+  });
+});
+
+function suspendedCartToJson(cart) {
+  return {
+    id: String(cart._id),
+    recall_code: cart.recall_code,
+    store_id: idOf(cart.store),
+    register_id: idOf(cart.register),
+    register_code: cart.register && cart.register.code ? cart.register.code : null,
+    items: cart.items.map((it) => ({
+      product_id: idOf(it.product),
+      quantity: it.quantity,
+      discount: it.discount || null,
+      price_override: it.price_override || null
+    })),
+    discount: cart.discount || null,
+    coupon_codes: cart.coupon_codes || [],
+    item_count: cart.item_count,
+    total: cart.total,
+    cashier_name: cart.cashier_name || '',
+    created_at: cart.created_at,
+    expires_at: cart.expires_at
+  };
+}
+
+// Park the current cart so any register in the store can resume it
+app.post('/api/suspended-carts', async (req, res) => {
+  const { storeId, registerId, items, discount, couponCodes } = req.body || {};
+  if (!storeId || !registerId) {
+    return res.status(400).json({ error: 'storeId and registerId are required' });
+  }
+
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+  const register = await Register.findOne({ _id: registerId, store: storeId }).lean();
+  if (!register) {
+    return res.status(400).json({ error: 'Invalid registerId for store' });
+  }
+
+  // Pricing validates the items, discounts and coupons as checkout would.
+  const checkout = await priceCheckout({ storeId: store._id, items, discount, couponCodes });
+  if (checkout.error) {
+    return res.status(400).json({ error: checkout.error });
+  }
+
+  const seq = await nextSequence(`suspend:${store._id}`);
+  const now = new Date();
+  const cart = await SuspendedCart.create({
+    store: store._id,
+    register: register._id,
+    recall_code: `SUS-${store.code}-${String(seq).padStart(4, '0')}`,
+    items: checkout.priced.lines.map((line, idx) => ({
+      product: line.product._id,
+      quantity: line.quantity,
+      discount: parseDiscount(items[idx].discount, line.product.name).discount,
+      price_override: line.priceOverride
+    })),
+    discount: parseDiscount(discount, 'Cart').discount,
+    coupon_codes: checkout.coupons.map((c) => c.code),
+    item_count: checkout.priced.lines.reduce((sum, line) => sum + line.quantity, 0),
+    total: roundMoney(checkout.priced.total),
+    cashier: req.user ? req.user.id : null,
+    cashier_name: req.user ? req.user.username : '',
+    created_at: now,
+    expires_at: new Date(now.getTime() + SUSPENDED_CART_TTL_MINUTES * 60 * 1000)
+  });
+
+  const slipText = await renderSuspendSlip(cart._id);
+  let printJob = null;
+  let printError = null;
+  if (PRINT_AGENT_BASE) {
+    try {
+      printJob = await printTextViaAgent(slipText, { barcode: cart.recall_code });
+    } catch (err) {
+      printError = err.message || 'Failed to print suspend slip';
+    }
+  }
+
+  return res.status(201).json({
+    cart: suspendedCartToJson({ ...cart.toObject(), register }),
+    slipText,
+    printJob,
+    printError
+  });
+});
+
+// Suspended carts waiting at a store
+app.get('/api/suspended-carts', async (req, res) => {
+  const { storeId } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  // The TTL monitor only runs once a minute, so filter on expiry as well.
+  const carts = await SuspendedCart.find({ store: storeId, expires_at: { $gt: new Date() } })
+    .populate('register')
+    .sort({ created_at: 1 })
+    .lean();
+  return res.json(carts.map(suspendedCartToJson));
+});
+
+// Take a suspended cart back; it is removed so it can only be resumed once.
+app.post('/api/suspended-carts/:recallCode/resume', async (req, res) => {
+  const { storeId } = req.body || {};
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
   }
-);
+  const recallCode = String(req.params.recallCode || '').trim().toUpperCase();
+
+  const cart = await SuspendedCart.findOneAndDelete({
+    recall_code: recallCode,
+    store: storeId,
+    expires_at: { $gt: new Date() }
+  })
+    .populate('register')
+    .lean();
+  if (!cart) {
+    return res
+      .status(404)
+      .json({ error: `No suspended cart ${recallCode} at this store (it may have expired)` });
+  }
+
+  const productIds = cart.items.map((it) => it.product);
+  const products = await withStorePrices(
+    storeId,
+    await Product.find({ _id: { $in: productIds } }).lean()
+  );
+
+  return res.json({
+    cart: suspendedCartToJson(cart),
+    products: products.map((p) => ({
+      id: String(p._id),
+      sku: p.sku,
+      barcode: p.barcode,
+      name: p.name,
+      category: p.category,
+      price: p.price,
+      tax_rate: p.tax_rate,
+      active: p.active
+    }))
+  });
+});
 
 // Create a transaction (checkout)
 app.post('/api/transactions', async (req, res) => {
@@ -543,7 +3632,12 @@ app.post('/api/transactions', async (req, res) => {
     storeId,
     registerId,
     items,
-    paymentMethod
+    discount,
+    couponCodes,
+    paymentMethod,
+    payments,
+    amountTendered,
+    approvalTokens
   } = req.body || {};
 
   if (!storeId || !registerId || !Array.isArray(items) || items.length === 0) {
@@ -552,8 +3646,10 @@ app.post('/api/transactions', async (req, res) => {
     });
   }
 
-  if (!paymentMethod) {
-    return res.status(400).json({ error: 'paymentMethod is required' });
+  if (!paymentMethod && (!Array.isArray(payments) || payments.length === 0)) {
+    return res
+      .status(400)
+      .json({ error: 'paymentMethod or payments is required' });
   }
 
   const store = await Store.findById(storeId).lean();
@@ -566,40 +3662,97 @@ app.post('/api/transactions', async (req, res) => {
     return res.status(400).json({ error: 'Invalid registerId for store' });
   }
 
-  let subtotal = 0;
-  let taxTotal = 0;
+  const shift = await findOpenShift(registerId);
+  if (!shift) {
+    return res
+      .status(400)
+      .json({ error: 'No open shift on this register. Open a shift first.' });
+  }
 
-  const cartItems = [];
+  const checkout = await priceCheckout({ storeId: store._id, items, discount, couponCodes });
+  if (checkout.error) {
+    return res.status(400).json({ error: checkout.error });
+  }
+  const { priced, coupons } = checkout;
 
-  for (const item of items) {
-    const productId = item.productId;
-    const quantity = Number(item.quantity);
-    if (!productId || !quantity || quantity <= 0) {
-      return res.status(400).json({ error: 'Invalid item in items array' });
-    }
+  // Recalled stock, and perishables past their expiry date, cannot be sold.
+  const unsellable = await findUnsellable(store._id, priced.lines);
+  if (unsellable) {
+    return res.status(400).json({ error: unsellable });
+  }
 
-    const product = await Product.findById(productId).lean();
-    if (!product || !product.active) {
-      return res.status(400).json({ error: `Invalid productId: ${productId}` });
+  // Manual line and cart discounts above the limit need a manager; the
+  // approval is bound to this register and the percentage approved.
+  const approvals = [];
+  const grossTotal = priced.lines.reduce((sum, line) => sum + line.grossTotal, 0);
+  const manualDiscount = priced.lines.reduce(
+    (sum, line) =>
+      sum +
+      line.discounts
+        .filter((d) => d.source === 'line' || d.source === 'cart')
+        .reduce((lineSum, d) => lineSum + d.amount, 0),
+    0
+  );
+  const discountPercent = grossTotal > 0 ? (manualDiscount / grossTotal) * 100 : 0;
+  if (discountPercent > DISCOUNT_APPROVAL_PERCENT) {
+    const check = await checkApproval(req.user, {
+      tokens: approvalTokens,
+      action: 'DISCOUNT',
+      storeId: store._id,
+      subject: register._id,
+      amount: Math.ceil(discountPercent * 100) / 100
+    });
+    if (check.error) {
+      return res
+        .status(403)
+        .json({ error: check.error, approval_required: check.approvalRequired });
     }
+    approvals.push(check);
+  }
 
-    const unitPrice = product.price;
-    const lineTotal = unitPrice * quantity;
-    const taxAmount = (lineTotal * product.tax_rate) / 100;
-
-    subtotal += lineTotal;
-    taxTotal += taxAmount;
-
-    cartItems.push({
-      product,
-      quantity,
-      unitPrice,
-      lineTotal,
-      taxAmount
+  // Overrides that move the price by more than the threshold need a
+  // manager; each approval is bound to the product and the new price, and
+  // each overridden line needs its own, keyed here by line index.
+  const overrideApprovals = new Map();
+  for (const [index, line] of priced.lines.entries()) {
+    if (!line.priceOverride) {
+      continue;
+    }
+    const original = line.product.price;
+    const changePercent =
+      original > 0 ? (Math.abs(line.unitPrice - original) / original) * 100 : Infinity;
+    if (changePercent <= PRICE_OVERRIDE_APPROVAL_PERCENT) {
+      continue;
+    }
+    const check = await checkApproval(req.user, {
+      tokens: approvalTokens,
+      action: 'PRICE_OVERRIDE',
+      storeId: store._id,
+      subject: `${line.product._id}:${line.unitPrice.toFixed(2)}`,
+      exclude: [...overrideApprovals.values()]
+        .filter((check) => check.approval)
+        .map((check) => check.approval._id)
     });
+    if (check.error) {
+      return res.status(403).json({
+        error: `${line.product.name}: ${check.error}`,
+        approval_required: check.approvalRequired
+      });
+    }
+    approvals.push(check);
+    overrideApprovals.set(index, check);
+  }
+
+  const tender = normalizePayments({
+    payments,
+    paymentMethod,
+    amountTendered,
+    total: priced.total
+  });
+  if (tender.error) {
+    return res.status(400).json({ error: tender.error });
   }
 
-  const total = subtotal + taxTotal;
   const createdAt = new Date();
   const cashierId = req.user ? req.user.id : null;
   const cashierName = req.user ? req.user.username : '';
@@ -614,101 +3767,153 @@ app.post('/api/transactions', async (req, res) => {
           {
             store: storeId,
             register: registerId,
+            shift: shift._id,
             cashier: cashierId || null,
             cashier_name: cashierName,
-            subtotal,
-            tax_total: taxTotal,
-            total,
-            payment_method: paymentMethod,
+            subtotal: priced.subtotal,
+            tax_total: priced.taxTotal,
+            total: priced.total,
+            discount_total: priced.discountTotal,
+            coupon_codes: coupons.map((c) => c.code),
+            payment_method: summarizePaymentMethod(tender.payments),
+            payments: tender.payments,
+            cash_tendered: tender.cashTendered,
+            change_due: tender.changeDue,
             type: 'SALE',
+            approvals: approvals.map((check) => check.record),
             created_at: createdAt
           }
         ],
         { session }
       );
       const transaction = tx[0];
+      if (!(await claimOpenShift(shift._id, session))) {
+        throw clientError('This shift has been closed. Open a shift first.');
+      }
 
+      for (const check of approvals) {
+        if (!(await useApproval(check, transaction._id, session))) {
+          throw clientError('This approval has already been used');
+        }
+      }
+
+      // Drawn inside the transaction so an aborted sale does not use up a number.
       const tc = generateTC({
         storeCode: store.code,
         registerCode: register.code,
-        transactionId: transaction._id.toString(),
+        sequence: await nextSequence(tcSequenceKey(store._id), session),
         date: createdAt
       });
 
       transaction.tc_number = tc;
       await transaction.save({ session });
 
-      const itemDocs = cartItems.map((item) => ({
-        transaction: transaction._id,
-        product: item.product._id,
-        product_name: item.product.name,
-        sku: item.product.sku,
-        barcode: item.product.barcode,
-        category: item.product.category,
-        quantity: item.quantity,
-        unit_price: item.unitPrice,
-        line_total: item.lineTotal,
-        tax_amount: item.taxAmount
-      }));
+      for (const coupon of coupons) {
+        const used = await Coupon.updateOne(
+          {
+            _id: coupon._id,
+            $or: [
+              { max_uses: null },
+              { $expr: { $lt: ['$use_count', '$max_uses'] } }
+            ]
+          },
+          { $inc: { use_count: 1 } },
+          { session }
+        );
+        if (used.modifiedCount === 0) {
+          throw clientError(`Coupon ${coupon.code} has reached its usage limit`);
+        }
+      }
 
-      await TransactionItem.insertMany(itemDocs, { session });
+      const costs = await loadUnitCosts(
+        store._id,
+        priced.lines.map((item) => item.product._id),
+        session
+      );
+      const itemDocs = priced.lines.map((item, index) => {
+        const overrideCheck = overrideApprovals.get(index);
+        const overrideApproval = overrideCheck ? overrideCheck.record : null;
+        const unitCost = costs.get(String(item.product._id)) ?? null;
+        return {
+          transaction: transaction._id,
+          product: item.product._id,
+          product_name: item.product.name,
+          sku: item.product.sku,
+          barcode: item.product.barcode,
+          category: item.product.category,
+          quantity: item.quantity,
+          unit_price: item.unitPrice,
+          original_unit_price: item.product.price,
+          price_override: item.priceOverride
+            ? {
+                reason: item.priceOverride.reason,
+                note: item.priceOverride.note,
+                approved_by: overrideApproval ? overrideApproval.approved_by : null,
+                approved_by_name: overrideApproval ? overrideApproval.approved_by_name : null
+              }
+            : null,
+          gross_total: item.grossTotal,
+          discount_amount: item.discountAmount,
+          discounts: item.discounts,
+          line_total: item.lineTotal,
+          tax_amount: item.taxAmount,
+          unit_cost: unitCost,
+          cost_total: costOf(unitCost, item.quantity)
+        };
+      });
 
-      for (const item of cartItems) {
-        await Inventory.findOneAndUpdate(
-          { store: storeId, product: item.product._id },
-          { $inc: { quantity: -item.quantity } },
-          { upsert: true, session }
-        );
+      // Checked again on the transaction's view of the lots and recalls, so
+      // a recall or an expiry since the check above cannot slip through.
+      const unsellableNow = await findUnsellable(store._id, priced.lines, createdAt, session);
+      if (unsellableNow) {
+        throw clientError(unsellableNow);
       }
 
-      const receiptText = await renderTextReceipt(transaction._id);
+      // Stock comes off first so each item records the lots it was sold from.
+      for (const [index, item] of priced.lines.entries()) {
+        const movement = await moveStock({
+          store: store._id,
+          product: item.product._id,
+          delta: -item.quantity,
+          reason: 'SALE',
+          ref: { type: 'Transaction', id: transaction._id, label: tc },
+          user: req.user,
+          sellable: true,
+          session,
+          at: createdAt
+        });
+        itemDocs[index].lots = movement.lots;
+      }
 
-      const txObj = transaction.toObject();
-      const itemsOut = itemDocs.map((it, idx) => ({
-        id: String(idx),
-        transaction_id: String(transaction._id),
-        product_id: String(it.product),
-        product_name: it.product_name,
-        barcode: it.barcode,
-        sku: it.sku,
-        quantity: it.quantity,
-        unit_price: it.unit_price,
-        line_total: it.line_total,
-        tax_amount: it.tax_amount
-      }));
+      const insertedItems = await TransactionItem.insertMany(itemDocs, { session });
 
       result = {
-        transaction: {
-          id: String(txObj._id),
-          store_id: String(txObj.store),
-          register_id: String(txObj.register),
-          cashier_id: txObj.cashier ? String(txObj.cashier) : null,
-          cashier_name: txObj.cashier_name,
-          subtotal: txObj.subtotal,
-          tax_total: txObj.tax_total,
-          total: txObj.total,
-          payment_method: txObj.payment_method,
-          tc_number: txObj.tc_number,
-          type: txObj.type,
-          created_at: txObj.created_at
-        },
-        items: itemsOut,
-        receiptText
+        transaction: transactionToJson(transaction.toObject()),
+        items: insertedItems.map((it) => transactionItemToJson(it))
       };
     });
   } catch (err) {
     await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
     return res.status(500).json({ error: 'Failed to create transaction' });
   }
 
   await session.endSession();
-  sendToPrintAgent(result.transaction.id);
+  // Rendered after commit: the receipt query runs outside the session.
+  result.receiptText = await renderTextReceipt(result.transaction.id);
+  Object.assign(result, await sendToPrintAgent(result.transaction.id));
   return res.json(result);
 });
 
 // Look up a transaction by TC#
 app.get('/api/transactions/by-tc/:tcNumber', async (req, res) => {
-  const tcNumber = req.params.tcNumber;
+  const tcNumber = String(req.params.tcNumber || '').trim();
+  const check = verifyTC(tcNumber);
+  if (check.error) {
+    return res.status(400).json({ error: check.error });
+  }
 
   const tx = await Transaction.findOne({ tc_number: tcNumber })
     .populate('store')
@@ -720,38 +3925,30 @@ app.get('/api/transactions/by-tc/:tcNumber', async (req, res) => {
   }
 
   const items = await TransactionItem.find({ transaction: tx._id }).lean();
-
-  const itemsOut = items.map((it) => ({
-    id: String(it._id),
-    transaction_id: String(it.transaction),
-    product_id: String(it.product),
-    product_name: it.product_name,
-    barcode: it.barcode,
-    sku: it.sku,
-    quantity: it.quantity,
-    unit_price: it.unit_price,
-    line_total: it.line_total,
-    tax_amount: it.tax_amount
-  }));
+  const refunded =
+    tx.type === 'SALE' ? await loadRefundedQuantities(tx, items) : new Map();
+
+  const itemsOut = items.map((it) => {
+    const refundedQty = refunded.get(String(it._id)) || 0;
+    return {
+      ...transactionItemToJson(it),
+      refunded_quantity: refundedQty,
+      returnable_quantity:
+        tx.type === 'SALE' && !tx.voided ? Math.abs(it.quantity) - refundedQty : 0
+    };
+  });
 
   return res.json({
     transaction: {
-      id: String(tx._id),
-      store_id: String(tx.store._id),
+      ...transactionToJson(tx),
       store_name: tx.store.name,
       store_code: tx.store.code,
-      register_id: String(tx.register._id),
       register_name: tx.register.name,
       register_code: tx.register.code,
-      cashier_id: tx.cashier ? String(tx.cashier) : null,
-      cashier_name: tx.cashier_name,
-      subtotal: tx.subtotal,
-      tax_total: tx.tax_total,
-      total: tx.total,
-      payment_method: tx.payment_method,
-      tc_number: tx.tc_number,
-      type: tx.type,
-      created_at: tx.created_at
+      fully_returned:
+        tx.type === 'SALE' &&
+        !tx.voided &&
+        itemsOut.every((it) => it.returnable_quantity <= 0)
     },
     items: itemsOut
   });
@@ -761,13 +3958,17 @@ app.get('/api/transactions/by-tc/:tcNumber', async (req, res) => {
 app.post('/api/transactions/:id/refund', async (req, res) => {
   const originalId = req.params.id;
 
-  const { items } = req.body || {};
+  const { items, paymentMethod, registerId } = req.body || {};
   if (!Array.isArray(items) || items.length === 0) {
     return res
       .status(400)
       .json({ error: 'items is required and must be non-empty' });
   }
 
+  if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+    return res.status(400).json({ error: `Invalid payment method: ${paymentMethod}` });
+  }
+
   const original = await Transaction.findById(originalId)
     .populate('store')
     .populate('register')
@@ -783,6 +3984,29 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
       .json({ error: 'Only SALE transactions can be refunded' });
   }
 
+  if (original.voided) {
+    return res.status(400).json({ error: 'This sale has been voided' });
+  }
+
+  // Refunds are paid out of the drawer at the register processing them.
+  let refundRegister = original.register;
+  if (registerId && String(registerId) !== String(original.register._id)) {
+    refundRegister = await Register.findOne({
+      _id: registerId,
+      store: original.store._id
+    }).lean();
+    if (!refundRegister) {
+      return res.status(400).json({ error: 'Invalid registerId for store' });
+    }
+  }
+
+  const shift = await findOpenShift(refundRegister._id);
+  if (!shift) {
+    return res
+      .status(400)
+      .json({ error: 'No open shift on this register. Open a shift first.' });
+  }
+
   const originalItems = await TransactionItem.find({
     transaction: original._id
   }).lean();
@@ -797,10 +4021,13 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
   originalItems.forEach((row) => {
     originalById.set(String(row._id), row);
   });
+  const refunded = await loadRefundedQuantities(original, originalItems);
+  const requested = new Map();
 
   const refundLines = [];
-  let subtotal = 0;
-  let taxTotal = 0;
+  let subtotalCents = 0;
+  let discountCents = 0;
+  let taxCents = 0;
 
   for (const item of items) {
     const tiId = String(item.transactionItemId);
@@ -818,29 +4045,39 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
         .json({ error: `Invalid transactionItemId: ${tiId}` });
     }
 
-    if (qty > Math.abs(originalItem.quantity)) {
+    // Earlier refunds of this sale count against the purchased quantity.
+    const requestedQty = (requested.get(tiId) || 0) + qty;
+    requested.set(tiId, requestedQty);
+    const alreadyRefunded = refunded.get(tiId) || 0;
+    if (requestedQty > Math.abs(originalItem.quantity) - alreadyRefunded) {
       return res.status(400).json({
-        error: `Refund quantity for item ${tiId} exceeds original quantity`
+        error: `Refund quantity for ${originalItem.product_name} exceeds the returnable quantity (${Math.abs(originalItem.quantity)} purchased, ${alreadyRefunded} already returned)`
       });
     }
 
+    // Refund what was actually paid per unit, i.e. after discounts.
+    const originalQty = Math.abs(originalItem.quantity);
     const unitPrice = originalItem.unit_price;
-    const perUnitTax =
-      originalItem.quantity !== 0
-        ? originalItem.tax_amount / Math.abs(originalItem.quantity)
-        : 0;
+    const perUnitNet = originalQty !== 0 ? originalItem.line_total / originalQty : 0;
+    const perUnitDiscount =
+      originalQty !== 0 ? (originalItem.discount_amount || 0) / originalQty : 0;
+    const perUnitTax = originalQty !== 0 ? originalItem.tax_amount / originalQty : 0;
 
-    const lineSubtotal = unitPrice * qty;
-    const lineTax = perUnitTax * qty;
+    // each line to the cent, like the sale, so the refund adds up
+    const lineSubtotal = roundMoney(perUnitNet * qty);
+    const lineDiscount = roundMoney(perUnitDiscount * qty);
+    const lineTax = roundMoney(perUnitTax * qty);
 
-    subtotal += lineSubtotal;
-    taxTotal += lineTax;
+    subtotalCents += toCents(lineSubtotal);
+    discountCents += toCents(lineDiscount);
+    taxCents += toCents(lineTax);
 
     refundLines.push({
       originalItem,
       quantity: qty,
       unitPrice,
       lineSubtotal,
+      lineDiscount,
       lineTax
     });
   }
@@ -849,7 +4086,27 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
     return res.status(400).json({ error: 'No valid items to refund' });
   }
 
-  const total = -(subtotal + taxTotal); // refund is negative total
+  const subtotal = subtotalCents / 100;
+  const discountTotal = discountCents / 100;
+  const taxTotal = taxCents / 100;
+  const total = -(subtotalCents + taxCents) / 100; // refund is negative total
+
+  let refundApproval = null;
+  if (Math.abs(total) > REFUND_APPROVAL_LIMIT) {
+    refundApproval = await checkApproval(req.user, {
+      tokens: req.body.approvalTokens,
+      action: 'LARGE_REFUND',
+      storeId: original.store._id,
+      subject: original._id,
+      amount: roundMoney(Math.abs(total))
+    });
+    if (refundApproval.error) {
+      return res
+        .status(403)
+        .json({ error: refundApproval.error, approval_required: refundApproval.approvalRequired });
+    }
+  }
+
   const createdAt = new Date();
   const cashierId = req.user ? req.user.id : null;
   const cashierName = req.user ? req.user.username : '';
@@ -859,19 +4116,51 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
 
   try {
     await session.withTransaction(async () => {
+      // Claim the sale. A post-void writes the same document, so a refund
+      // and a void running at the same time cannot both commit.
+      const claimedSale = await Transaction.updateOne(
+        { _id: original._id, voided: { $ne: true } },
+        { $inc: { refund_count: 1 } },
+        { session }
+      );
+      if (claimedSale.modifiedCount === 0) {
+        throw clientError('This sale has been voided');
+      }
+
+      // The requested method takes the whole refund; otherwise it goes back
+      // to the sale's tenders, less what earlier refunds returned to each.
+      let refundPayments = [{ method: paymentMethod, amount: total }];
+      if (!paymentMethod) {
+        const earlier = await Transaction.find({
+          reference_transaction: original._id,
+          type: 'REFUND'
+        })
+          .session(session)
+          .lean();
+        const refunded = new Map();
+        earlier.flatMap(paymentsOf).forEach((p) => {
+          refunded.set(p.method, (refunded.get(p.method) || 0) + Math.abs(p.amount));
+        });
+        refundPayments = allocateRefund(paymentsOf(original), refunded, -total);
+      }
+
       const txArr = await Transaction.create(
         [
           {
             store: original.store._id,
-            register: original.register._id,
+            register: refundRegister._id,
+            shift: shift._id,
             cashier: cashierId || null,
             cashier_name: cashierName,
             subtotal: -subtotal,
             tax_total: -taxTotal,
             total,
-            payment_method: original.payment_method,
+            discount_total: -discountTotal,
+            payment_method: summarizePaymentMethod(refundPayments),
+            payments: refundPayments,
             type: 'REFUND',
             reference_transaction: original._id,
+            approvals: refundApproval ? [refundApproval.record] : [],
             created_at: createdAt
           }
         ],
@@ -879,11 +4168,17 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
       );
 
       const refundTx = txArr[0];
+      if (!(await claimOpenShift(shift._id, session))) {
+        throw clientError('This shift has been closed. Open a shift first.');
+      }
+      if (refundApproval && !(await useApproval(refundApproval, refundTx._id, session))) {
+        throw clientError('This approval has already been used');
+      }
 
       const tc = generateTC({
         storeCode: original.store.code,
-        registerCode: original.register.code,
-        transactionId: refundTx._id.toString(),
+        registerCode: refundRegister.code,
+        sequence: await nextSequence(tcSequenceKey(original.store._id), session),
         date: createdAt
       });
 
@@ -893,6 +4188,28 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
       const refundItemDocs = [];
 
       for (const line of refundLines) {
+        // Guard against a concurrent refund of the same units. The returned
+        // item is from before the $inc: its refunded_quantity counts earlier
+        // refunds and earlier lines of this refund for the same sale item.
+        const claimed = await TransactionItem.findOneAndUpdate(
+          {
+            _id: line.originalItem._id,
+            $expr: {
+              $lte: [
+                { $add: [{ $ifNull: ['$refunded_quantity', 0] }, line.quantity] },
+                { $abs: '$quantity' }
+              ]
+            }
+          },
+          { $inc: { refunded_quantity: line.quantity } },
+          { session, projection: { refunded_quantity: 1 } }
+        ).lean();
+        if (!claimed) {
+          throw clientError(
+            `Refund quantity for ${line.originalItem.product_name} exceeds the returnable quantity`
+          );
+        }
+
         const negativeQty = -line.quantity;
         const negativeLineTotal = -line.lineSubtotal;
         const negativeTax = -line.lineTax;
@@ -906,61 +4223,485 @@ app.post('/api/transactions/:id/refund', async (req, res) => {
           category: line.originalItem.category,
           quantity: negativeQty,
           unit_price: line.unitPrice,
+          gross_total: -roundMoney(line.unitPrice * line.quantity),
+          discount_amount: -line.lineDiscount,
           line_total: negativeLineTotal,
-          tax_amount: negativeTax
+          tax_amount: negativeTax,
+          unit_cost: line.originalItem.unit_cost ?? null,
+          cost_total: costOf(line.originalItem.unit_cost ?? null, negativeQty),
+          original_item: line.originalItem._id
         });
 
-        await Inventory.findOneAndUpdate(
-          { store: original.store._id, product: line.originalItem.product },
-          { $inc: { quantity: line.quantity } },
-          { upsert: true, session }
-        );
+        // Returned stock goes back at the cost it was sold at.
+        await receiveAtCost({
+          store: original.store._id,
+          product: line.originalItem.product,
+          quantity: line.quantity,
+          unitCost: line.originalItem.unit_cost ?? null,
+          session
+        });
+        await moveStock({
+          store: original.store._id,
+          product: line.originalItem.product,
+          delta: line.quantity,
+          reason: 'REFUND',
+          ref: { type: 'Transaction', id: refundTx._id, label: refundTx.tc_number },
+          user: req.user,
+          // back into the lots the units were sold from
+          lots: sliceLots(
+            line.originalItem.lots,
+            claimed.refunded_quantity || 0,
+            line.quantity
+          ),
+          session,
+          at: createdAt
+        });
+      }
+
+      const insertedItems = await TransactionItem.insertMany(refundItemDocs, { session });
+
+      result = {
+        transaction: transactionToJson(refundTx.toObject()),
+        items: insertedItems.map((it) => transactionItemToJson(it))
+      };
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to create refund transaction' });
+  }
+
+  await session.endSession();
+  // Rendered after commit: the receipt query runs outside the session.
+  result.receiptText = await renderTextReceipt(result.transaction.id);
+  Object.assign(result, await sendToPrintAgent(result.transaction.id));
+  return res.json(result);
+});
+
+// Manager approval for a restricted cashier action. Returns a one-time token
+// the cashier sends back (in `approvalTokens`) with the action.
+app.post('/api/approvals', async (req, res) => {
+  const { action, storeId, registerId, subject, amount, username, password, pin } =
+    req.body || {};
+  if (!APPROVAL_ACTIONS.some((a) => a.code === action)) {
+    return res.status(400).json({
+      error: `action must be one of ${APPROVAL_ACTIONS.map((a) => a.code).join(', ')}`
+    });
+  }
+  if (!storeId || !subject) {
+    return res.status(400).json({ error: 'storeId and subject are required' });
+  }
+  if (amount != null && !Number.isFinite(Number(amount))) {
+    return res.status(400).json({ error: 'amount must be a number' });
+  }
+
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    return res.status(400).json({ error: 'Invalid storeId' });
+  }
+  let register = null;
+  if (registerId) {
+    register = await Register.findOne({ _id: registerId, store: store._id }).lean();
+    if (!register) {
+      return res.status(400).json({ error: 'Invalid registerId for store' });
+    }
+  }
+
+  if (!username || (!password && !pin)) {
+    return res.status(400).json({ error: 'Manager username and PIN or password are required' });
+  }
+
+  const locked = await checkApprovalLockout({ requester: req.user, storeId: store._id });
+  if (locked) {
+    res.set('Retry-After', String(locked.retryAfter));
+    return res.status(429).json({ error: locked.error });
+  }
+
+  const approver = await verifyApprover({ username, password, pin, storeId: store._id });
+  if (approver.error) {
+    await recordApprovalFailure({
+      action,
+      store: store._id,
+      register: register ? register._id : null,
+      subject,
+      requester: req.user,
+      username,
+      method: pin ? 'pin' : 'password',
+      reason: approver.error
+    });
+    return res.status(401).json({ error: approver.error });
+  }
+
+  const approval = await issueApproval({
+    action,
+    store: store._id,
+    register: register ? register._id : null,
+    subject,
+    amount: amount != null ? Number(amount) : null,
+    requester: req.user,
+    approver: approver.user,
+    method: approver.method
+  });
+
+  return res.status(201).json({
+    token: approval.token,
+    approval: approvalToJson(approval.toObject())
+  });
+});
+
+// Approval audit (manager/admin)
+app.get('/api/approvals', requireRole('manager'), async (req, res) => {
+  const { storeId, from, to, action } = req.query;
+  const filter = {};
+  if (storeId) {
+    filter.store = storeId;
+  } else if (req.user.role !== 'admin' && req.user.storeId) {
+    filter.store = req.user.storeId;
+  }
+  if (action) filter.action = action;
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.created_at.$lte = new Date(`${to}T23:59:59.999Z`);
+  }
+  const rows = await Approval.find(filter).sort({ created_at: -1 }).limit(500).lean();
+  res.json(rows.map(approvalToJson));
+});
+
+// Failed approval attempts, newest first (manager/admin)
+app.get('/api/approvals/failures', requireRole('manager'), async (req, res) => {
+  const { storeId, from, to } = req.query;
+  const filter = {};
+  if (storeId) {
+    filter.store = storeId;
+  } else if (req.user.role !== 'admin' && req.user.storeId) {
+    filter.store = req.user.storeId;
+  }
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.created_at.$lte = new Date(`${to}T23:59:59.999Z`);
+  }
+  const rows = await ApprovalFailure.find(filter).sort({ created_at: -1 }).limit(500).lean();
+  res.json(
+    rows.map((f) => ({
+      id: String(f._id),
+      action: f.action,
+      store_id: idOf(f.store),
+      register_id: f.register ? idOf(f.register) : null,
+      subject: f.subject,
+      requested_by_name: f.requested_by_name || '',
+      username: f.username,
+      method: f.method,
+      reason: f.reason,
+      created_at: f.created_at
+    }))
+  );
+});
+
+// Reason codes for the price override prompt
+app.get('/api/price-override-reasons', (req, res) => {
+  res.json(PRICE_OVERRIDE_REASONS);
+});
+
+// Void reason codes for the line-void and post-void prompts
+app.get('/api/void-reasons', (req, res) => {
+  res.json(VOID_REASONS);
+});
+
+// Record a line taken off the cart during a sale
+app.post('/api/line-voids', async (req, res) => {
+  const { storeId, registerId, productId, quantity, unitPrice, reason, note } = req.body || {};
+  if (!storeId || !registerId || !productId) {
+    return res.status(400).json({ error: 'storeId, registerId and productId are required' });
+  }
+  const qty = Number(quantity);
+  if (!Number.isFinite(qty) || qty <= 0) {
+    return res.status(400).json({ error: 'quantity must be more than zero' });
+  }
+  const parsed = parseVoidReason(reason, note);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const register = await Register.findOne({ _id: registerId, store: storeId }).lean();
+  if (!register) {
+    return res.status(400).json({ error: 'Invalid registerId for store' });
+  }
+  const found = await Product.findById(productId).lean();
+  if (!found) {
+    return res.status(400).json({ error: 'Invalid productId' });
+  }
+  const [product] = await withStorePrices(register.store, [found]);
+  // the cart's price, which differs from the store price after a price override
+  const price =
+    unitPrice != null && Number.isFinite(Number(unitPrice)) && Number(unitPrice) >= 0
+      ? roundMoney(Number(unitPrice))
+      : product.price;
+  const shift = await findOpenShift(registerId);
+
+  const lineVoid = await LineVoid.create({
+    store: register.store,
+    register: register._id,
+    shift: shift ? shift._id : null,
+    cashier: req.user ? req.user.id : null,
+    cashier_name: req.user ? req.user.username : '',
+    product: product._id,
+    product_name: product.name,
+    sku: product.sku,
+    quantity: qty,
+    unit_price: price,
+    amount: roundMoney(price * qty),
+    reason: parsed.reason,
+    note: parsed.note,
+    created_at: new Date()
+  });
+
+  return res.status(201).json(lineVoidToJson(lineVoid.toObject()));
+});
+
+// Line-void audit trail (manager/admin)
+app.get('/api/line-voids', requireRole('manager'), async (req, res) => {
+  const { storeId, from, to, cashier } = req.query;
+  const filter = {};
+  if (storeId) filter.store = storeId;
+  if (cashier) filter.cashier_name = cashier;
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.created_at.$lte = new Date(`${to}T23:59:59.999Z`);
+  }
+  const rows = await LineVoid.find(filter)
+    .populate('register')
+    .sort({ created_at: -1 })
+    .limit(500)
+    .lean();
+  res.json(rows.map(lineVoidToJson));
+});
+
+// Post-void: reverse a completed sale in full (cashiers need manager approval)
+app.post('/api/transactions/:id/void', async (req, res) => {
+  const { reason, note, registerId, approvalTokens } = req.body || {};
+  const parsed = parseVoidReason(reason, note);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const original = await Transaction.findById(req.params.id)
+    .populate('store')
+    .populate('register')
+    .lean();
+  if (!original) {
+    return res.status(404).json({ error: 'Original transaction not found' });
+  }
+  if (original.type && original.type !== 'SALE') {
+    return res.status(400).json({ error: 'Only SALE transactions can be voided' });
+  }
+  if (original.voided) {
+    return res.status(400).json({ error: 'This sale has already been voided' });
+  }
+
+  // The money goes back out of the drawer at the register doing the void.
+  let voidRegister = original.register;
+  if (registerId && String(registerId) !== String(original.register._id)) {
+    voidRegister = await Register.findOne({
+      _id: registerId,
+      store: original.store._id
+    }).lean();
+    if (!voidRegister) {
+      return res.status(400).json({ error: 'Invalid registerId for store' });
+    }
+  }
+  const shift = await findOpenShift(voidRegister._id);
+  if (!shift) {
+    return res
+      .status(400)
+      .json({ error: 'No open shift on this register. Open a shift first.' });
+  }
+
+  const originalItems = await TransactionItem.find({ transaction: original._id }).lean();
+  const refunded = await loadRefundedQuantities(original, originalItems);
+  if ([...refunded.values()].some((qty) => qty > 0)) {
+    return res
+      .status(400)
+      .json({ error: 'Items on this sale have been refunded; it can no longer be voided' });
+  }
+
+  const voidApproval = await checkApproval(req.user, {
+    tokens: approvalTokens,
+    action: 'POST_VOID',
+    storeId: original.store._id,
+    subject: original._id
+  });
+  if (voidApproval.error) {
+    return res
+      .status(403)
+      .json({ error: voidApproval.error, approval_required: voidApproval.approvalRequired });
+  }
+  const voidedBy = voidApproval.record;
+
+  const createdAt = new Date();
+  const session = await Transaction.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      // Re-check inside the transaction: a refund may have committed since.
+      const sale = await Transaction.findById(original._id).session(session).lean();
+      if (sale.voided) {
+        throw clientError('This sale has already been voided');
+      }
+      const refundedItem = await TransactionItem.exists({
+        transaction: original._id,
+        refunded_quantity: { $gt: 0 }
+      }).session(session);
+      if (sale.refund_count > 0 || refundedItem) {
+        throw clientError('Items on this sale have been refunded; it can no longer be voided');
+      }
+
+      // Claim the sale so two voids, or a void and a refund, cannot both go
+      // through; a concurrent writer makes this conflict and retry.
+      const claimed = await Transaction.updateOne(
+        { _id: original._id, voided: { $ne: true }, refund_count: { $in: [0, null] } },
+        {
+          $set: {
+            voided: true,
+            void_reason: parsed.reason,
+            void_note: parsed.note,
+            voided_by: voidedBy.approved_by,
+            voided_by_name: voidedBy.approved_by_name
+          }
+        },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw clientError('This sale has already been voided or refunded');
+      }
+
+      // Sales stay with the original cashier so per-cashier net figures
+      // balance; voided_by records the approving manager.
+      const [voidTx] = await Transaction.create(
+        [
+          {
+            store: original.store._id,
+            register: voidRegister._id,
+            shift: shift._id,
+            cashier: original.cashier || null,
+            cashier_name: original.cashier_name,
+            subtotal: -original.subtotal,
+            tax_total: -original.tax_total,
+            total: -original.total,
+            discount_total: -(original.discount_total || 0),
+            coupon_codes: original.coupon_codes || [],
+            payment_method: original.payment_method,
+            payments: paymentsOf(original).map((p) => ({
+              method: p.method,
+              amount: -p.amount
+            })),
+            type: 'VOID',
+            reference_transaction: original._id,
+            void_reason: parsed.reason,
+            void_note: parsed.note,
+            voided_by: voidedBy.approved_by,
+            voided_by_name: voidedBy.approved_by_name,
+            approvals: [voidedBy],
+            created_at: createdAt
+          }
+        ],
+        { session }
+      );
+      if (!(await claimOpenShift(shift._id, session))) {
+        throw clientError('This shift has been closed. Open a shift first.');
       }
 
-      await TransactionItem.insertMany(refundItemDocs, { session });
+      voidTx.tc_number = generateTC({
+        storeCode: original.store.code,
+        registerCode: voidRegister.code,
+        sequence: await nextSequence(tcSequenceKey(original.store._id), session),
+        date: createdAt
+      });
+      await voidTx.save({ session });
+      if (!(await useApproval(voidApproval, voidTx._id, session))) {
+        throw clientError('This approval has already been used');
+      }
 
-      const receiptText = await renderTextReceipt(refundTx._id);
+      await Transaction.updateOne(
+        { _id: original._id },
+        { $set: { void_transaction: voidTx._id } },
+        { session }
+      );
 
-      const refundObj = refundTx.toObject();
-      const itemsOut = refundItemDocs.map((it, idx) => ({
-        id: String(idx),
-        transaction_id: String(refundObj._id),
-        product_id: String(it.product),
+      const voidItemDocs = originalItems.map((it) => ({
+        transaction: voidTx._id,
+        product: it.product,
         product_name: it.product_name,
-        barcode: it.barcode,
         sku: it.sku,
-        quantity: it.quantity,
+        barcode: it.barcode,
+        category: it.category,
+        quantity: -it.quantity,
         unit_price: it.unit_price,
-        line_total: it.line_total,
-        tax_amount: it.tax_amount
+        gross_total: -(it.gross_total != null
+          ? it.gross_total
+          : roundMoney(it.unit_price * it.quantity)),
+        discount_amount: -(it.discount_amount || 0),
+        discounts: it.discounts || [],
+        line_total: -it.line_total,
+        tax_amount: -it.tax_amount,
+        unit_cost: it.unit_cost ?? null,
+        cost_total: it.cost_total != null ? -it.cost_total : null,
+        original_item: it._id
       }));
 
+      for (const it of originalItems) {
+        await receiveAtCost({
+          store: original.store._id,
+          product: it.product,
+          quantity: Math.abs(it.quantity),
+          unitCost: it.unit_cost ?? null,
+          session
+        });
+        await moveStock({
+          store: original.store._id,
+          product: it.product,
+          delta: Math.abs(it.quantity),
+          reason: 'VOID',
+          ref: { type: 'Transaction', id: voidTx._id, label: voidTx.tc_number },
+          user: req.user,
+          lots: it.lots,
+          session,
+          at: createdAt
+        });
+      }
+
+      // Give the coupons' uses back.
+      if ((original.coupon_codes || []).length > 0) {
+        await Coupon.updateMany(
+          { code: { $in: original.coupon_codes }, use_count: { $gt: 0 } },
+          { $inc: { use_count: -1 } },
+          { session }
+        );
+      }
+
+      const insertedItems = await TransactionItem.insertMany(voidItemDocs, { session });
+
       result = {
-        transaction: {
-          id: String(refundObj._id),
-          store_id: String(refundObj.store),
-          register_id: String(refundObj.register),
-          cashier_id: refundObj.cashier ? String(refundObj.cashier) : null,
-          cashier_name: refundObj.cashier_name,
-          subtotal: refundObj.subtotal,
-          tax_total: refundObj.tax_total,
-          total: refundObj.total,
-          payment_method: refundObj.payment_method,
-          tc_number: refundObj.tc_number,
-          type: refundObj.type,
-          created_at: refundObj.created_at
-        },
-        items: itemsOut,
-        receiptText
+        transaction: transactionToJson(voidTx.toObject()),
+        items: insertedItems.map((it) => transactionItemToJson(it))
       };
     });
   } catch (err) {
     await session.endSession();
-    return res.status(500).json({ error: 'Failed to create refund transaction' });
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to void transaction' });
   }
 
   await session.endSession();
-  sendToPrintAgent(result.transaction.id);
+  result.receiptText = await renderTextReceipt(result.transaction.id);
+  Object.assign(result, await sendToPrintAgent(result.transaction.id));
   return res.json(result);
 });
 
@@ -988,9 +4729,9 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
   };
 
   if (storeId) {
-    match.store = storeId;
+    match.store = toObjectId(storeId);
   } else if (req.user.role !== 'admin' && req.user.storeId) {
-    match.store = req.user.storeId;
+    match.store = toObjectId(req.user.storeId);
   }
 
   const summaryAgg = await Transaction.aggregate([
@@ -1008,7 +4749,18 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
             $cond: [{ $eq: ['$type', 'REFUND'] }, '$total', 0]
           }
         },
+        voids_total: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, '$total', 0]
+          }
+        },
+        void_count: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, 1, 0]
+          }
+        },
         net_total: { $sum: '$total' },
+        discount_total: { $sum: { $ifNull: ['$discount_total', 0] } },
         tx_count: { $sum: 1 }
       }
     }
@@ -1033,6 +4785,16 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
             $cond: [{ $eq: ['$type', 'REFUND'] }, '$total', 0]
           }
         },
+        voids_total: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, '$total', 0]
+          }
+        },
+        void_count: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, 1, 0]
+          }
+        },
         net_total: { $sum: '$total' },
         tx_count: { $sum: 1 }
       }
@@ -1057,6 +4819,16 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
             $cond: [{ $eq: ['$type', 'REFUND'] }, '$total', 0]
           }
         },
+        voids_total: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, '$total', 0]
+          }
+        },
+        void_count: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, 1, 0]
+          }
+        },
         net_total: { $sum: '$total' },
         tx_count: { $sum: 1 }
       }
@@ -1064,62 +4836,142 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
     { $sort: { _id: 1 } }
   ]).exec();
 
-  const txMatch = match;
+  const lineVoidMatch = { created_at: match.created_at };
+  if (match.store) {
+    lineVoidMatch.store = match.store;
+  }
+  const lineVoidsByCashier = await LineVoid.aggregate([
+    { $match: lineVoidMatch },
+    {
+      $group: {
+        _id: { $ifNull: ['$cashier_name', 'Unknown'] },
+        line_void_count: { $sum: 1 },
+        line_void_total: { $sum: '$amount' }
+      }
+    }
+  ]).exec();
+  const lineVoidsFor = new Map(lineVoidsByCashier.map((row) => [row._id, row]));
 
-  const byProduct = await TransactionItem.aggregate([
+  const byPaymentMethod = await Transaction.aggregate([
+    { $match: match },
     {
-      $lookup: {
-        from: 'transactions',
-        localField: 'transaction',
-        foreignField: '_id',
-        as: 'tx'
+      $project: {
+        type: 1,
+        payments: PAYMENTS_EXPR
       }
     },
-    { $unwind: '$tx' },
-    { $match: { 'tx.created_at': txMatch.created_at, ...(txMatch.store && { 'tx.store': txMatch.store }) } },
+    { $unwind: '$payments' },
     {
       $group: {
-        _id: '$product',
-        product_name: { $first: '$product_name' },
-        sku: { $first: '$sku' },
-        barcode: { $first: '$barcode' },
-        net_qty: { $sum: '$quantity' },
-        net_sales: { $sum: '$line_total' },
-        net_tax: { $sum: '$tax_amount' }
+        _id: '$payments.method',
+        sales_total: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'SALE'] }, '$payments.amount', 0]
+          }
+        },
+        refunds_total: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'REFUND'] }, '$payments.amount', 0]
+          }
+        },
+        voids_total: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'VOID'] }, '$payments.amount', 0]
+          }
+        },
+        net_total: { $sum: '$payments.amount' },
+        tender_count: { $sum: 1 }
       }
     },
-    { $sort: { net_sales: -1 } }
+    { $sort: { _id: 1 } }
   ]).exec();
 
-  const byCategory = await TransactionItem.aggregate([
+  // Items of the matched transactions only, joined once and grouped three
+  // ways; each item carries its transaction's store for the per-store rows.
+  const [itemGroups] = await Transaction.aggregate([
+    { $match: match },
     {
       $lookup: {
-        from: 'transactions',
-        localField: 'transaction',
-        foreignField: '_id',
-        as: 'tx'
+        from: 'transactionitems',
+        localField: '_id',
+        foreignField: 'transaction',
+        as: 'item'
       }
     },
-    { $unwind: '$tx' },
-    { $match: { 'tx.created_at': txMatch.created_at, ...(txMatch.store && { 'tx.store': txMatch.store }) } },
+    { $unwind: '$item' },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$item', { store: '$store' }] } } },
     {
-      $group: {
-        _id: {
-          $ifNull: ['$category', 'Uncategorized']
-        },
-        net_qty: { $sum: '$quantity' },
-        net_sales: { $sum: '$line_total' },
-        net_tax: { $sum: '$tax_amount' }
+      $facet: {
+        byProduct: [
+          {
+            $group: {
+              _id: '$product',
+              product_name: { $first: '$product_name' },
+              sku: { $first: '$sku' },
+              barcode: { $first: '$barcode' },
+              net_qty: { $sum: '$quantity' },
+              net_sales: { $sum: '$line_total' },
+              net_discount: { $sum: { $ifNull: ['$discount_amount', 0] } },
+              net_tax: { $sum: '$tax_amount' },
+              ...COST_GROUP_FIELDS
+            }
+          },
+          { $sort: { net_sales: -1 } }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: {
+                $ifNull: ['$category', 'Uncategorized']
+              },
+              net_qty: { $sum: '$quantity' },
+              net_sales: { $sum: '$line_total' },
+              net_discount: { $sum: { $ifNull: ['$discount_amount', 0] } },
+              net_tax: { $sum: '$tax_amount' },
+              ...COST_GROUP_FIELDS
+            }
+          },
+          { $sort: { net_sales: -1 } }
+        ],
+        byStore: [
+          {
+            $group: {
+              _id: '$store',
+              net_qty: { $sum: '$quantity' },
+              net_sales: { $sum: '$line_total' },
+              ...COST_GROUP_FIELDS
+            }
+          },
+          { $sort: { net_sales: -1 } }
+        ]
       }
-    },
-    { $sort: { net_sales: -1 } }
+    }
   ]).exec();
+  const { byProduct, byCategory, byStore } = itemGroups;
+  const storeDocs = await Store.find({ _id: { $in: byStore.map((row) => row._id) } }).lean();
+  const storesById = new Map(storeDocs.map((s) => [String(s._id), s]));
+  const itemTotals = byStore.reduce(
+    (sum, row) => ({
+      net_sales: sum.net_sales + row.net_sales,
+      cogs: sum.cogs + row.cogs,
+      costed_sales: sum.costed_sales + row.costed_sales
+    }),
+    { net_sales: 0, cogs: 0, costed_sales: 0 }
+  );
 
   const summary = {
     sales_total: summaryRow.sales_total || 0,
     refunds_total: summaryRow.refunds_total || 0,
+    voids_total: summaryRow.voids_total || 0,
+    void_count: summaryRow.void_count || 0,
+    line_void_count: lineVoidsByCashier.reduce((sum, row) => sum + row.line_void_count, 0),
+    line_void_total: roundMoney(
+      lineVoidsByCashier.reduce((sum, row) => sum + row.line_void_total, 0)
+    ),
     net_total: summaryRow.net_total || 0,
-    tx_count: summaryRow.tx_count || 0
+    discount_total: summaryRow.discount_total || 0,
+    tx_count: summaryRow.tx_count || 0,
+    ...marginOf(itemTotals)
   };
 
   res.json({
@@ -1129,6 +4981,8 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
       day: row._id,
       sales_total: row.sales_total,
       refunds_total: row.refunds_total,
+      voids_total: row.voids_total,
+      void_count: row.void_count,
       net_total: row.net_total,
       tx_count: row.tx_count
     })),
@@ -1136,9 +4990,21 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
       cashier_name: row._id,
       sales_total: row.sales_total,
       refunds_total: row.refunds_total,
+      voids_total: row.voids_total,
+      void_count: row.void_count,
+      line_void_count: lineVoidsFor.has(row._id) ? lineVoidsFor.get(row._id).line_void_count : 0,
+      line_void_total: lineVoidsFor.has(row._id) ? lineVoidsFor.get(row._id).line_void_total : 0,
       net_total: row.net_total,
       tx_count: row.tx_count
     })),
+    byPaymentMethod: byPaymentMethod.map((row) => ({
+      payment_method: row._id,
+      sales_total: row.sales_total,
+      refunds_total: row.refunds_total,
+      voids_total: row.voids_total,
+      net_total: row.net_total,
+      tender_count: row.tender_count
+    })),
     byProduct: byProduct.map((row) => ({
       product_id: String(row._id),
       product_name: row.product_name,
@@ -1146,17 +5012,501 @@ app.get('/api/reports/sales-summary', requireRole('manager'), async (req, res) =
       barcode: row.barcode,
       net_qty: row.net_qty,
       net_sales: row.net_sales,
-      net_tax: row.net_tax
+      net_discount: row.net_discount,
+      net_tax: row.net_tax,
+      ...marginOf(row)
     })),
     byCategory: byCategory.map((row) => ({
       category: row._id,
       net_qty: row.net_qty,
       net_sales: row.net_sales,
-      net_tax: row.net_tax
-    }))
+      net_discount: row.net_discount,
+      net_tax: row.net_tax,
+      ...marginOf(row)
+    })),
+    byStore: byStore.map((row) => {
+      const store = storesById.get(String(row._id));
+      return {
+        store_id: String(row._id),
+        store_code: store ? store.code : null,
+        store_name: store ? store.name : null,
+        net_qty: row.net_qty,
+        net_sales: row.net_sales,
+        ...marginOf(row)
+      };
+    })
+  });
+});
+
+// Price override audit: every overridden sale line in the period
+app.get('/api/reports/price-overrides', requireRole('manager'), async (req, res) => {
+  let { from, to } = req.query;
+  const { storeId } = req.query;
+  const todayStr = new Date().toISOString().slice(0, 10);
+  if (!to) to = todayStr;
+  if (!from) from = to;
+
+  const txMatch = {
+    'tx.type': 'SALE',
+    'tx.created_at': {
+      $gte: new Date(`${from}T00:00:00.000Z`),
+      $lte: new Date(`${to}T23:59:59.999Z`)
+    }
+  };
+  if (storeId) {
+    txMatch['tx.store'] = toObjectId(storeId);
+  } else if (req.user.role !== 'admin' && req.user.storeId) {
+    txMatch['tx.store'] = toObjectId(req.user.storeId);
+  }
+
+  const rows = await TransactionItem.aggregate([
+    { $match: { price_override: { $ne: null } } },
+    {
+      $lookup: {
+        from: 'transactions',
+        localField: 'transaction',
+        foreignField: '_id',
+        as: 'tx'
+      }
+    },
+    { $unwind: '$tx' },
+    { $match: txMatch },
+    { $sort: { 'tx.created_at': -1 } }
+  ]).exec();
+
+  const overrides = rows.map((row) => ({
+    transaction_id: String(row.tx._id),
+    tc_number: row.tx.tc_number,
+    created_at: row.tx.created_at,
+    cashier_name: row.tx.cashier_name || '',
+    product_id: String(row.product),
+    product_name: row.product_name,
+    sku: row.sku,
+    quantity: row.quantity,
+    original_unit_price: row.original_unit_price,
+    unit_price: row.unit_price,
+    // positive when the customer paid less than the product price
+    difference: roundMoney((row.original_unit_price - row.unit_price) * row.quantity),
+    reason: row.price_override.reason,
+    note: row.price_override.note || null,
+    approved_by_name: row.price_override.approved_by_name || null
+  }));
+
+  res.json({
+    range: { from, to, storeId: storeId || null },
+    override_count: overrides.length,
+    difference_total: roundMoney(overrides.reduce((sum, o) => sum + o.difference, 0)),
+    overrides
+  });
+});
+
+// Resolve storeId/registerId for X/Z reports, keeping managers to their store
+async function resolveReportScope(req, res, source) {
+  const { storeId, registerId } = source;
+  if (!storeId) {
+    res.status(400).json({ error: 'storeId is required' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && req.user.storeId && req.user.storeId !== String(storeId)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    res.status(400).json({ error: 'Invalid storeId' });
+    return null;
+  }
+
+  let register = null;
+  if (registerId) {
+    register = await Register.findOne({ _id: registerId, store: store._id }).lean();
+    if (!register) {
+      res.status(400).json({ error: 'Invalid registerId for store' });
+      return null;
+    }
+  }
+
+  return { store, register };
+}
+
+// Shrink report: stock written off or corrected by hand (SHRINK and
+// ADJUSTMENT movements) and posted count variances, by store, category and
+// reason code, with their cost (manager/admin)
+app.get('/api/reports/shrink', requireRole('manager'), async (req, res) => {
+  let { from, to } = req.query;
+  const { storeId } = req.query;
+  const todayStr = new Date().toISOString().slice(0, 10);
+  if (!to) to = todayStr;
+  if (!from) from = to;
+
+  const match = {
+    reason: { $in: ['SHRINK', 'ADJUSTMENT', 'COUNT'] },
+    created_at: {
+      $gte: new Date(`${from}T00:00:00.000Z`),
+      $lte: new Date(`${to}T23:59:59.999Z`)
+    }
+  };
+  if (storeId) {
+    match.store = toObjectId(storeId);
+  } else if (req.user.role !== 'admin' && req.user.storeId) {
+    match.store = toObjectId(req.user.storeId);
+  }
+
+  const grouped = await StockMovement.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'product',
+        foreignField: '_id',
+        as: 'product_doc'
+      }
+    },
+    { $unwind: '$product_doc' },
+    {
+      $group: {
+        _id: {
+          store: '$store',
+          category: '$product_doc.category',
+          reason: '$reason',
+          reason_code: '$reason_code'
+        },
+        units_lost: { $sum: { $cond: [{ $lt: ['$delta', 0] }, { $multiply: ['$delta', -1] }, 0] } },
+        units_gained: { $sum: { $cond: [{ $gt: ['$delta', 0] }, '$delta', 0] } },
+        cost_impact: { $sum: { $ifNull: ['$cost_impact', 0] } },
+        // movements of products without a cost
+        uncosted: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost_impact', null] }, null] }, 1, 0] } },
+        movements: { $sum: 1 }
+      }
+    }
+  ]).exec();
+
+  const stores = await Store.find({ _id: { $in: grouped.map((g) => g._id.store) } }).lean();
+  const storeCodes = new Map(stores.map((st) => [String(st._id), st.code]));
+  const reasons = await AdjustmentReason.find({}).lean();
+  const reasonLabels = new Map(reasons.map((r) => [r.code, r.label]));
+
+  const rows = grouped
+    .map((g) => {
+      // count variances have no reason code of their own
+      const code = g._id.reason === 'COUNT' ? 'COUNT' : g._id.reason_code || 'UNSPECIFIED';
+      return {
+        store_id: String(g._id.store),
+        store_code: storeCodes.get(String(g._id.store)) || null,
+        category: g._id.category || 'Uncategorized',
+        reason_code: code,
+        reason_label: code === 'COUNT' ? 'Count variance' : reasonLabels.get(code) || code,
+        shrink: g._id.reason === 'SHRINK',
+        units_lost: g.units_lost,
+        units_gained: g.units_gained,
+        net_units: g.units_gained - g.units_lost,
+        cost_impact: roundMoney(g.cost_impact),
+        uncosted_movements: g.uncosted,
+        movements: g.movements
+      };
+    })
+    .sort(
+      (a, b) =>
+        String(a.store_code).localeCompare(String(b.store_code)) ||
+        a.category.localeCompare(b.category) ||
+        a.reason_code.localeCompare(b.reason_code)
+    );
+
+  const totalBy = (keyOf) => {
+    const totals = new Map();
+    rows.forEach((r) => {
+      const key = keyOf(r);
+      const t = totals.get(key) || { key, units_lost: 0, units_gained: 0, cost_impact: 0 };
+      t.units_lost += r.units_lost;
+      t.units_gained += r.units_gained;
+      t.cost_impact = roundMoney(t.cost_impact + r.cost_impact);
+      totals.set(key, t);
+    });
+    return [...totals.values()];
+  };
+
+  res.json({
+    range: { from, to, storeId: storeId || null },
+    rows,
+    by_store: totalBy((r) => r.store_code),
+    by_category: totalBy((r) => r.category),
+    by_reason: totalBy((r) => r.reason_code),
+    // losses only: what the shrink reason codes wrote off
+    shrink_cost: roundMoney(rows.filter((r) => r.shrink).reduce((sum, r) => sum + r.cost_impact, 0)),
+    net_cost_impact: roundMoney(rows.reduce((sum, r) => sum + r.cost_impact, 0))
+  });
+});
+
+// Lots at a store expiring within `days` (default 7), expired ones
+// included, soonest first, with their value at cost (manager/admin)
+app.get('/api/reports/expiring', requireRole('manager'), async (req, res) => {
+  const { storeId } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  const days = req.query.days != null && req.query.days !== '' ? Number(req.query.days) : 7;
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return res.status(400).json({ error: 'days must be a whole number from 0 to 365' });
+  }
+
+  const now = new Date();
+  const lots = await loadExpiringLots(storeId, days, now);
+  const costs = await loadUnitCosts(storeId, lots.map((lot) => lot.product._id));
+  const rows = lots.map((lot) => {
+    const cost = costs.get(String(lot.product._id)) ?? null;
+    return {
+      ...stockLotToJson(lot, now),
+      product_name: lot.product.name,
+      sku: lot.product.sku,
+      category: lot.product.category || 'Uncategorized',
+      days_left: Math.ceil((lot.expiry_date.getTime() - now.getTime()) / (24 * 60 * 60 * 1000)),
+      unit_cost: cost,
+      cost_value: cost != null ? roundMoney(cost * lot.quantity) : null
+    };
+  });
+  const sumOf = (list, field) => roundMoney(list.reduce((sum, r) => sum + (r[field] || 0), 0));
+  const expired = rows.filter((r) => r.expired);
+
+  return res.json({
+    store_id: String(storeId),
+    days,
+    rows,
+    expired_quantity: sumOf(expired, 'quantity'),
+    expired_cost: sumOf(expired, 'cost_value'),
+    expiring_quantity: sumOf(rows.filter((r) => !r.expired), 'quantity'),
+    expiring_cost: sumOf(rows.filter((r) => !r.expired), 'cost_value')
+  });
+});
+
+// Stock on hand at a store valued at its average cost, or Product.cost where
+// the store has none yet; totals by category (manager/admin)
+app.get('/api/reports/valuation', requireRole('manager'), async (req, res) => {
+  const { storeId } = req.query;
+  if (!storeId) {
+    return res.status(400).json({ error: 'storeId is required' });
+  }
+  if (!canWorkAtStore(req.user, storeId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const stock = await Inventory.find({ store: storeId, quantity: { $gt: 0 } })
+    .populate('product')
+    .lean();
+  const rows = stock
+    .filter((row) => row.product)
+    .map((row) => {
+      let unitCost = null;
+      let costSource = null;
+      if (row.avg_cost != null) {
+        unitCost = row.avg_cost;
+        costSource = 'AVERAGE';
+      } else if (row.product.cost != null) {
+        unitCost = row.product.cost;
+        costSource = 'PRODUCT';
+      }
+      return {
+        product_id: String(row.product._id),
+        product_name: row.product.name,
+        sku: row.product.sku,
+        category: row.product.category || 'Uncategorized',
+        quantity: row.quantity,
+        unit_cost: unitCost,
+        cost_source: costSource,
+        value: unitCost != null ? roundMoney(unitCost * row.quantity) : null
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.category.localeCompare(b.category) || a.product_name.localeCompare(b.product_name)
+    );
+
+  const byCategory = new Map();
+  rows.forEach((r) => {
+    const entry = byCategory.get(r.category) || { category: r.category, quantity: 0, value: 0 };
+    entry.quantity += r.quantity;
+    entry.value = roundMoney(entry.value + (r.value || 0));
+    byCategory.set(r.category, entry);
+  });
+  const uncosted = rows.filter((r) => r.unit_cost == null);
+
+  return res.json({
+    store_id: String(storeId),
+    rows,
+    by_category: [...byCategory.values()],
+    total_quantity: rows.reduce((sum, r) => sum + r.quantity, 0),
+    total_value: roundMoney(rows.reduce((sum, r) => sum + (r.value || 0), 0)),
+    uncosted_count: uncosted.length,
+    uncosted_quantity: uncosted.reduce((sum, r) => sum + r.quantity, 0)
+  });
+});
+
+// Reports - X report: running totals since the last Z (manager/admin)
+app.get('/api/reports/x', requireRole('manager'), async (req, res) => {
+  const scope = await resolveReportScope(req, res, req.query);
+  if (!scope) {
+    return undefined;
+  }
+
+  const storeId = scope.store._id;
+  const registerId = scope.register ? scope.register._id : null;
+  const now = new Date();
+  const from = await resolvePeriodStart({ storeId, registerId, now });
+  const report = await buildRegisterReport({ storeId, registerId, from, to: now });
+
+  const reportText = await renderTextReport({
+    kind: 'X',
+    report: { ...report, generated_by_name: req.user.username },
+    storeId,
+    registerId
+  });
+
+  return res.json({
+    report: {
+      ...report,
+      store_id: String(storeId),
+      register_id: registerId ? String(registerId) : null
+    },
+    reportText
+  });
+});
+
+// Reports - run a Z report, closing the current period (manager/admin)
+app.post('/api/reports/z', requireRole('manager'), async (req, res) => {
+  const scope = await resolveReportScope(req, res, req.body || {});
+  if (!scope) {
+    return undefined;
+  }
+
+  const storeId = scope.store._id;
+  const registerId = scope.register ? scope.register._id : null;
+  const now = new Date();
+  const from = await resolvePeriodStart({ storeId, registerId, now });
+  const totals = await buildRegisterReport({ storeId, registerId, from, to: now });
+
+  // The number is drawn and the report stored in one transaction that
+  // re-reads the period start, so two Z reports taken at the same time
+  // cannot cover the same period.
+  const session = await ZReport.startSession();
+  let created;
+  try {
+    await session.withTransaction(async () => {
+      const start = await resolvePeriodStart({ storeId, registerId, now, session });
+      if (start.getTime() !== from.getTime()) {
+        throw clientError('Another Z report has closed this period; run the Z report again');
+      }
+      const number = await nextSequence(`z:${storeId}`, session);
+      [created] = await ZReport.create(
+        [
+          {
+            ...totals,
+            number,
+            store: storeId,
+            register: registerId,
+            generated_by: req.user.id,
+            generated_by_name: req.user.username,
+            created_at: now
+          }
+        ],
+        { session }
+      );
+    });
+  } catch (err) {
+    await session.endSession();
+    if (err.clientError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: 'Another Z report has closed this period; run the Z report again' });
+    }
+    return res.status(500).json({ error: 'Failed to create Z report' });
+  }
+
+  await session.endSession();
+
+  const report = created.toObject();
+  const reportText = await renderTextReport({
+    kind: 'Z',
+    report,
+    storeId,
+    registerId,
+    number: report.number
+  });
+
+  return res.status(201).json({ report: zReportToJson(report), reportText });
+});
+
+// Reports - list Z reports for a store (manager/admin)
+app.get('/api/reports/z', requireRole('manager'), async (req, res) => {
+  const scope = await resolveReportScope(req, res, { storeId: req.query.storeId });
+  if (!scope) {
+    return undefined;
+  }
+
+  const reports = await ZReport.find({ store: scope.store._id })
+    .sort({ number: -1 })
+    .limit(100)
+    .lean();
+  return res.json(reports.map(zReportToJson));
+});
+
+async function loadZReportWithText(req, res) {
+  const report = await ZReport.findById(req.params.id).lean();
+  if (!report) {
+    res.status(404).json({ error: 'Z report not found' });
+    return null;
+  }
+  if (
+    req.user.role !== 'admin' &&
+    req.user.storeId &&
+    req.user.storeId !== String(report.store)
+  ) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+
+  const reportText = await renderTextReport({
+    kind: 'Z',
+    report,
+    storeId: report.store,
+    registerId: report.register,
+    number: report.number
+  });
+  return { report, reportText };
+}
+
+// Reports - a single Z report with its printable text (manager/admin)
+app.get('/api/reports/z/:id', requireRole('manager'), async (req, res) => {
+  const loaded = await loadZReportWithText(req, res);
+  if (!loaded) {
+    return undefined;
+  }
+  return res.json({
+    report: zReportToJson(loaded.report),
+    reportText: loaded.reportText
   });
 });
 
+// Reports - send a Z report to the print agent (manager/admin)
+app.post('/api/reports/z/:id/print', requireRole('manager'), async (req, res) => {
+  const loaded = await loadZReportWithText(req, res);
+  if (!loaded) {
+    return undefined;
+  }
+
+  try {
+    const job = await printTextViaAgent(loaded.reportText);
+    return res.json({ status: 'queued', job });
+  } catch (err) {
+    return res.status(502).json({ error: err.message || 'Failed to print Z report' });
+  }
+});
+
 // Get receipt text for a transaction
 app.get('/api/transactions/:id/receipt', async (req, res) => {
   const id = req.params.id;
@@ -1169,20 +5519,7 @@ app.get('/api/transactions/:id/receipt', async (req, res) => {
   try {
     const receiptText = await renderTextReceipt(id);
     res.json({
-      transaction: {
-        id: String(tx._id),
-        store_id: String(tx.store),
-        register_id: String(tx.register),
-        cashier_id: tx.cashier ? String(tx.cashier) : null,
-        cashier_name: tx.cashier_name,
-        subtotal: tx.subtotal,
-        tax_total: tx.tax_total,
-        total: tx.total,
-        payment_method: tx.payment_method,
-        tc_number: tx.tc_number,
-        type: tx.type,
-        created_at: tx.created_at
-      },
+      transaction: transactionToJson(tx),
       receiptText
     });
   } catch (err) {
@@ -1192,6 +5529,12 @@ app.get('/api/transactions/:id/receipt', async (req, res) => {
 
 (async () => {
   await initDb();
+  const opened = await ensureOpeningBalances();
+  if (opened > 0) {
+    // eslint-disable-next-line no-console
+    console.log(`Recorded opening stock movements for ${opened} inventory rows`);
+  }
+  await runPriceChangeJob();
   app.listen(PORT, () => {
     // eslint-disable-next-line no-console
     console.log(`POS API listening on http://localhost:${PORT}`);
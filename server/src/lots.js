@@ -0,0 +1,351 @@
+const { Inventory, Product, StockLot } = require('./db');
+const { toObjectId } = require('./reports');
+const { isWholeProduct, loadActiveRecalls, lotMatchesRecall } = require('./recalls');
+
+// Stock of a lot-tracked product that came in without a lot number
+const NO_LOT = 'NO-LOT';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate `{ lotNumber, expiryDate }` (YYYY-MM-DD) from a request. Stock
+ * with an expiry date but no printed lot number is lotted by its date.
+ * Returns `{ lot }` (null when neither was given) or `{ error }`.
+ */
+function parseLotInput(raw) {
+  const lotNumber = String((raw || {}).lotNumber || '').trim().toUpperCase();
+  const expiryDate = String((raw || {}).expiryDate || '').trim();
+  if (!lotNumber && !expiryDate) {
+    return { lot: null };
+  }
+  if (lotNumber.length > 40) {
+    return { error: 'lotNumber must be 40 characters or fewer' };
+  }
+  let expiry = null;
+  if (expiryDate) {
+    expiry = new Date(`${expiryDate}T00:00:00.000Z`);
+    if (!EXPIRY_FORMAT.test(expiryDate) || Number.isNaN(expiry.getTime())) {
+      return { error: 'expiryDate must be a date (YYYY-MM-DD)' };
+    }
+  }
+  return {
+    lot: {
+      lot_number: lotNumber || `EXP-${expiryDate.replace(/-/g, '')}`,
+      expiry_date: expiry
+    }
+  };
+}
+
+/** Stock can be sold through its expiry date and has expired after it. */
+function isExpired(lot, at = new Date()) {
+  return lot.expiry_date != null && lot.expiry_date.getTime() + DAY_MS <= at.getTime();
+}
+
+/**
+ * First expired, first out: earliest expiry first, undated stock last. With
+ * `sellable`, lots that have expired, or that `held(lot)` says may not be
+ * sold, go after every lot that can be.
+ */
+function fefoOrder(lots, { sellable = false, held = () => false, at = new Date() } = {}) {
+  const unsellable = (lot) => isExpired(lot, at) || held(lot);
+  return [...lots].sort((a, b) => {
+    if (sellable && unsellable(a) !== unsellable(b)) {
+      return unsellable(a) ? 1 : -1;
+    }
+    const aTime = a.expiry_date ? a.expiry_date.getTime() : Infinity;
+    const bTime = b.expiry_date ? b.expiry_date.getTime() : Infinity;
+    if (aTime !== bTime) {
+      return aTime - bTime;
+    }
+    return a.created_at - b.created_at;
+  });
+}
+
+async function incLot({ store, product, lot, quantity, session, at }) {
+  await StockLot.updateOne(
+    { store, product, lot_number: lot.lot_number },
+    {
+      $inc: { quantity },
+      $setOnInsert: { expiry_date: lot.expiry_date || null, created_at: at || new Date() }
+    },
+    { upsert: true, session }
+  );
+}
+
+/**
+ * Take `quantity` out of a store's lots, FEFO, starting with `preferLot`
+ * when given. With `sellable` (sales, transfers) expired lots are not
+ * taken. Anything the lots cannot cover comes off the NO-LOT lot, so the
+ * lots always add up to Inventory.quantity.
+ */
+async function takeFromLots({ store, product, quantity, preferLot, sellable, session, at }) {
+  const filter = { store, product, quantity: { $gt: 0 } };
+  if (sellable) {
+    // isExpired, as a query, on the lots this transaction sees
+    const cutoff = new Date((at || new Date()).getTime() - DAY_MS);
+    filter.$or = [{ expiry_date: null }, { expiry_date: { $gt: cutoff } }];
+  }
+  const lots = await StockLot.find(filter).session(session).lean();
+  // Lots under recall are kept back from sales like expired ones.
+  const recalls = sellable ? await loadActiveRecalls([product], session) : [];
+  const held = (lot) => recalls.some((r) => lotMatchesRecall(r, lot));
+  const ordered = fefoOrder(lots, { sellable, held, at: at || new Date() });
+  const preferred = ordered.findIndex((l) => l.lot_number === preferLot);
+  if (preferred > 0) {
+    ordered.unshift(...ordered.splice(preferred, 1));
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of ordered) {
+    if (remaining <= 0) {
+      break;
+    }
+    const take = Math.min(remaining, lot.quantity);
+    await StockLot.updateOne({ _id: lot._id }, { $inc: { quantity: -take } }, { session });
+    allocations.push({ lot_number: lot.lot_number, expiry_date: lot.expiry_date, quantity: take });
+    remaining -= take;
+  }
+  if (remaining > 0) {
+    const noLot = { lot_number: NO_LOT };
+    await incLot({ store, product, lot: noLot, quantity: -remaining, session, at });
+    allocations.push({ lot_number: NO_LOT, expiry_date: null, quantity: remaining });
+  }
+  return allocations;
+}
+
+/**
+ * Add `quantity` to a store's lots: `lots` ([{ lot_number, expiry_date,
+ * quantity }]) first, the rest to the NO-LOT lot.
+ */
+async function addToLots({ store, product, quantity, lots, session, at }) {
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of lots || []) {
+    const add = Math.min(remaining, lot.quantity);
+    if (add <= 0) {
+      continue;
+    }
+    await incLot({ store, product, lot, quantity: add, session, at });
+    allocations.push({
+      lot_number: lot.lot_number,
+      expiry_date: lot.expiry_date || null,
+      quantity: add
+    });
+    remaining -= add;
+  }
+  if (remaining > 0) {
+    await incLot({ store, product, lot: { lot_number: NO_LOT }, quantity: remaining, session, at });
+    allocations.push({ lot_number: NO_LOT, expiry_date: null, quantity: remaining });
+  }
+  return allocations;
+}
+
+/**
+ * Apply a stock change of `delta` to the lots of a lot-tracked product.
+ * Increases go to `lots`, or all to `lot` ({ lot_number, expiry_date });
+ * decreases come out of `lots` when given, then FEFO, from `lot` first when
+ * given. Returns the lot allocations, or [] for products not tracked by lot.
+ */
+async function applyLotMovement({ store, product, delta, lot, lots, sellable, session, at }) {
+  if (!delta || !(await Product.exists({ _id: product, track_lots: true }).session(session))) {
+    return [];
+  }
+  if (delta > 0) {
+    const incoming = lots || (lot ? [{ ...lot, quantity: delta }] : []);
+    return addToLots({ store, product, quantity: delta, lots: incoming, session, at });
+  }
+  if (lots) {
+    // e.g. the units of a transfer that never arrived
+    const allocations = [];
+    let remaining = -delta;
+    for (const l of lots) {
+      const take = Math.min(remaining, l.quantity);
+      if (take <= 0) {
+        continue;
+      }
+      await incLot({ store, product, lot: l, quantity: -take, session, at });
+      allocations.push({
+        lot_number: l.lot_number,
+        expiry_date: l.expiry_date || null,
+        quantity: take
+      });
+      remaining -= take;
+    }
+    if (remaining > 0) {
+      const rest = await takeFromLots({ store, product, quantity: remaining, session, at });
+      allocations.push(...rest);
+    }
+    return allocations;
+  }
+  return takeFromLots({
+    store,
+    product,
+    quantity: -delta,
+    preferLot: lot ? lot.lot_number : null,
+    sellable,
+    session,
+    at
+  });
+}
+
+/**
+ * `quantity` units of earlier allocations, skipping the first `skip` (units
+ * already returned), e.g. to refund a sale into the lots it came from.
+ */
+function sliceLots(allocations, skip, quantity) {
+  const slice = [];
+  let toSkip = skip;
+  let remaining = quantity;
+  for (const a of allocations || []) {
+    const skipped = Math.min(toSkip, a.quantity);
+    toSkip -= skipped;
+    const take = Math.min(remaining, a.quantity - skipped);
+    if (take > 0) {
+      slice.push({ lot_number: a.lot_number, expiry_date: a.expiry_date, quantity: take });
+      remaining -= take;
+    }
+  }
+  return slice;
+}
+
+/**
+ * Bring a lot-tracked product's lots in line with its inventory at every
+ * store by topping up (or drawing down) the NO-LOT lot. Run when lot
+ * tracking is switched on, so stock already on hand is carried as NO-LOT,
+ * and after quantities are reset outside moveStock.
+ */
+async function syncLots(productId) {
+  if (!(await Product.exists({ _id: productId, track_lots: true }))) {
+    return;
+  }
+  const rows = await Inventory.find({ product: productId }).lean();
+  const sums = await StockLot.aggregate([
+    { $match: { product: toObjectId(productId) } },
+    { $group: { _id: '$store', quantity: { $sum: '$quantity' } } }
+  ]).exec();
+  const inLots = new Map(sums.map((row) => [String(row._id), row.quantity]));
+  for (const row of rows) {
+    const diff = row.quantity - (inLots.get(String(row.store)) || 0);
+    if (diff !== 0) {
+      const noLot = { lot_number: NO_LOT };
+      await incLot({ store: row.store, product: productId, lot: noLot, quantity: diff });
+    }
+  }
+}
+
+/**
+ * Per product at a store: `in_date` and `expired` quantities and the
+ * earliest expiry still in date. Returns a Map by product id.
+ */
+async function loadLotSummary(storeId, productIds = null, at = new Date()) {
+  const filter = { store: storeId, quantity: { $gt: 0 } };
+  if (productIds) {
+    filter.product = { $in: productIds };
+  }
+  const lots = await StockLot.find(filter).lean();
+  const summary = new Map();
+  lots.forEach((lot) => {
+    const key = String(lot.product);
+    const row = summary.get(key) || { in_date: 0, expired: 0, next_expiry: null };
+    if (isExpired(lot, at)) {
+      row.expired += lot.quantity;
+    } else {
+      row.in_date += lot.quantity;
+      if (lot.expiry_date && (!row.next_expiry || lot.expiry_date < row.next_expiry)) {
+        row.next_expiry = lot.expiry_date;
+      }
+    }
+    summary.set(key, row);
+  });
+  return summary;
+}
+
+/**
+ * Check priced sale lines against active recalls and a store's lots.
+ * Stock is sellable when it is not expired and not under an active recall,
+ * counted once for both. Returns a message for the first product that is
+ * recalled outright, or that asks for more than the sellable stock while
+ * some stock is held back; null when the sale may go ahead. Pass the sale's
+ * `session` to check again inside its transaction.
+ */
+async function findUnsellable(storeId, lines, at = new Date(), session = null) {
+  const wanted = new Map();
+  lines.forEach((line) => {
+    const key = String(line.product._id);
+    const entry = wanted.get(key) || { product: line.product, quantity: 0 };
+    entry.quantity += line.quantity;
+    wanted.set(key, entry);
+  });
+  const recalls = await loadActiveRecalls(
+    [...wanted.values()].map((w) => w.product._id),
+    session
+  );
+
+  for (const [key, { product, quantity }] of wanted) {
+    const own = recalls.filter((r) => String(r.product) === key);
+    const whole = own.find(isWholeProduct);
+    if (whole) {
+      return `${product.name} is recalled (${whole.number}) and cannot be sold`;
+    }
+    if (!product.track_lots) {
+      continue;
+    }
+
+    const lots = await StockLot.find({ store: storeId, product: product._id, quantity: { $gt: 0 } })
+      .session(session)
+      .lean();
+    let sellable = 0;
+    let recalled = 0;
+    let expired = 0;
+    lots.forEach((lot) => {
+      if (own.some((r) => lotMatchesRecall(r, lot))) {
+        recalled += lot.quantity;
+      } else if (isExpired(lot, at)) {
+        expired += lot.quantity;
+      } else {
+        sellable += lot.quantity;
+      }
+    });
+    if (recalled + expired === 0 || quantity <= sellable) {
+      continue;
+    }
+    const reasons = [];
+    if (recalled > 0) reasons.push(`recalled (${own.map((r) => r.number).join(', ')})`);
+    if (expired > 0) reasons.push('expired');
+    return sellable > 0
+      ? `${product.name}: only ${sellable} can be sold, the rest is ${reasons.join(' or ')}`
+      : `${product.name}: only ${reasons.join(' or ')} stock remains; pull it from the shelf`;
+  }
+  return null;
+}
+
+/**
+ * Lots with stock at a store expiring within `days` (expired ones
+ * included), soonest first, with the product populated.
+ */
+async function loadExpiringLots(storeId, days, at = new Date()) {
+  const until = new Date(at.getTime() + days * DAY_MS);
+  const lots = await StockLot.find({
+    store: storeId,
+    quantity: { $gt: 0 },
+    expiry_date: { $ne: null, $lte: until }
+  })
+    .populate('product')
+    .sort({ expiry_date: 1, lot_number: 1 })
+    .lean();
+  return lots.filter((lot) => lot.product);
+}
+
+module.exports = {
+  NO_LOT,
+  parseLotInput,
+  isExpired,
+  fefoOrder,
+  applyLotMovement,
+  sliceLots,
+  syncLots,
+  loadLotSummary,
+  findUnsellable,
+  loadExpiringLots
+};
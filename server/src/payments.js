@@ -0,0 +1,158 @@
+const PAYMENT_METHODS = ['cash', 'card', 'other'];
+
+function toCents(value) {
+  return Math.round((Number(value) || 0) * 100);
+}
+
+function roundMoney(value) {
+  return toCents(value) / 100;
+}
+
+function normalizeTender(method, amount, tendered) {
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { error: `Invalid payment method: ${method}` };
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: 'Each payment needs a positive amount' };
+  }
+
+  const payment = { method, amount: roundMoney(amount) };
+  if (tendered == null || tendered === '') {
+    return { payment };
+  }
+
+  if (method !== 'cash') {
+    return { error: 'Amount tendered only applies to cash payments' };
+  }
+  const tenderedAmount = Number(tendered);
+  if (!Number.isFinite(tenderedAmount) || toCents(tenderedAmount) < toCents(amount)) {
+    return {
+      error: `Cash tendered (${roundMoney(tendered).toFixed(2)}) is less than the cash due (${payment.amount.toFixed(2)})`
+    };
+  }
+  payment.tendered = roundMoney(tenderedAmount);
+  return { payment };
+}
+
+/**
+ * Normalise the tenders supplied at checkout into `[{ method, amount, tendered? }]`.
+ * Accepts either a `payments` array (split tender) or the legacy single
+ * `paymentMethod`, which is treated as one tender covering the full total
+ * (with `amountTendered` as the cash handed over, if any).
+ *
+ * `amount` is what the tender pays towards the total; for cash, `tendered`
+ * is what the customer handed over and the difference is returned as change.
+ * Returns `{ payments, cashTendered, changeDue }` on success or `{ error }`
+ * with a client-facing message.
+ */
+function normalizePayments({ payments, paymentMethod, amountTendered, total }) {
+  let tenders = payments;
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    if (!paymentMethod) {
+      return { error: 'paymentMethod or payments is required' };
+    }
+    tenders = [{ method: paymentMethod, amount: total, tendered: amountTendered }];
+  }
+
+  const normalized = [];
+  for (const p of tenders) {
+    const { payment, error } = normalizeTender(
+      p && p.method,
+      p ? Number(p.amount) : NaN,
+      p ? p.tendered : null
+    );
+    if (error) {
+      return { error };
+    }
+    normalized.push(payment);
+  }
+
+  const paidCents = normalized.reduce((sum, p) => sum + toCents(p.amount), 0);
+  const totalCents = toCents(total);
+  if (paidCents < totalCents) {
+    return {
+      error: `Payments (${(paidCents / 100).toFixed(2)}) do not cover the total (${(
+        totalCents / 100
+      ).toFixed(2)})`
+    };
+  }
+  if (paidCents > totalCents) {
+    return {
+      error: `Payments (${(paidCents / 100).toFixed(2)}) exceed the total (${(
+        totalCents / 100
+      ).toFixed(2)})`
+    };
+  }
+
+  const cashPayments = normalized.filter((p) => p.tendered != null);
+  const cashTenderedCents = cashPayments.reduce((sum, p) => sum + toCents(p.tendered), 0);
+  const changeCents = cashPayments.reduce(
+    (sum, p) => sum + toCents(p.tendered) - toCents(p.amount),
+    0
+  );
+
+  return {
+    payments: normalized,
+    cashTendered: cashPayments.length > 0 ? cashTenderedCents / 100 : null,
+    changeDue: changeCents / 100
+  };
+}
+
+/**
+ * Value stored in `Transaction.payment_method`: the single tender's method,
+ * or `split` when more than one tender was used.
+ */
+function summarizePaymentMethod(payments) {
+  const methods = [...new Set(payments.map((p) => p.method))];
+  return methods.length === 1 ? methods[0] : 'split';
+}
+
+// Card and other tenders are refunded before cash, so only what was paid in
+// cash goes back out of the drawer.
+const REFUND_ORDER = ['card', 'other', 'cash'];
+
+/**
+ * Split a refund of `amount` back over a sale's tenders (`salePayments`),
+ * card first, each capped at what that tender paid less what earlier refunds
+ * already returned to it (`refunded`: method -> amount). Returns the refund
+ * tenders with negative amounts; cents left over by rounding go on the last
+ * tender.
+ */
+function allocateRefund(salePayments, refunded, amount) {
+  const paid = new Map();
+  salePayments.forEach((p) => {
+    paid.set(p.method, (paid.get(p.method) || 0) + toCents(p.amount));
+  });
+  const methods = REFUND_ORDER.filter((method) => paid.has(method));
+  if (methods.length === 0) {
+    return [{ method: 'cash', amount: -roundMoney(amount) }];
+  }
+
+  const cents = new Map();
+  let remaining = toCents(amount);
+  methods.forEach((method) => {
+    const available = Math.max(0, paid.get(method) - toCents(refunded.get(method) || 0));
+    const take = Math.min(available, remaining);
+    if (take > 0) {
+      cents.set(method, take);
+      remaining -= take;
+    }
+  });
+  if (remaining > 0) {
+    const last = methods[methods.length - 1];
+    cents.set(last, (cents.get(last) || 0) + remaining);
+  }
+
+  return methods
+    .filter((method) => cents.has(method))
+    .map((method) => ({ method, amount: -cents.get(method) / 100 }));
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  roundMoney,
+  toCents,
+  normalizePayments,
+  summarizePaymentMethod,
+  allocateRefund
+};
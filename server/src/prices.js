@@ -0,0 +1,317 @@
+const { Inventory, PriceChange, PriceHistory, Product, Store } = require('./db');
+const { roundMoney } = require('./payments');
+
+// Product.price is the base price. A store with its own price keeps it on
+// its Inventory row; scheduled price changes set either one when due.
+
+const PRICE_CHANGE_SEQUENCE_KEY = 'price-change';
+const MAX_PRICE_CHANGE_LINES = 1000;
+// The price change job wakes at least this often, and this long after a
+// run that left a due change unapplied.
+const PRICE_CHANGE_POLL_MS = 60 * 1000;
+const PRICE_CHANGE_RETRY_MS = 5 * 1000;
+
+function formatPriceChangeNumber(sequence) {
+  return `PC-${String(sequence).padStart(6, '0')}`;
+}
+
+/** Append a PriceHistory entry, unless the price did not change. */
+async function recordPriceHistory({
+  product,
+  store = null,
+  oldPrice,
+  newPrice,
+  source,
+  ref = null,
+  user = null,
+  session = null,
+  at = new Date()
+}) {
+  if ((oldPrice ?? null) === (newPrice ?? null)) {
+    return;
+  }
+  await PriceHistory.create(
+    [
+      {
+        product,
+        store,
+        old_price: oldPrice ?? null,
+        new_price: newPrice ?? null,
+        source,
+        ref_id: ref ? ref.id : null,
+        ref_label: ref ? ref.label || null : null,
+        user: user ? user.id : null,
+        user_name: user ? user.username : '',
+        created_at: at
+      }
+    ],
+    { session }
+  );
+}
+
+/**
+ * Set a product's base price and record it. Returns `{ old_price }`, or
+ * null when the product does not exist.
+ */
+async function setBasePrice({ product, price, source, ref, user, session, at }) {
+  const before = await Product.findOneAndUpdate(
+    { _id: product },
+    { $set: { price } },
+    { new: false, session }
+  ).lean();
+  if (!before) {
+    return null;
+  }
+  await recordPriceHistory({
+    product,
+    oldPrice: before.price,
+    newPrice: price,
+    source,
+    ref,
+    user,
+    session,
+    at
+  });
+  return { old_price: before.price };
+}
+
+/**
+ * Set a store's price for a product (null: back to the base price) and
+ * record it. Returns `{ old_price }`, or null when the product is not
+ * stocked at the store.
+ */
+async function setStorePrice({ store, product, price, source, ref, user, session, at }) {
+  const before = await Inventory.findOneAndUpdate(
+    { store, product },
+    { $set: { price } },
+    { new: false, session }
+  ).lean();
+  if (!before) {
+    return null;
+  }
+  await recordPriceHistory({
+    product,
+    store,
+    oldPrice: before.price,
+    newPrice: price,
+    source,
+    ref,
+    user,
+    session,
+    at
+  });
+  return { old_price: before.price ?? null };
+}
+
+/**
+ * A price from a request: a number of zero or more, rounded to cents.
+ * With `allowNull`, empty or null means "no price". Returns `{ price }` or
+ * `{ error }`.
+ */
+function parsePrice(raw, field, allowNull = false) {
+  if (raw === null || raw === undefined || raw === '') {
+    return allowNull ? { price: null } : { error: `${field} is required` };
+  }
+  const price = Number(raw);
+  if (!Number.isFinite(price) || price < 0) {
+    return { error: `${field} must be a number of zero or more` };
+  }
+  return { price: roundMoney(price) };
+}
+
+/**
+ * Validate `{ name, effectiveAt, lines: [{ productId, storeId, price }] }`
+ * for a price change. A line without `storeId` changes the base price; one
+ * with `storeId` changes that store's price, and a null price there puts
+ * the store back on the base price. Returns `{ priceChange }`, the fields
+ * for PriceChange.create, or `{ error }`.
+ */
+async function parsePriceChangeBody(body) {
+  const { name, effectiveAt, lines } = body || {};
+  const effective = new Date(effectiveAt || '');
+  if (!effectiveAt || Number.isNaN(effective.getTime())) {
+    return { error: 'effectiveAt must be a date and time' };
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'lines must be a non-empty array' };
+  }
+  if (lines.length > MAX_PRICE_CHANGE_LINES) {
+    return { error: `A price change can have at most ${MAX_PRICE_CHANGE_LINES} lines` };
+  }
+
+  const productIds = [...new Set(lines.map((l) => String(l.productId || '')))];
+  const storeIds = [...new Set(lines.filter((l) => l.storeId).map((l) => String(l.storeId)))];
+  let products;
+  let stores;
+  try {
+    products = await Product.find({ _id: { $in: productIds } }).lean();
+    stores = await Store.find({ _id: { $in: storeIds } }).lean();
+  } catch (err) {
+    return { error: 'Invalid productId or storeId' };
+  }
+  const productsById = new Map(products.map((p) => [String(p._id), p]));
+  const storesById = new Map(stores.map((s) => [String(s._id), s]));
+  const stocked = await Inventory.find({
+    store: { $in: stores.map((s) => s._id) },
+    product: { $in: products.map((p) => p._id) }
+  }).lean();
+  const stockedKeys = new Set(stocked.map((row) => `${row.product}:${row.store}`));
+
+  const seen = new Set();
+  const parsedLines = [];
+  for (const line of lines) {
+    const product = productsById.get(String(line.productId || ''));
+    if (!product) {
+      return { error: `Invalid productId: ${line.productId}` };
+    }
+    const store = line.storeId ? storesById.get(String(line.storeId)) : null;
+    if (line.storeId && !store) {
+      return { error: `Invalid storeId: ${line.storeId}` };
+    }
+    if (store && !stockedKeys.has(`${product._id}:${store._id}`)) {
+      return { error: `${product.name} is not stocked at ${store.code}` };
+    }
+    const key = `${product._id}:${store ? store._id : ''}`;
+    if (seen.has(key)) {
+      return {
+        error: `${product.name} appears twice for ${store ? store.code : 'the base price'}`
+      };
+    }
+    seen.add(key);
+    const price = parsePrice(line.price, `${product.name} price`, !!store);
+    if (price.error) {
+      return { error: price.error };
+    }
+    parsedLines.push({ product: product._id, store: store ? store._id : null, price: price.price });
+  }
+
+  return {
+    priceChange: {
+      name: name ? String(name).trim() || null : null,
+      effective_at: effective,
+      lines: parsedLines
+    }
+  };
+}
+
+/**
+ * Apply every scheduled price change whose time has come, oldest first,
+ * each in its own transaction. Run by the price change job below. Entries
+ * in the price history are dated at the effective time and credited to
+ * whoever scheduled the change.
+ */
+async function applyDuePriceChanges(at = new Date()) {
+  const due = await PriceChange.find({ status: 'SCHEDULED', effective_at: { $lte: at } })
+    .sort({ effective_at: 1, created_at: 1 })
+    .select('_id')
+    .lean();
+
+  for (const { _id } of due) {
+    const session = await PriceChange.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Another request may have applied it first.
+        const batch = await PriceChange.findOneAndUpdate(
+          { _id, status: 'SCHEDULED' },
+          { $set: { status: 'APPLIED', applied_at: new Date() } },
+          { new: true, session }
+        );
+        if (!batch) {
+          return;
+        }
+        const user = batch.created_by
+          ? { id: batch.created_by, username: batch.created_by_name }
+          : null;
+        const ref = { id: batch._id, label: batch.number };
+        for (const line of batch.lines) {
+          const change = {
+            product: line.product,
+            price: line.price,
+            source: 'PRICE_CHANGE',
+            ref,
+            user,
+            session,
+            at: batch.effective_at
+          };
+          const result = line.store
+            ? await setStorePrice({ ...change, store: line.store })
+            : await setBasePrice(change);
+          line.old_price = result ? result.old_price : null;
+        }
+        await batch.save({ session });
+      });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to apply price change ${_id}:`, err);
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+let priceChangeTimer = null;
+
+/**
+ * The price change job, the one place scheduled changes go live: applies
+ * the due ones, then sleeps until the next is due (PRICE_CHANGE_POLL_MS at
+ * most). Started with the server, and run again when a change is scheduled
+ * so it wakes for it; requests that read prices never apply changes.
+ */
+async function runPriceChangeJob() {
+  let delay = PRICE_CHANGE_POLL_MS;
+  try {
+    await applyDuePriceChanges();
+    const next = await PriceChange.findOne({ status: 'SCHEDULED' })
+      .sort({ effective_at: 1 })
+      .select('effective_at')
+      .lean();
+    if (next) {
+      const wait = next.effective_at.getTime() - Date.now();
+      delay = wait > 0 ? Math.min(delay, wait) : PRICE_CHANGE_RETRY_MS;
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Price change job failed:', err);
+  }
+  clearTimeout(priceChangeTimer);
+  priceChangeTimer = setTimeout(runPriceChangeJob, delay);
+}
+
+/**
+ * Lean products as sold at a store: `price` is the store's price when it
+ * has one, `base_price` is Product.price and `store_price` the store's own
+ * price or null. Without a store every product sells at its base price.
+ */
+async function withStorePrices(storeId, products) {
+  const rows = storeId
+    ? await Inventory.find({
+        store: storeId,
+        product: { $in: products.map((p) => p._id) },
+        price: { $ne: null }
+      }).lean()
+    : [];
+  const storePrices = new Map(rows.map((row) => [String(row.product), row.price]));
+
+  return products.map((p) => {
+    const storePrice = storePrices.get(String(p._id));
+    return {
+      ...p,
+      price: storePrice != null ? storePrice : p.price,
+      base_price: p.price,
+      store_price: storePrice != null ? storePrice : null
+    };
+  });
+}
+
+module.exports = {
+  PRICE_CHANGE_SEQUENCE_KEY,
+  formatPriceChangeNumber,
+  recordPriceHistory,
+  setBasePrice,
+  setStorePrice,
+  parsePrice,
+  parsePriceChangeBody,
+  applyDuePriceChanges,
+  runPriceChangeJob,
+  withStorePrices
+};
@@ -0,0 +1,370 @@
+const { Coupon, Promotion } = require('./db');
+const { toCents, roundMoney } = require('./payments');
+
+const DISCOUNT_TYPES = ['percent', 'amount'];
+const PROMOTION_TYPES = ['BOGO', 'MIX_MATCH', 'QTY_BREAK'];
+
+/**
+ * Validate a `{ type, value }` discount from a request body.
+ * Returns `{ discount }` (null when absent) or `{ error }`.
+ */
+function parseDiscount(raw, label) {
+  if (raw == null || raw === '') {
+    return { discount: null };
+  }
+  const type = raw.type;
+  const value = Number(raw.value);
+  if (!DISCOUNT_TYPES.includes(type)) {
+    return { error: `${label}: discount type must be percent or amount` };
+  }
+  if (!Number.isFinite(value) || value < 0) {
+    return { error: `${label}: discount value must be zero or more` };
+  }
+  if (type === 'percent' && value > 100) {
+    return { error: `${label}: percent discount cannot exceed 100` };
+  }
+  if (value === 0) {
+    return { discount: null };
+  }
+  return { discount: { type, value } };
+}
+
+// Reasons a cashier can give for ringing an item at a different price.
+const PRICE_OVERRIDE_REASONS = [
+  { code: 'SHELF_PRICE', label: 'Shelf price differs' },
+  { code: 'AD_PRICE', label: 'Advertised price' },
+  { code: 'PRICE_MATCH', label: 'Competitor price match' },
+  { code: 'DAMAGED', label: 'Damaged / open box' },
+  { code: 'OTHER', label: 'Other (see note)' }
+];
+
+/**
+ * Validate a `{ price, reason, note }` price override for `product`.
+ * Returns `{ override }` (null when absent or equal to the product price)
+ * or `{ error }`; OTHER needs a note.
+ */
+function parsePriceOverride(raw, product) {
+  if (raw == null || raw === '') {
+    return { override: null };
+  }
+  const price = Number(raw.price);
+  if (!Number.isFinite(price) || price < 0) {
+    return { error: `${product.name}: override price must be zero or more` };
+  }
+  const reason = String(raw.reason || '').trim().toUpperCase();
+  if (!PRICE_OVERRIDE_REASONS.some((r) => r.code === reason)) {
+    return {
+      error: `${product.name}: override reason must be one of ${PRICE_OVERRIDE_REASONS.map((r) => r.code).join(', ')}`
+    };
+  }
+  const note = raw.note ? String(raw.note).trim() : '';
+  if (reason === 'OTHER' && !note) {
+    return { error: `${product.name}: a note is required when the override reason is OTHER` };
+  }
+  if (roundMoney(price) === roundMoney(product.price)) {
+    return { override: null };
+  }
+  return { override: { price: roundMoney(price), reason, note: note || null } };
+}
+
+// Discount in cents off `baseCents`, never more than the base itself.
+function discountCents(discount, baseCents) {
+  const raw =
+    discount.type === 'percent'
+      ? Math.round((baseCents * discount.value) / 100)
+      : toCents(discount.value);
+  return Math.max(0, Math.min(raw, baseCents));
+}
+
+/**
+ * Split `totalCents` across lines in proportion to their net amounts, using
+ * largest remainders so the parts add up to the total exactly.
+ */
+function allocateCents(totalCents, weights) {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  if (weightSum <= 0 || totalCents <= 0) {
+    return weights.map(() => 0);
+  }
+  const exact = weights.map((w) => (totalCents * w) / weightSum);
+  const parts = exact.map((x) => Math.floor(x));
+  let leftover = totalCents - parts.reduce((sum, p) => sum + p, 0);
+  const order = exact
+    .map((x, idx) => ({ idx, frac: x - Math.floor(x) }))
+    .sort((a, b) => b.frac - a.frac);
+  for (let i = 0; leftover > 0 && i < order.length; i += 1) {
+    parts[order[i].idx] += 1;
+    leftover -= 1;
+  }
+  return parts;
+}
+
+function promotionMatches(promotion, product) {
+  if ((promotion.products || []).some((id) => String(id) === String(product._id))) {
+    return true;
+  }
+  return !!promotion.category && product.category === promotion.category;
+}
+
+// Whole matching units, most expensive first, so BOGO and mix-and-match
+// discount the cheapest units of each group.
+function expandUnits(lines, idxs) {
+  const units = [];
+  idxs.forEach((idx) => {
+    const cents = toCents(lines[idx].unitPrice);
+    for (let i = 0; i < Math.floor(lines[idx].quantity); i += 1) {
+      units.push({ idx, cents });
+    }
+  });
+  return units.sort((a, b) => b.cents - a.cents);
+}
+
+/**
+ * Cents off per line index for one promotion, over the lines it may still
+ * claim (`idxs`).
+ */
+function promotionSavings(promotion, lines, idxs) {
+  const off = new Map();
+  const add = (idx, cents) => off.set(idx, (off.get(idx) || 0) + cents);
+
+  if (promotion.type === 'BOGO') {
+    const units = expandUnits(lines, idxs);
+    const groupSize = promotion.buy_quantity + promotion.get_quantity;
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+      units.slice(start + promotion.buy_quantity, start + groupSize).forEach((unit) => {
+        add(unit.idx, Math.round((unit.cents * promotion.get_percent) / 100));
+      });
+    }
+  } else if (promotion.type === 'MIX_MATCH') {
+    const units = expandUnits(lines, idxs);
+    const priceCents = toCents(promotion.price);
+    for (let start = 0; start + promotion.quantity <= units.length; start += promotion.quantity) {
+      const group = units.slice(start, start + promotion.quantity);
+      const groupCents = group.reduce((sum, u) => sum + u.cents, 0);
+      const parts = allocateCents(groupCents - priceCents, group.map((u) => u.cents));
+      group.forEach((unit, i) => add(unit.idx, parts[i]));
+    }
+  } else if (promotion.type === 'QTY_BREAK') {
+    const quantity = idxs.reduce((sum, idx) => sum + lines[idx].quantity, 0);
+    if (quantity >= promotion.quantity) {
+      idxs.forEach((idx) => {
+        const line = lines[idx];
+        add(idx, line.grossCents - toCents(promotion.price * line.quantity));
+      });
+    }
+  }
+
+  return off;
+}
+
+/**
+ * Price a cart. Discounts apply in this order, each on what is left after the
+ * previous step:
+ *  1. promotions, in creation order; a line takes at most one promotion and
+ *     lines with a price override take none
+ *  2. line discounts (`line.discount`) and product coupons, per line
+ *  3. cart discounts (manual cart discount and cart coupons), allocated
+ *     across lines pro rata
+ * Tax is computed per line on the discounted line total.
+ *
+ * `lines` are `{ product, quantity, unitPrice, priceOverride, discount }`,
+ * where `unitPrice` is already the override price if any; `promotions` come
+ * from `resolvePromotions` and `coupons` from `resolveCoupons`.
+ */
+function priceCart({ lines, cartDiscount = null, coupons = [], promotions = [] }) {
+  const priced = lines.map((line) => {
+    const grossCents = toCents(line.unitPrice * line.quantity);
+    return {
+      ...line,
+      grossCents,
+      netCents: grossCents,
+      discounts: []
+    };
+  });
+
+  const applyToLine = (line, discount, source, code = null) => {
+    const cents = discountCents(discount, line.netCents);
+    if (cents <= 0) {
+      return;
+    }
+    line.netCents -= cents;
+    line.discounts.push({
+      source,
+      type: discount.type,
+      value: discount.value,
+      code,
+      amount: cents / 100
+    });
+  };
+
+  const claimed = new Set();
+  promotions.forEach((promotion) => {
+    const idxs = priced
+      .map((line, idx) => idx)
+      .filter(
+        (idx) =>
+          !claimed.has(idx) &&
+          !priced[idx].priceOverride &&
+          promotionMatches(promotion, priced[idx].product)
+      );
+    promotionSavings(promotion, priced, idxs).forEach((cents, idx) => {
+      const line = priced[idx];
+      const amount = Math.min(cents, line.netCents);
+      if (amount <= 0) {
+        return;
+      }
+      claimed.add(idx);
+      line.netCents -= amount;
+      line.discounts.push({
+        source: 'promotion',
+        promotion: promotion._id,
+        name: promotion.name,
+        amount: amount / 100
+      });
+    });
+  });
+
+  priced.forEach((line) => {
+    if (line.discount) {
+      applyToLine(line, line.discount, 'line');
+    }
+  });
+
+  coupons
+    .filter((c) => c.product)
+    .forEach((coupon) => {
+      const target = priced.find((l) => String(l.product._id) === String(coupon.product));
+      if (target) {
+        applyToLine(target, { type: coupon.type, value: coupon.value }, 'coupon', coupon.code);
+      }
+    });
+
+  const cartLevel = [];
+  if (cartDiscount) {
+    cartLevel.push({ discount: cartDiscount, source: 'cart', code: null });
+  }
+  coupons
+    .filter((c) => !c.product)
+    .forEach((coupon) => {
+      cartLevel.push({
+        discount: { type: coupon.type, value: coupon.value },
+        source: 'coupon',
+        code: coupon.code
+      });
+    });
+
+  cartLevel.forEach(({ discount, source, code }) => {
+    const baseCents = priced.reduce((sum, l) => sum + l.netCents, 0);
+    const cents = discountCents(discount, baseCents);
+    const parts = allocateCents(cents, priced.map((l) => l.netCents));
+    priced.forEach((line, idx) => {
+      if (parts[idx] <= 0) {
+        return;
+      }
+      line.netCents -= parts[idx];
+      line.discounts.push({
+        source,
+        type: discount.type,
+        value: discount.value,
+        code,
+        amount: parts[idx] / 100
+      });
+    });
+  });
+
+  let subtotalCents = 0;
+  let discountCentsTotal = 0;
+  let taxCentsTotal = 0;
+
+  // Tax is rounded to the cent on each line, so the lines add up to the
+  // transaction's tax and total, which is what gets tendered.
+  const out = priced.map((line) => {
+    const lineTotal = line.netCents / 100;
+    const discountAmount = (line.grossCents - line.netCents) / 100;
+    const taxCents = Math.round((line.netCents * line.product.tax_rate) / 100);
+    subtotalCents += line.netCents;
+    discountCentsTotal += line.grossCents - line.netCents;
+    taxCentsTotal += taxCents;
+    return {
+      product: line.product,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      priceOverride: line.priceOverride || null,
+      grossTotal: line.grossCents / 100,
+      discountAmount,
+      discounts: line.discounts,
+      lineTotal,
+      taxAmount: taxCents / 100
+    };
+  });
+
+  return {
+    lines: out,
+    subtotal: subtotalCents / 100,
+    discountTotal: discountCentsTotal / 100,
+    taxTotal: taxCentsTotal / 100,
+    total: (subtotalCents + taxCentsTotal) / 100
+  };
+}
+
+/**
+ * Look up coupon codes and check they can be used now against this cart.
+ * Returns `{ coupons }` or `{ error }`.
+ */
+async function resolveCoupons(codes, { productIds, grossSubtotal, at = new Date() }) {
+  const unique = [...new Set((codes || []).map((c) => String(c).trim().toUpperCase()))].filter(
+    Boolean
+  );
+  const coupons = [];
+
+  for (const code of unique) {
+    const coupon = await Coupon.findOne({ code }).lean();
+    if (!coupon || !coupon.active) {
+      return { error: `Coupon ${code} is not valid` };
+    }
+    if (coupon.starts_at && coupon.starts_at > at) {
+      return { error: `Coupon ${code} is not active yet` };
+    }
+    if (coupon.ends_at && coupon.ends_at < at) {
+      return { error: `Coupon ${code} has expired` };
+    }
+    if (coupon.max_uses != null && coupon.use_count >= coupon.max_uses) {
+      return { error: `Coupon ${code} has reached its usage limit` };
+    }
+    if (coupon.product && !productIds.includes(String(coupon.product))) {
+      return { error: `Coupon ${code} does not apply to any item in the cart` };
+    }
+    if (coupon.min_subtotal && grossSubtotal < coupon.min_subtotal) {
+      return {
+        error: `Coupon ${code} needs a subtotal of at least ${coupon.min_subtotal.toFixed(2)}`
+      };
+    }
+    coupons.push(coupon);
+  }
+
+  return { coupons };
+}
+
+// Promotions running at a store right now, oldest first.
+async function resolvePromotions({ storeId, at = new Date() }) {
+  return Promotion.find({
+    active: true,
+    $and: [
+      { $or: [{ stores: { $size: 0 } }, { stores: storeId }] },
+      { $or: [{ starts_at: null }, { starts_at: { $lte: at } }] },
+      { $or: [{ ends_at: null }, { ends_at: { $gte: at } }] }
+    ]
+  })
+    .sort({ created_at: 1, _id: 1 })
+    .lean();
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  PROMOTION_TYPES,
+  PRICE_OVERRIDE_REASONS,
+  parseDiscount,
+  parsePriceOverride,
+  priceCart,
+  resolveCoupons,
+  resolvePromotions
+};
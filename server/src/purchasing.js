@@ -0,0 +1,140 @@
+const { Product } = require('./db');
+const { roundMoney } = require('./payments');
+const { parseLotInput } = require('./lots');
+
+const PO_STATUSES = ['DRAFT', 'SENT', 'PARTIAL', 'CLOSED'];
+
+/** Counter key and display number for a store's purchase orders. */
+function poSequenceKey(storeId) {
+  return `po:${storeId}`;
+}
+
+function formatPoNumber(storeCode, sequence) {
+  return `PO-${storeCode}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Validate `[{ productId, quantity, unitCost }]` from a request body and load
+ * the products. Each product may appear once.
+ * Returns `{ lines }` ready for PurchaseOrder.lines, or `{ error }`.
+ */
+async function parseOrderLines(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'lines must be a non-empty array' };
+  }
+  const seen = new Set();
+  const lines = [];
+  for (const line of raw) {
+    const quantity = Number(line.quantity);
+    const unitCost = Number(line.unitCost);
+    if (!line.productId || !Number.isFinite(quantity) || quantity <= 0) {
+      return { error: 'Each line needs a productId and a quantity above zero' };
+    }
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      return { error: 'Each line needs a unitCost of zero or more' };
+    }
+    if (seen.has(String(line.productId))) {
+      return { error: 'Each product can only appear once on a purchase order' };
+    }
+    seen.add(String(line.productId));
+
+    const product = await Product.findById(line.productId).lean();
+    if (!product) {
+      return { error: `Invalid productId: ${line.productId}` };
+    }
+    lines.push({
+      product: product._id,
+      product_name: product.name,
+      sku: product.sku,
+      barcode: product.barcode,
+      ordered_quantity: quantity,
+      received_quantity: 0,
+      unit_cost: roundMoney(unitCost)
+    });
+  }
+  return { lines };
+}
+
+/**
+ * Apply a delivery of `[{ productId, quantity, lotNumber, expiryDate }]` to
+ * a SENT or PARTIAL purchase order document: bumps each line's received
+ * quantity and moves the order to PARTIAL, or CLOSED once every line is in
+ * full. Quantities over what is still outstanding are refused. A product
+ * delivered in several lots appears once per lot.
+ *
+ * Returns `{ received: [{ product, product_name, quantity, unit_cost, lots }] }`
+ * or `{ error }`; the order is only changed on success.
+ */
+function applyDelivery(po, raw) {
+  if (po.status !== 'SENT' && po.status !== 'PARTIAL') {
+    return { error: `Cannot receive against a ${po.status} purchase order` };
+  }
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'lines must be a non-empty array' };
+  }
+
+  const incoming = new Map();
+  const lots = new Map();
+  for (const line of raw) {
+    const quantity = Number(line.quantity);
+    if (!line.productId || !Number.isFinite(quantity) || quantity < 0) {
+      return { error: 'Each line needs a productId and a quantity of zero or more' };
+    }
+    const parsedLot = parseLotInput(line);
+    if (parsedLot.error) {
+      return { error: parsedLot.error };
+    }
+    const key = String(line.productId);
+    incoming.set(key, (incoming.get(key) || 0) + quantity);
+    if (parsedLot.lot && quantity > 0) {
+      lots.set(key, [...(lots.get(key) || []), { ...parsedLot.lot, quantity }]);
+    }
+  }
+
+  const received = [];
+  for (const [productId, quantity] of incoming) {
+    const poLine = po.lines.find((l) => String(l.product) === productId);
+    if (!poLine) {
+      return { error: `Product ${productId} is not on ${po.number}` };
+    }
+    const outstanding = poLine.ordered_quantity - poLine.received_quantity;
+    if (quantity > outstanding) {
+      return {
+        error: `${poLine.product_name}: receiving ${quantity} but only ${outstanding} outstanding`
+      };
+    }
+    if (quantity > 0) {
+      received.push({ poLine, quantity, lots: lots.get(productId) || [] });
+    }
+  }
+  if (received.length === 0) {
+    return { error: 'Nothing to receive' };
+  }
+
+  received.forEach(({ poLine, quantity }) => {
+    poLine.received_quantity += quantity;
+  });
+  const complete = po.lines.every((l) => l.received_quantity >= l.ordered_quantity);
+  po.status = complete ? 'CLOSED' : 'PARTIAL';
+  if (complete) {
+    po.closed_at = new Date();
+  }
+
+  return {
+    received: received.map(({ poLine, quantity, lots: lineLots }) => ({
+      product: poLine.product,
+      product_name: poLine.product_name,
+      quantity,
+      unit_cost: poLine.unit_cost,
+      lots: lineLots
+    }))
+  };
+}
+
+module.exports = {
+  PO_STATUSES,
+  poSequenceKey,
+  formatPoNumber,
+  parseOrderLines,
+  applyDelivery
+};
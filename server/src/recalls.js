@@ -0,0 +1,142 @@
+const { Inventory, Product, Recall, Store, StockLot } = require('./db');
+
+const RECALL_SEQUENCE_KEY = 'recall';
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+function formatRecallNumber(sequence) {
+  return `RC-${String(sequence).padStart(6, '0')}`;
+}
+
+function parseDate(value, field) {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return { date: null };
+  }
+  const date = new Date(`${raw}T00:00:00.000Z`);
+  if (!DATE_FORMAT.test(raw) || Number.isNaN(date.getTime())) {
+    return { error: `${field} must be a date (YYYY-MM-DD)` };
+  }
+  return { date };
+}
+
+/**
+ * Validate `{ productId, lotNumbers, expiryFrom, expiryTo, reason,
+ * vendorReference }` for a new recall. Lots and an expiry range narrow it
+ * to part of a lot-tracked product's stock; without them the whole product
+ * is recalled. Returns `{ product, recall }`, with `recall` the fields for
+ * Recall.create, or `{ error }`.
+ */
+async function parseRecallBody(body) {
+  const { productId, lotNumbers, expiryFrom, expiryTo, reason, vendorReference } = body || {};
+  if (!productId) {
+    return { error: 'productId is required' };
+  }
+  const product = await Product.findById(productId).lean();
+  if (!product) {
+    return { error: 'Invalid productId' };
+  }
+  if (!reason || !String(reason).trim()) {
+    return { error: 'reason is required' };
+  }
+
+  const rawLots = Array.isArray(lotNumbers) ? lotNumbers : String(lotNumbers || '').split(',');
+  const lots = [...new Set(rawLots.map((l) => String(l).trim().toUpperCase()).filter(Boolean))];
+  const from = parseDate(expiryFrom, 'expiryFrom');
+  const to = parseDate(expiryTo, 'expiryTo');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+  if (from.date && to.date && from.date > to.date) {
+    return { error: 'expiryFrom must be on or before expiryTo' };
+  }
+  const scoped = lots.length > 0 || from.date || to.date;
+  if (scoped && !product.track_lots) {
+    return { error: `${product.name} is not tracked by lot; recall the whole product` };
+  }
+
+  return {
+    product,
+    recall: {
+      product: product._id,
+      product_name: product.name,
+      sku: product.sku,
+      lot_numbers: lots,
+      expiry_from: from.date,
+      expiry_to: to.date,
+      reason: String(reason).trim(),
+      vendor_reference: vendorReference ? String(vendorReference).trim() : null
+    }
+  };
+}
+
+function isWholeProduct(recall) {
+  return (recall.lot_numbers || []).length === 0 && !recall.expiry_from && !recall.expiry_to;
+}
+
+/** Whether a lot (or a sale item's lot allocation) falls under a recall. */
+function lotMatchesRecall(recall, lot) {
+  if (isWholeProduct(recall)) {
+    return true;
+  }
+  if ((recall.lot_numbers || []).includes(lot.lot_number)) {
+    return true;
+  }
+  if ((recall.expiry_from || recall.expiry_to) && lot.expiry_date) {
+    return (
+      (!recall.expiry_from || lot.expiry_date >= recall.expiry_from) &&
+      (!recall.expiry_to || lot.expiry_date <= recall.expiry_to)
+    );
+  }
+  return false;
+}
+
+async function loadActiveRecalls(productIds, session = null) {
+  return Recall.find({ product: { $in: productIds }, status: 'ACTIVE' })
+    .session(session)
+    .sort({ created_at: 1 })
+    .lean();
+}
+
+/**
+ * Recalled stock of a recall's product on hand at a store: `{ quantity,
+ * lots }`, with `lots` the affected lots for a lot-scoped recall.
+ */
+async function affectedStock(recall, storeId, session = null) {
+  if (isWholeProduct(recall)) {
+    const inv = await Inventory.findOne({ store: storeId, product: recall.product })
+      .session(session)
+      .lean();
+    return { quantity: inv ? Math.max(inv.quantity, 0) : 0, lots: [] };
+  }
+  const lots = await StockLot.find({
+    store: storeId,
+    product: recall.product,
+    quantity: { $gt: 0 }
+  })
+    .session(session)
+    .lean();
+  const affected = lots.filter((lot) => lotMatchesRecall(recall, lot));
+  return { quantity: affected.reduce((sum, lot) => sum + lot.quantity, 0), lots: affected };
+}
+
+/** A removal task for every store, with the recalled stock it has now. */
+async function buildRecallTasks(recall) {
+  const stores = await Store.find({}).sort({ code: 1 }).lean();
+  const tasks = [];
+  for (const store of stores) {
+    const stock = await affectedStock(recall, store._id);
+    tasks.push({ store: store._id, quantity: stock.quantity });
+  }
+  return tasks;
+}
+
+module.exports = {
+  RECALL_SEQUENCE_KEY,
+  formatRecallNumber,
+  parseRecallBody,
+  isWholeProduct,
+  lotMatchesRecall,
+  loadActiveRecalls,
+  affectedStock,
+  buildRecallTasks
+};
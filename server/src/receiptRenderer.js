@@ -3,7 +3,8 @@ const {
   TransactionItem,
   ReceiptTemplate,
   Store,
-  Register
+  Register,
+  SuspendedCart
 } = require('./db');
 
 function applyTemplate(text, context) {
@@ -24,6 +25,18 @@ function formatMoney(value) {
   return sign + Math.abs(num).toFixed(2);
 }
 
+async function loadTemplate(storeId) {
+  const template = await ReceiptTemplate.findOne({ store: storeId }).lean();
+  if (template) {
+    return template;
+  }
+  return {
+    header: '{{store_name}}\n{{store_address}}\n{{store_phone}}\n',
+    footer: 'Thank you for shopping!\nTC#: {{tc_number}}\n',
+    options: { show_tax_breakdown: true }
+  };
+}
+
 /**
  * Render a text receipt for the given transaction.
  * Uses the store's receipt template (header/footer) plus a fixed body layout.
@@ -40,15 +53,7 @@ async function renderTextReceipt(transactionId) {
 
   const items = await TransactionItem.find({ transaction: tx._id }).lean();
 
-  let template = await ReceiptTemplate.findOne({ store: tx.store._id }).lean();
-
-  if (!template) {
-    template = {
-      header: '{{store_name}}\n{{store_address}}\n{{store_phone}}\n',
-      footer: 'Thank you for shopping!\nTC#: {{tc_number}}\n',
-      options: { show_tax_breakdown: true }
-    };
-  }
+  const template = await loadTemplate(tx.store._id);
 
   const options = template.options || {};
 
@@ -68,7 +73,9 @@ async function renderTextReceipt(transactionId) {
     store_code: tx.store.code,
     register_code: tx.register.code,
     tx_type: tx.type || 'SALE',
-    payment_method: tx.payment_method
+    payment_method: tx.payment_method,
+    cash_tendered: tx.cash_tendered != null ? formatMoney(tx.cash_tendered) : '',
+    change_due: formatMoney(tx.change_due)
   };
 
   const lines = [];
@@ -81,15 +88,27 @@ async function renderTextReceipt(transactionId) {
   lines.push('');
   if (tx.type === 'REFUND') {
     lines.push('*** REFUND ***');
+  } else if (tx.type === 'VOID') {
+    lines.push('*** VOID ***');
   }
   lines.push(`TC#: ${tx.tc_number}`);
   lines.push(`Date: ${context.date}`);
   if (tx.cashier_name) {
     lines.push(`Cashier: ${tx.cashier_name}`);
   }
+  const approvers = [...new Set((tx.approvals || []).map((a) => a.approved_by_name))];
+  if (approvers.length > 0) {
+    lines.push(`Approved by: ${approvers.join(', ')}`);
+  }
   lines.push(`Store: ${tx.store.name} (${tx.store.code})`);
   lines.push(`Register: ${tx.register.code}`);
   lines.push(`Payment: ${tx.payment_method}`);
+  const payments = Array.isArray(tx.payments) ? tx.payments : [];
+  if (payments.length > 1) {
+    payments.forEach((p) => {
+      lines.push(`  ${p.method}: ${formatMoney(p.amount)}`);
+    });
+  }
   lines.push('');
   lines.push('Items:');
 
@@ -99,9 +118,24 @@ async function renderTextReceipt(transactionId) {
     const price = (item.unit_price || 0).toFixed(2);
     const lineTotal = formatMoney(item.line_total);
     lines.push(`- ${name} x${qty} @ ${price} = ${lineTotal}`);
+    if (item.price_override) {
+      lines.push(`    PRICE OVERRIDE (reg ${(item.original_unit_price || 0).toFixed(2)})`);
+    }
+    (item.discounts || []).forEach((d) => {
+      if (d.source === 'promotion') {
+        lines.push(`    ${d.name} -${Math.abs(d.amount).toFixed(2)}`);
+        return;
+      }
+      const label = d.code ? `Coupon ${d.code}` : d.source === 'cart' ? 'Cart discount' : 'Discount';
+      const rate = d.type === 'percent' ? ` ${d.value}%` : '';
+      lines.push(`    ${label}${rate} -${Math.abs(d.amount).toFixed(2)}`);
+    });
   });
 
   lines.push('');
+  if (tx.discount_total) {
+    lines.push(`Discounts: ${formatMoney(-tx.discount_total)}`);
+  }
   lines.push(`Subtotal: ${formatMoney(tx.subtotal)}`);
 
   if (options.show_tax_breakdown) {
@@ -109,6 +143,14 @@ async function renderTextReceipt(transactionId) {
   }
 
   lines.push(`Total:    ${formatMoney(tx.total)}`);
+  if (tx.cash_tendered != null) {
+    lines.push(`Cash tendered: ${formatMoney(tx.cash_tendered)}`);
+    lines.push(`Change:        ${formatMoney(tx.change_due)}`);
+  }
+  if (tx.type !== 'REFUND' && tx.discount_total > 0) {
+    lines.push('');
+    lines.push(`You saved: ${formatMoney(tx.discount_total)}`);
+  }
   lines.push('');
 
   const renderedFooter = applyTemplate(template.footer, context).trimEnd();
@@ -119,6 +161,128 @@ async function renderTextReceipt(transactionId) {
   return lines.join('\n');
 }
 
+/**
+ * Render an X or Z report (see reports.js) in the receipt layout, under the
+ * store's receipt header. Pass `number` for a Z report.
+ */
+async function renderTextReport({ kind, report, storeId, registerId = null, number = null }) {
+  const store = await Store.findById(storeId).lean();
+  if (!store) {
+    throw new Error('Store not found');
+  }
+  const register = registerId ? await Register.findById(registerId).lean() : null;
+  const template = await loadTemplate(store._id);
+
+  const context = {
+    store_name: store.name,
+    store_address: store.address || '',
+    store_phone: store.phone || '',
+    store_code: store.code,
+    register_code: register ? register.code : ''
+  };
+
+  const lines = [];
+
+  // Only store placeholders resolve here; transaction ones render empty.
+  const renderedHeader = applyTemplate(template.header, context).trimEnd();
+  if (renderedHeader) {
+    lines.push(renderedHeader);
+  }
+
+  lines.push('');
+  lines.push(number != null ? `*** ${kind} REPORT #${number} ***` : `*** ${kind} REPORT ***`);
+  lines.push(`Store: ${store.name} (${store.code})`);
+  lines.push(`Register: ${register ? register.code : 'ALL'}`);
+  lines.push(`From: ${new Date(report.period_start).toLocaleString()}`);
+  lines.push(`To:   ${new Date(report.period_end).toLocaleString()}`);
+  if (report.generated_by_name) {
+    lines.push(`Run by: ${report.generated_by_name}`);
+  }
+  lines.push('');
+  lines.push(`Gross sales:  ${formatMoney(report.gross_sales)}`);
+  lines.push(`Refunds:      ${formatMoney(report.refunds_total)}`);
+  lines.push(`Post-voids:   ${formatMoney(report.voids_total)} (${report.void_count || 0})`);
+  lines.push(`Net:          ${formatMoney(report.net_total)}`);
+  lines.push(`Discounts:    ${formatMoney(report.discount_total)}`);
+  lines.push(`Tax:          ${formatMoney(report.tax_total)}`);
+  lines.push(
+    `Transactions: ${report.tx_count} (${report.sale_count} sales, ${report.refund_count} refunds, ${report.void_count || 0} voids)`
+  );
+  lines.push(
+    `Line voids:   ${report.line_void_count || 0} (${formatMoney(report.line_void_total)})`
+  );
+  lines.push('');
+  lines.push('Tenders:');
+  if (report.tenders.length === 0) {
+    lines.push('- none');
+  }
+  report.tenders.forEach((t) => {
+    lines.push(
+      `- ${t.method} x${t.tender_count}: ${formatMoney(t.net_total)} (sales ${formatMoney(
+        t.sales_total
+      )}, refunds ${formatMoney(t.refunds_total)})`
+    );
+  });
+  lines.push('');
+  lines.push(`Shifts closed: ${report.shift_count}`);
+  lines.push(`Over/short:   ${formatMoney(report.over_short)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the slip printed when a cart is suspended. The print agent adds the
+ * recall code as a barcode underneath.
+ */
+async function renderSuspendSlip(cartId) {
+  const cart = await SuspendedCart.findById(cartId)
+    .populate('store')
+    .populate('register')
+    .populate('items.product')
+    .lean();
+  if (!cart) {
+    throw new Error('Suspended cart not found');
+  }
+  const template = await loadTemplate(cart.store._id);
+
+  const context = {
+    store_name: cart.store.name,
+    store_address: cart.store.address || '',
+    store_phone: cart.store.phone || '',
+    store_code: cart.store.code,
+    register_code: cart.register.code
+  };
+
+  const lines = [];
+  const renderedHeader = applyTemplate(template.header, context).trimEnd();
+  if (renderedHeader) {
+    lines.push(renderedHeader);
+  }
+
+  lines.push('');
+  lines.push('*** SUSPENDED ***');
+  lines.push(`Recall: ${cart.recall_code}`);
+  lines.push(`Date: ${new Date(cart.created_at).toLocaleString()}`);
+  if (cart.cashier_name) {
+    lines.push(`Cashier: ${cart.cashier_name}`);
+  }
+  lines.push(`Register: ${cart.register.code}`);
+  lines.push('');
+  lines.push('Items:');
+  cart.items.forEach((item) => {
+    const name = item.product ? item.product.name : '';
+    lines.push(`- ${name} x${item.quantity}`);
+  });
+  lines.push('');
+  lines.push(`Total:    ${formatMoney(cart.total)}`);
+  lines.push(`Resume by: ${new Date(cart.expires_at).toLocaleString()}`);
+  lines.push('');
+
+  return lines.join('\n');
+}
+
 module.exports = {
-  renderTextReceipt
+  renderTextReceipt,
+  renderTextReport,
+  renderSuspendSlip
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { Transaction, TransactionItem } = require('./db');
+
+/**
+ * Refunded quantity per original TransactionItem id for a sale.
+ *
+ * Sale items track `refunded_quantity` themselves. Items sold before that
+ * field existed get it backfilled from the sale's earlier REFUND
+ * transactions, matched by product since those refund lines carry no
+ * `original_item`.
+ */
+async function loadRefundedQuantities(original, originalItems) {
+  const refunded = new Map();
+  const legacy = [];
+  originalItems.forEach((item) => {
+    if (item.refunded_quantity == null) {
+      legacy.push(item);
+    } else {
+      refunded.set(String(item._id), item.refunded_quantity);
+    }
+  });
+  if (legacy.length === 0) {
+    return refunded;
+  }
+
+  const refundTxs = await Transaction.find({
+    reference_transaction: original._id,
+    type: 'REFUND'
+  })
+    .select('_id')
+    .lean();
+  const refundItems = await TransactionItem.find({
+    transaction: { $in: refundTxs.map((tx) => tx._id) },
+    original_item: null
+  }).lean();
+
+  const byProduct = new Map();
+  refundItems.forEach((it) => {
+    const key = String(it.product);
+    byProduct.set(key, (byProduct.get(key) || 0) + Math.abs(it.quantity));
+  });
+
+  for (const item of legacy) {
+    const key = String(item.product);
+    const remaining = byProduct.get(key) || 0;
+    const qty = Math.min(remaining, Math.abs(item.quantity));
+    byProduct.set(key, remaining - qty);
+    refunded.set(String(item._id), qty);
+    await TransactionItem.updateOne(
+      { _id: item._id, refunded_quantity: null },
+      { $set: { refunded_quantity: qty } }
+    );
+  }
+
+  return refunded;
+}
+
+module.exports = {
+  loadRefundedQuantities
+};
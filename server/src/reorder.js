@@ -0,0 +1,119 @@
+const { Inventory, PurchaseOrder } = require('./db');
+const { toObjectId } = require('./reports');
+
+// Purchase orders whose outstanding quantities count as on order. Drafts
+// count too, so suggested orders are not suggested again.
+const ON_ORDER_STATUSES = ['DRAFT', 'SENT', 'PARTIAL'];
+
+/**
+ * Validate `{ reorderPoint, reorderQuantity, maxQuantity }` from a request
+ * body into an Inventory update. Empty or null clears a setting.
+ */
+function parseReorderSettings(body) {
+  const fields = {
+    reorderPoint: 'reorder_point',
+    reorderQuantity: 'reorder_quantity',
+    maxQuantity: 'max_quantity'
+  };
+  const update = {};
+  for (const [key, field] of Object.entries(fields)) {
+    const raw = (body || {})[key];
+    if (raw === undefined) {
+      continue;
+    }
+    if (raw === null || raw === '') {
+      update[field] = null;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${key} must be a number of zero or more` };
+    }
+    update[field] = value;
+  }
+  return { update };
+}
+
+/** Outstanding quantity on open purchase orders, by product id. */
+async function loadOnOrder(storeId) {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { store: toObjectId(storeId), status: { $in: ON_ORDER_STATUSES } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.product',
+        quantity: {
+          $sum: { $subtract: ['$lines.ordered_quantity', '$lines.received_quantity'] }
+        }
+      }
+    }
+  ]).exec();
+  return new Map(rows.map((row) => [String(row._id), Math.max(row.quantity, 0)]));
+}
+
+function isLowStock(row, onOrder = 0) {
+  return row.reorder_point != null && row.quantity + onOrder <= row.reorder_point;
+}
+
+/**
+ * How many to order for a low row: up to `max_quantity` when set, else
+ * `reorder_quantity`, else just enough to get back above the reorder point.
+ */
+function suggestedQuantity(row, onOrder = 0) {
+  const position = row.quantity + onOrder;
+  if (row.max_quantity != null) {
+    return Math.max(row.max_quantity - position, 0);
+  }
+  if (row.reorder_quantity) {
+    return row.reorder_quantity;
+  }
+  return Math.max(row.reorder_point - position + 1, 0);
+}
+
+/**
+ * Inventory rows at or below their reorder point, counting stock on order,
+ * with the product (and its preferred vendor) populated.
+ */
+async function loadLowStock(storeId) {
+  const rows = await Inventory.find({ store: storeId, reorder_point: { $ne: null } })
+    .populate({ path: 'product', populate: { path: 'vendor' } })
+    .lean();
+  const onOrder = await loadOnOrder(storeId);
+  return rows
+    .filter((row) => row.product && row.product.active)
+    .map((row) => {
+      const ordered = onOrder.get(String(row.product._id)) || 0;
+      return { ...row, on_order: ordered, suggested_quantity: suggestedQuantity(row, ordered) };
+    })
+    .filter((row) => isLowStock(row, row.on_order))
+    .sort((a, b) => a.product.name.localeCompare(b.product.name));
+}
+
+/**
+ * The vendor and unit cost each product was last ordered at by a store, for
+ * products without a preferred vendor or cost. Returns a Map by product id.
+ */
+async function loadLastOrdered(storeId, productIds) {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { store: toObjectId(storeId), 'lines.product': { $in: productIds.map(toObjectId) } } },
+    { $sort: { created_at: -1 } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.product',
+        vendor: { $first: '$vendor' },
+        unit_cost: { $first: '$lines.unit_cost' }
+      }
+    }
+  ]).exec();
+  return new Map(rows.map((row) => [String(row._id), row]));
+}
+
+module.exports = {
+  parseReorderSettings,
+  loadOnOrder,
+  isLowStock,
+  suggestedQuantity,
+  loadLowStock,
+  loadLastOrdered
+};
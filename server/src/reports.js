@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const { Transaction, Shift, ZReport, LineVoid } = require('./db');
+const { roundMoney } = require('./payments');
+
+// Aggregation pipelines are not cast by Mongoose, so ids must be ObjectIds.
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+// A transaction's tenders; falls back to payment_method/total for
+// transactions recorded before split tender.
+const PAYMENTS_EXPR = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+    '$payments',
+    [{ method: '$payment_method', amount: '$total' }]
+  ]
+};
+
+// Cost of goods for TransactionItem groups. Lines sold before costs were
+// recorded (or with no known cost) have a null cost_total; their sales are
+// left out of the margin rather than counted as pure profit.
+const COST_GROUP_FIELDS = {
+  cogs: { $sum: { $ifNull: ['$cost_total', 0] } },
+  costed_sales: {
+    $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost_total', null] }, null] }, 0, '$line_total'] }
+  }
+};
+
+/**
+ * COGS and gross margin of a group built with COST_GROUP_FIELDS.
+ * `margin_percent` is of costed sales, null when nothing was costed.
+ */
+function marginOf(row) {
+  const costedSales = roundMoney(row.costed_sales);
+  const cogs = roundMoney(row.cogs);
+  const grossMargin = roundMoney(costedSales - cogs);
+  return {
+    cogs,
+    gross_margin: grossMargin,
+    margin_percent: costedSales ? Math.round((grossMargin / costedSales) * 1000) / 10 : null,
+    uncosted_sales: roundMoney((row.net_sales || 0) - costedSales)
+  };
+}
+
+function scopeMatch({ storeId, registerId }) {
+  const match = { store: toObjectId(storeId) };
+  if (registerId) {
+    match.register = toObjectId(registerId);
+  }
+  return match;
+}
+
+/**
+ * Start of the current X/Z period for a store or register: the end of the
+ * last Z report for that scope, else the first transaction ever rung there.
+ * Pass `session` to read it inside the transaction that stores a Z report.
+ */
+async function resolvePeriodStart({ storeId, registerId, now, session = null }) {
+  const lastZ = await ZReport.findOne({
+    store: storeId,
+    register: registerId || null
+  })
+    .sort({ period_end: -1 })
+    .session(session)
+    .lean();
+  if (lastZ) {
+    return lastZ.period_end;
+  }
+
+  const firstTx = await Transaction.findOne(scopeMatch({ storeId, registerId }))
+    .sort({ created_at: 1 })
+    .session(session)
+    .lean();
+  return firstTx ? firstTx.created_at : now;
+}
+
+/**
+ * Totals for an X or Z report over [from, to): gross sales, refunds,
+ * post-voids, net, discounts, tax, transaction counts, line voids, tender
+ * breakdown and over/short of the shifts closed in the period.
+ *
+ * Sales, refunds, post-voids and net are pre-tax (`subtotal`, after
+ * discounts); tax is its own line, so net plus tax is what the tenders took.
+ */
+async function buildRegisterReport({ storeId, registerId, from, to }) {
+  const scope = scopeMatch({ storeId, registerId });
+  const match = { ...scope, created_at: { $gte: from, $lt: to } };
+
+  const totalsAgg = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        gross_sales: {
+          $sum: { $cond: [{ $eq: ['$type', 'SALE'] }, '$subtotal', 0] }
+        },
+        refunds_total: {
+          $sum: { $cond: [{ $eq: ['$type', 'REFUND'] }, '$subtotal', 0] }
+        },
+        voids_total: {
+          $sum: { $cond: [{ $eq: ['$type', 'VOID'] }, '$subtotal', 0] }
+        },
+        net_total: { $sum: '$subtotal' },
+        discount_total: { $sum: { $ifNull: ['$discount_total', 0] } },
+        tax_total: { $sum: '$tax_total' },
+        tx_count: { $sum: 1 },
+        sale_count: {
+          $sum: { $cond: [{ $eq: ['$type', 'SALE'] }, 1, 0] }
+        },
+        refund_count: {
+          $sum: { $cond: [{ $eq: ['$type', 'REFUND'] }, 1, 0] }
+        },
+        void_count: {
+          $sum: { $cond: [{ $eq: ['$type', 'VOID'] }, 1, 0] }
+        }
+      }
+    }
+  ]).exec();
+  const totals = totalsAgg[0] || {};
+
+  const lineVoidAgg = await LineVoid.aggregate([
+    { $match: match },
+    { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]).exec();
+  const lineVoids = lineVoidAgg[0] || {};
+
+  const tenders = await Transaction.aggregate([
+    { $match: match },
+    { $project: { type: 1, payments: PAYMENTS_EXPR } },
+    { $unwind: '$payments' },
+    {
+      $group: {
+        _id: '$payments.method',
+        sales_total: {
+          $sum: { $cond: [{ $eq: ['$type', 'SALE'] }, '$payments.amount', 0] }
+        },
+        refunds_total: {
+          $sum: { $cond: [{ $eq: ['$type', 'REFUND'] }, '$payments.amount', 0] }
+        },
+        voids_total: {
+          $sum: { $cond: [{ $eq: ['$type', 'VOID'] }, '$payments.amount', 0] }
+        },
+        net_total: { $sum: '$payments.amount' },
+        tender_count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).exec();
+
+  const shifts = await Shift.find({
+    ...scope,
+    status: 'CLOSED',
+    closed_at: { $gte: from, $lt: to }
+  }).lean();
+
+  return {
+    period_start: from,
+    period_end: to,
+    gross_sales: roundMoney(totals.gross_sales),
+    refunds_total: roundMoney(totals.refunds_total),
+    voids_total: roundMoney(totals.voids_total),
+    net_total: roundMoney(totals.net_total),
+    discount_total: roundMoney(totals.discount_total),
+    tax_total: roundMoney(totals.tax_total),
+    tx_count: totals.tx_count || 0,
+    sale_count: totals.sale_count || 0,
+    refund_count: totals.refund_count || 0,
+    void_count: totals.void_count || 0,
+    line_void_count: lineVoids.count || 0,
+    line_void_total: roundMoney(lineVoids.amount),
+    tenders: tenders.map((row) => ({
+      method: row._id,
+      sales_total: roundMoney(row.sales_total),
+      refunds_total: roundMoney(row.refunds_total),
+      voids_total: roundMoney(row.voids_total),
+      net_total: roundMoney(row.net_total),
+      tender_count: row.tender_count
+    })),
+    shift_count: shifts.length,
+    over_short: roundMoney(
+      shifts.reduce((sum, shift) => sum + (shift.over_short || 0), 0)
+    )
+  };
+}
+
+module.exports = {
+  toObjectId,
+  PAYMENTS_EXPR,
+  COST_GROUP_FIELDS,
+  marginOf,
+  resolvePeriodStart,
+  buildRegisterReport
+};
@@ -0,0 +1,70 @@
+const { Shift, Transaction } = require('./db');
+const { roundMoney } = require('./payments');
+
+async function findOpenShift(registerId) {
+  return Shift.findOne({ register: registerId, status: 'OPEN' }).lean();
+}
+
+/**
+ * Total the cash that should be in the drawer for a shift:
+ * opening float + cash kept on sales + cash paid out on refunds and
+ * post-voids. Cash amounts are what each tender kept, so change given is
+ * already excluded. Pass `session` to read it inside the close.
+ */
+async function computeShiftCash(shift, session = null) {
+  const rows = await Transaction.aggregate([
+    { $match: { shift: shift._id } },
+    { $unwind: '$payments' },
+    { $match: { 'payments.method': 'cash' } },
+    {
+      $group: {
+        _id: '$type',
+        amount: { $sum: '$payments.amount' }
+      }
+    }
+  ])
+    .session(session)
+    .exec();
+
+  let cashSales = 0;
+  let cashRefunds = 0;
+  let cashVoids = 0;
+  rows.forEach((row) => {
+    if (row._id === 'REFUND') {
+      cashRefunds += row.amount;
+    } else if (row._id === 'VOID') {
+      cashVoids += row.amount;
+    } else {
+      cashSales += row.amount;
+    }
+  });
+
+  return {
+    opening_float: shift.opening_float,
+    cash_sales: roundMoney(cashSales),
+    cash_refunds: roundMoney(cashRefunds),
+    cash_voids: roundMoney(cashVoids),
+    expected_cash: roundMoney(shift.opening_float + cashSales + cashRefunds + cashVoids)
+  };
+}
+
+/**
+ * Count a sale, refund or post-void against its shift, inside the caller's
+ * transaction. The shift must still be open; the write makes a close running
+ * at the same time conflict with the transaction, so its cash is either in
+ * the close or the transaction fails. Returns false once the shift is closed.
+ */
+async function claimOpenShift(shiftId, session) {
+  const updated = await Shift.updateOne(
+    { _id: shiftId, status: 'OPEN' },
+    { $inc: { tx_count: 1 } },
+    { session }
+  );
+  return updated.modifiedCount === 1;
+}
+
+module.exports = {
+  findOpenShift,
+  computeShiftCash,
+  claimOpenShift
+};
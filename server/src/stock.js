@@ -0,0 +1,283 @@
+const { Counter, Inventory, StockMovement } = require('./db');
+const { toObjectId } = require('./reports');
+const { roundMoney } = require('./payments');
+const { applyLotMovement } = require('./lots');
+
+// Set once ensureOpeningBalances has run; see there.
+const OPENING_BALANCES_KEY = 'migration:opening-balances';
+
+/**
+ * Record a movement for a change already applied to Inventory.
+ * `ref` is `{ type, id, label }` for the document behind it, e.g.
+ * `{ type: 'Transaction', id, label: tcNumber }`. With `unitCost` the
+ * movement also carries its cost impact; `lots` are the lot allocations.
+ */
+async function recordMovement({
+  store,
+  product,
+  delta,
+  quantityAfter,
+  reason,
+  reasonCode,
+  ref,
+  user,
+  note,
+  unitCost,
+  lots,
+  session,
+  at
+}) {
+  const [movement] = await StockMovement.create(
+    [
+      {
+        store,
+        product,
+        delta,
+        quantity_after: quantityAfter,
+        reason,
+        reason_code: reasonCode || null,
+        ref_type: ref ? ref.type : null,
+        ref_id: ref ? ref.id : null,
+        ref_label: ref ? ref.label || null : null,
+        user: user ? user.id : null,
+        user_name: user ? user.username : '',
+        note: note || null,
+        unit_cost: unitCost != null ? unitCost : null,
+        cost_impact: unitCost != null ? roundMoney(delta * unitCost) : null,
+        lots: lots || [],
+        created_at: at || new Date()
+      }
+    ],
+    { session }
+  );
+  return movement;
+}
+
+/**
+ * Change a store's stock of a product by `delta` and append the movement.
+ * Pass the caller's `session` so both commit with the document behind it.
+ *
+ * For lot-tracked products, `lot`, `lots` and `sellable` say which lots
+ * change (see applyLotMovement in lots.js); the movement's `lots` has the
+ * result.
+ */
+async function moveStock({
+  store,
+  product,
+  delta,
+  reason,
+  reasonCode = null,
+  ref = null,
+  user = null,
+  note = null,
+  unitCost = null,
+  lot = null,
+  lots = null,
+  sellable = false,
+  session = null,
+  at = null
+}) {
+  const inv = await Inventory.findOneAndUpdate(
+    { store, product },
+    { $inc: { quantity: delta } },
+    { upsert: true, new: true, session }
+  ).lean();
+  const allocations = await applyLotMovement({
+    store,
+    product,
+    delta,
+    lot,
+    lots,
+    sellable,
+    session,
+    at
+  });
+  return recordMovement({
+    store,
+    product,
+    delta,
+    quantityAfter: inv.quantity,
+    reason,
+    reasonCode,
+    ref,
+    user,
+    note,
+    unitCost,
+    lots: allocations,
+    session,
+    at
+  });
+}
+
+/**
+ * Set a store's stock of a product to `quantity` and record the difference
+ * (an ADJUSTMENT unless `reason` says otherwise). An increase goes into
+ * `lot` and a decrease comes out of it first, for lot-tracked products.
+ * Returns the movement, or null when the quantity did not change. Pass a
+ * transaction's `session`, as for moveStock, so the quantity, the lots and
+ * the movement commit together.
+ */
+async function setStock({
+  store,
+  product,
+  quantity,
+  reason = 'ADJUSTMENT',
+  reasonCode = null,
+  ref = null,
+  user = null,
+  note = null,
+  unitCost = null,
+  lot = null,
+  session = null
+}) {
+  // The old quantity comes back from the same atomic update, so the delta
+  // is right even if a sale lands at the same time.
+  const before = await Inventory.findOneAndUpdate(
+    { store, product },
+    { $set: { quantity } },
+    { upsert: true, new: false, session }
+  ).lean();
+  const delta = quantity - (before ? before.quantity : 0);
+  if (delta === 0) {
+    return null;
+  }
+  const allocations = await applyLotMovement({ store, product, delta, lot, session });
+  return recordMovement({
+    store,
+    product,
+    delta,
+    quantityAfter: quantity,
+    reason,
+    reasonCode,
+    ref,
+    user,
+    note,
+    unitCost,
+    lots: allocations,
+    session
+  });
+}
+
+/**
+ * Give every inventory row without any movements an OPENING movement for
+ * its current quantity, so stock that predates the ledger can be rebuilt.
+ * A one-off migration: once it has run, a counter flag skips it, since all
+ * stock written since then goes through the ledger.
+ */
+async function ensureOpeningBalances() {
+  if (await Counter.exists({ key: OPENING_BALANCES_KEY })) {
+    return 0;
+  }
+  const tracked = await StockMovement.aggregate([
+    { $group: { _id: { store: '$store', product: '$product' } } }
+  ]).exec();
+  const seen = new Set(tracked.map((row) => `${row._id.store}:${row._id.product}`));
+
+  const rows = await Inventory.find({}).lean();
+  const missing = rows.filter((row) => !seen.has(`${row.store}:${row.product}`));
+  for (const row of missing) {
+    await recordMovement({
+      store: row.store,
+      product: row.product,
+      delta: row.quantity,
+      quantityAfter: row.quantity,
+      reason: 'OPENING',
+      note: 'Quantity before the stock ledger'
+    });
+  }
+  await Counter.updateOne(
+    { key: OPENING_BALANCES_KEY },
+    { $set: { seq: 1 } },
+    { upsert: true }
+  );
+  return missing.length;
+}
+
+function ledgerSums(match, session = null) {
+  return StockMovement.aggregate([
+    { $match: match },
+    { $group: { _id: '$product', quantity: { $sum: '$delta' } } }
+  ])
+    .session(session)
+    .exec();
+}
+
+/**
+ * Reset one product's quantity at a store to the sum of its ledger, in a
+ * transaction. The reset is recorded as an ADJUSTMENT movement with a delta
+ * of 0, so the ledger still adds up to the new quantity, and a note with
+ * the quantity it replaced. Lots follow the change.
+ */
+async function resetToLedger({ store, product, user }) {
+  const session = await StockMovement.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // Summed again inside the transaction, in case stock moved since.
+      const [sum] = await ledgerSums(
+        { store: toObjectId(store), product: toObjectId(product) },
+        session
+      );
+      const ledgerQty = sum ? sum.quantity : 0;
+      const before = await Inventory.findOneAndUpdate(
+        { store, product },
+        { $set: { quantity: ledgerQty } },
+        { upsert: true, new: false, session }
+      ).lean();
+      const was = before ? before.quantity : 0;
+      if (was === ledgerQty) {
+        return;
+      }
+      const lots = await applyLotMovement({ store, product, delta: ledgerQty - was, session });
+      await recordMovement({
+        store,
+        product,
+        delta: 0,
+        quantityAfter: ledgerQty,
+        reason: 'ADJUSTMENT',
+        user,
+        note: `Rebuilt from the stock ledger; the quantity was ${was}`,
+        lots,
+        session
+      });
+    });
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Compare a store's inventory with the sum of its ledger. With `apply`, set
+ * each quantity to the ledger's (see resetToLedger). Returns the rows that
+ * differed.
+ */
+async function rebuildInventory({ storeId, apply = false, user = null }) {
+  const sums = await ledgerSums({ store: toObjectId(storeId) });
+  const ledger = new Map(sums.map((row) => [String(row._id), row.quantity]));
+
+  const rows = await Inventory.find({ store: storeId }).lean();
+  const current = new Map(rows.map((row) => [String(row.product), row.quantity]));
+
+  const productIds = new Set([...ledger.keys(), ...current.keys()]);
+  const diffs = [];
+  productIds.forEach((productId) => {
+    const ledgerQty = ledger.get(productId) || 0;
+    const qty = current.get(productId) || 0;
+    if (ledgerQty !== qty) {
+      diffs.push({ product: productId, quantity: qty, ledger_quantity: ledgerQty });
+    }
+  });
+
+  if (apply) {
+    for (const diff of diffs) {
+      await resetToLedger({ store: storeId, product: diff.product, user });
+    }
+  }
+  return diffs;
+}
+
+module.exports = {
+  moveStock,
+  setStock,
+  ensureOpeningBalances,
+  rebuildInventory
+};
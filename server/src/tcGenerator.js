@@ -2,12 +2,49 @@ function pad(num, size) {
   return num.toString().padStart(size, '0');
 }
 
+// TC#s issued before store sequences end in the 24-char transaction ObjectId
+// and carry no check digit.
+const LEGACY_TC = /^\d{8}-[^-]+-[^-]+-\d{4}-[0-9a-f]{24}$/i;
+// TC#s from before the two-digit check end in one mod-10 check digit.
+const MOD10_TC = /^\d{8}-[^-]+-[^-]+-\d{4}-\d{6,}-\d$/;
+const TC_FORMAT = /^\d{8}-[^-]+-[^-]+-\d{4}-\d{6,}-\d{2}$/;
+
+// TC# characters, dashes ignored, as values 0-35 (digits, then letters).
+function charValues(body) {
+  return body
+    .replace(/-/g, '')
+    .toUpperCase()
+    .split('')
+    .map((ch) => parseInt(ch, 36))
+    .filter((value) => !Number.isNaN(value));
+}
+
+/**
+ * Two check digits over the TC# characters, ISO 7064 MOD 97-10 with every
+ * character read as two digits (00-35). Any single mistyped character, and
+ * any two neighbours swapped, changes the check.
+ */
+function checkDigits(body) {
+  const remainder = charValues(body).reduce((acc, value) => (acc * 100 + value) % 97, 0);
+  return String(98 - ((remainder * 100) % 97)).padStart(2, '0');
+}
+
+// The earlier check digit: EAN-style 3/1 weights, mod 10. Letters ten apart
+// (A, K, U) give the same digit, so it is only used to verify old TC#s.
+function mod10CheckDigit(body) {
+  const sum = charValues(body)
+    .reverse()
+    .reduce((acc, value, idx) => acc + value * (idx % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
 /**
  * Generate a Walmart-style TC# for a transaction.
- * Format: YYYYMMDD-STORECODE-REGCODE-HHMM-SEQ
- * Here SEQ is the transaction's numeric ID, zero-padded.
+ * Format: YYYYMMDD-STORECODE-REGCODE-HHMM-SEQ-CC
+ * SEQ is the store's transaction sequence (see counters.js), zero-padded,
+ * and CC two check digits over everything before it.
  */
-function generateTC({ storeCode, registerCode, transactionId, date = new Date() }) {
+function generateTC({ storeCode, registerCode, sequence, date = new Date() }) {
   const yyyy = date.getFullYear();
   const mm = date.getMonth() + 1;
   const dd = date.getDate();
@@ -16,11 +53,44 @@ function generateTC({ storeCode, registerCode, transactionId, date = new Date()
 
   const datePart = `${pad(yyyy, 4)}${pad(mm, 2)}${pad(dd, 2)}`;
   const timePart = `${pad(hh, 2)}${pad(min, 2)}`;
-  const seqPart = pad(transactionId, 6);
+  const seqPart = pad(sequence, 6);
+
+  const body = `${datePart}-${storeCode}-${registerCode}-${timePart}-${seqPart}`;
+  return `${body}-${checkDigits(body)}`;
+}
+
+/**
+ * Check a typed or scanned TC# before looking it up.
+ * Returns `{ ok: true }` or `{ error }` with a message for the cashier.
+ */
+function verifyTC(tc) {
+  if (LEGACY_TC.test(tc)) {
+    return { ok: true };
+  }
+  const idx = tc.lastIndexOf('-');
+  const body = tc.slice(0, idx);
+  const check = tc.slice(idx + 1);
+  let valid;
+  if (TC_FORMAT.test(tc)) {
+    valid = checkDigits(body) === check;
+  } else if (MOD10_TC.test(tc)) {
+    valid = mod10CheckDigit(body) === Number(check);
+  } else {
+    return { error: `"${tc}" is not a valid TC#` };
+  }
+  if (!valid) {
+    return { error: `TC# ${tc} failed its check digit; re-scan or re-type it` };
+  }
+  return { ok: true };
+}
 
-  return `${datePart}-${storeCode}-${registerCode}-${timePart}-${seqPart}`;
+/** Counter key for a store's TC# sequence. */
+function tcSequenceKey(storeId) {
+  return `tc:${storeId}`;
 }
 
 module.exports = {
-  generateTC
-};
\ No newline at end of file
+  generateTC,
+  verifyTC,
+  tcSequenceKey
+};
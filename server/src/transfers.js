@@ -0,0 +1,91 @@
+const { Product } = require('./db');
+
+/** Counter key and display number for transfers shipped from a store. */
+function transferSequenceKey(storeId) {
+  return `tr:${storeId}`;
+}
+
+function formatTransferNumber(storeCode, sequence) {
+  return `TR-${storeCode}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Validate `[{ productId, quantity }]` for a shipment and load the products.
+ * Each product may appear once.
+ * Returns `{ lines }` ready for Transfer.lines, or `{ error }`.
+ */
+async function parseTransferLines(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'lines must be a non-empty array' };
+  }
+  const seen = new Set();
+  const lines = [];
+  for (const line of raw) {
+    const quantity = Number(line.quantity);
+    if (!line.productId || !Number.isFinite(quantity) || quantity <= 0) {
+      return { error: 'Each line needs a productId and a quantity above zero' };
+    }
+    if (seen.has(String(line.productId))) {
+      return { error: 'Each product can only appear once on a transfer' };
+    }
+    seen.add(String(line.productId));
+
+    const product = await Product.findById(line.productId).lean();
+    if (!product) {
+      return { error: `Invalid productId: ${line.productId}` };
+    }
+    lines.push({
+      product: product._id,
+      product_name: product.name,
+      sku: product.sku,
+      barcode: product.barcode,
+      shipped_quantity: quantity,
+      received_quantity: null
+    });
+  }
+  return { lines };
+}
+
+/**
+ * Record the receiving store's count `[{ productId, quantity }]` on an
+ * IN_TRANSIT transfer document and mark it RECEIVED. Lines left out were
+ * received as shipped. Returns `{ lines }` with each line's received
+ * quantity, or `{ error }`; the transfer is only changed on success.
+ */
+function applyTransferReceipt(transfer, raw) {
+  if (transfer.status !== 'IN_TRANSIT') {
+    return { error: `Transfer ${transfer.number} has already been received` };
+  }
+  const counted = new Map();
+  for (const line of Array.isArray(raw) ? raw : []) {
+    const quantity = Number(line.quantity);
+    if (!line.productId || !Number.isFinite(quantity) || quantity < 0) {
+      return { error: 'Each line needs a productId and a quantity of zero or more' };
+    }
+    const key = String(line.productId);
+    if (!transfer.lines.some((l) => String(l.product) === key)) {
+      return { error: `Product ${key} is not on ${transfer.number}` };
+    }
+    counted.set(key, quantity);
+  }
+
+  transfer.lines.forEach((l) => {
+    const key = String(l.product);
+    l.received_quantity = counted.has(key) ? counted.get(key) : l.shipped_quantity;
+  });
+  transfer.status = 'RECEIVED';
+  return { lines: transfer.lines };
+}
+
+/** Received minus shipped; negative is a shortage. Null until received. */
+function lineVariance(line) {
+  return line.received_quantity == null ? null : line.received_quantity - line.shipped_quantity;
+}
+
+module.exports = {
+  transferSequenceKey,
+  formatTransferNumber,
+  parseTransferLines,
+  applyTransferReceipt,
+  lineVariance
+};
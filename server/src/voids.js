@@ -0,0 +1,32 @@
+// Reason codes for line voids and post-voids.
+const VOID_REASONS = [
+  { code: 'SCAN_ERROR', label: 'Scanned in error' },
+  { code: 'CUSTOMER_DECLINED', label: 'Customer changed mind' },
+  { code: 'PRICE_DISPUTE', label: 'Price dispute' },
+  { code: 'DAMAGED', label: 'Damaged item' },
+  { code: 'WRONG_TENDER', label: 'Wrong tender' },
+  { code: 'OTHER', label: 'Other (see note)' }
+];
+
+/**
+ * Validate `reason` and `note` from a request body.
+ * Returns `{ reason, note }` or `{ error }`; OTHER needs a note.
+ */
+function parseVoidReason(reason, note) {
+  const code = String(reason || '').trim().toUpperCase();
+  if (!VOID_REASONS.some((r) => r.code === code)) {
+    return {
+      error: `reason must be one of ${VOID_REASONS.map((r) => r.code).join(', ')}`
+    };
+  }
+  const trimmed = note ? String(note).trim() : '';
+  if (code === 'OTHER' && !trimmed) {
+    return { error: 'A note is required when the reason is OTHER' };
+  }
+  return { reason: code, note: trimmed || null };
+}
+
+module.exports = {
+  VOID_REASONS,
+  parseVoidReason
+};